@@ -1,6 +1,22 @@
 import 'dotenv/config';
-import { Resend } from 'resend';
-import crypto from 'crypto';
+import { createClient } from '@sanity/client';
+import { getNewsletterProvider } from '../../src/utils/newsletterProviders.js';
+import { getSubscriberRepository, sanitizeSource, SUBSCRIBER_STATUS } from '../../src/utils/subscribers.js';
+import { pickLocale, renderSubscriberEmail, renderSubscriberPage } from '../../src/utils/subscriberTemplates.js';
+import {
+  createMemoryNonceStore,
+  createSanityNonceStore,
+  getConfirmationSecretError,
+  getUnsubscribeUrl,
+  verifySubscriptionToken
+} from '../../src/utils/subscriptionTokens.js';
+import { createSanityWelcomeProgressStore } from '../../src/utils/welcomeSequence.js';
+
+// Checked once at startup - without a real secret, confirmation links could be forged
+const secretError = getConfirmationSecretError(process.env);
+if (secretError) {
+  console.error(`Confirmations are disabled: ${secretError}`);
+}
 
 export const handler = async (event, context) => {
   // Enable CORS
@@ -10,6 +26,12 @@ export const handler = async (event, context) => {
     'Access-Control-Allow-Methods': 'GET, OPTIONS',
     'Content-Type': 'text/html'
   };
+  const locale = pickLocale(event.headers?.['accept-language']);
+  const page = (statusCode, name, vars = {}) => ({
+    statusCode,
+    headers,
+    body: renderSubscriberPage(name, { locale, ...vars })
+  });
 
   // Handle preflight requests
   if (event.httpMethod === 'OPTIONS') {
@@ -29,394 +51,132 @@ export const handler = async (event, context) => {
     };
   }
 
+  if (secretError) {
+    return page(500, 'error', { reason: 'configuration' });
+  }
+
   try {
     // Get token from query string
     const token = event.queryStringParameters?.token;
 
     if (!token) {
-      return {
-        statusCode: 400,
-        headers,
-        body: renderErrorPage('Invalid confirmation link')
-      };
-    }
-
-    // Decode token
-    let tokenData;
-    try {
-      const decoded = Buffer.from(token, 'base64url').toString('utf-8');
-      tokenData = JSON.parse(decoded);
-    } catch (decodeError) {
-      console.error('Token decode error:', decodeError);
-      return {
-        statusCode: 400,
-        headers,
-        body: renderErrorPage('Invalid confirmation link')
-      };
+      return page(400, 'error', { reason: 'invalidConfirmLink', retry: true });
     }
 
-    const { email, timestamp, token: providedToken } = tokenData;
+    // Decode the token, verify its signature and check it hasn't expired (24 hours)
+    const { email, nonce, expiresAt, error: tokenError } = verifySubscriptionToken('confirm', token, process.env);
 
-    // Validate token hasn't expired (24 hours)
-    const now = Date.now();
-    const twentyFourHours = 24 * 60 * 60 * 1000;
-    if (now - timestamp > twentyFourHours) {
-      return {
-        statusCode: 400,
-        headers,
-        body: renderErrorPage('This confirmation link has expired. Please subscribe again.')
-      };
+    if (tokenError === 'expired') {
+      return page(400, 'expired');
     }
 
-    // Verify token signature
-    const secret = process.env.CONFIRMATION_SECRET || 'your-secret-key-change-this';
-    const expectedToken = crypto
-      .createHmac('sha256', secret)
-      .update(`${email}:${timestamp}`)
-      .digest('hex');
-
-    if (providedToken !== expectedToken) {
+    if (tokenError) {
       console.error('Token verification failed');
-      return {
-        statusCode: 400,
-        headers,
-        body: renderErrorPage('Invalid confirmation link')
-      };
+      return page(400, 'error', { reason: 'invalidConfirmLink', retry: true });
     }
 
-    // Get Resend credentials
-    const apiKey = process.env.RESEND_API_KEY;
-    const audienceId = process.env.RESEND_AUDIENCE_ID;
-
-    if (!apiKey || !audienceId) {
-      console.error('Missing Resend configuration');
-      return {
-        statusCode: 500,
-        headers,
-        body: renderErrorPage('Server configuration error')
-      };
+    // Sanity keeps the subscriber's history (see src/utils/subscribers.js)
+    const apiToken = process.env.SANITY_API_TOKEN;
+    const client = apiToken ? createClient({
+      projectId: process.env.VITE_SANITY_PROJECT_ID || 'wxzoc64y',
+      dataset: process.env.VITE_SANITY_DATASET || 'production',
+      apiVersion: process.env.VITE_SANITY_API_VERSION || '2023-12-01',
+      token: apiToken,
+      useCdn: false,
+    }) : null;
+
+    let subscribers;
+    try {
+      subscribers = getSubscriberRepository(process.env, client);
+    } catch (configError) {
+      console.error('Missing subscriber store configuration:', configError.message);
+      return page(500, 'error', { reason: 'configuration' });
     }
 
-    // Initialize Resend client
-    const resend = new Resend(apiKey);
-
-    console.log('Adding confirmed contact to Resend audience:', email);
-
-    // Try to add contact - if they already exist, we'll remove and re-add them
-    let response = await resend.contacts.create({
-      email: email,
-      audienceId: audienceId,
-      unsubscribed: false
-    });
-
-    // If contact already exists, remove and re-add to update subscription date
-    if (response.error && 
-        (response.error.message?.includes('already exists') || 
-         response.error.message?.includes('duplicate') ||
-         response.error.message?.includes('Contact already exists'))) {
-      
-      console.log('Contact already exists, removing and re-adding to update subscription date:', email);
-      
-      try {
-        // First, get the contact ID by listing and finding the contact
-        const { data: contacts } = await resend.contacts.list({
-          audienceId: audienceId
-        });
-        
-        const existingContact = contacts?.data?.find(
-          c => c.email.toLowerCase() === email.toLowerCase()
-        );
-        
-        if (existingContact && existingContact.id) {
-          console.log('Found existing contact with ID:', existingContact.id);
-          
-          // Remove the contact
-          const removeResult = await resend.contacts.remove({
-            audienceId: audienceId,
-            id: existingContact.id
-          });
-          
-          console.log('Removed existing contact:', email);
-          
-          // Re-add the contact with fresh subscription date
-          response = await resend.contacts.create({
-            email: email,
-            audienceId: audienceId,
-            unsubscribed: false
-          });
-          
-          console.log('Re-added contact with updated subscription date:', email);
-        } else {
-          console.error('Could not find contact ID for:', email);
-          // Return success anyway since they're already subscribed
-          return {
-            statusCode: 200,
-            headers,
-            body: renderSuccessPage(email, true)
-          };
-        }
-      } catch (removeError) {
-        console.error('Error removing and re-adding contact:', removeError);
-        // Return success anyway since they're already subscribed
-        return {
-          statusCode: 200,
-          headers,
-          body: renderSuccessPage(email, true)
-        };
+    // Each link confirms once. Opening it again (or a mail scanner having opened it first)
+    // just says they're subscribed; a used link can't resubscribe someone who has left since
+    const nonceStore = client ? createSanityNonceStore(client) : createMemoryNonceStore();
+    if (!await nonceStore.consume(nonce, expiresAt)) {
+      const subscriber = await subscribers.get(email);
+      if (subscriber?.status === SUBSCRIBER_STATUS.SUBSCRIBED) {
+        return page(200, 'alreadySubscribed', { email });
       }
+      console.warn('Confirmation link reused:', email);
+      return page(400, 'error', { reason: 'usedConfirmLink', retry: true });
+    }
+
+    // Confirming again (e.g. resubscribing) keeps the subscriber, and records the new
+    // confirmation time and source in their history
+    let alreadySubscribed;
+    try {
+      const existing = await subscribers.get(email);
+      alreadySubscribed = existing?.status === SUBSCRIBER_STATUS.SUBSCRIBED;
+
+      console.log('Confirming subscription:', email);
+      await subscribers.upsert(email, {
+        status: SUBSCRIBER_STATUS.SUBSCRIBED,
+        source: sanitizeSource(event.queryStringParameters?.source)
+      });
+    } catch (confirmError) {
+      // Nothing was confirmed, so the link can be tried again
+      await nonceStore.release(nonce);
+      throw confirmError;
     }
 
-    // Check for other errors
-    if (response.error) {
-      console.error('Resend API error:', response.error);
-      
-      return {
-        statusCode: 500,
-        headers,
-        body: renderErrorPage('Failed to complete subscription. Please try again.')
-      };
+    if (alreadySubscribed) {
+      console.log('Already subscribed, confirmation recorded:', email);
+      return page(200, 'alreadySubscribed', { email });
     }
 
     console.log('✅ Successfully confirmed subscription:', email);
-    return {
-      statusCode: 200,
-      headers,
-      body: renderSuccessPage(email, false)
-    };
+    await sendWelcomeEmail(email, locale);
+    if (client) {
+      await startWelcomeSequence(client, email);
+    }
+    return page(200, 'confirmed', { email });
 
   } catch (err) {
     console.error('Subscription confirmation error:', err);
-    return {
-      statusCode: 500,
-      headers,
-      body: renderErrorPage('An unexpected error occurred. Please try again.')
-    };
+    return page(500, 'error', { reason: 'unexpected', retry: true });
   }
 };
 
-function renderSuccessPage(email, alreadySubscribed) {
-  const message = alreadySubscribed 
-    ? "You're already subscribed! No need to confirm again."
-    : "You've successfully subscribed!";
-
-  return `
-    <!DOCTYPE html>
-    <html lang="en">
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Subscription Confirmed</title>
-        <style>
-          * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-          }
-          body {
-            font-family: 'Avenir Next', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
-            background: linear-gradient(135deg, #667eea 0%, #4f9deb 100%);
-            min-height: 100vh;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            padding: 20px;
-          }
-          .container {
-            background: white;
-            border-radius: 12px;
-            padding: 48px 32px;
-            max-width: 500px;
-            width: 100%;
-            box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
-            text-align: center;
-          }
-          .icon {
-            width: 80px;
-            height: 80px;
-            background: #10b981;
-            border-radius: 50%;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            margin: 0 auto 24px;
-          }
-          h1 {
-            color: #1a1a1a;
-            font-size: 28px;
-            margin-bottom: 16px;
-            font-weight: 600;
-          }
-          p {
-            color: #4a5568;
-            font-size: 16px;
-            line-height: 1.6;
-            margin-bottom: 32px;
-          }
-          .email {
-            background: #f7fafc;
-            padding: 12px 16px;
-            border-radius: 6px;
-            color: #2d3748;
-            font-family: 'Courier New', monospace;
-            margin-bottom: 32px;
-            word-break: break-all;
-          }
-          .button {
-            display: inline-block;
-            background: #3b82f6;
-            color: white;
-            padding: 14px 32px;
-            border-radius: 6px;
-            border: none;
-            text-decoration: none;
-            font-weight: 600;
-            font-size: 16px;
-            cursor: pointer;
-            transition: background 0.2s;
-          }
-          .button:hover {
-            background: #2563eb;
-          }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="icon">
-            <svg width="48" height="48" viewBox="0 0 48 48" fill="none" xmlns="http://www.w3.org/2000/svg">
-              <path d="M20 30.5L12 22.5L14.5 20L20 25.5L33.5 12L36 14.5L20 30.5Z" fill="white" stroke="white" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
-            </svg>
-          </div>
-          <h1>Subscription Confirmed!</h1>
-          <p>${message}</p>
-          <div class="email">${email}</div>
-          <button class="button" onclick="window.close()">Close this tab</button>
-        </div>
-        <script>
-          // If window.close() doesn't work (some browsers block it), 
-          // provide a fallback to redirect to the blog
-          setTimeout(function() {
-            var button = document.querySelector('.button');
-            button.onclick = function() {
-              window.close();
-              // Fallback: if tab doesn't close after 100ms, redirect to blog
-              setTimeout(function() {
-                window.location.href = '/';
-              }, 100);
-            };
-          }, 0);
-        </script>
-      </body>
-    </html>
-  `;
+// New (and returning) subscribers get a welcome email. It's sent through the newsletter
+// provider, so NEWSLETTER_PROVIDER=fake keeps it local; failing to send it doesn't undo
+// the confirmation, so it's only logged
+async function sendWelcomeEmail(email, locale) {
+  try {
+    const siteUrl = process.env.URL || 'http://localhost:8888';
+    const unsubscribeUrl = getUnsubscribeUrl(email, siteUrl, process.env);
+    const welcome = renderSubscriberEmail('welcome', { locale, siteUrl, unsubscribeUrl });
+    const { failed } = await getNewsletterProvider(process.env).send([{
+      from: process.env.RESEND_FROM_EMAIL || 'onboarding@resend.dev',
+      to: email,
+      subject: welcome.subject,
+      html: welcome.html,
+      text: welcome.text,
+      headers: {
+        'List-Unsubscribe': `<${unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    }]);
+    if (failed.length > 0) {
+      console.error('Welcome email failed:', failed[0].error);
+      return;
+    }
+    console.log('✅ Welcome email sent:', email);
+  } catch (error) {
+    console.error('Welcome email error:', error);
+  }
 }
 
-function renderErrorPage(message) {
-  return `
-    <!DOCTYPE html>
-    <html lang="en">
-      <head>
-        <meta charset="UTF-8">
-        <meta name="viewport" content="width=device-width, initial-scale=1.0">
-        <title>Subscription Error</title>
-        <style>
-          * {
-            margin: 0;
-            padding: 0;
-            box-sizing: border-box;
-          }
-          body {
-            font-family: 'Avenir Next', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif;
-            background: linear-gradient(135deg, #667eea 0%, #4f9deb 100%);
-            min-height: 100vh;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            padding: 20px;
-          }
-          .container {
-            background: white;
-            border-radius: 12px;
-            padding: 48px 32px;
-            max-width: 500px;
-            width: 100%;
-            box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
-            text-align: center;
-          }
-          .icon {
-            width: 80px;
-            height: 80px;
-            background: #ef4444;
-            border-radius: 50%;
-            display: flex;
-            align-items: center;
-            justify-content: center;
-            margin: 0 auto 24px;
-          }
-          .x-mark {
-            width: 40px;
-            height: 40px;
-            position: relative;
-          }
-          .x-mark::before,
-          .x-mark::after {
-            content: '';
-            position: absolute;
-            width: 4px;
-            height: 40px;
-            background: white;
-            left: 18px;
-          }
-          .x-mark::before {
-            transform: rotate(45deg);
-          }
-          .x-mark::after {
-            transform: rotate(-45deg);
-          }
-          h1 {
-            color: #1a1a1a;
-            font-size: 28px;
-            margin-bottom: 16px;
-            font-weight: 600;
-          }
-          p {
-            color: #4a5568;
-            font-size: 16px;
-            line-height: 1.6;
-            margin-bottom: 32px;
-          }
-          .button {
-            display: inline-block;
-            background: #3b82f6;
-            color: white;
-            padding: 14px 32px;
-            border-radius: 6px;
-            text-decoration: none;
-            font-weight: 600;
-            transition: background 0.2s;
-            margin-right: 12px;
-          }
-          .button:hover {
-            background: #2563eb;
-          }
-          .button-secondary {
-            background: #6b7280;
-          }
-          .button-secondary:hover {
-            background: #4b5563;
-          }
-        </style>
-      </head>
-      <body>
-        <div class="container">
-          <div class="icon">
-            <div class="x-mark"></div>
-          </div>
-          <h1>Oops!</h1>
-          <p>${message}</p>
-          <a href="/" class="button">Return to Blog</a>
-          <a href="/#subscribe" class="button button-secondary">Try Again</a>
-        </div>
-      </body>
-    </html>
-  `;
+// Day 0 of the welcome sequence is the welcome email; the welcome-sequence scheduled function
+// sends the rest. Someone who has been through the sequence before isn't started again.
+// Like the welcome email, a failure is only logged
+async function startWelcomeSequence(client, email) {
+  try {
+    await createSanityWelcomeProgressStore(client).start(email);
+  } catch (error) {
+    console.error('Could not start the welcome sequence:', error);
+  }
 }
@@ -0,0 +1,183 @@
+/**
+ * Scheduled newsletter send (Netlify scheduled function, every 15 minutes)
+ *
+ * Posts are scheduled by their publishedAt date, and every query hides them until then.
+ * This function finds the posts that became visible since its last run, triggers a site
+ * rebuild so their pages, feeds and sitemap entries exist, and emails each of them to the
+ * Resend audience with the newsletter sender (src/utils/newsletter.js). Once a week or
+ * month has ended, it also sends that period's digest to the subscribers who chose one.
+ *
+ * Idempotency: the window it has checked is kept in a newsletterAutoSendState document in
+ * Sanity, and only moves forward once every post in it was sent. Each post's send is also
+ * recorded as a newsletterSend document, so a retried run - or a post that was already
+ * sent by hand with scripts/send-newsletter.js - is never emailed twice. The first run
+ * only records the current time, so the back catalogue isn't sent. Digests are recorded
+ * per period the same way.
+ *
+ * Netlify env vars:
+ * - SANITY_API_TOKEN (write access, for the state and send records)
+ * - RESEND_API_KEY, RESEND_AUDIENCE_ID, RESEND_FROM_EMAIL
+ * - CONFIRMATION_SECRET (signs each subscriber's unsubscribe link)
+ * - NETLIFY_BUILD_HOOK_URL
+ * - NEWSLETTER_AUTO_SEND=true to send emails; otherwise posts are only logged
+ */
+
+import 'dotenv/config';
+import { createClient } from '@sanity/client';
+import {
+  createSanitySendStore,
+  DIGEST_POSTS_QUERY,
+  getDigestPeriod,
+  NEWSLETTER_POST_QUERY,
+  sendDigest,
+  sendIssue
+} from '../../src/utils/newsletter.js';
+import { getNewsletterProvider } from '../../src/utils/newsletterProviders.js';
+import { createSanityPreferenceStore } from '../../src/utils/subscriberPreferences.js';
+import { getSubscriberRepository } from '../../src/utils/subscribers.js';
+import { getConfirmationSecretError, getUnsubscribeUrl } from '../../src/utils/subscriptionTokens.js';
+
+const STATE_ID = 'newsletterAutoSendState';
+
+// Posts whose publish time passed within the window. A draft has a publishedAt as soon as
+// it's created, so drafts are left out even if a client reads them
+export const NEWLY_VISIBLE_POSTS_QUERY = `*[_type == "post" && !(_id in path("drafts.**")) && defined(slug.current) && dateTime(publishedAt) > dateTime($since) && dateTime(publishedAt) <= dateTime($until)] | order(publishedAt asc) {
+  _id,
+  title,
+  "slug": slug.current,
+  publishedAt
+}`;
+
+export const config = {
+  schedule: '*/15 * * * *'
+};
+
+async function triggerRebuild() {
+  const buildHookUrl = process.env.NETLIFY_BUILD_HOOK_URL;
+  if (!buildHookUrl) {
+    console.warn('NETLIFY_BUILD_HOOK_URL is not set, skipping the rebuild');
+    return false;
+  }
+  const resp = await fetch(buildHookUrl, { method: 'POST' });
+  if (!resp.ok) {
+    throw new Error(`Failed to trigger Netlify build: HTTP ${resp.status}`);
+  }
+  return true;
+}
+
+export const handler = async () => {
+  const apiToken = process.env.SANITY_API_TOKEN;
+  if (!apiToken) {
+    console.error('Missing SANITY_API_TOKEN');
+    return { statusCode: 500, body: JSON.stringify({ error: 'Server configuration error' }) };
+  }
+
+  // With a token, queries would see drafts too - only what's published is emailed
+  const client = createClient({
+    projectId: process.env.VITE_SANITY_PROJECT_ID || 'wxzoc64y',
+    dataset: process.env.VITE_SANITY_DATASET || 'production',
+    apiVersion: process.env.VITE_SANITY_API_VERSION || '2023-12-01',
+    token: apiToken,
+    useCdn: false,
+    perspective: 'published',
+  });
+
+  try {
+    // Every email carries a signed unsubscribe link, so don't start without the secret
+    const secretError = process.env.NEWSLETTER_AUTO_SEND === 'true' ? getConfirmationSecretError(process.env) : null;
+    if (secretError) {
+      throw new Error(`Can't send newsletters: ${secretError}`);
+    }
+
+    const until = new Date().toISOString();
+    const state = await client.getDocument(STATE_ID);
+
+    if (!state?.lastCheckedAt) {
+      await client.createIfNotExists({ _id: STATE_ID, _type: 'newsletterAutoSendState', lastCheckedAt: until });
+      console.log(`First run - checking for new posts from ${until}`);
+      return { statusCode: 200, body: JSON.stringify({ ok: true, posts: [] }) };
+    }
+
+    const posts = await client.fetch(NEWLY_VISIBLE_POSTS_QUERY, { since: state.lastCheckedAt, until });
+    console.log(`${posts.length} posts became visible between ${state.lastCheckedAt} and ${until}`);
+
+    // The site only needs rebuilding once for each post, even while its email is being retried
+    const rebuiltUntil = state.rebuiltUntil || state.lastCheckedAt;
+    const rebuild = posts.some(post => new Date(post.publishedAt) > new Date(rebuiltUntil)) && await triggerRebuild();
+
+    const autoSend = process.env.NEWSLETTER_AUTO_SEND === 'true';
+    const baseUrl = process.env.URL || 'https://blog.brendanbockes.com';
+    // Only set up when sending, so rebuild-only sites don't need the Resend variables
+    const sendOptions = autoSend ? {
+      provider: getNewsletterProvider(process.env),
+      subscribers: getSubscriberRepository(process.env, client),
+      store: createSanitySendStore(client),
+      preferences: createSanityPreferenceStore(client),
+      from: process.env.RESEND_FROM_EMAIL,
+      baseUrl,
+      unsubscribeUrlFor: email => getUnsubscribeUrl(email, baseUrl, process.env)
+    } : null;
+    const results = [];
+    for (const { slug, title } of posts) {
+      if (!autoSend) {
+        console.log(`NEWSLETTER_AUTO_SEND is off, not emailing "${title}"`);
+        results.push({ slug, status: 'skipped' });
+        continue;
+      }
+
+      try {
+        const post = await client.fetch(NEWSLETTER_POST_QUERY, { slug });
+        const result = await sendIssue({ ...sendOptions, post, mode: 'audience' });
+        results.push({ slug, status: result.status, sent: result.sent });
+      } catch (error) {
+        // Includes a send left at "sending" by an earlier run - that needs
+        // `scripts/send-newsletter.js <slug> --audience --force` once it's been checked
+        console.error(`Could not send "${title}":`, error.message);
+        results.push({ slug, status: 'failed', error: error.message });
+      }
+    }
+
+    // Digests for the last finished week and month - a no-op once each period is recorded.
+    // They aren't part of the post window, so a failure here is just retried next run
+    const digests = [];
+    if (autoSend) {
+      for (const frequency of ['weekly', 'monthly']) {
+        const period = getDigestPeriod(frequency);
+        try {
+          const result = await sendDigest({
+            ...sendOptions,
+            period,
+            loadPosts: ({ start, end }) => client.fetch(DIGEST_POSTS_QUERY, { start, end })
+          });
+          digests.push({ period: period.key, status: result.status, sent: result.sent });
+        } catch (error) {
+          console.error(`Could not send ${period.title}:`, error.message);
+          digests.push({ period: period.key, status: 'failed', error: error.message });
+        }
+      }
+    }
+
+    // Only move the window on once everything in it went out; a failed send is retried next run
+    const unfinished = results.filter(result => result.status === 'failed');
+    const fields = {
+      ...(rebuild ? { rebuiltUntil: until } : {}),
+      ...(unfinished.length === 0 ? { lastCheckedAt: until } : {})
+    };
+    if (unfinished.length > 0) {
+      console.error(`Sending failed for ${unfinished.map(result => result.slug).join(', ')}, retrying next run`);
+    }
+    if (Object.keys(fields).length > 0) {
+      // Fails if an overlapping run moved the state first; that run covered this window
+      await client.patch(STATE_ID).ifRevisionId(state._rev).set(fields).commit();
+    }
+
+    return { statusCode: 200, body: JSON.stringify({ ok: true, posts: results, digests }) };
+  } catch (err) {
+    // A throw leaves lastCheckedAt where it was, so the next run picks the same posts up again
+    console.error('Scheduled newsletter error:', err);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: err && err.message ? err.message : String(err) })
+    };
+  }
+};
@@ -1,54 +1,119 @@
 import 'dotenv/config';
+import { createClient } from '@sanity/client';
 import { Resend } from 'resend';
-import crypto from 'crypto';
-
-export const handler = async (event, context) => {
-  // Only allow POST requests
-  if (event.httpMethod !== 'POST') {
-    return {
-      statusCode: 405,
-      body: JSON.stringify({ error: 'Method not allowed' })
-    };
+import { createMemoryRateLimitStore, createSanityRateLimitStore, takeRateLimit } from '../../src/utils/rateLimit.js';
+import { getSubscribeErrorMessage, HONEYPOT_FIELD, SUBSCRIBE_ERROR_CODES } from '../../src/utils/subscribeForm.js';
+import {
+  getAllowedOrigins,
+  getClientIp,
+  getRequestOrigin,
+  isDisposableEmail,
+  SUBSCRIBE_RATE_LIMITS
+} from '../../src/utils/subscribeProtection.js';
+import { sanitizeSource } from '../../src/utils/subscribers.js';
+import { pickLocale, renderSubscriberEmail } from '../../src/utils/subscriberTemplates.js';
+import { createSubscriptionToken, getConfirmationSecretError } from '../../src/utils/subscriptionTokens.js';
+
+// Checked once at startup - without a real secret, confirmation links could be forged
+const secretError = getConfirmationSecretError(process.env);
+if (secretError) {
+  console.error(`Subscriptions are disabled: ${secretError}`);
+}
+
+function getRateLimitStore() {
+  if (!process.env.SANITY_API_TOKEN) {
+    return createMemoryRateLimitStore();
   }
+  return createSanityRateLimitStore(createClient({
+    projectId: process.env.VITE_SANITY_PROJECT_ID || 'wxzoc64y',
+    dataset: process.env.VITE_SANITY_DATASET || 'production',
+    apiVersion: process.env.VITE_SANITY_API_VERSION || '2023-12-01',
+    token: process.env.SANITY_API_TOKEN,
+    useCdn: false,
+  }));
+}
 
-  // Enable CORS
+export const handler = async (event, context) => {
+  // Only answer CORS for the site's own origins
+  const origin = getRequestOrigin(event.headers);
+  const originAllowed = Boolean(origin) && getAllowedOrigins(process.env).includes(origin);
   const headers = {
-    'Access-Control-Allow-Origin': '*',
+    ...(originAllowed ? { 'Access-Control-Allow-Origin': origin } : {}),
     'Access-Control-Allow-Headers': 'Content-Type',
     'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Content-Type': 'application/json'
+    'Content-Type': 'application/json',
+    'Vary': 'Origin'
   };
+  const reject = (statusCode, code, extraHeaders = {}) => ({
+    statusCode,
+    headers: { ...headers, ...extraHeaders },
+    body: JSON.stringify({ error: getSubscribeErrorMessage(code), code })
+  });
 
   // Handle preflight requests
   if (event.httpMethod === 'OPTIONS') {
     return {
-      statusCode: 200,
+      statusCode: originAllowed ? 200 : 403,
       headers,
       body: JSON.stringify({})
     };
   }
 
+  // Only allow POST requests
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  // Other sites can't use this to send confirmation emails
+  if (!originAllowed) {
+    console.warn('Subscribe request from a disallowed origin:', origin);
+    return reject(403, SUBSCRIBE_ERROR_CODES.ORIGIN_NOT_ALLOWED);
+  }
+
+  if (secretError) {
+    return reject(500, SUBSCRIBE_ERROR_CODES.SERVER_ERROR);
+  }
+
   try {
     // Parse the request body
-    const { email } = JSON.parse(event.body || '{}');
+    const { email, source, [HONEYPOT_FIELD]: honeypot } = JSON.parse(event.body || '{}');
 
-    // Validate email
-    if (!email) {
+    // Bots fill in the hidden field; tell them it worked so they move on
+    if (honeypot) {
+      console.warn('Subscribe honeypot filled, ignoring the request');
       return {
-        statusCode: 400,
+        statusCode: 200,
         headers,
-        body: JSON.stringify({ error: 'Email is required' })
+        body: JSON.stringify({ success: true, message: 'Please check your email to confirm your subscription!' })
       };
     }
 
-    const trimmedEmail = email.trim();
+    // Validate email
+    const trimmedEmail = typeof email === 'string' ? email.trim() : '';
     const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
     if (!emailRegex.test(trimmedEmail)) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ error: 'Please enter a valid email address' })
-      };
+      return reject(400, SUBSCRIBE_ERROR_CODES.INVALID_EMAIL);
+    }
+
+    if (isDisposableEmail(trimmedEmail)) {
+      return reject(400, SUBSCRIBE_ERROR_CODES.DISPOSABLE_EMAIL);
+    }
+
+    // Per-IP, then per-address - so one client can't use up someone else's allowance first
+    const rateLimitStore = getRateLimitStore();
+    for (const [key, limit] of [
+      [`subscribe-ip:${getClientIp(event.headers)}`, SUBSCRIBE_RATE_LIMITS.ip],
+      [`subscribe-email:${trimmedEmail.toLowerCase()}`, SUBSCRIBE_RATE_LIMITS.email]
+    ]) {
+      const { allowed, retryAfterSeconds } = await takeRateLimit(rateLimitStore, key, limit);
+      if (!allowed) {
+        console.warn('Subscribe rate limit reached:', key.split(':')[0]);
+        return reject(429, SUBSCRIBE_ERROR_CODES.RATE_LIMITED, { 'Retry-After': String(retryAfterSeconds) });
+      }
     }
 
     // Get Resend credentials from environment variables
@@ -66,110 +131,41 @@ export const handler = async (event, context) => {
 
     if (!apiKey || !audienceId) {
       console.error('Missing Resend configuration');
-      return {
-        statusCode: 500,
-        headers,
-        body: JSON.stringify({ error: 'Server configuration error' })
-      };
+      return reject(500, SUBSCRIBE_ERROR_CODES.SERVER_ERROR);
     }
 
     // Initialize Resend client
     const resend = new Resend(apiKey);
 
     // Note: We allow re-subscription to update the subscription date
-    // The confirmation handler will remove and re-add the contact if they already exist
-
-    // Generate confirmation token (email + timestamp + secret)
-    const secret = process.env.CONFIRMATION_SECRET || 'your-secret-key-change-this';
-    const timestamp = Date.now();
-    const tokenData = `${trimmedEmail}:${timestamp}`;
-    const token = crypto
-      .createHmac('sha256', secret)
-      .update(tokenData)
-      .digest('hex');
-    
-    // Encode email and token for URL
-    const confirmToken = Buffer.from(JSON.stringify({
-      email: trimmedEmail,
-      timestamp,
-      token
-    })).toString('base64url');
+    // The confirmation handler records the new confirmation in the subscriber's history
 
-    // Create confirmation URL
-    const confirmUrl = `${siteUrl}/.netlify/functions/confirm-subscription?token=${confirmToken}`;
+    // Generate a single-use confirmation token (email + timestamp + nonce, signed with CONFIRMATION_SECRET)
+    const confirmToken = createSubscriptionToken('confirm', trimmedEmail, process.env);
+
+    // Create confirmation URL, carrying the page they subscribed from for their history
+    const sourcePath = sanitizeSource(source);
+    const confirmUrl = `${siteUrl}/.netlify/functions/confirm-subscription?token=${confirmToken}${sourcePath ? `&source=${encodeURIComponent(sourcePath)}` : ''}`;
 
     console.log('Sending confirmation email to:', trimmedEmail);
 
-    // Send confirmation email
+    // Send confirmation email, in the reader's language where there's a locale for it
+    const confirmEmail = renderSubscriberEmail('confirm', {
+      locale: pickLocale(event.headers?.['accept-language']),
+      confirmUrl
+    });
     const emailResponse = await resend.emails.send({
       from: fromEmail,
       to: trimmedEmail,
-      subject: 'Confirm your newsletter subscription',
-      html: `
-        <!DOCTYPE html>
-        <html>
-          <head>
-            <meta charset="utf-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>Confirm Your Subscription</title>
-          </head>
-          <body style="margin: 0; padding: 0; font-family: 'Avenir Next', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f5f5f5;">
-            <table role="presentation" style="width: 100%; border-collapse: collapse;">
-              <tr>
-                <td align="center" style="padding: 40px 0;">
-                  <table role="presentation" style="width: 600px; max-width: 100%; background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
-                    <tr>
-                      <td style="padding: 40px 30px; text-align: center;">
-                        <h1 style="margin: 0 0 20px 0; color: #1a1a1a; font-size: 28px; font-weight: 600;">
-                          Confirm Your Subscription
-                        </h1>
-                        <p style="margin: 0 0 30px 0; color: #4a5568; font-size: 16px; line-height: 1.6;">
-                          Thanks for subscribing to Brendan's Blog! Click the button below to confirm your email address and start receiving updates.
-                        </p>
-                        <table role="presentation" style="margin: 0 auto;">
-                          <tr>
-                            <td style="border-radius: 6px; background-color: #3b82f6;">
-                              <a href="${confirmUrl}" target="_blank" style="display: inline-block; padding: 14px 32px; color: #ffffff; text-decoration: none; font-size: 16px; font-weight: 600; border-radius: 6px;">
-                                Confirm Subscription
-                              </a>
-                            </td>
-                          </tr>
-                        </table>
-                        <p style="margin: 30px 0 0 0; color: #718096; font-size: 14px; line-height: 1.5;">
-                          If you didn't request this subscription, you can safely ignore this email.
-                        </p>
-                        <p style="margin: 10px 0 0 0; color: #a0aec0; font-size: 12px;">
-                          This link will expire in 24 hours.
-                        </p>
-                      </td>
-                    </tr>
-                    <tr>
-                      <td style="padding: 20px 30px; background-color: #f7fafc; border-top: 1px solid #e2e8f0; border-radius: 0 0 8px 8px;">
-                        <p style="margin: 0; color: #718096; font-size: 12px; text-align: center;">
-                          Or copy and paste this link into your browser:<br>
-                          <a href="${confirmUrl}" style="color: #3b82f6; word-break: break-all;">${confirmUrl}</a>
-                        </p>
-                      </td>
-                    </tr>
-                  </table>
-                </td>
-              </tr>
-            </table>
-          </body>
-        </html>
-      `
+      subject: confirmEmail.subject,
+      html: confirmEmail.html,
+      text: confirmEmail.text
     });
 
     // Check for errors in the email response
     if (emailResponse.error) {
       console.error('Resend email error:', emailResponse.error);
-      return {
-        statusCode: 500,
-        headers,
-        body: JSON.stringify({ 
-          error: 'Failed to send confirmation email. Please try again.' 
-        })
-      };
+      return reject(500, SUBSCRIBE_ERROR_CODES.SEND_FAILED);
     }
 
     console.log('✅ Confirmation email sent:', trimmedEmail);
@@ -184,17 +180,6 @@ export const handler = async (event, context) => {
 
   } catch (err) {
     console.error('Newsletter subscription error:', err);
-    
-    let errorMessage = 'An unexpected error occurred. Please try again later.';
-    
-    if (err.message) {
-      errorMessage = err.message;
-    }
-    
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({ error: errorMessage })
-    };
+    return reject(500, SUBSCRIBE_ERROR_CODES.SERVER_ERROR);
   }
 };
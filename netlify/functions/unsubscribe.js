@@ -0,0 +1,154 @@
+/**
+ * Unsubscribe and email preferences
+ *
+ * Every newsletter email links here with a signed token (src/utils/subscriptionTokens.js)
+ * and names this URL in its List-Unsubscribe header.
+ *
+ * - GET ?token=         Preference page: every post, weekly or monthly digest, pause, or unsubscribe
+ * - POST ?token=        With body "List-Unsubscribe=One-Click", unsubscribes straight away
+ *                       (RFC 8058 - mail clients' own unsubscribe button)
+ * - POST ?token=        With a form action of save, unsubscribe or resubscribe, from the page
+ *
+ * Unsubscribing goes through the subscriber repository (src/utils/subscribers.js), which marks
+ * the contact unsubscribed in the Resend audience and records it in their history;
+ * preferences are kept in Sanity (src/utils/subscriberPreferences.js). Pages come from
+ * src/utils/subscriberTemplates.js. Needs RESEND_API_KEY, RESEND_AUDIENCE_ID,
+ * CONFIRMATION_SECRET and SANITY_API_TOKEN.
+ */
+
+import 'dotenv/config';
+import { createClient } from '@sanity/client';
+import { createSanityPreferenceStore, PAUSE_OPTIONS } from '../../src/utils/subscriberPreferences.js';
+import { getSubscriberRepository, SUBSCRIBER_STATUS } from '../../src/utils/subscribers.js';
+import { pickLocale, renderSubscriberPage } from '../../src/utils/subscriberTemplates.js';
+import { getConfirmationSecretError, verifySubscriptionToken } from '../../src/utils/subscriptionTokens.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Checked once at startup - links can't be checked without the secret they were signed with
+const secretError = getConfirmationSecretError(process.env);
+if (secretError) {
+  console.error(`Unsubscribe links are disabled: ${secretError}`);
+}
+
+function getSanityClient() {
+  if (!process.env.SANITY_API_TOKEN) {
+    return null;
+  }
+  return createClient({
+    projectId: process.env.VITE_SANITY_PROJECT_ID || 'wxzoc64y',
+    dataset: process.env.VITE_SANITY_DATASET || 'production',
+    apiVersion: process.env.VITE_SANITY_API_VERSION || '2023-12-01',
+    token: process.env.SANITY_API_TOKEN,
+    useCdn: false,
+  });
+}
+
+function parseForm(event) {
+  const body = event.isBase64Encoded
+    ? Buffer.from(event.body || '', 'base64').toString('utf-8')
+    : (event.body || '');
+  return new URLSearchParams(body);
+}
+
+export const handler = async (event) => {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Content-Type': 'text/html',
+    'Cache-Control': 'no-store'
+  };
+  const locale = pickLocale(event.headers?.['accept-language']);
+  const page = (statusCode, name, vars = {}) => ({
+    statusCode,
+    headers,
+    body: renderSubscriberPage(name, { locale, ...vars })
+  });
+
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: 'Method not allowed' };
+  }
+
+  if (secretError) {
+    return page(500, 'error', { reason: 'configuration' });
+  }
+
+  const token = event.queryStringParameters?.token;
+  const { email, error: tokenError } = verifySubscriptionToken('unsubscribe', token, process.env);
+  if (tokenError) {
+    console.error('Unsubscribe token verification failed');
+    return page(400, 'error', { reason: 'invalidUnsubscribeLink' });
+  }
+  const formAction = `/.netlify/functions/unsubscribe?token=${encodeURIComponent(token)}`;
+
+  try {
+    const client = getSanityClient();
+    const preferenceStore = client ? createSanityPreferenceStore(client) : null;
+
+    if (event.httpMethod === 'GET') {
+      const preferences = preferenceStore ? await preferenceStore.get(email) : null;
+      return page(200, 'preferences', { email, formAction, preferences });
+    }
+
+    const form = parseForm(event);
+    const subscribers = getSubscriberRepository(process.env, client);
+    // Never add an address that isn't already a subscriber
+    const subscriber = await subscribers.get(email);
+
+    // RFC 8058 one-click: the mail client posts this body, and only needs a 2xx back
+    if (form.get('List-Unsubscribe') === 'One-Click') {
+      if (subscriber && subscriber.status !== SUBSCRIBER_STATUS.UNSUBSCRIBED) {
+        await subscribers.upsert(email, { status: SUBSCRIBER_STATUS.UNSUBSCRIBED, source: 'one-click' });
+      }
+      console.log('✅ One-click unsubscribe:', email);
+      return { statusCode: 200, headers: { ...headers, 'Content-Type': 'text/plain' }, body: 'Unsubscribed' };
+    }
+
+    const action = form.get('action');
+
+    if (action === 'unsubscribe' || action === 'resubscribe') {
+      if (!subscriber) {
+        return page(404, 'error', { reason: 'notSubscribed' });
+      }
+      const unsubscribed = action === 'unsubscribe';
+      await subscribers.upsert(email, {
+        status: unsubscribed ? SUBSCRIBER_STATUS.UNSUBSCRIBED : SUBSCRIBER_STATUS.SUBSCRIBED,
+        source: 'preference-page'
+      });
+      console.log(`✅ ${unsubscribed ? 'Unsubscribed' : 'Resubscribed'}:`, email);
+      if (unsubscribed) {
+        return page(200, 'unsubscribed', { email, formAction });
+      }
+      const preferences = preferenceStore ? await preferenceStore.get(email) : null;
+      return page(200, 'preferences', { email, formAction, preferences, notice: 'resubscribed' });
+    }
+
+    if (action === 'save') {
+      if (!preferenceStore) {
+        console.error('Missing SANITY_API_TOKEN');
+        return page(500, 'error', { reason: 'configuration' });
+      }
+      const current = await preferenceStore.get(email);
+      const pause = form.get('pause');
+      let pausedUntil = null;
+      if (pause === 'keep') {
+        pausedUntil = current.pausedUntil;
+      } else if (PAUSE_OPTIONS[pause]) {
+        pausedUntil = new Date(Date.now() + Number(pause) * DAY_MS).toISOString();
+      }
+      const preferences = await preferenceStore.set(email, { frequency: form.get('frequency'), pausedUntil });
+      console.log('✅ Saved email preferences:', email, preferences);
+      return page(200, 'preferences', { email, formAction, preferences, notice: 'saved' });
+    }
+
+    return page(400, 'error', { reason: 'unknownRequest' });
+  } catch (err) {
+    console.error('Unsubscribe error:', err);
+    return page(500, 'error', { reason: 'unexpected' });
+  }
+};
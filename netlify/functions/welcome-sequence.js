@@ -0,0 +1,83 @@
+/**
+ * Welcome sequence (Netlify scheduled function, hourly)
+ *
+ * Emails each new subscriber the next post of the welcome sequence once it's due - the days
+ * and the curated list of posts are set in the Welcome Sequence document in Sanity. Their
+ * place in the sequence is started by confirm-subscription and kept on their subscriber
+ * document (src/utils/welcomeSequence.js). Nothing is sent until the sequence is enabled.
+ *
+ * Netlify env vars:
+ * - SANITY_API_TOKEN (write access, for each subscriber's progress)
+ * - RESEND_API_KEY, RESEND_AUDIENCE_ID, RESEND_FROM_EMAIL
+ * - CONFIRMATION_SECRET (signs each subscriber's unsubscribe link)
+ */
+
+import 'dotenv/config';
+import { createClient } from '@sanity/client';
+import { getNewsletterProvider } from '../../src/utils/newsletterProviders.js';
+import { createSanityPreferenceStore } from '../../src/utils/subscriberPreferences.js';
+import { getSubscriberRepository } from '../../src/utils/subscribers.js';
+import { getConfirmationSecretError, getUnsubscribeUrl } from '../../src/utils/subscriptionTokens.js';
+import {
+  createSanityWelcomeProgressStore,
+  sendWelcomeSequence,
+  WELCOME_SEQUENCE_QUERY
+} from '../../src/utils/welcomeSequence.js';
+
+export const config = {
+  schedule: '0 * * * *'
+};
+
+export const handler = async () => {
+  const apiToken = process.env.SANITY_API_TOKEN;
+  if (!apiToken) {
+    console.error('Missing SANITY_API_TOKEN');
+    return { statusCode: 500, body: JSON.stringify({ error: 'Server configuration error' }) };
+  }
+
+  const client = createClient({
+    projectId: process.env.VITE_SANITY_PROJECT_ID || 'wxzoc64y',
+    dataset: process.env.VITE_SANITY_DATASET || 'production',
+    apiVersion: process.env.VITE_SANITY_API_VERSION || '2023-12-01',
+    token: apiToken,
+    useCdn: false,
+    // Not the sequence's draft - changes take effect once they're published
+    perspective: 'published',
+  });
+
+  try {
+    const sequence = await client.fetch(WELCOME_SEQUENCE_QUERY);
+    if (!sequence?.enabled) {
+      console.log('The welcome sequence is not enabled, nothing to send');
+      return { statusCode: 200, body: JSON.stringify({ ok: true, status: 'disabled' }) };
+    }
+
+    // Every email carries a signed unsubscribe link, so don't start without the secret
+    const secretError = getConfirmationSecretError(process.env);
+    if (secretError) {
+      throw new Error(`Can't send the welcome sequence: ${secretError}`);
+    }
+
+    const baseUrl = process.env.URL || 'https://blog.brendanbockes.com';
+    const result = await sendWelcomeSequence({
+      sequence,
+      progress: createSanityWelcomeProgressStore(client),
+      subscribers: getSubscriberRepository(process.env, client),
+      preferences: createSanityPreferenceStore(client),
+      provider: getNewsletterProvider(process.env),
+      from: process.env.RESEND_FROM_EMAIL,
+      baseUrl,
+      unsubscribeUrlFor: email => getUnsubscribeUrl(email, baseUrl, process.env)
+    });
+    // Failed steps were given back, so they're retried next run
+    result.failed.forEach(failure => console.error(`Welcome sequence email to ${failure.to} failed:`, failure.error));
+
+    return { statusCode: 200, body: JSON.stringify({ ok: true, status: result.status, due: result.due, sent: result.sent, failed: result.failed.length }) };
+  } catch (err) {
+    console.error('Welcome sequence error:', err);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: err && err.message ? err.message : String(err) })
+    };
+  }
+};
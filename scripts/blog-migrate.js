@@ -0,0 +1,550 @@
+#!/usr/bin/env node
+
+/**
+ * Blog Migration Script
+ *
+ * Moves posts from a Substack export into Sanity. Every command shares one parser
+ * (src/utils/substackExport.js) and one way of matching posts to the documents already in
+ * Sanity (src/utils/contentMigration.js):
+ *
+ *   convert    Convert an export to post JSON files - one per post, plus all-posts.json
+ *   import     Create the posts that aren't in Sanity yet, uploading their images, and update
+ *              the ones an earlier import created
+ *   reformat   Replace the content of posts already in Sanity with a fresh conversion, e.g.
+ *              after the parser learns a new kind of formatting
+ *   reconcile  Compare each post with the Sanity document it matches, block by block, and
+ *              show where their title, date, images or body differ - plus the posts that match
+ *              nothing and the Sanity posts the export doesn't have. Changes nothing unless
+ *              asked to with --apply
+ *
+ * Usage:
+ *   node scripts/blog-migrate.js convert <export.zip> [--out <dir>]
+ *   node scripts/blog-migrate.js import <source>
+ *   node scripts/blog-migrate.js reformat <source>
+ *   node scripts/blog-migrate.js reconcile <source> [--apply <fixes>]
+ *
+ * <source> is a Substack export zip, a JSON file of posts (like substack-import/all-posts.json)
+ * or a directory of post JSON files (like substack-import/).
+ *
+ * Options (every command):
+ *   --dry-run          Work out what would happen, without writing anything
+ *   --limit N          Only the first N posts
+ *   --only <slug>      Only this post - by slug, export file slug or Substack id. Repeat it, or
+ *                      separate slugs with commas, for more than one
+ *   --report <file>    Write a JSON report of what happened to each post (created, updated,
+ *                      skipped or failed, with the reason)
+ *   --out <dir>        Where convert writes (defaults to substack-import/)
+ *
+ * import and reformat write in transactions of 20 posts, and only posts that have changed.
+ * Imported posts get document IDs and Portable Text keys from their Substack post ID
+ * (substack-post-<id>), so importing again updates them rather than creating duplicates.
+ * Each committed batch is recorded in a checkpoint file, so an interrupted run picks up where it
+ * stopped; a run that gets through the whole source removes it. Posts whose source has changed
+ * since are done again. Only runs over the whole source use a checkpoint - --only and --limit
+ * runs always work on every post they pick.
+ *   --checkpoint <file>  Where the checkpoint is kept (defaults to .blog-migrate/<command>-checkpoint.json)
+ *   --restart          Ignore the checkpoint and start from the first post
+ *
+ * Images are uploaded to Sanity as assets, once each: uploads are cached by content hash in
+ * .blog-migrate/image-cache.json (see src/utils/imageAssets.js).
+ *   --offline          Don't download images - read them from the image files in the export zip,
+ *                      matched by file name
+ *   --images <zip|dir> Where --offline finds images, if not in the source zip
+ *   --image-cache <file>  Where the upload cache is kept
+ *
+ * reconcile options:
+ *   --apply <fixes>    Make Sanity match the export where they differ: title, date and/or body,
+ *                      separated by commas. body replaces the post's content, images included.
+ *                      Writes like import does (in batches, with a checkpoint for the same
+ *                      fixes); combine it with --only to fix just the posts whose diff you've checked
+ *
+ * Environment variables (not needed for convert):
+ *   - SANITY_PROJECT_ID (or set in .env file)
+ *   - SANITY_DATASET (defaults to 'production')
+ *   - SANITY_API_TOKEN (write token - import, reformat and reconcile --apply need it, except with --dry-run)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createClient } from '@sanity/client';
+import dotenv from 'dotenv';
+import {
+  addKeysToContent,
+  createCheckpoint,
+  createMigrationReport,
+  createPostMatcher,
+  EXISTING_POSTS_QUERY,
+  getPostDocumentId,
+  getSourceId,
+  hasChanges,
+  POST_FIELDS_QUERY,
+  selectPosts
+} from '../src/utils/contentMigration.js';
+import { DIFF_FIXES, diffPost, formatPostDiff, POST_DIFF_QUERY } from '../src/utils/postDiff.js';
+import { createImageCache, createImageUploader, openImageFiles } from '../src/utils/imageAssets.js';
+import { giveUniqueSlugs, isPublishedInExport, parseSubstackPost, readSubstackExport } from '../src/utils/substackExport.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+dotenv.config({ path: path.join(__dirname, '..', '.env.local') });
+
+// Sanity configuration
+const projectId = process.env.SANITY_PROJECT_ID || process.env.VITE_SANITY_PROJECT_ID || 'wxzoc64y';
+const dataset = process.env.SANITY_DATASET || process.env.VITE_SANITY_DATASET || 'production';
+const apiToken = process.env.SANITY_API_TOKEN;
+const apiVersion = process.env.SANITY_API_VERSION || '2024-01-01';
+
+const COMMANDS = ['convert', 'import', 'reformat', 'reconcile'];
+const DEFAULT_OUT_DIR = path.join(__dirname, '..', 'substack-import');
+const ALL_POSTS_FILE = 'all-posts.json';
+const CHECKPOINT_DIR = path.join(__dirname, '..', '.blog-migrate');
+
+// Posts written per transaction - and per checkpoint
+const WRITE_BATCH_SIZE = 20;
+
+const USAGE = `Usage: node scripts/blog-migrate.js <${COMMANDS.join('|')}> <source> [--dry-run] [--limit N] [--only <slug>] [--report <file>] [--out <dir>] [--checkpoint <file>] [--restart] [--apply <fixes>] [--offline] [--images <zip|dir>] [--image-cache <file>]`;
+
+// Console labels for each report action
+const ACTION_LABELS = {
+  created: ['➕', 'Created', 'Would create'],
+  updated: ['✏️ ', 'Updated', 'Would update'],
+  skipped: ['⏭️ ', 'Skipped', 'Would skip'],
+  failed: ['❌', 'Failed', 'Would fail'],
+  matched: ['✅', 'Matched', 'Matched'],
+  different: ['🔍', 'Differs', 'Differs'],
+  unmatched: ['❓', 'Not in Sanity', 'Not in Sanity'],
+  sanityOnly: ['📭', 'Only in Sanity', 'Only in Sanity']
+};
+
+function getOption(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : null;
+}
+
+// Every value of an option that can be repeated or comma-separated
+function getListOption(args, name) {
+  return args
+    .flatMap((arg, index) => (arg === name && args[index + 1] ? args[index + 1].split(',') : []))
+    .map(value => value.trim())
+    .filter(Boolean);
+}
+
+function readJSON(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Read the posts in a source
+ * @param source - Export zip, JSON file of posts, or directory of post JSON files
+ * @returns { posts, drafts } - drafts are posts the export marks as unpublished
+ */
+async function loadPosts(source) {
+  if (/\.zip$/i.test(source)) {
+    const entries = await readSubstackExport(source);
+    const published = entries.filter(isPublishedInExport);
+    return {
+      posts: giveUniqueSlugs(published.map(parseSubstackPost)),
+      drafts: entries.filter(entry => !published.includes(entry)).map(parseSubstackPost)
+    };
+  }
+
+  if (fs.statSync(source).isDirectory()) {
+    const posts = fs.readdirSync(source)
+      .filter(name => name.endsWith('.json') && name !== ALL_POSTS_FILE)
+      .sort()
+      .map(name => readJSON(path.join(source, name)));
+    return { posts, drafts: [] };
+  }
+
+  const posts = readJSON(source);
+  return { posts: Array.isArray(posts) ? posts : [posts], drafts: [] };
+}
+
+// Point the images and figures in keyed content at Sanity assets, uploading them (see
+// imageAssets.js); ones that can't be read are left out. A dry run doesn't upload, so it keeps
+// the blocks as they are
+async function uploadContentImages(images, content, dryRun) {
+  const uploaded = [];
+  for (const block of content) {
+    if (!['image', 'figure'].includes(block._type) || !block._imageUrl || dryRun) {
+      uploaded.push(block);
+      continue;
+    }
+    const asset = await images.upload(block._imageUrl);
+    if (asset) {
+      uploaded.push({ _type: block._type, _key: block._key, asset, alt: block.alt || '', ...(block.caption ? { caption: block.caption } : {}) });
+    }
+  }
+  return uploaded;
+}
+
+async function fetchMatcher(client) {
+  console.log('📥 Fetching existing posts...');
+  const documents = await client.fetch(EXISTING_POSTS_QUERY);
+  console.log(`   Found ${documents.length} posts in Sanity\n`);
+  return { documents, matcher: createPostMatcher(documents) };
+}
+
+// convert: write each post to <out>/<slug>.json, and the whole export to all-posts.json
+async function convert({ posts, source, outDir, dryRun, wholeSource, report }) {
+  if (!/\.zip$/i.test(source)) {
+    throw new Error('convert needs a Substack export zip');
+  }
+
+  for (const post of posts) {
+    const file = path.join(outDir, `${post.slug}.json`);
+    const json = JSON.stringify(post, null, 2);
+    const existing = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+    if (existing === json) {
+      report.record('skipped', post, { file, reason: 'unchanged' });
+      continue;
+    }
+    if (!dryRun) {
+      fs.mkdirSync(outDir, { recursive: true });
+      fs.writeFileSync(file, json);
+    }
+    report.record(existing === null ? 'created' : 'updated', post, { file });
+  }
+
+  // A partial run (--only, --limit) leaves the combined file alone
+  if (wholeSource && !dryRun) {
+    fs.writeFileSync(path.join(outDir, ALL_POSTS_FILE), JSON.stringify(posts, null, 2));
+    console.log(`📄 Wrote ${posts.length} posts to ${path.join(outDir, ALL_POSTS_FILE)}`);
+  }
+}
+
+/**
+ * Write posts to Sanity a batch at a time, one transaction per batch, recording each batch in the
+ * checkpoint once it's committed. Posts the checkpoint has are skipped; a batch that fails to
+ * commit is reported as failed and left for the next run
+ * @param posts - Posts to write
+ * @param options - { client, dryRun, report, checkpoint }
+ * @param plan - async post => { action, details, mutate?: transaction => void }
+ */
+async function writeInBatches(posts, { client, dryRun, report, checkpoint }, plan) {
+  for (let start = 0; start < posts.length; start += WRITE_BATCH_SIZE) {
+    const transaction = client.transaction();
+    const planned = [];
+    let mutations = 0;
+
+    for (const post of posts.slice(start, start + WRITE_BATCH_SIZE)) {
+      if (checkpoint?.has(post)) {
+        report.record('skipped', post, { reason: 'done in an earlier run (checkpoint)' });
+        continue;
+      }
+      try {
+        const outcome = await plan(post);
+        if (outcome.mutate) {
+          outcome.mutate(transaction);
+          mutations++;
+        }
+        planned.push({ post, outcome });
+      } catch (error) {
+        report.record('failed', post, { reason: error.message });
+      }
+    }
+
+    try {
+      if (!dryRun && mutations > 0) {
+        await transaction.commit();
+      }
+      planned.forEach(({ post, outcome }) => report.record(outcome.action, post, outcome.details));
+      if (!dryRun) {
+        checkpoint?.add(planned.map(({ post }) => post));
+      }
+    } catch (error) {
+      planned.forEach(({ post, outcome }) => report.record('failed', post, { ...outcome.details, reason: error.message }));
+    }
+    console.log(`   ${Math.min(start + WRITE_BATCH_SIZE, posts.length)}/${posts.length} posts done`);
+  }
+}
+
+// import: create posts with no match in Sanity, under IDs from their Substack post ID, and bring
+// posts an earlier import created up to date
+async function importPosts({ posts, client, images, dryRun, report, checkpoint }) {
+  const { matcher } = await fetchMatcher(client);
+  const imported = await client.fetch(POST_FIELDS_QUERY, { ids: posts.map(getPostDocumentId) });
+  const importedById = new Map(imported.map(document => [document._id, document]));
+  const createdSlugs = new Set();
+
+  await writeInBatches(posts, { client, dryRun, report, checkpoint }, async post => {
+    const _id = getPostDocumentId(post);
+    const existing = importedById.get(_id);
+
+    // Posts created some other way (the Studio, or an import before IDs were fixed) are left alone
+    const match = existing ? null : matcher.match(post);
+    if (match) {
+      return { action: 'skipped', details: { id: match.document._id, matchedBy: match.matchedBy, reason: `already in Sanity as "${match.document.slug}"` } };
+    }
+    if (!existing && createdSlugs.has(post.slug)) {
+      return { action: 'skipped', details: { reason: 'another post in this run has the same slug' } };
+    }
+    createdSlugs.add(post.slug);
+
+    const fields = {
+      title: post.title,
+      slug: { _type: 'slug', current: post.slug },
+      publishedAt: post.publishedAt,
+      content: addKeysToContent(post.content || [], getSourceId(post))
+    };
+    if (!hasChanges(existing, fields)) {
+      return { action: 'skipped', details: { id: _id, reason: 'unchanged' } };
+    }
+
+    fields.content = await uploadContentImages(images, fields.content, dryRun);
+    if (existing) {
+      return { action: 'updated', details: { id: _id }, mutate: transaction => transaction.patch(_id, patch => patch.set(fields)) };
+    }
+    return { action: 'created', details: { id: _id }, mutate: transaction => transaction.createOrReplace({ _id, _type: 'post', ...fields }) };
+  });
+}
+
+// reformat: replace the content of posts that match a Sanity document, where it has changed
+async function reformat({ posts, client, images, dryRun, report, checkpoint }) {
+  const { matcher } = await fetchMatcher(client);
+  const matches = new Map(posts.map(post => [post, matcher.match(post)]));
+  const ids = [...matches.values()].filter(Boolean).map(match => match.document._id);
+  const documentsById = new Map((await client.fetch(POST_FIELDS_QUERY, { ids })).map(document => [document._id, document]));
+
+  await writeInBatches(posts, { client, dryRun, report, checkpoint }, async post => {
+    const match = matches.get(post);
+    if (!match) {
+      return { action: 'skipped', details: { reason: 'not found in Sanity - see reconcile' } };
+    }
+
+    const details = { id: match.document._id, matchedBy: match.matchedBy };
+    const content = addKeysToContent(post.content || [], getSourceId(post));
+    if (!hasChanges(documentsById.get(match.document._id), { content })) {
+      return { action: 'skipped', details: { ...details, reason: 'unchanged' } };
+    }
+
+    const uploaded = await uploadContentImages(images, content, dryRun);
+    return {
+      action: 'updated',
+      details: { ...details, blocks: uploaded.length },
+      mutate: transaction => transaction.patch(match.document._id, patch => patch.set({ content: uploaded }))
+    };
+  });
+}
+
+// reconcile: how the source lines up with Sanity, post by post - and, with --apply, make the
+// selected fixes to the posts that differ
+async function reconcile({ posts, client, images, dryRun, wholeSource, report, checkpoint, apply }) {
+  const { documents, matcher } = await fetchMatcher(client);
+  const matches = new Map(posts.map(post => [post, matcher.match(post)]));
+  const ids = [...matches.values()].filter(Boolean).map(match => match.document._id);
+  const documentsById = new Map((await client.fetch(POST_DIFF_QUERY, { ids })).map(document => [document._id, document]));
+
+  await writeInBatches(posts, { client, dryRun, report, checkpoint }, async post => {
+    const match = matches.get(post);
+    if (!match) {
+      const suggestions = matcher.suggest(post).map(document => ({ id: document._id, slug: document.slug, title: document.title }));
+      return { action: 'unmatched', details: suggestions.length > 0 ? { suggestions } : {} };
+    }
+
+    const _id = match.document._id;
+    const details = { id: _id, sanitySlug: match.document.slug, matchedBy: match.matchedBy };
+    const differences = diffPost(post, documentsById.get(_id) || {});
+    if (Object.keys(differences).length === 0) {
+      return { action: 'matched', details };
+    }
+
+    const fixed = apply.filter(fix => (fix === 'body' ? differences.body || differences.images : differences[fix]));
+    if (fixed.length === 0) {
+      return { action: 'different', details: { ...details, differences } };
+    }
+
+    const fields = {};
+    if (fixed.includes('title')) {
+      fields.title = post.title;
+    }
+    if (fixed.includes('date')) {
+      fields.publishedAt = post.publishedAt;
+    }
+    if (fixed.includes('body')) {
+      fields.content = await uploadContentImages(images, addKeysToContent(post.content || [], getSourceId(post)), dryRun);
+    }
+    return {
+      action: 'updated',
+      details: { ...details, differences, fixed },
+      mutate: transaction => transaction.patch(_id, patch => patch.set(fields))
+    };
+  });
+
+  // Only meaningful when the whole source was compared
+  if (wholeSource) {
+    const matchedIds = new Set(ids);
+    documents
+      .filter(document => !matchedIds.has(document._id))
+      .forEach(document => report.record('sanityOnly', { slug: document.slug, title: document.title }, { id: document._id }));
+  }
+}
+
+const RUNNERS = {
+  convert,
+  import: importPosts,
+  reformat,
+  reconcile
+};
+
+async function main() {
+  const args = process.argv.slice(2);
+  const [command, sourceArg] = args;
+
+  if (!COMMANDS.includes(command) || !sourceArg || sourceArg.startsWith('--')) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const source = path.resolve(sourceArg);
+  const dryRun = args.includes('--dry-run');
+  const only = getListOption(args, '--only');
+  const reportPath = getOption(args, '--report');
+  const outDir = path.resolve(getOption(args, '--out') || DEFAULT_OUT_DIR);
+  const apply = getListOption(args, '--apply');
+  const offline = args.includes('--offline');
+  const imagesPath = getOption(args, '--images');
+  const imageCachePath = path.resolve(getOption(args, '--image-cache') || path.join(CHECKPOINT_DIR, 'image-cache.json'));
+  const checkpointPath = path.resolve(getOption(args, '--checkpoint') || path.join(CHECKPOINT_DIR, `${command}-checkpoint.json`));
+
+  let limit = null;
+  if (args.includes('--limit')) {
+    limit = parseInt(getOption(args, '--limit'), 10);
+    if (isNaN(limit) || limit < 1) {
+      console.error('❌ Error: --limit must be a positive number');
+      process.exit(1);
+    }
+  }
+
+  const unknownFixes = apply.filter(fix => !DIFF_FIXES.includes(fix));
+  if (unknownFixes.length > 0 || (apply.length > 0 && command !== 'reconcile')) {
+    console.error(`❌ Error: --apply is for reconcile, with any of: ${DIFF_FIXES.join(', ')}`);
+    process.exit(1);
+  }
+
+  if (!fs.existsSync(source)) {
+    console.error(`❌ Error: Source not found: ${source}`);
+    process.exit(1);
+  }
+
+  const writesToSanity = ['import', 'reformat'].includes(command) || apply.length > 0;
+  if (writesToSanity && !apiToken && !dryRun) {
+    console.error('❌ Error: SANITY_API_TOKEN environment variable is required (or use --dry-run)');
+    process.exit(1);
+  }
+
+  const imageFilesPath = imagesPath ? path.resolve(imagesPath) : (/\.zip$/i.test(source) ? source : null);
+  if (offline && (!imageFilesPath || !fs.existsSync(imageFilesPath))) {
+    console.error('❌ Error: --offline reads images from the export zip - give it with --images <zip|dir>');
+    process.exit(1);
+  }
+
+  const client = command === 'convert' ? null : createClient({
+    projectId,
+    dataset,
+    token: apiToken,
+    apiVersion,
+    useCdn: false,
+  });
+
+  console.log(`📦 ${command} from: ${source}`);
+  if (client) {
+    console.log(`🔗 Sanity Project: ${projectId}`);
+    console.log(`📊 Dataset: ${dataset}`);
+  }
+  if (dryRun) {
+    console.log(`🧪 DRY RUN MODE - Nothing will be written`);
+  }
+  if (offline) {
+    console.log(`📴 OFFLINE - Images are read from ${imageFilesPath}`);
+  }
+  console.log('');
+
+  const report = createMigrationReport(command, { source, dryRun });
+
+  // A partial run is quick to repeat, and mustn't leave its posts in a checkpoint a later run trusts.
+  // reconcile --apply with other fixes is a different run: the posts it skipped may need them
+  const wholeSource = only.length === 0 && !limit;
+  const checkpoint = writesToSanity && !dryRun && wholeSource
+    ? createCheckpoint(checkpointPath, { command, source, apply: [...apply].sort() })
+    : null;
+  if (checkpoint && args.includes('--restart')) {
+    checkpoint.clear();
+  }
+  if (checkpoint?.size() > 0) {
+    console.log(`⏯️  Resuming: ${checkpoint.size()} posts were done by an earlier run (--restart to start over)\n`);
+  }
+
+  let finished = false;
+  let imageFiles = null;
+  let images = null;
+  try {
+    if (writesToSanity) {
+      imageFiles = offline ? await openImageFiles(imageFilesPath) : null;
+      images = createImageUploader(client, { cache: createImageCache(imageCachePath), files: imageFiles, offline });
+    }
+
+    const { posts, drafts } = await loadPosts(source);
+    const selected = selectPosts(posts, { only, limit });
+    console.log(`📄 Found ${posts.length} posts, working on ${selected.length}\n`);
+
+    selectPosts(drafts, { only }).forEach(post => report.record('skipped', post, { reason: 'not published on Substack' }));
+
+    await RUNNERS[command]({
+      posts: selected,
+      source,
+      outDir,
+      client,
+      images,
+      dryRun,
+      wholeSource,
+      report,
+      checkpoint,
+      apply
+    });
+    finished = true;
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    process.exitCode = 1;
+  } finally {
+    imageFiles?.close();
+  }
+
+  const result = report.toJSON();
+  result.items.forEach(item => {
+    const [icon, label, dryRunLabel] = ACTION_LABELS[item.action];
+    const detail = item.reason || (item.fixed ? `fixed ${item.fixed.join(', ')}` : '') || (item.matchedBy ? `by ${item.matchedBy}` : '');
+    console.log(`  ${icon} ${dryRun ? dryRunLabel : label}: ${item.title} (${item.slug})${detail ? ` - ${detail}` : ''}`);
+    if (item.differences) {
+      formatPostDiff(item.differences).forEach(line => console.log(`       ${line}`));
+    }
+  });
+
+  console.log('\n📊 Summary:');
+  Object.entries(result.counts).forEach(([action, count]) => {
+    const [, label, dryRunLabel] = ACTION_LABELS[action];
+    console.log(`   ${dryRun ? dryRunLabel : label}: ${count}`);
+  });
+  const imageCounts = images?.counts();
+  if (imageCounts && Object.values(imageCounts).some(Boolean)) {
+    console.log(`   Images: ${imageCounts.uploaded} uploaded, ${imageCounts.reused} already in Sanity, ${imageCounts.missing} missing`);
+  }
+
+  if (reportPath) {
+    fs.writeFileSync(path.resolve(reportPath), JSON.stringify(result, null, 2));
+    console.log(`\n📝 Report written to ${path.resolve(reportPath)}`);
+  }
+
+  if (result.counts.failed) {
+    process.exitCode = 1;
+  } else if (finished && wholeSource) {
+    // Nothing left to resume
+    checkpoint?.clear();
+  }
+}
+
+main();
@@ -0,0 +1,162 @@
+/**
+ * Build manifest for incremental builds
+ * Records, for every file a build script generates, the Sanity documents it was built from
+ * (_id and _updatedAt) and a hash of its output. On the next build, files whose inputs haven't
+ * changed are copied from the build cache instead of being regenerated, and files whose
+ * documents were unpublished or deleted are removed.
+ *
+ * Netlify empties dist/ on every build but keeps node_modules, so the manifest and the cached
+ * outputs live in node_modules/.cache/blog-build (override with BUILD_CACHE_DIR).
+ * Run a script with --full, or set FULL_BUILD=true, to ignore the manifest and rebuild everything.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const ROOT_DIR = path.join(__dirname, '..');
+const MANIFEST_VERSION = 1;
+
+export const BUILD_CACHE_DIR = process.env.BUILD_CACHE_DIR || path.join(ROOT_DIR, 'node_modules', '.cache', 'blog-build');
+const MANIFEST_PATH = path.join(BUILD_CACHE_DIR, 'manifest.json');
+
+// Versions of every published post - cheap to fetch, and enough to tell which outputs are stale
+export const POST_VERSIONS_QUERY = `*[_type == "post" && defined(slug.current) && publishedAt <= now()] | order(publishedAt desc) {
+  _id,
+  _updatedAt,
+  publishedAt
+}`;
+
+/**
+ * Hash strings or JSON-serializable values
+ * @param parts - Values to hash, in order
+ * @returns Hex SHA-256 digest
+ */
+export function hashContent(...parts) {
+  const hash = crypto.createHash('sha256');
+  parts.forEach(part => {
+    hash.update(typeof part === 'string' ? part : JSON.stringify(part ?? null));
+    hash.update('\0');
+  });
+  return hash.digest('hex');
+}
+
+/**
+ * Hash the contents of files (relative to the repository root), e.g. the code that generates an output
+ * @param relativePaths - Files to hash; missing files hash as empty
+ * @returns Hex SHA-256 digest
+ */
+export function hashFiles(relativePaths) {
+  return hashContent(...relativePaths.map(relativePath => {
+    const filePath = path.join(ROOT_DIR, relativePath);
+    return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : '';
+  }));
+}
+
+// Whether to skip the manifest and regenerate everything
+export function isFullBuild() {
+  return process.argv.includes('--full') || process.env.FULL_BUILD === 'true';
+}
+
+// Map documents to the { _id: _updatedAt } record kept in the manifest
+export function documentVersions(documents) {
+  const versions = {};
+  documents.forEach(doc => {
+    if (doc?._id) versions[doc._id] = doc._updatedAt || '';
+  });
+  return versions;
+}
+
+function readManifest() {
+  try {
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+    return manifest.version === MANIFEST_VERSION ? manifest : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeFileWithDirs(filePath, content) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, content, 'utf8');
+}
+
+function removeFile(filePath) {
+  if (!fs.existsSync(filePath)) return;
+  fs.unlinkSync(filePath);
+  // Tidy up directories left empty, like dist/posts/<slug>/
+  const dir = path.dirname(filePath);
+  if (fs.readdirSync(dir).length === 0) fs.rmdirSync(dir);
+}
+
+/**
+ * Open one script's section of the manifest
+ * @param section - Section name, e.g. 'prerender'
+ * @param options - { outputDir: where files are written (dist/), generatorHash: hash of everything
+ *                  besides the documents that affects the output - code, templates, base URL }
+ * @returns Helpers to check, restore, write and prune files, plus build stats
+ */
+export function openBuildManifest(section, { outputDir, generatorHash }) {
+  const manifest = readManifest() || { version: MANIFEST_VERSION, sections: {} };
+  const previous = manifest.sections[section];
+  // Code or template changes make every previous entry stale
+  const previousFiles = !isFullBuild() && previous?.generatorHash === generatorHash ? previous.files : {};
+  const files = {};
+  const cacheDir = path.join(BUILD_CACHE_DIR, 'files', section);
+  const stats = { built: 0, restored: 0, removed: [] };
+
+  const inputHashFor = (sources, extra) => hashContent(generatorHash, sources, extra);
+
+  return {
+    stats,
+
+    /**
+     * Whether a file can be restored from the cache
+     * @param file - Path relative to the output directory
+     * @param sources - { _id: _updatedAt } of the documents it's built from
+     * @param extra - Any other input that affects the output (optional)
+     */
+    isFresh(file, sources, extra) {
+      const entry = previousFiles[file];
+      if (!entry || entry.inputHash !== inputHashFor(sources, extra)) return false;
+      const cachedPath = path.join(cacheDir, file);
+      return fs.existsSync(cachedPath) && hashContent(fs.readFileSync(cachedPath, 'utf8')) === entry.outputHash;
+    },
+
+    // Copy a fresh file from the cache to the output directory
+    restore(file) {
+      const cachedPath = path.join(cacheDir, file);
+      writeFileWithDirs(path.join(outputDir, file), fs.readFileSync(cachedPath, 'utf8'));
+      files[file] = previousFiles[file];
+      stats.restored++;
+    },
+
+    // Write a regenerated file to the output directory and the cache
+    write(file, content, sources, extra) {
+      writeFileWithDirs(path.join(outputDir, file), content);
+      writeFileWithDirs(path.join(cacheDir, file), content);
+      files[file] = { sources, inputHash: inputHashFor(sources, extra), outputHash: hashContent(content) };
+      stats.built++;
+    },
+
+    // Delete files from previous builds that weren't restored or written this time
+    prune() {
+      Object.keys(previous?.files || {}).forEach(file => {
+        if (files[file]) return;
+        removeFile(path.join(outputDir, file));
+        removeFile(path.join(cacheDir, file));
+        stats.removed.push(file);
+      });
+      return stats.removed;
+    },
+
+    save() {
+      manifest.sections[section] = { generatorHash, files };
+      writeFileWithDirs(MANIFEST_PATH, JSON.stringify(manifest));
+    }
+  };
+}
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+
+/**
+ * Blogroll feed aggregation script
+ * Fetches the feed of every blog in the blogroll (linkCard documents with a feed URL) and
+ * writes each blog's latest entries to blogroll-latest.json, which /blogroll shows under
+ * the cards and as a river of news.
+ *
+ * A feed that fails to load or parse doesn't fail the build: the blog keeps the entries
+ * from its last successful fetch, kept in the build cache, and records the error.
+ *
+ * Usage:
+ *   node scripts/fetch-blogroll-feeds.js [--fixtures <dir>] [--out <file>]
+ *
+ *   --fixtures <dir>   Read cards from <dir>/link-cards.json and feeds from <dir>/feeds/
+ *                      instead of Sanity and the network (see scripts/fixtures/blogroll)
+ *   --out <file>       Where to write the JSON (defaults to dist/blogroll-latest.json)
+ */
+
+import { createClient } from '@sanity/client';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { BLOGROLL_FEEDS_PATH, BLOGROLL_FEEDS_VERSION, getLatestEntries, parseFeed } from '../src/utils/blogrollFeeds.js';
+import { normalizeUrlForComparison } from '../src/utils/opml.js';
+import { BUILD_CACHE_DIR } from './build-manifest.js';
+
+// ES module compatibility
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+import('./build-env.js');
+
+// Sanity client configuration
+const sanityClient = createClient({
+  projectId: process.env.VITE_SANITY_PROJECT_ID || 'wxzoc64y',
+  dataset: process.env.VITE_SANITY_DATASET || 'production',
+  apiVersion: process.env.VITE_SANITY_API_VERSION || '2023-12-01',
+  useCdn: true,
+});
+
+// GROQ query for blogroll cards that have a feed
+const LINK_CARDS_QUERY = `*[_type == "linkCard" && defined(feedUrl)] | order(_createdAt asc) {
+  _id,
+  title,
+  url,
+  feedUrl
+}`;
+
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_CONCURRENT_FETCHES = 4;
+const USER_AGENT = "Brendan's Blog blogroll (+https://blog.brendanbockes.com/blogroll)";
+
+// Last results, so a feed that is down for one build keeps its entries
+const CACHE_PATH = path.join(BUILD_CACHE_DIR, 'blogroll-latest.json');
+
+function getOption(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : null;
+}
+
+// Fixture feeds are named after the feed URL, e.g. rss-example-com-feed-xml.xml for https://rss.example.com/feed.xml
+function getFixtureName(feedUrl) {
+  return normalizeUrlForComparison(feedUrl).replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '');
+}
+
+async function readFixtureFeed(fixturesDir, feedUrl) {
+  const feedsDir = path.join(fixturesDir, 'feeds');
+  const name = getFixtureName(feedUrl);
+  const file = fs.readdirSync(feedsDir).find(entry => path.parse(entry).name === name);
+  if (!file) {
+    throw new Error(`No fixture feed for ${feedUrl} (expected ${name}.* in ${feedsDir})`);
+  }
+  return fs.readFileSync(path.join(feedsDir, file), 'utf8');
+}
+
+async function fetchFeedText(feedUrl) {
+  const response = await fetch(feedUrl, {
+    headers: {
+      'User-Agent': USER_AGENT,
+      Accept: 'application/rss+xml, application/atom+xml, application/feed+json, application/xml;q=0.9, */*;q=0.8'
+    },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response.text();
+}
+
+function readPreviousResults() {
+  try {
+    return JSON.parse(fs.readFileSync(CACHE_PATH, 'utf8')).blogs || {};
+  } catch {
+    return {};
+  }
+}
+
+// Run tasks with at most `limit` in flight
+async function mapWithConcurrency(items, limit, task) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await task(items[index]);
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+// Main blogroll feed aggregation function
+async function fetchBlogrollFeeds() {
+  console.log('📰 Starting blogroll feed aggregation...');
+
+  const args = process.argv.slice(2);
+  const fixturesDir = getOption(args, '--fixtures');
+  const outPath = path.resolve(getOption(args, '--out') || path.join(__dirname, '..', 'dist', BLOGROLL_FEEDS_PATH.slice(1)));
+
+  try {
+    let linkCards;
+    if (fixturesDir) {
+      console.log(`🧪 Using fixtures from ${fixturesDir}`);
+      linkCards = JSON.parse(fs.readFileSync(path.join(fixturesDir, 'link-cards.json'), 'utf8'))
+        .filter(card => card.feedUrl);
+    } else {
+      console.log('📡 Fetching blogroll from Sanity...');
+      linkCards = await sanityClient.fetch(LINK_CARDS_QUERY);
+    }
+    console.log(`✅ Found ${linkCards.length} blogs with feeds`);
+
+    // Fixture runs don't touch the cache a real build relies on
+    const previous = fixturesDir ? {} : readPreviousResults();
+    const fetchedAt = new Date().toISOString();
+
+    const results = await mapWithConcurrency(linkCards, MAX_CONCURRENT_FETCHES, async card => {
+      try {
+        const text = fixturesDir ? await readFixtureFeed(fixturesDir, card.feedUrl) : await fetchFeedText(card.feedUrl);
+        const entries = getLatestEntries(parseFeed(text));
+        console.log(`  ✅ ${card.title}: ${entries.length} entries`);
+        return [card._id, { feedUrl: card.feedUrl, entries, fetchedAt }];
+      } catch (error) {
+        const last = previous[card._id]?.feedUrl === card.feedUrl ? previous[card._id] : null;
+        console.log(`  ⚠️ ${card.title}: ${error.message}${last ? ' (keeping entries from the last fetch)' : ''}`);
+        return [card._id, {
+          feedUrl: card.feedUrl,
+          entries: last?.entries || [],
+          fetchedAt: last?.fetchedAt || null,
+          error: error.message
+        }];
+      }
+    });
+
+    const output = JSON.stringify({
+      version: BLOGROLL_FEEDS_VERSION,
+      generatedAt: fetchedAt,
+      blogs: Object.fromEntries(results)
+    });
+
+    fs.mkdirSync(path.dirname(outPath), { recursive: true });
+    fs.writeFileSync(outPath, output, 'utf8');
+    if (!fixturesDir) {
+      fs.mkdirSync(path.dirname(CACHE_PATH), { recursive: true });
+      fs.writeFileSync(CACHE_PATH, output, 'utf8');
+    }
+
+    const failed = results.filter(([, blog]) => blog.error).length;
+    console.log(`✅ Aggregated ${linkCards.length - failed} of ${linkCards.length} feeds`);
+    console.log(`📁 Latest posts saved to: ${outPath}`);
+
+    console.log('\n🎉 Blogroll feed aggregation complete!');
+
+  } catch (error) {
+    console.error('❌ Blogroll feed aggregation failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the blogroll feed aggregation
+fetchBlogrollFeeds();
@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+/**
+ * Blogroll OPML generation script
+ * Generates blogroll.opml from the linkCard documents shown on /blogroll,
+ * so readers can subscribe to every blog in the blogroll at once
+ */
+
+import { createClient } from '@sanity/client';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { BLOGROLL_OPML_PATH, generateBlogrollOPML } from '../src/utils/opml.js';
+
+// ES module compatibility
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+import('./build-env.js');
+
+// Sanity client configuration
+const sanityClient = createClient({
+  projectId: process.env.VITE_SANITY_PROJECT_ID || 'wxzoc64y',
+  dataset: process.env.VITE_SANITY_DATASET || 'production',
+  apiVersion: process.env.VITE_SANITY_API_VERSION || '2023-12-01',
+  useCdn: true,
+});
+
+// GROQ query for blogroll cards - same order as the /blogroll page
+const LINK_CARDS_QUERY = `*[_type == "linkCard"] | order(_createdAt asc) {
+  _id,
+  title,
+  hook,
+  url,
+  feedUrl
+}`;
+
+// Base URL - use production domain for the OPML file
+const BASE_URL = (process.env.CONTEXT === 'production' || !process.env.CONTEXT)
+  ? 'https://blog.brendanbockes.com'
+  : (process.env.DEPLOY_PRIME_URL || process.env.NETLIFY_URL || 'https://blog.brendanbockes.com');
+
+// Main OPML generation function
+async function generateOPML() {
+  console.log('📰 Starting blogroll OPML generation...');
+
+  try {
+    // Fetch blogroll cards from Sanity
+    console.log('📡 Fetching blogroll from Sanity...');
+    const linkCards = await sanityClient.fetch(LINK_CARDS_QUERY);
+    console.log(`✅ Fetched ${linkCards.length} blogs`);
+
+    const opml = generateBlogrollOPML(linkCards, BASE_URL);
+
+    // Write OPML to dist directory (where it will be deployed)
+    const distDir = path.join(__dirname, '..', 'dist');
+    const distOpmlPath = path.join(distDir, BLOGROLL_OPML_PATH.slice(1));
+
+    // Ensure directory exists
+    if (!fs.existsSync(distDir)) {
+      fs.mkdirSync(distDir, { recursive: true });
+    }
+
+    fs.writeFileSync(distOpmlPath, opml, 'utf8');
+    const withFeeds = linkCards.filter(card => card.feedUrl).length;
+    console.log(`✅ Generated blogroll OPML with ${linkCards.length} blogs (${withFeeds} with feeds)`);
+    if (withFeeds < linkCards.length) {
+      console.log(`⚠️ ${linkCards.length - withFeeds} blogs have no feed URL and are listed as plain links`);
+    }
+    console.log(`📁 OPML saved to: ${distOpmlPath}`);
+    console.log(`🔗 Your blogroll will be available at: ${BASE_URL}${BLOGROLL_OPML_PATH}`);
+
+    console.log('\n🎉 Blogroll OPML generation complete!');
+
+  } catch (error) {
+    console.error('❌ Blogroll OPML generation failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the OPML generation
+generateOPML();
@@ -2,13 +2,16 @@
 
 /**
  * RSS feed generation script
- * Generates an RSS 2.0 feed with all blog posts
+ * Generates an RSS 2.0 feed with all blog posts (plus Atom and JSON Feed versions), and one RSS feed per year
+ * Search feeds (/feed/search.xml?q=) are generated on request by netlify/functions/rss-feed.js
  */
 
 import { createClient } from '@sanity/client';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { FEED_FORMATS, FEED_POSTS_QUERY, generateFeed, getPostYears, selectFeed } from '../src/utils/feedUtils.js';
+import { documentVersions, hashContent, hashFiles, openBuildManifest, POST_VERSIONS_QUERY } from './build-manifest.js';
 
 // ES module compatibility
 const __filename = fileURLToPath(import.meta.url);
@@ -25,387 +28,71 @@ const sanityClient = createClient({
   useCdn: true,
 });
 
-// GROQ query for posts - filter out future-dated posts to enable scheduling
-const POSTS_QUERY = `*[_type == "post" && defined(slug.current) && publishedAt <= now()] | order(publishedAt desc) {
-  _id,
-  title,
-  slug,
-  excerpt,
-  subheader,
-  publishedAt,
-  _updatedAt,
-  content,
-  "image": image.asset->url
-}`;
-
 // Base URL - use production domain for RSS feed
 const BASE_URL = (process.env.CONTEXT === 'production' || !process.env.CONTEXT) 
   ? 'https://blog.brendanbockes.com'
   : (process.env.DEPLOY_PRIME_URL || process.env.NETLIFY_URL || 'https://blog.brendanbockes.com');
 
-// Escape XML entities
-function escapeXml(text) {
-  if (!text) return '';
-  return String(text)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&apos;');
-}
-
-// Escape XML entities in text content but preserve HTML tags
-// Used for content that will be wrapped in CDATA
-// CDATA allows raw HTML, so we only need to escape & and handle ]]>
-function escapeXmlText(text) {
-  if (!text) return '';
-  let escaped = String(text)
-    // Escape & but not already-escaped entities
-    .replace(/&(?!amp;|lt;|gt;|quot;|apos;|#\d+;|#x[0-9a-fA-F]+;)/g, '&amp;');
-  // Replace ]]> with ]]]]><![CDATA[> to prevent premature CDATA closure
-  escaped = escaped.replace(/]]>/g, ']]]]><![CDATA[>');
-  return escaped;
-}
-
-function guessMimeTypeFromUrl(url) {
-  if (!url) return 'application/octet-stream';
-  try {
-    const { pathname } = new URL(url);
-    const ext = pathname.split('.').pop()?.toLowerCase();
-    switch (ext) {
-      case 'jpg':
-      case 'jpeg':
-        return 'image/jpeg';
-      case 'png':
-        return 'image/png';
-      case 'gif':
-        return 'image/gif';
-      case 'webp':
-        return 'image/webp';
-      case 'svg':
-        return 'image/svg+xml';
-      default:
-        return 'image/*';
-    }
-  } catch {
-    // If it's not a valid absolute URL, fall back gracefully
-    return 'image/*';
-  }
-}
-
-// Extract plain text from Portable Text content for description
-// (No HTML links - RSS previews typically don't render them anyway)
-function extractTextFromContent(content) {
-  if (!Array.isArray(content)) return '';
-  
-  const text = content
-    .filter(block => block._type === 'block')
-    .map(block => {
-      if (!block.children || !Array.isArray(block.children)) return '';
-      return block.children
-        .filter((child) => child._type === 'span' && child.text)
-        .map((child) => child.text)
-        .join(' ');
-    })
-    .join(' ');
-    
-  return text;
-}
-
-// Convert Portable Text to HTML for RSS content:encoded
-function portableTextToHTML(content) {
-  if (!Array.isArray(content)) return '';
-  
-  const htmlParts = [];
-  let currentListType = null;
-  
-  content.forEach(block => {
-    if (block._type === 'block') {
-      const style = block.style || 'normal';
-      const children = block.children || [];
-      const markDefs = block.markDefs || [];
-      
-      // Process children to handle marks (bold, italic, links, etc.)
-      const processChild = (child) => {
-        if (child._type !== 'span' || !child.text) return '';
-        
-        // Escape text content but preserve HTML structure
-        let text = escapeXmlText(child.text);
-        const marks = child.marks || [];
-        
-        // Check for link first (it should wrap other marks)
-        // Handle both old format (like "link-0") and new format (like "d29f57cddebc")
-        let linkHref = null;
-        for (const mark of marks) {
-          const markKey = typeof mark === 'string' ? mark : (mark._key || mark.key);
-          
-          // Find the markDef - check if it's a link by:
-          // 1. Old format: mark key starts with "link-"
-          // 2. New format: markDef exists and has _type === 'link'
-          const linkDef = markDefs.find(def => {
-            if (typeof mark === 'string') {
-              return def._key === mark && def._type === 'link';
-            } else {
-              return (def._key === markKey || def._key === mark._key) && def._type === 'link';
-            }
-          });
-          
-          // Also check if mark itself indicates it's a link (old format)
-          const isLinkMark = markKey && (
-            markKey.startsWith('link-') || 
-            (typeof mark === 'object' && mark._type === 'link') ||
-            (linkDef && linkDef._type === 'link')
-          );
-          
-          if (isLinkMark && linkDef && linkDef.href) {
-            // Validate and fix URL
-            let href = String(linkDef.href).trim();
-            // Skip obviously invalid URLs (like "http://Manus" without a domain)
-            if (href.match(/^https?:\/\/[^\/\s]+\.[^\/\s]+/i) || href.startsWith('/') || href.startsWith('#') || href.startsWith('mailto:')) {
-              // Valid URL format - use it
-              linkHref = href.replace(/&(?!amp;|lt;|gt;|quot;|apos;|#\d+;|#x[0-9a-fA-F]+;)/g, '&amp;');
-              break; // Found valid link, stop looking
-            } else if (href && !href.match(/^https?:\/\//i)) {
-              // Fix URLs that are missing protocol
-              href = 'https://' + href;
-              linkHref = href.replace(/&(?!amp;|lt;|gt;|quot;|apos;|#\d+;|#x[0-9a-fA-F]+;)/g, '&amp;');
-              break;
-            }
-            // Invalid URL, continue to next mark
-          } else if (typeof mark === 'object' && mark.href) {
-            // Handle direct href in mark object
-            let href = String(mark.href).trim();
-            // Skip obviously invalid URLs
-            if (href.match(/^https?:\/\/[^\/\s]+\.[^\/\s]+/i) || href.startsWith('/') || href.startsWith('#') || href.startsWith('mailto:')) {
-              // Valid URL format - use it
-              linkHref = href.replace(/&(?!amp;|lt;|gt;|quot;|apos;|#\d+;|#x[0-9a-fA-F]+;)/g, '&amp;');
-              break;
-            } else if (href && !href.match(/^https?:\/\//i)) {
-              href = 'https://' + href;
-              linkHref = href.replace(/&(?!amp;|lt;|gt;|quot;|apos;|#\d+;|#x[0-9a-fA-F]+;)/g, '&amp;');
-              break;
-            }
-            // Invalid URL, continue to next mark
-          }
-        }
-        
-        // Apply other marks (strong, em, code)
-        marks.forEach(mark => {
-          if (typeof mark === 'string' && !mark.startsWith('link-')) {
-            if (mark === 'strong') {
-              text = `<strong>${text}</strong>`;
-            } else if (mark === 'em') {
-              text = `<em>${text}</em>`;
-            } else if (mark === 'code') {
-              text = `<code>${text}</code>`;
-            }
-          }
-        });
-        
-        // Wrap in link if present
-        if (linkHref) {
-          text = `<a href="${linkHref}">${text}</a>`;
-        }
-        
-        return text;
-      };
-      
-      const processedChildren = children.map(processChild).join('');
-      
-      // Handle lists
-      if (block.listItem) {
-        const listType = block.listItem;
-        if (currentListType !== listType) {
-          if (currentListType) {
-            htmlParts.push(`</${currentListType === 'bullet' ? 'ul' : 'ol'}>`);
-          }
-          currentListType = listType;
-          htmlParts.push(`<${listType === 'bullet' ? 'ul' : 'ol'}>`);
-        }
-        htmlParts.push(`<li>${processedChildren}</li>`);
-      } else {
-        // Close list if we were in one
-        if (currentListType) {
-          htmlParts.push(`</${currentListType === 'bullet' ? 'ul' : 'ol'}>`);
-          currentListType = null;
-        }
-        
-        // Wrap in appropriate HTML tag based on style
-        if (style === 'h1' && processedChildren) {
-          htmlParts.push(`<h1>${processedChildren}</h1>`);
-        } else if (style === 'h2' && processedChildren) {
-          htmlParts.push(`<h2>${processedChildren}</h2>`);
-        } else if (style === 'h3' && processedChildren) {
-          htmlParts.push(`<h3>${processedChildren}</h3>`);
-        } else if (style === 'h4' && processedChildren) {
-          htmlParts.push(`<h4>${processedChildren}</h4>`);
-        } else if (style === 'blockquote' && processedChildren) {
-          htmlParts.push(`<blockquote>${processedChildren}</blockquote>`);
-        } else if (style === 'normal' && processedChildren) {
-          htmlParts.push(`<p>${processedChildren}</p>`);
-        }
-      }
-    } else if (block._type === 'image') {
-      // Close list if we were in one
-      if (currentListType) {
-        htmlParts.push(`</${currentListType === 'bullet' ? 'ul' : 'ol'}>`);
-        currentListType = null;
-      }
-      
-      const imageUrl = block.asset?.url || block.url || '';
-      const alt = block.alt || '';
-      if (imageUrl) {
-        const escapedUrl = String(imageUrl).replace(/&(?!amp;|lt;|gt;|quot;|apos;|#\d+;|#x[0-9a-fA-F]+;)/g, '&amp;');
-        const escapedAlt = escapeXmlText(alt);
-        htmlParts.push(`<img src="${escapedUrl}" alt="${escapedAlt}" />`);
-      }
-    } else if (block._type === 'code' || block._type === 'codeBlock') {
-      // Close list if we were in one
-      if (currentListType) {
-        htmlParts.push(`</${currentListType === 'bullet' ? 'ul' : 'ol'}>`);
-        currentListType = null;
-      }
-      
-      const code = block.code?.code || block.code || '';
-      const language = block.code?.language || '';
-      const codeEscaped = escapeXmlText(code);
-      if (codeEscaped) {
-        htmlParts.push(`<pre><code${language ? ` class="language-${language}"` : ''}>${codeEscaped}</code></pre>`);
-      }
-    }
-  });
-  
-  // Close any remaining list
-  if (currentListType) {
-    htmlParts.push(`</${currentListType === 'bullet' ? 'ul' : 'ol'}>`);
-  }
-  
-  return htmlParts.join('\n');
-}
-
-// Format date to RFC 822 format for RSS
-function formatRSSDate(date) {
-  if (!date) return new Date().toUTCString();
-  return new Date(date).toUTCString();
-}
-
-// Generate RSS feed XML
-function generateRSSXML(posts) {
-  const now = new Date().toUTCString();
-  const siteTitle = "Brendan's Blog";
-  const siteDescription = "The personal blog of Brendan Bockes. Thoughts on productivity, technology, and building.";
-  
-  const items = posts.map(post => {
-    const slug = post.slug?.current || post._id;
-    const postUrl = `${BASE_URL}/posts/${slug}`;
-    const pubDate = formatRSSDate(post.publishedAt);
-    
-    // Get description from excerpt, subheader, or content
-    // Plain text only - RSS previews typically don't render HTML links anyway
-    let description = post.excerpt || post.subheader || '';
-    if (!description && post.content) {
-      description = extractTextFromContent(post.content);
-      // Limit to 300 characters for RSS description
-      if (description.length > 300) {
-        // Try to cut at a word boundary
-        let truncated = description.substring(0, 297);
-        const lastSpace = truncated.lastIndexOf(' ');
-        if (lastSpace > 250) {
-          truncated = truncated.substring(0, lastSpace);
-        }
-        description = truncated + '...';
-      }
-    }
-    if (!description) {
-      description = `Read ${post.title} on Brendan's Blog`;
-    }
-    
-    const imageTag = post.image 
-      ? `    <enclosure url="${escapeXml(post.image)}" type="${guessMimeTypeFromUrl(post.image)}" />`
-      : '';
-    
-    // Generate full HTML content for content:encoded (with links)
-    const fullContent = post.content ? portableTextToHTML(post.content) : '';
-    const contentEncoded = fullContent 
-      ? `    <content:encoded><![CDATA[${fullContent}]]></content:encoded>`
-      : '';
-    
-    // Description is plain text (no HTML)
-    const descriptionField = `<description>${escapeXml(description)}</description>`;
-    
-    return `  <item>
-    <title>${escapeXml(post.title)}</title>
-    <link>${postUrl}</link>
-    <guid isPermaLink="true">${postUrl}</guid>
-    <pubDate>${pubDate}</pubDate>
-    ${descriptionField}
-${imageTag}
-${contentEncoded}
-  </item>`;
-  }).join('\n');
-  
-  const rss = `<?xml version="1.0" encoding="UTF-8"?>
-<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
-  <channel>
-    <title>${escapeXml(siteTitle)}</title>
-    <link>${BASE_URL}</link>
-    <description>${escapeXml(siteDescription)}</description>
-    <language>en-us</language>
-    <lastBuildDate>${now}</lastBuildDate>
-    <pubDate>${now}</pubDate>
-    <ttl>60</ttl>
-    <atom:link href="${BASE_URL}/feed.xml" rel="self" type="application/rss+xml" />
-    <image>
-      <url>${BASE_URL}/images/logo.png</url>
-      <title>${escapeXml(siteTitle)}</title>
-      <link>${BASE_URL}</link>
-    </image>
-${items}
-  </channel>
-</rss>`;
-  
-  return rss;
-}
-
 // Main RSS generation function
 async function generateRSS() {
   console.log('📡 Starting RSS feed generation...');
   
   try {
-    // Fetch posts from Sanity
-    console.log('📡 Fetching posts from Sanity...');
-    const posts = await sanityClient.fetch(POSTS_QUERY);
-    console.log(`✅ Fetched ${posts.length} posts`);
-    
-    // Limit to most recent 50 posts for RSS feed
-    const recentPosts = posts.slice(0, 50);
-    
-    // Generate RSS XML
-    const rssXML = generateRSSXML(recentPosts);
-    
-    // Write RSS feed to dist directory (where it will be deployed)
-    // Also write to public for local development
     const distDir = path.join(__dirname, '..', 'dist');
     const publicDir = path.join(__dirname, '..', 'public');
     const distRssPath = path.join(distDir, 'feed.xml');
     const publicRssPath = path.join(publicDir, 'feed.xml');
     
-    // Ensure directories exist
-    if (!fs.existsSync(distDir)) {
-      fs.mkdirSync(distDir, { recursive: true });
+    // Feeds are only regenerated when one of their posts, or the feed code, changed
+    const manifest = openBuildManifest('rss', {
+      outputDir: distDir,
+      generatorHash: hashContent(BASE_URL, hashFiles(['scripts/generate-rss.js', 'src/utils/feedUtils.js', 'src/utils/portableText.js']))
+    });
+    
+    // Work out which posts each feed holds from their versions alone
+    console.log('📡 Fetching post versions from Sanity...');
+    const versions = await sanityClient.fetch(POST_VERSIONS_QUERY);
+    console.log(`✅ Fetched ${versions.length} post versions`);
+    
+    // Site-wide feed in every format, plus per-year RSS feeds - deploy output only, the function serves them in local dev
+    const years = getPostYears(versions);
+    const outputs = [
+      ...Object.keys(FEED_FORMATS).map(format => ({ format, request: { type: 'all', format } })),
+      ...years.map(year => ({ format: 'rss', request: { type: 'year', year } }))
+    ].map(output => {
+      const feed = selectFeed(versions, output.request);
+      return { ...output, file: feed.feedPath.slice(1), sources: documentVersions(feed.posts) };
+    });
+    const staleOutputs = outputs.filter(output => !manifest.isFresh(output.file, output.sources));
+    outputs.filter(output => !staleOutputs.includes(output)).forEach(output => manifest.restore(output.file));
+    
+    if (staleOutputs.length > 0) {
+      // Fetch posts from Sanity
+      console.log('📡 Fetching posts from Sanity...');
+      const posts = await sanityClient.fetch(FEED_POSTS_QUERY);
+      console.log(`✅ Fetched ${posts.length} posts`);
+      
+      staleOutputs.forEach(({ format, request, file, sources }) => {
+        const feed = selectFeed(posts, request);
+        manifest.write(file, generateFeed(format, feed.posts, BASE_URL, feed), sources);
+        console.log(`✅ Generated ${format} feed with ${feed.posts.length} posts at ${BASE_URL}/${file}`);
+      });
     }
-    if (!fs.existsSync(publicDir)) {
-      fs.mkdirSync(publicDir, { recursive: true });
+    
+    // Also write the RSS feed to public for local development
+    if (staleOutputs.some(output => output.file === 'feed.xml')) {
+      if (!fs.existsSync(publicDir)) {
+        fs.mkdirSync(publicDir, { recursive: true });
+      }
+      fs.copyFileSync(distRssPath, publicRssPath);
+      console.log(`📁 RSS feed also saved to: ${publicRssPath}`);
     }
     
-    // Write to both dist (for deployment) and public (for local dev)
-    fs.writeFileSync(distRssPath, rssXML, 'utf8');
-    fs.writeFileSync(publicRssPath, rssXML, 'utf8');
-    console.log(`✅ Generated RSS feed with ${recentPosts.length} posts`);
-    console.log(`📁 RSS feed saved to: ${distRssPath}`);
-    console.log(`📁 RSS feed also saved to: ${publicRssPath}`);
+    // Year feeds with no posts left
+    manifest.prune().forEach(file => console.log(`🗑️ Removed ${file}`));
+    manifest.save();
+    console.log(`♻️ Generated ${manifest.stats.built} feeds, reused ${manifest.stats.restored} unchanged feeds (years: ${years.join(', ')})`);
     console.log(`🔗 Your RSS feed will be available at: ${BASE_URL}/feed.xml`);
-    console.log('📤 Add a link to your RSS feed in your site header/footer');
     
     console.log('\n🎉 RSS feed generation complete!');
     
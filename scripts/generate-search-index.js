@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Search index generation script
+ * Generates a compact, versioned search-index.json so the SPA can search
+ * post bodies without downloading every post's content
+ */
+
+import { createClient } from '@sanity/client';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { buildSearchIndex, postToSearchDocument, SEARCH_INDEX_VERSION } from '../src/utils/searchIndex.js';
+
+// ES module compatibility
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+import('./build-env.js');
+
+// Sanity client configuration
+const sanityClient = createClient({
+  projectId: process.env.VITE_SANITY_PROJECT_ID || 'wxzoc64y',
+  dataset: process.env.VITE_SANITY_DATASET || 'production',
+  apiVersion: process.env.VITE_SANITY_API_VERSION || '2023-12-01',
+  useCdn: true,
+});
+
+// GROQ query for posts - filter out future-dated posts to enable scheduling
+const POSTS_QUERY = `*[_type == "post" && defined(slug.current) && publishedAt <= now()] | order(publishedAt desc) {
+  _id,
+  title,
+  excerpt,
+  subheader,
+  content
+}`;
+
+// Main search index generation function
+async function generateSearchIndex() {
+  console.log('🔎 Starting search index generation...');
+
+  try {
+    // Fetch posts from Sanity
+    console.log('📡 Fetching posts from Sanity...');
+    const posts = await sanityClient.fetch(POSTS_QUERY);
+    console.log(`✅ Fetched ${posts.length} posts`);
+
+    // Build the index - documents only carry ids, the SPA already has titles and dates
+    const index = buildSearchIndex(posts.map(postToSearchDocument));
+    const indexJSON = JSON.stringify({
+      ...index,
+      generatedAt: new Date().toISOString()
+    });
+
+    // Write search index to dist directory (where it will be deployed)
+    const distDir = path.join(__dirname, '..', 'dist');
+    const distIndexPath = path.join(distDir, 'search-index.json');
+
+    // Ensure directory exists
+    if (!fs.existsSync(distDir)) {
+      fs.mkdirSync(distDir, { recursive: true });
+    }
+
+    fs.writeFileSync(distIndexPath, indexJSON, 'utf8');
+    console.log(`✅ Generated search index v${SEARCH_INDEX_VERSION} with ${posts.length} posts and ${Object.keys(index.terms).length} terms`);
+    console.log(`📁 Search index saved to: ${distIndexPath} (${(indexJSON.length / 1024).toFixed(1)} KB)`);
+
+    console.log('\n🎉 Search index generation complete!');
+
+  } catch (error) {
+    console.error('❌ Search index generation failed:', error);
+    process.exit(1);
+  }
+}
+
+// Run the search index generation
+generateSearchIndex();
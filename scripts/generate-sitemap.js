@@ -9,6 +9,7 @@ import { createClient } from '@sanity/client';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { documentVersions, hashFiles, hashContent, openBuildManifest } from './build-manifest.js';
 
 // ES module compatibility
 const __filename = fileURLToPath(import.meta.url);
@@ -31,7 +32,8 @@ const POSTS_QUERY = `*[_type == "post" && defined(slug.current) && publishedAt <
   title,
   slug,
   publishedAt,
-  _updatedAt
+  _updatedAt,
+  "tags": tags[]->{ "slug": slug.current }
 }`;
 
 // Base URL - use production domain for sitemap
@@ -107,26 +109,56 @@ async function generateSitemap() {
       });
     });
     
-    // Generate XML
-    const sitemapXML = generateSitemapXML(urls);
+    // Add tag pages, dated by their most recently updated post
+    const tagLastmods = new Map();
+    posts.forEach(post => {
+      const lastmod = formatDate(post._updatedAt || post.publishedAt || new Date());
+      (post.tags || []).forEach(tag => {
+        if (!tag?.slug) return;
+        if (!tagLastmods.has(tag.slug) || tagLastmods.get(tag.slug) < lastmod) {
+          tagLastmods.set(tag.slug, lastmod);
+        }
+      });
+    });
+    tagLastmods.forEach((lastmod, tagSlug) => {
+      urls.push({
+        loc: `${BASE_URL}/tags/${tagSlug}`,
+        lastmod: lastmod,
+        changefreq: 'weekly',
+        priority: '0.5'
+      });
+    });
     
-    // Write sitemap to dist directory (where it will be deployed)
-    // Also write to public for local development
     const distDir = path.join(__dirname, '..', 'dist');
     const publicDir = path.join(__dirname, '..', 'public');
     const distSitemapPath = path.join(distDir, 'sitemap.xml');
     const publicSitemapPath = path.join(publicDir, 'sitemap.xml');
     
-    // Ensure directories exist
-    if (!fs.existsSync(distDir)) {
-      fs.mkdirSync(distDir, { recursive: true });
+    // Reuse the last sitemap while no post was added, removed or edited
+    const manifest = openBuildManifest('sitemap', {
+      outputDir: distDir,
+      generatorHash: hashContent(BASE_URL, hashFiles(['scripts/generate-sitemap.js']))
+    });
+    const sources = documentVersions(posts);
+    if (manifest.isFresh('sitemap.xml', sources, urls)) {
+      manifest.restore('sitemap.xml');
+      manifest.save();
+      console.log(`♻️ Sitemap unchanged, reused ${distSitemapPath}`);
+      return;
     }
+    
+    // Generate XML
+    const sitemapXML = generateSitemapXML(urls);
+    
+    // Write sitemap to dist directory (where it will be deployed)
+    // Also write to public for local development
     if (!fs.existsSync(publicDir)) {
       fs.mkdirSync(publicDir, { recursive: true });
     }
     
     // Write to both dist (for deployment) and public (for local dev)
-    fs.writeFileSync(distSitemapPath, sitemapXML, 'utf8');
+    manifest.write('sitemap.xml', sitemapXML, sources, urls);
+    manifest.save();
     fs.writeFileSync(publicSitemapPath, sitemapXML, 'utf8');
     console.log(`✅ Generated sitemap with ${urls.length} URLs`);
     console.log(`📁 Sitemap saved to: ${distSitemapPath}`);
@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+
+/**
+ * Blogroll OPML Import Script
+ *
+ * Imports the subscriptions in an OPML file (as exported by feed readers like Feedly,
+ * NetNewsWire or Inoreader) into Sanity as linkCard documents for /blogroll.
+ *
+ * Blogs are matched to existing cards by site URL, then by feed URL, ignoring protocol,
+ * www., trailing slashes and utm_ parameters. Matches aren't duplicated; a match without
+ * a feed URL gets the one from the OPML file. Duplicates within the file are skipped too.
+ *
+ * New cards have no image, which the schema requires, so they're created as drafts - add an
+ * image to each in the Studio and publish it to put it on /blogroll.
+ *
+ * Usage:
+ *   node scripts/import-opml.js <path-to-subscriptions.opml> [--dry-run]
+ *
+ * Environment variables required:
+ *   - SANITY_PROJECT_ID (or set in .env file)
+ *   - SANITY_DATASET (defaults to 'production')
+ *   - SANITY_API_TOKEN (write token from Sanity project settings, not needed for --dry-run)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createClient } from '@sanity/client';
+import dotenv from 'dotenv';
+import { normalizeUrlForComparison, parseOPML } from '../src/utils/opml.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+dotenv.config({ path: path.join(__dirname, '..', '.env.local') });
+
+// Sanity configuration
+const projectId = process.env.SANITY_PROJECT_ID || process.env.VITE_SANITY_PROJECT_ID || 'wxzoc64y';
+const dataset = process.env.SANITY_DATASET || process.env.VITE_SANITY_DATASET || 'production';
+const apiToken = process.env.SANITY_API_TOKEN;
+const apiVersion = process.env.SANITY_API_VERSION || '2024-01-01';
+
+// Drafts included (the client reads with the raw perspective), so a rerun doesn't create
+// the cards of an earlier import again before they're published
+const EXISTING_CARDS_QUERY = `*[_type == "linkCard"] {
+  _id,
+  title,
+  url,
+  feedUrl
+}`;
+
+// Generate a unique key for Portable Text blocks
+function generateKey(prefix = 'key') {
+  return `${prefix}-${Math.random().toString(36).substr(2, 9)}-${Date.now()}`;
+}
+
+// The hook is required - use the OPML description, or the blog's name
+function createHook(outline) {
+  return [{
+    _type: 'block',
+    _key: generateKey('block'),
+    style: 'normal',
+    markDefs: [],
+    children: [{
+      _type: 'span',
+      _key: generateKey('span'),
+      text: outline.description || outline.title,
+      marks: []
+    }]
+  }];
+}
+
+/**
+ * Work out what importing the outlines would do
+ * @param outlines - Subscriptions from parseOPML
+ * @param existingCards - linkCard documents already in Sanity
+ * @returns { create, addFeedUrl, skip } - new cards, existing cards to patch, and skipped outlines with a reason
+ */
+function planImport(outlines, existingCards) {
+  const cardsByUrl = new Map();
+  const indexCard = (card) => {
+    [card.url, card.feedUrl].forEach(url => {
+      const key = normalizeUrlForComparison(url);
+      if (key && !cardsByUrl.has(key)) cardsByUrl.set(key, card);
+    });
+  };
+  existingCards.forEach(indexCard);
+
+  const plan = { create: [], addFeedUrl: [], skip: [] };
+  outlines.forEach(outline => {
+    const match = [outline.url, outline.feedUrl]
+      .map(url => cardsByUrl.get(normalizeUrlForComparison(url)))
+      .find(Boolean);
+
+    if (!match) {
+      const card = { title: outline.title, url: outline.url || outline.feedUrl, feedUrl: outline.feedUrl, outline };
+      plan.create.push(card);
+      indexCard(card);
+      return;
+    }
+
+    if (!match._id) {
+      plan.skip.push({ outline, reason: `duplicate of "${match.title}" in this file` });
+    } else if (!match.feedUrl && outline.feedUrl) {
+      plan.addFeedUrl.push({ card: match, feedUrl: outline.feedUrl });
+      match.feedUrl = outline.feedUrl;
+    } else {
+      plan.skip.push({ outline, reason: `already in the blogroll as "${match.title}"` });
+    }
+  });
+  return plan;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const opmlArg = args.find(arg => !arg.startsWith('--'));
+
+  if (!opmlArg) {
+    console.error('Usage: node scripts/import-opml.js <path-to-subscriptions.opml> [--dry-run]');
+    process.exit(1);
+  }
+
+  const opmlPath = path.resolve(opmlArg);
+  const dryRun = args.includes('--dry-run');
+
+  if (!fs.existsSync(opmlPath)) {
+    console.error(`❌ Error: OPML file not found: ${opmlPath}`);
+    process.exit(1);
+  }
+
+  if (!apiToken && !dryRun) {
+    console.error('❌ Error: SANITY_API_TOKEN environment variable is required (or use --dry-run)');
+    process.exit(1);
+  }
+
+  const client = createClient({
+    projectId,
+    dataset,
+    token: apiToken,
+    apiVersion,
+    useCdn: false,
+    perspective: 'raw',
+  });
+
+  console.log(`📦 Importing blogroll from: ${opmlPath}`);
+  console.log(`🔗 Sanity Project: ${projectId}`);
+  console.log(`📊 Dataset: ${dataset}`);
+  if (dryRun) {
+    console.log(`🧪 DRY RUN MODE - No documents will be created or changed`);
+  }
+  console.log('');
+
+  try {
+    const outlines = parseOPML(fs.readFileSync(opmlPath, 'utf8'));
+    console.log(`📄 Found ${outlines.length} subscriptions`);
+
+    console.log('📥 Fetching existing blogroll...');
+    const existingCards = await client.fetch(EXISTING_CARDS_QUERY);
+    console.log(`   Found ${existingCards.length} existing blogs\n`);
+
+    const plan = planImport(outlines, existingCards);
+
+    plan.create.forEach(card => {
+      console.log(`  ➕ ${dryRun ? 'Would create draft' : 'Creating draft'}: ${card.title} (${card.url}${card.feedUrl ? `, feed ${card.feedUrl}` : ', no feed'})`);
+    });
+    plan.addFeedUrl.forEach(({ card, feedUrl }) => {
+      console.log(`  🔗 ${dryRun ? 'Would add' : 'Adding'} feed URL to ${card.title}: ${feedUrl}`);
+    });
+    plan.skip.forEach(({ outline, reason }) => {
+      console.log(`  ⏭️  Skipped ${outline.title}: ${reason}`);
+    });
+
+    if (!dryRun && (plan.create.length > 0 || plan.addFeedUrl.length > 0)) {
+      // One transaction, so a failed import leaves the blogroll as it was
+      const transaction = client.transaction();
+      plan.create.forEach(card => {
+        transaction.create({
+          _id: `drafts.${crypto.randomUUID()}`,
+          _type: 'linkCard',
+          title: card.title.slice(0, 100),
+          hook: createHook(card.outline),
+          url: card.url,
+          ...(card.feedUrl ? { feedUrl: card.feedUrl } : {})
+        });
+      });
+      plan.addFeedUrl.forEach(({ card, feedUrl }) => {
+        transaction.patch(card._id, patch => patch.set({ feedUrl }));
+      });
+      await transaction.commit();
+    }
+
+    console.log('\n📊 Import Summary:');
+    console.log(`   ${dryRun ? 'Would create' : 'Created'}: ${plan.create.length}`);
+    console.log(`   ${dryRun ? 'Would add feed URLs to' : 'Added feed URLs to'}: ${plan.addFeedUrl.length}`);
+    console.log(`   Skipped: ${plan.skip.length}`);
+
+    if (!dryRun && plan.create.length > 0) {
+      console.log('\n🖼️  New blogs are drafts with no image yet - add one to each in the Studio and publish it');
+    }
+  } catch (error) {
+    console.error('❌ Import failed:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
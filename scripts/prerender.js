@@ -3,12 +3,16 @@
 /**
  * Pre-rendering script for generating static HTML files with proper meta tags
  * This ensures social media crawlers can access Open Graph meta tags
+ *
+ * Post pages, /about, /archive and /blogroll also get the app's rendered markup, using the
+ * server bundle built from src/entry-server.tsx. Each of those pages embeds the data it was
+ * rendered with, and src/index.tsx hydrates on top instead of rendering from scratch.
  */
 
 import { createClient } from '@sanity/client';
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
 
 // ES module compatibility
 const __filename = fileURLToPath(import.meta.url);
@@ -18,6 +22,7 @@ const __dirname = path.dirname(__filename);
 import { generateOGMetaTags, generatePageTitle } from '../src/utils/seoUtils.js';
 import { aboutPost, notFoundPost } from '../src/data/staticData.js';
 import { slugify } from '../src/utils/slugifyUtils.js';
+import { documentVersions, hashContent, hashFiles, openBuildManifest, POST_VERSIONS_QUERY } from './build-manifest.js';
 
 // Load environment variables
 import('./build-env.js');
@@ -30,18 +35,8 @@ const sanityClient = createClient({
   useCdn: true,
 });
 
-// GROQ queries - filter out future-dated posts to enable scheduling
-const POSTS_QUERY = `*[_type == "post" && defined(slug.current) && publishedAt <= now()] | order(publishedAt desc) {
-  _id,
-  title,
-  slug,
-  excerpt,
-  readTime,
-  publishedAt,
-  content,
-  "image": image.asset->url + "?w=1200&auto=format&q=80",
-  subheader
-}`;
+// Open Graph images are served at a fixed size
+const OG_IMAGE_PARAMS = '?w=1200&auto=format&q=80';
 
 // Generate static HTML for a route using the built index.html as template
 function generateHTML(title, metaTags, baseHTML) {
@@ -60,6 +55,12 @@ function generateHTML(title, metaTags, baseHTML) {
   return html;
 }
 
+// Fill <div id="root"> with the rendered app and embed the data it was rendered with
+function insertAppHTML(html, appHTML, data, ssr) {
+  const dataScript = `<script id="${ssr.PRERENDER_DATA_ELEMENT_ID}" type="application/json">${ssr.serializePrerenderData(data)}</script>`;
+  return html.replace('<div id="root"></div>', `<div id="root">${appHTML}</div>\n    ${dataScript}`);
+}
+
 // Escape HTML entities
 function escapeHtml(text) {
   const map = {
@@ -95,28 +96,62 @@ async function prerender() {
       process.exit(1);
     }
     
+    // The server bundle is built by `vite build --ssr src/entry-server.tsx --outDir dist-ssr`
+    const ssrEntryPath = path.join(__dirname, '..', 'dist-ssr', 'entry-server.js');
+    if (!fs.existsSync(ssrEntryPath)) {
+      console.error('❌ Server bundle not found. Make sure to run `npm run build` first.');
+      process.exit(1);
+    }
+    // React's production server renderer is faster and skips development-only warnings
+    process.env.NODE_ENV = process.env.NODE_ENV || 'production';
+    const ssr = await import(pathToFileURL(ssrEntryPath).href);
+    
     // Read the built index.html as our base template
     const baseHTML = fs.readFileSync(baseIndexPath, 'utf8');
     console.log('✅ Loaded base HTML template from built index.html');
     
-    // Fetch posts from Sanity
+    // Use production domain for prerendering
+    const baseUrl = (process.env.CONTEXT === 'production' || !process.env.CONTEXT)
+      ? 'https://blog.brendanbockes.com'
+      : (process.env.DEPLOY_PRIME_URL || process.env.NETLIFY_URL || 'https://blog.brendanbockes.com');
+    
+    // Pages are only re-rendered when their documents, the template or the rendering code changed
+    const manifest = openBuildManifest('prerender', {
+      outputDir: distDir,
+      generatorHash: hashContent(baseHTML, baseUrl, hashFiles(['dist-ssr/entry-server.js', 'scripts/prerender.js', 'src/utils/seoUtils.js']))
+    });
+    
+    // Fetch posts from Sanity - with the app's own queries, so the embedded data has the shape it expects
     console.log('📡 Fetching posts from Sanity...');
-    const posts = await sanityClient.fetch(POSTS_QUERY);
+    const [posts, postVersions, linkCards, aboutPageData] = await Promise.all([
+      sanityClient.fetch(ssr.POSTS_QUERY),
+      sanityClient.fetch(POST_VERSIONS_QUERY),
+      sanityClient.fetch(ssr.LINK_CARDS_QUERY),
+      sanityClient.fetch(ssr.ABOUT_PAGE_QUERY)
+    ]);
     console.log(`✅ Fetched ${posts.length} posts`);
+    const updatedAtById = new Map(postVersions.map(version => [version._id, version._updatedAt]));
     
-    // Transform posts to match expected format
+    // Transform posts to match expected format (the same as BlogLayout does)
     const transformedPosts = posts.map(post => ({
       ...post,
+      _updatedAt: updatedAtById.get(post._id),
       id: post._id,
       read_time: post.readTime,
       created_at: post.publishedAt,
       slug: post.slug?.current || slugify(post.title)
     }));
+    const getPostFile = post => path.join('posts', post.slug, 'index.html');
     
-    // Use production domain for prerendering
-    const baseUrl = (process.env.CONTEXT === 'production' || !process.env.CONTEXT)
-      ? 'https://blog.brendanbockes.com'
-      : (process.env.DEPLOY_PRIME_URL || process.env.NETLIFY_URL || 'https://blog.brendanbockes.com');
+    // Bodies are only needed for the post pages that have to be re-rendered
+    const staleIds = new Set(transformedPosts
+      .filter(post => !manifest.isFresh(getPostFile(post), documentVersions([post]), post))
+      .map(post => post._id));
+    const contents = staleIds.size > 0
+      ? await sanityClient.fetch(ssr.POST_CONTENT_QUERY, { ids: [...staleIds] })
+      : [];
+    const contentById = new Map(contents.map(item => [item._id, item.content || []]));
+    console.log(`✅ ${staleIds.size} of ${transformedPosts.length} post pages changed`);
     
     console.log('📝 Generating static HTML files...');
     
@@ -128,32 +163,92 @@ async function prerender() {
     console.log('✅ Updated homepage with meta tags');
     
     // 2. Generate about page
-    const aboutTitle = generatePageTitle(aboutPost);
-    const aboutMetaTags = generateOGMetaTags(aboutPost, `${baseUrl}/about`);
-    const aboutHTML = generateHTML(aboutTitle, aboutMetaTags, baseHTML);
-    writeFileWithDirs(path.join(distDir, 'about', 'index.html'), aboutHTML);
+    const aboutFile = path.join('about', 'index.html');
+    if (manifest.isFresh(aboutFile, documentVersions([aboutPageData]), aboutPageData)) {
+      manifest.restore(aboutFile);
+    } else {
+      const aboutTitle = generatePageTitle(aboutPost);
+      const aboutMetaTags = generateOGMetaTags(aboutPost, `${baseUrl}/about`);
+      let aboutHTML = generateHTML(aboutTitle, aboutMetaTags, baseHTML);
+      if (aboutPageData) {
+        const aboutData = { posts: [], aboutPage: ssr.transformAboutPageToBlogPost(aboutPageData) };
+        aboutHTML = insertAppHTML(aboutHTML, ssr.render('/about', aboutData), aboutData, ssr);
+      }
+      manifest.write(aboutFile, aboutHTML, documentVersions([aboutPageData]), aboutPageData);
+    }
     console.log('✅ Generated about page');
     
     // 3. Generate individual post pages
     let postCount = 0;
     for (const post of transformedPosts) {
-      const postTitle = generatePageTitle(post);
-      const postUrl = `${baseUrl}/posts/${post.slug}`;
-      const postMetaTags = generateOGMetaTags(post, postUrl);
-      const postHTML = generateHTML(postTitle, postMetaTags, baseHTML);
-      writeFileWithDirs(path.join(distDir, 'posts', post.slug, 'index.html'), postHTML);
+      const postFile = getPostFile(post);
+      if (!staleIds.has(post._id)) {
+        manifest.restore(postFile);
+        postCount++;
+        continue;
+      }
+      const postWithContent = { ...post, content: contentById.get(post._id) || [] };
+      const postTitle = generatePageTitle(postWithContent);
+      const postPath = `/posts/${post.slug}`;
+      const postMetaTags = generateOGMetaTags({ ...postWithContent, image: post.image && `${post.image}${OG_IMAGE_PARAMS}` }, `${baseUrl}${postPath}`);
+      // Each post page embeds only its own post; the full list loads after hydration
+      const postData = { posts: [postWithContent] };
+      const postHTML = insertAppHTML(generateHTML(postTitle, postMetaTags, baseHTML), ssr.render(postPath, postData), postData, ssr);
+      manifest.write(postFile, postHTML, documentVersions([post]), post);
       postCount++;
     }
     console.log(`✅ Generated ${postCount} post pages`);
     
-    // 4. Generate 404 page
+    // 4. Generate archive and blogroll pages
+    const archiveFile = path.join('archive', 'index.html');
+    const archiveData = {
+      posts: transformedPosts.map(({ _id, id, title, slug, publishedAt, created_at, tags }) => ({ _id, id, title, slug, publishedAt, created_at, tags }))
+    };
+    if (manifest.isFresh(archiveFile, documentVersions(transformedPosts), archiveData)) {
+      manifest.restore(archiveFile);
+    } else {
+      const archiveHTML = generateHTML(generatePageTitle(null), generateOGMetaTags(null, `${baseUrl}/archive`), baseHTML);
+      manifest.write(archiveFile, insertAppHTML(archiveHTML, ssr.render('/archive', archiveData), archiveData, ssr), documentVersions(transformedPosts), archiveData);
+    }
+    
+    const blogrollFile = path.join('blogroll', 'index.html');
+    const blogrollData = { linkCards };
+    if (manifest.isFresh(blogrollFile, documentVersions(linkCards), blogrollData)) {
+      manifest.restore(blogrollFile);
+    } else {
+      const blogrollHTML = generateHTML(generatePageTitle(null), generateOGMetaTags(null, `${baseUrl}/blogroll`), baseHTML);
+      manifest.write(blogrollFile, insertAppHTML(blogrollHTML, ssr.render('/blogroll', blogrollData), blogrollData, ssr), documentVersions(linkCards), blogrollData);
+    }
+    console.log('✅ Generated archive and blogroll pages');
+    
+    // Pages of posts that were unpublished or deleted since the last build
+    const removedFiles = manifest.prune();
+    removedFiles.forEach(file => console.log(`🗑️ Removed ${file}`));
+    manifest.save();
+    console.log(`♻️ Rendered ${manifest.stats.built} pages, reused ${manifest.stats.restored} unchanged pages, removed ${removedFiles.length}`);
+    
+    // 5. Generate 404 page
     const notFoundTitle = generatePageTitle(notFoundPost);
     const notFoundMetaTags = generateOGMetaTags(notFoundPost, `${baseUrl}/404`);
     const notFoundHTML = generateHTML(notFoundTitle, notFoundMetaTags, baseHTML);
     writeFileWithDirs(path.join(distDir, '404.html'), notFoundHTML);
     console.log('✅ Generated 404 page');
     
-    console.log(`🎉 Pre-rendering complete! Generated ${postCount + 3} HTML files.`);
+    // 6. Generate search result pages - netlify.toml serves these for /?q= and /archive?q=
+    // so shared search links get a sensible title and are kept out of search engines
+    const searchTitle = `Search results | ${generatePageTitle(null)}`;
+    const searchPages = [
+      { route: '/', file: path.join(distDir, 'search.html') },
+      { route: '/archive', file: path.join(distDir, 'archive', 'search.html') }
+    ];
+    for (const { route, file } of searchPages) {
+      const searchMetaTags = generateOGMetaTags(null, `${baseUrl}${route}`) +
+        '\n    <meta name="robots" content="noindex, follow" />';
+      writeFileWithDirs(file, generateHTML(searchTitle, searchMetaTags, baseHTML));
+    }
+    console.log(`✅ Generated ${searchPages.length} search pages`);
+    
+    console.log(`🎉 Pre-rendering complete! Generated ${postCount + 5 + searchPages.length} HTML files.`);
     
   } catch (error) {
     console.error('❌ Pre-rendering failed:', error);
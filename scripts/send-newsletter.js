@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+/**
+ * Newsletter Send Script
+ *
+ * Emails a published post as a newsletter issue - as a test to addresses on the
+ * NEWSLETTER_TEST_RECIPIENTS allowlist, or to the confirmed subscribers in the Resend
+ * audience who get every post - or sends the last week's or month's digest to the
+ * subscribers who chose it. Audience sends are recorded as newsletterSend documents in
+ * Sanity, so a post or digest never goes out twice.
+ *
+ * Usage:
+ *   node scripts/send-newsletter.js <post-slug> --test [--to a@example.com,b@example.com]
+ *   node scripts/send-newsletter.js <post-slug> --audience [--dry-run] [--force] [--retry-failed]
+ *   node scripts/send-newsletter.js --digest weekly|monthly [--dry-run] [--force] [--retry-failed]
+ *
+ * Options:
+ *   --to <emails>          Test recipients (defaults to the whole allowlist)
+ *   --dry-run              Render and count recipients, without sending or recording anything
+ *   --force                Resend a post whose last send never finished
+ *   --retry-failed         Send a sent post or digest again, to just the subscribers it failed for
+ *   --provider fake        Send nothing; with --outbox <dir>, write each email there instead
+ *   --subscribers <file.json>  Take the audience from a local subscriber file ([{ "email" }])
+ *                          instead of Resend - the fake provider has nobody otherwise
+ *   --store <file.json>    Keep send records in a local file instead of Sanity
+ *   --preferences <file.json>  Read subscriber preferences from a local file instead of Sanity
+ *   --post-file <file>     Send a post from a JSON file (e.g. substack-import/) instead of Sanity
+ *
+ * Environment variables:
+ *   - RESEND_API_KEY, RESEND_AUDIENCE_ID, RESEND_FROM_EMAIL
+ *   - NEWSLETTER_TEST_RECIPIENTS (comma-separated allowlist for --test)
+ *   - SANITY_API_TOKEN (write token, to record audience sends and read preferences)
+ *   - CONFIRMATION_SECRET (signs each subscriber's unsubscribe link)
+ *   - NEWSLETTER_PROVIDER=fake (same as --provider fake)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createClient } from '@sanity/client';
+import dotenv from 'dotenv';
+import {
+  createLocalSendStore,
+  createSanitySendStore,
+  DIGEST_POSTS_QUERY,
+  getDigestPeriod,
+  NEWSLETTER_POST_QUERY,
+  parseEmailList,
+  sendDigest,
+  sendIssue
+} from '../src/utils/newsletter.js';
+import { getNewsletterProvider } from '../src/utils/newsletterProviders.js';
+import { createLocalPreferenceStore, createSanityPreferenceStore } from '../src/utils/subscriberPreferences.js';
+import { createLocalSubscriberRepository, getSubscriberRepository } from '../src/utils/subscribers.js';
+import { getConfirmationSecretError, getUnsubscribeUrl } from '../src/utils/subscriptionTokens.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+dotenv.config({ path: path.join(__dirname, '..', '.env.local') });
+
+// Sanity configuration
+const projectId = process.env.SANITY_PROJECT_ID || process.env.VITE_SANITY_PROJECT_ID || 'wxzoc64y';
+const dataset = process.env.SANITY_DATASET || process.env.VITE_SANITY_DATASET || 'production';
+const apiToken = process.env.SANITY_API_TOKEN;
+const apiVersion = process.env.SANITY_API_VERSION || '2024-01-01';
+
+const BASE_URL = process.env.URL || 'https://blog.brendanbockes.com';
+
+function getOption(args, name) {
+  const index = args.indexOf(name);
+  return index !== -1 ? args[index + 1] : null;
+}
+
+function readJSON(filePath) {
+  return JSON.parse(fs.readFileSync(path.resolve(filePath), 'utf8'));
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const slug = args[0] && !args[0].startsWith('--') ? args[0] : null;
+  const digest = getOption(args, '--digest');
+  const mode = digest ? 'digest' : (args.includes('--audience') ? 'audience' : (args.includes('--test') ? 'test' : null));
+  const postFile = getOption(args, '--post-file');
+
+  if ((!slug && !postFile && !digest) || !mode || (digest && !['weekly', 'monthly'].includes(digest))) {
+    console.error('Usage: node scripts/send-newsletter.js <post-slug> --test [--to emails] | --audience [--dry-run] [--force] [--retry-failed]');
+    console.error('       node scripts/send-newsletter.js --digest weekly|monthly [--dry-run] [--force] [--retry-failed]');
+    process.exit(1);
+  }
+
+  const dryRun = args.includes('--dry-run');
+
+  // Every email carries a signed unsubscribe link
+  const secretError = getConfirmationSecretError(process.env);
+  if (secretError) {
+    console.error(`❌ Error: ${secretError}`);
+    process.exit(1);
+  }
+  const providerName = getOption(args, '--provider') || process.env.NEWSLETTER_PROVIDER;
+  const storeFile = getOption(args, '--store');
+  const preferencesFile = getOption(args, '--preferences');
+  const subscribersFile = getOption(args, '--subscribers');
+
+  // Published documents only - with a token, a post's draft would otherwise be readable, and
+  // sends are recorded by the post's _id
+  const client = createClient({
+    projectId,
+    dataset,
+    token: apiToken,
+    apiVersion,
+    useCdn: false,
+    perspective: 'published',
+  });
+
+  try {
+    let post = null;
+    if (postFile) {
+      const data = readJSON(postFile);
+      post = { _id: `file-${data.slug || path.parse(postFile).name}`, ...data };
+    } else if (slug) {
+      post = await client.fetch(NEWSLETTER_POST_QUERY, { slug });
+    }
+
+    const provider = getNewsletterProvider({ ...process.env, NEWSLETTER_PROVIDER: providerName }, {
+      outboxDir: getOption(args, '--outbox')
+    });
+
+    let subscribers;
+    if (subscribersFile || provider.name === 'fake') {
+      subscribers = createLocalSubscriberRepository({ subscribers: subscribersFile ? readJSON(subscribersFile) : [] });
+    } else if (mode !== 'test') {
+      subscribers = getSubscriberRepository(process.env);
+    }
+
+    // Fake sends are trials - keep their records out of Sanity unless a file is given
+    let store;
+    if (storeFile || provider.name === 'fake') {
+      store = createLocalSendStore(storeFile ? path.resolve(storeFile) : null);
+    } else {
+      if (!apiToken && mode !== 'test' && !dryRun) {
+        console.error('❌ Error: SANITY_API_TOKEN is required to record audience sends');
+        process.exit(1);
+      }
+      store = createSanitySendStore(client);
+    }
+
+    // Same rule for preferences - without a token there's nothing to read them with
+    const preferences = preferencesFile || provider.name === 'fake' || !apiToken
+      ? createLocalPreferenceStore(preferencesFile ? path.resolve(preferencesFile) : null)
+      : createSanityPreferenceStore(client);
+
+    const allowlist = parseEmailList(process.env.NEWSLETTER_TEST_RECIPIENTS);
+    const to = getOption(args, '--to');
+
+    const shared = {
+      provider,
+      subscribers,
+      store,
+      preferences,
+      from: process.env.RESEND_FROM_EMAIL || (provider.name === 'fake' ? 'newsletter@example.com' : null),
+      baseUrl: BASE_URL,
+      unsubscribeUrlFor: email => getUnsubscribeUrl(email, BASE_URL, process.env),
+      dryRun,
+      force: args.includes('--force'),
+      retryFailed: args.includes('--retry-failed'),
+      log: message => console.log(`  ${message}`)
+    };
+
+    let result;
+    if (mode === 'digest') {
+      const period = getDigestPeriod(digest);
+      console.log(`📧 ${dryRun ? 'Dry run: ' : ''}${period.title} with ${provider.name}`);
+      result = await sendDigest({
+        ...shared,
+        period,
+        loadPosts: ({ start, end }) => client.fetch(DIGEST_POSTS_QUERY, { start, end })
+      });
+    } else {
+      console.log(`📧 ${dryRun ? 'Dry run: ' : ''}${mode === 'test' ? 'Test send' : 'Audience send'} of "${post?.title || slug}" with ${provider.name}`);
+      result = await sendIssue({
+        ...shared,
+        post,
+        mode,
+        testRecipients: to ? parseEmailList(to) : allowlist,
+        allowlist
+      });
+    }
+
+    result.failed.forEach(({ to: address, error }) => console.log(`  ❌ ${address}: ${error}`));
+    console.log(`\n📊 ${result.status}: ${result.sent} of ${result.recipients} sent`);
+    if (result.status === 'failed') {
+      process.exit(1);
+    }
+  } catch (error) {
+    console.error('❌ Send failed:', error.message);
+    process.exit(1);
+  }
+}
+
+main();
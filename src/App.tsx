@@ -2,6 +2,8 @@ import { useEffect, useLayoutEffect } from 'react';
 import { BrowserRouter, Routes, Route, Navigate, useLocation } from 'react-router-dom';
 import { BlogLayout } from './components/BlogLayout';
 import { ThemeProvider } from './contexts/ThemeContext';
+import { PrerenderDataProvider } from './contexts/PrerenderDataContext';
+import type { PrerenderData } from './lib/prerenderData';
 
 // Component to scroll to top on route change and disable scroll restoration
 function ScrollToTop() {
@@ -74,25 +76,37 @@ function ScrollToTop() {
   return null;
 }
 
-export function App() {
+// Routes shared by the browser (BrowserRouter) and prerendering (StaticRouter in entry-server.tsx)
+export function AppRoutes() {
   return (
-    <ThemeProvider>
-      <BrowserRouter>
-        <ScrollToTop />
-        <div className="w-full min-h-screen bg-gray-50 dark:bg-gray-900 overflow-x-hidden">
-          <Routes>
-            <Route path="/" element={<BlogLayout />} />
-            <Route path="/posts/:slug" element={<BlogLayout />} />
-            <Route path="/about" element={<BlogLayout />} />
-            <Route path="/about/" element={<BlogLayout />} />
-            <Route path="/archive" element={<BlogLayout />} />
-            <Route path="/blogroll" element={<BlogLayout />} />
-            <Route path="/blogroll/" element={<BlogLayout />} />
-            <Route path="/404" element={<BlogLayout />} />
-            <Route path="*" element={<Navigate to="/404" replace />} />
-          </Routes>
-        </div>
-      </BrowserRouter>
-    </ThemeProvider>
+    <>
+      <ScrollToTop />
+      <div className="w-full min-h-screen bg-gray-50 dark:bg-gray-900 overflow-x-hidden">
+        <Routes>
+          <Route path="/" element={<BlogLayout />} />
+          <Route path="/posts/:slug" element={<BlogLayout />} />
+          <Route path="/about" element={<BlogLayout />} />
+          <Route path="/about/" element={<BlogLayout />} />
+          <Route path="/archive" element={<BlogLayout />} />
+          <Route path="/tags/:tag" element={<BlogLayout />} />
+          <Route path="/blogroll" element={<BlogLayout />} />
+          <Route path="/blogroll/" element={<BlogLayout />} />
+          <Route path="/404" element={<BlogLayout />} />
+          <Route path="*" element={<Navigate to="/404" replace />} />
+        </Routes>
+      </div>
+    </>
+  );
+}
+
+export function App({ prerenderData = null }: { prerenderData?: PrerenderData | null }) {
+  return (
+    <PrerenderDataProvider data={prerenderData}>
+      <ThemeProvider>
+        <BrowserRouter>
+          <AppRoutes />
+        </BrowserRouter>
+      </ThemeProvider>
+    </PrerenderDataProvider>
   );
 }
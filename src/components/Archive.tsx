@@ -1,9 +1,14 @@
 import { useState, useMemo, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useNavigate } from 'react-router-dom';
-import { ChevronDown, ChevronRight, ArrowLeft } from 'lucide-react';
+import { ChevronDown, ChevronRight, ArrowLeft, Rss } from 'lucide-react';
 import { cachedFetch, POSTS_QUERY } from '../lib/sanityClient';
+import { fetchSearchIndex } from '../lib/searchIndexService';
 import { slugify, filterPostsBySearchQuery } from '../utils/slugify';
+import { getYearFeedPath, SITE_TITLE } from '../utils/feedUtils.js';
+import { useFeedDiscovery } from '../hooks/useFeedDiscovery';
+import { usePrerenderData } from '../contexts/PrerenderDataContext';
+import type { SearchIndex } from '../utils/searchIndex.js';
 
 interface Post {
   id: string;
@@ -32,11 +37,30 @@ interface ArchiveProps {
   searchQuery?: string;
 }
 
+// Every year and month with posts, as expandedYears and expandedMonths keys
+function getArchiveKeys(posts: Post[]) {
+  const years = new Set<number>();
+  const months = new Set<string>();
+  posts.forEach(post => {
+    const dateStr = post.publishedAt || post.created_at;
+    if (!dateStr) return;
+    const date = new Date(dateStr);
+    years.add(date.getFullYear());
+    months.add(`${date.getFullYear()}-${date.getMonth()}`);
+  });
+  return { years, months };
+}
+
 export function Archive({ searchQuery = '' }: ArchiveProps) {
-  const [posts, setPosts] = useState<Post[]>([]);
-  const [loading, setLoading] = useState(true);
-  const [expandedYears, setExpandedYears] = useState<Set<number>>(new Set());
-  const [expandedMonths, setExpandedMonths] = useState<Set<string>>(new Set());
+  // A prerendered /archive embeds the post list it was rendered with
+  const prerenderData = usePrerenderData();
+  const [posts, setPosts] = useState<Post[]>(() => prerenderData?.posts || []);
+  const [loading, setLoading] = useState(!prerenderData?.posts);
+  const [searchIndexData, setSearchIndexData] = useState<SearchIndex | null>(null);
+  // A prerendered archive starts fully expanded, so crawlers and readers without JavaScript get
+  // every post link - and hydration starts from the same state
+  const [expandedYears, setExpandedYears] = useState<Set<number>>(() => getArchiveKeys(prerenderData?.posts || []).years);
+  const [expandedMonths, setExpandedMonths] = useState<Set<string>>(() => getArchiveKeys(prerenderData?.posts || []).months);
   const navigate = useNavigate();
 
   // Fetch posts on mount
@@ -68,16 +92,27 @@ export function Archive({ searchQuery = '' }: ArchiveProps) {
     fetchPosts();
   }, []);
 
+  // Load the build-time search index the first time a search is made
+  useEffect(() => {
+    if (searchQuery.trim() && !searchIndexData) {
+      fetchSearchIndex().then(index => {
+        if (index) {
+          setSearchIndexData(index);
+        }
+      });
+    }
+  }, [searchQuery, searchIndexData]);
+
+  // Search results, most relevant first
+  const searchResults = useMemo(() => {
+    return searchQuery.trim() ? filterPostsBySearchQuery(posts, searchQuery, searchIndexData) as Post[] : [];
+  }, [posts, searchQuery, searchIndexData]);
+
   // Group posts by year and month
   const archiveData = useMemo(() => {
-    // Filter posts by search query first
-    const filteredPosts = searchQuery.trim() 
-      ? filterPostsBySearchQuery(posts, searchQuery)
-      : posts;
-    
     const yearMap = new Map<number, Map<number, Post[]>>();
     
-    filteredPosts.forEach(post => {
+    posts.forEach(post => {
       const dateStr = post.publishedAt || post.created_at;
       if (!dateStr) return;
       
@@ -122,7 +157,13 @@ export function Archive({ searchQuery = '' }: ArchiveProps) {
       .sort((a, b) => b.year - a.year); // Reverse chronological (newest year first)
     
     return yearData;
-  }, [posts, searchQuery]);
+  }, [posts]);
+
+  // Each year can be followed as a feed; while searching, BlogLayout advertises the search feed instead
+  useFeedDiscovery(searchQuery.trim() ? [] : archiveData.map(({ year }) => ({
+    title: `${SITE_TITLE}: posts from ${year}`,
+    href: getYearFeedPath(year)
+  })));
 
   const toggleYear = (year: number) => {
     setExpandedYears(prev => {
@@ -185,11 +226,38 @@ export function Archive({ searchQuery = '' }: ArchiveProps) {
         </p>
       </div>
 
-      {archiveData.length === 0 ? (
+      {searchQuery.trim() ? (
+        searchResults.length === 0 ? (
+          <div className="text-center text-gray-600 dark:text-gray-400 py-12">
+            {`No posts found for "${searchQuery}".`}
+          </div>
+        ) : (
+          /* Search results are listed by relevance rather than grouped by date */
+          <div className="space-y-1">
+            {searchResults.map((post) => {
+              const postSlug = typeof post.slug === 'object' ? post.slug.current : post.slug || slugify(post.title);
+              const dateStr = post.publishedAt || post.created_at;
+              
+              return (
+                <Link
+                  key={post.id}
+                  to={`/posts/${postSlug}`}
+                  className="flex items-baseline justify-between gap-4 py-2 px-3 text-gray-700 dark:text-gray-300 hover:text-[#6184ED] dark:hover:text-[#809FFF] hover:bg-gray-50 dark:hover:bg-gray-800 rounded-lg transition-colors"
+                >
+                  <span>{post.title}</span>
+                  {dateStr && (
+                    <span className="text-gray-500 dark:text-gray-400 text-sm flex-shrink-0">
+                      {new Date(dateStr).toLocaleDateString('en-US', { year: 'numeric', month: 'short' })}
+                    </span>
+                  )}
+                </Link>
+              );
+            })}
+          </div>
+        )
+      ) : archiveData.length === 0 ? (
         <div className="text-center text-gray-600 dark:text-gray-400 py-12">
-          {searchQuery.trim() 
-            ? `No posts found for "${searchQuery}".`
-            : 'No posts found in the archive.'}
+          No posts found in the archive.
         </div>
       ) : (
         <div className="space-y-1">
@@ -199,24 +267,34 @@ export function Archive({ searchQuery = '' }: ArchiveProps) {
             return (
               <div key={year} className="border-b border-gray-200 dark:border-gray-700 pb-2">
                 {/* Year Header */}
-                <button
-                  onClick={() => toggleYear(year)}
-                  className="w-full flex items-center justify-between py-3 px-2 hover:bg-gray-50 dark:hover:bg-gray-800 rounded-lg transition-colors text-left"
-                >
-                  <div className="flex items-center gap-2">
-                    {isYearExpanded ? (
-                      <ChevronDown className="w-5 h-5 text-gray-500 dark:text-gray-400" />
-                    ) : (
-                      <ChevronRight className="w-5 h-5 text-gray-500 dark:text-gray-400" />
-                    )}
-                    <span className="text-xl font-semibold text-[#6184ED] dark:text-[#809FFF]">
-                      {year}
-                    </span>
-                    <span className="text-gray-500 dark:text-gray-400 text-sm">
-                      ({count})
-                    </span>
-                  </div>
-                </button>
+                <div className="flex items-center gap-2">
+                  <button
+                    onClick={() => toggleYear(year)}
+                    className="flex-1 flex items-center justify-between py-3 px-2 hover:bg-gray-50 dark:hover:bg-gray-800 rounded-lg transition-colors text-left"
+                  >
+                    <div className="flex items-center gap-2">
+                      {isYearExpanded ? (
+                        <ChevronDown className="w-5 h-5 text-gray-500 dark:text-gray-400" />
+                      ) : (
+                        <ChevronRight className="w-5 h-5 text-gray-500 dark:text-gray-400" />
+                      )}
+                      <span className="text-xl font-semibold text-[#6184ED] dark:text-[#809FFF]">
+                        {year}
+                      </span>
+                      <span className="text-gray-500 dark:text-gray-400 text-sm">
+                        ({count})
+                      </span>
+                    </div>
+                  </button>
+                  <a
+                    href={getYearFeedPath(year)}
+                    className="p-2 text-gray-400 dark:text-gray-500 hover:text-[#6184ED] dark:hover:text-[#809FFF] transition-colors"
+                    title={`RSS feed for ${year}`}
+                    aria-label={`RSS feed for ${year}`}
+                  >
+                    <Rss className="w-4 h-4" />
+                  </a>
+                </div>
 
                 {/* Months */}
                 {isYearExpanded && (
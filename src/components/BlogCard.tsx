@@ -1,7 +1,7 @@
 import React from 'react';
 import { ClockIcon } from 'lucide-react';
-import { getCategoryColor } from '../utils/categoryColorUtils';
 import { ResponsiveImage } from './ResponsiveImage';
+import { TagChips } from './TagChips';
 
 export function BlogCard({
   post,
@@ -34,11 +34,7 @@ export function BlogCard({
             <ClockIcon className="w-4 h-4" />
             {formatReadTime(post.read_time || post.readTime)}
           </div>
-          {post.category && (
-            <span className={`px-2 py-1 rounded-full text-xs font-medium text-white ${getCategoryColor(post.category)}`}>
-              {post.category}
-            </span>
-          )}
+          <TagChips tags={post.tags} />
         </div>
       </div>
       <div className="p-4">
@@ -1,23 +1,35 @@
 import React, { useState, useEffect, useLayoutEffect, useMemo, useCallback, useRef } from 'react';
-import { useNavigate, useParams, useLocation } from 'react-router-dom';
+import { Link, useNavigate, useParams, useLocation, useSearchParams } from 'react-router-dom';
 import { BlogCard } from './BlogCard';
 import { BlogPost } from './BlogPost';
 import { LinkCard } from './LinkCard';
+import { BlogrollRiver } from './BlogrollRiver';
 import { CategorySidebar } from './CategorySidebar';
 import { MobileHeader } from './MobileHeader';
 import { DarkModeToggle } from './DarkModeToggle';
 import { NewsletterForm } from './NewsletterForm';
 import { SearchSubscribeToggle } from './SearchSubscribeToggle';
 import { Archive } from './Archive';
+import { TagChips, Tag } from './TagChips';
 import { fetchAboutPage, transformAboutPageToBlogPost } from '../lib/aboutPageService';
 import { notFoundPost } from '../data/staticData';
-import { LinkedinIcon, ArrowUp } from 'lucide-react';
-import { cachedFetch, POSTS_QUERY, LINK_CARDS_QUERY } from '../lib/sanityClient';
+import { LinkedinIcon, ArrowUp, Rss } from 'lucide-react';
+import { fetchSearchIndex } from '../lib/searchIndexService';
+import { fetchBlogrollFeeds } from '../lib/blogrollFeedService';
+import { BEST_OF_LIST_SLUG, type CuratedList, fetchCuratedList } from '../lib/curatedListService';
+import { cachedFetch, POSTS_QUERY, POST_CONTENT_QUERY, LINK_CARDS_QUERY } from '../lib/sanityClient';
 import { slugify, findPostBySlug, filterPostsBySearchQuery, extractFirstSentence, extractSentenceWithMatch } from '../utils/slugify';
 import { generateMetaDescription, generatePageTitle, DEFAULT_OG_IMAGE } from '../utils/seoUtils.js';
 import { getCategoryColor } from '../utils/categoryColorUtils';
 import { getCategoryDisplayName, getSchemaCategory } from '../utils/categoryMappingUtils';
 import { useWindowSize } from '../hooks/useWindowSize';
+import { useFeedDiscovery } from '../hooks/useFeedDiscovery';
+import { usePrerenderData } from '../contexts/PrerenderDataContext';
+import type { SearchIndex } from '../utils/searchIndex.js';
+import { parseSearchQuery, getHighlightTerms, hasSearchCriteria } from '../utils/searchQuery.js';
+import { getSearchFeedPath, SITE_TITLE } from '../utils/feedUtils.js';
+import { BLOGROLL_OPML_PATH } from '../utils/opml.js';
+import { buildRiver, BlogrollFeeds } from '../utils/blogrollFeeds.js';
 import { 
   generateOrganizationSchema, 
   generateWebSiteSchema, 
@@ -36,7 +48,7 @@ interface Post {
   created_at?: string;
   publishedAt?: string;
   slug: string;
-  category?: string;
+  tags?: Tag[] | null;
   subheader?: string;
   excerpt?: string;
   [key: string]: any;
@@ -48,11 +60,14 @@ interface LinkCard {
   hook: any[] | string;
   image: string;
   url: string;
+  feedUrl?: string | null;
 }
 
 interface Category {
   name: string;
   color: string;
+  slug: string;
+  description?: string | null;
 }
 
 // Helper function to set or update a meta tag
@@ -110,29 +125,38 @@ function getCanonicalUrl(): string {
 
 export function BlogLayout() {
   const navigate = useNavigate();
-  const { slug } = useParams();
+  const { slug, tag: tagSlug } = useParams();
   const location = useLocation();
+  const [searchParams] = useSearchParams();
   const { width } = useWindowSize();
+  // Set when hydrating a prerendered page - the first render must match its HTML
+  const prerenderData = usePrerenderData();
   
   // Determine initial post count based on screen size
   // Mobile (< 768px): 1 post, Desktop: 2 posts
   const isMobile = width < 768;
   const initialPostCount = isMobile ? 1 : 2;
   
-  const [posts, setPosts] = useState<Post[]>([]);
-  const [linkCards, setLinkCards] = useState<LinkCard[]>([]);
-  const [categories, setCategories] = useState<Category[]>([]);
-  const [loading, setLoading] = useState<boolean>(true);
-  const [linkLoading, setLinkLoading] = useState<boolean>(true);
+  const [posts, setPosts] = useState<Post[]>(() => prerenderData?.posts || []);
+  const [linkCards, setLinkCards] = useState<LinkCard[]>(() => prerenderData?.linkCards || []);
+  const [loading, setLoading] = useState<boolean>(!prerenderData?.posts);
+  const [linkLoading, setLinkLoading] = useState<boolean>(!prerenderData?.linkCards);
   const [error, setError] = useState<string | null>(null);
   const [linkError, setLinkError] = useState<string | null>(null);
-  const [selectedPost, setSelectedPost] = useState<Post | null>(null);
-  const [selectedCategory, setSelectedCategory] = useState<string>('All');
-  const [searchQuery, setSearchQuery] = useState<string>('');
+  const [selectedPost, setSelectedPost] = useState<Post | null>(() => {
+    if (!prerenderData) return null;
+    if (location.pathname === '/about' || location.pathname === '/about/') return prerenderData.aboutPage || null;
+    return slug && prerenderData.posts ? findPostBySlug(prerenderData.posts, slug) || null : null;
+  });
+  // Search lives in the URL (?q=) so it can be bookmarked, shared and restored on back/forward
+  const searchQuery = searchParams.get('q') || '';
+  const [searchIndexData, setSearchIndexData] = useState<SearchIndex | null>(null);
+  const [blogrollFeeds, setBlogrollFeeds] = useState<BlogrollFeeds | null>(null);
+  const [bestOfList, setBestOfList] = useState<CuratedList | null>(null);
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState<boolean>(false);
-  const [isLinkMode, setIsLinkMode] = useState<boolean>(false);
-  const [isSearchMode, setIsSearchMode] = useState<boolean>(false);
-  const [aboutPageData, setAboutPageData] = useState<Post | null>(null);
+  const [isLinkMode, setIsLinkMode] = useState<boolean>(() => location.pathname === '/blogroll' || location.pathname === '/blogroll/');
+  const [isSearchMode, setIsSearchMode] = useState<boolean>(() => searchQuery !== '');
+  const [aboutPageData, setAboutPageData] = useState<Post | null>(() => prerenderData?.aboutPage || null);
   const [aboutPageLoading, setAboutPageLoading] = useState<boolean>(false);
   const [visiblePostsCount, setVisiblePostsCount] = useState<number>(initialPostCount);
   const postsPerLoad = 5; // Load 5 more posts at a time
@@ -141,25 +165,30 @@ export function BlogLayout() {
   const scrollableContainerRef = useRef<HTMLDivElement>(null);
   const [showBackToTop, setShowBackToTop] = useState<boolean>(false);
 
-  // Function to get category color based on name
-  const getCategoryColor = (categoryName) => {
-    const colorMap = {
-      'All': 'bg-gray-800',
-      'Writing': 'bg-blue-500',
-      'Learning': 'bg-red-500',
-      'Planning': 'bg-green-500',
-      'Building': 'bg-pink-500',
-      'Creativity': 'bg-yellow-500',
-      'Growth': 'bg-purple-500',
-      'Focus': 'bg-orange-500',
-      'Communication': 'bg-indigo-500',
-      'Thinking': 'bg-teal-500',
-      'Shortcuts': 'bg-emerald-500'
-    };
-    return colorMap[categoryName] || 'bg-gray-500';
-  };
+  // Tags used by at least one published post, most used first
+  const categories = useMemo<Category[]>(() => {
+    const tagsBySlug = new Map<string, { tag: Tag; count: number }>();
+    posts.forEach(post => {
+      (post.tags || []).forEach(tag => {
+        if (!tag || !tag.slug || !tag.title) return;
+        const entry = tagsBySlug.get(tag.slug);
+        if (entry) {
+          entry.count += 1;
+        } else {
+          tagsBySlug.set(tag.slug, { tag, count: 1 });
+        }
+      });
+    });
+    return Array.from(tagsBySlug.values())
+      .sort((a, b) => b.count - a.count || a.tag.title.localeCompare(b.tag.title))
+      .map(({ tag }) => ({ name: tag.title, color: getCategoryColor(tag.title), slug: tag.slug, description: tag.description }));
+  }, [posts]);
+
+  // The selected tag comes from the /tags/:tag route
+  const selectedTag = tagSlug ? categories.find(category => category.slug === tagSlug) || null : null;
+  const selectedCategory = selectedTag ? selectedTag.name : 'All';
 
-  // Fetch blog posts and categories from Supabase
+  // Fetch blog posts from Sanity
   useEffect(() => {
     async function fetchData() {
       console.log('🔧 Sanity Config:', {
@@ -168,8 +197,6 @@ export function BlogLayout() {
         apiVersion: import.meta.env.VITE_SANITY_API_VERSION
       });
       
-      setLoading(true);
-      
       try {
         // Fetch posts from Sanity
         const postsData = await cachedFetch(POSTS_QUERY);
@@ -183,26 +210,31 @@ export function BlogLayout() {
           slug: post.slug?.current || slugify(post.title)
         }));
 
-        setPosts(transformedPosts);
-        
-        // Categories removed - set to empty array
-        setCategories([]);
+        // Keep bodies that are already loaded (a prerendered post page embeds its post's content)
+        setPosts(prev => {
+          const contentById = new Map(prev.filter(post => post.content !== undefined).map(post => [post._id, post.content]));
+          return transformedPosts.map((post: Post) => (
+            contentById.has(post._id) ? { ...post, content: contentById.get(post._id) } : post
+          ));
+        });
       } catch (err: any) {
         console.error('❌ Error fetching blog data:', err);
-        setError(err.message);
+        // A prerendered page still has the posts it was rendered with
+        if (!prerenderData?.posts) {
+          setError(err.message);
+        }
       } finally {
         setLoading(false);
       }
     }
 
     fetchData();
-  }, []);
+  }, [prerenderData]);
 
   // Fetch link cards and categories from Sanity
   useEffect(() => {
     async function fetchLinkData() {
       console.log('🔗 Fetching link cards...');
-      setLinkLoading(true);
       
       try {
         // Fetch link cards from Sanity with caching
@@ -210,14 +242,16 @@ export function BlogLayout() {
         setLinkCards(linkCardsData);
       } catch (err: any) {
         console.error('❌ Error fetching link data:', err);
-        setLinkError(err.message);
+        if (!prerenderData?.linkCards) {
+          setLinkError(err.message);
+        }
       } finally {
         setLinkLoading(false);
       }
     }
 
     fetchLinkData();
-  }, []);
+  }, [prerenderData]);
 
   // Handle URL-based post selection
   useEffect(() => {
@@ -262,7 +296,8 @@ export function BlogLayout() {
         console.log('✅ Found post, setting selectedPost:', post.title);
         // Reset visible posts count when navigating to a post
         setVisiblePostsCount(initialPostCount);
-        setSelectedPost(post);
+        // Keep the same object when only the post list was refreshed, so the page doesn't scroll back up
+        setSelectedPost(prev => (prev && prev.id === post.id && prev.content === post.content ? prev : post));
       } else {
         console.log('❌ Post not found, redirecting to home');
         // Post not found, redirect to home
@@ -270,6 +305,14 @@ export function BlogLayout() {
         setSelectedPost(null);
         setVisiblePostsCount(initialPostCount);
       }
+    } else if (tagSlug) {
+      console.log('🏷️ On tag page:', tagSlug);
+      setSelectedPost(null);
+      setVisiblePostsCount(initialPostCount);
+      // Unknown tag (or one with no published posts)
+      if (posts.length > 0 && !posts.some(post => post.tags?.some(tag => tag?.slug === tagSlug))) {
+        navigate('/404', { replace: true });
+      }
     } else if (location.pathname === '/' || location.pathname === '/super_productive/' || location.pathname === '/super_productive') {
       console.log('🏠 On home page, clearing selectedPost');
       setSelectedPost(null);
@@ -281,13 +324,11 @@ export function BlogLayout() {
     if (location.pathname === '/blogroll' || location.pathname === '/blogroll/') {
       setIsLinkMode(true);
       setSelectedPost(null);
-      setSelectedCategory('All');
-      setSearchQuery('');
     } else {
       // Turn off link mode when navigating away from blogroll
       setIsLinkMode(false);
     }
-  }, [slug, posts, navigate, location.pathname, isLinkMode]);
+  }, [slug, tagSlug, posts, navigate, location.pathname, isLinkMode]);
 
   // Debug selectedPost changes
   useEffect(() => {
@@ -361,7 +402,34 @@ export function BlogLayout() {
     });
   }, [location.pathname, selectedPost]);
 
-  // Filter posts by category and search query
+  // Load the build-time search index the first time a search is made
+  useEffect(() => {
+    if (searchQuery.trim() && !searchIndexData) {
+      fetchSearchIndex().then(index => {
+        if (index) {
+          setSearchIndexData(index);
+        }
+      });
+    }
+  }, [searchQuery, searchIndexData]);
+
+  // Load the blogroll's latest posts the first time the blogroll is shown
+  useEffect(() => {
+    if (isLinkMode && !blogrollFeeds) {
+      fetchBlogrollFeeds().then(feeds => {
+        if (feeds) {
+          setBlogrollFeeds(feeds);
+        }
+      });
+    }
+  }, [isLinkMode, blogrollFeeds]);
+
+  // The sidebar's "Best of the blog" list is edited in Sanity
+  useEffect(() => {
+    fetchCuratedList(BEST_OF_LIST_SLUG).then(setBestOfList);
+  }, []);
+
+  // Filter posts by tag and search query
   const filteredPosts = useMemo(() => {
     if (isLinkMode) {
       // Filter link cards - no category filtering, only search
@@ -395,26 +463,48 @@ export function BlogLayout() {
       return filtered;
     }
     
-    // Filter blog posts - category filtering removed
-    let filtered = posts;
+    // Filter blog posts by the selected tag
+    let filtered = tagSlug
+      ? posts.filter(post => post.tags?.some(tag => tag?.slug === tagSlug))
+      : posts;
     
     // Apply search filter if there's a search query
     if (searchQuery.trim()) {
-      filtered = filterPostsBySearchQuery(filtered, searchQuery);
+      filtered = filterPostsBySearchQuery(filtered, searchQuery, searchIndexData);
     }
     
     return filtered;
-  }, [posts, linkCards, selectedCategory, searchQuery, isLinkMode]);
+  }, [posts, linkCards, tagSlug, searchQuery, isLinkMode, searchIndexData]);
+
+  // Words and phrases to highlight in search results - not operators like after:2022
+  const parsedSearchQuery = useMemo(() => parseSearchQuery(searchQuery), [searchQuery]);
+  const highlightTerms = useMemo(() => getHighlightTerms(parsedSearchQuery), [parsedSearchQuery]);
+
+  // Searches can be followed as a feed, on the homepage and the archive alike
+  const searchFeedPath = !isLinkMode && hasSearchCriteria(parsedSearchQuery) ? getSearchFeedPath(searchQuery) : null;
+  useFeedDiscovery([
+    ...(searchFeedPath ? [{ title: `${SITE_TITLE}: "${searchQuery.trim()}"`, href: searchFeedPath }] : []),
+    // The blogroll can be imported into a feed reader in one go
+    ...(isLinkMode ? [{ title: `${SITE_TITLE}: blogroll`, href: BLOGROLL_OPML_PATH, type: 'text/x-opml' }] : [])
+  ]);
+
+  // The river of news (/blogroll?view=river) needs the feeds, so the prerendered card grid shows until they load
+  const isRiverView = isLinkMode && searchParams.get('view') === 'river' && blogrollFeeds !== null;
+  const riverEntries = useMemo(
+    () => (isRiverView ? buildRiver(blogrollFeeds?.blogs, filteredPosts as LinkCard[]) : []),
+    [isRiverView, blogrollFeeds, filteredPosts]
+  );
 
   // Reset visible posts count when filters change or when navigating to homepage
   useEffect(() => {
     // Reset when navigating back to homepage (selectedPost is cleared) or when filters change
     const isHomePage = location.pathname === '/' || location.pathname === '/super_productive/' || location.pathname === '/super_productive';
-    if (isHomePage && !selectedPost) {
-      // Only reset when we're actually on homepage showing all posts
+    const isTagPage = location.pathname.startsWith('/tags/');
+    if ((isHomePage || isTagPage) && !selectedPost) {
+      // Only reset when we're actually showing a list of posts
       setVisiblePostsCount(postsPerLoad);
     }
-  }, [selectedCategory, searchQuery, isLinkMode, location.pathname, postsPerLoad, selectedPost]);
+  }, [tagSlug, searchQuery, isLinkMode, location.pathname, postsPerLoad, selectedPost]);
 
   // Keep ref in sync with filteredPosts for infinite scroll
   useEffect(() => {
@@ -443,16 +533,45 @@ export function BlogLayout() {
     return (filteredPosts as Post[]).slice(0, visiblePostsCount);
   }, [filteredPosts, visiblePostsCount, isLinkMode]);
 
+  // Load post bodies on demand - POSTS_QUERY only carries titles and metadata
+  useEffect(() => {
+    const candidates = selectedPost ? [selectedPost, ...visiblePosts] : visiblePosts;
+    const missingIds = candidates
+      .filter(post => post._id && post.content === undefined)
+      .map(post => post._id);
+    if (missingIds.length === 0) return;
+
+    cachedFetch<{ _id: string; content: any[] }[]>(POST_CONTENT_QUERY, { ids: missingIds })
+      .then(contents => {
+        // Posts that came back without a row (deleted or unpublished since the list loaded) get
+        // an empty body, so they aren't requested again on every render
+        const contentById = new Map(contents.map(item => [item._id, item.content || []]));
+        missingIds.forEach(id => {
+          if (!contentById.has(id)) contentById.set(id, []);
+        });
+        setPosts(prev => {
+          if (!prev.some(post => contentById.has(post._id) && post.content === undefined)) return prev;
+          return prev.map(post => (
+            contentById.has(post._id) && post.content === undefined ? { ...post, content: contentById.get(post._id) } : post
+          ));
+        });
+      })
+      .catch(err => {
+        console.error('❌ Error fetching post content:', err);
+      });
+  }, [visiblePosts, selectedPost]);
+
   // Infinite scroll observer
   useEffect(() => {
     // Don't use infinite scroll for link mode or when showing a single post
     if (isLinkMode) return;
     
     const isHomePage = location.pathname === '/' || location.pathname === '/super_productive/' || location.pathname === '/super_productive';
+    const isTagPage = location.pathname.startsWith('/tags/');
     const isSinglePostPage = location.pathname.startsWith('/posts/') || location.pathname === '/about' || location.pathname === '/about/' || location.pathname === '/404';
     
-    // Only attach observer on homepage when showing list of posts (not single post)
-    if (!isHomePage || selectedPost || isSinglePostPage) {
+    // Only attach observer on homepage or a tag page when showing list of posts (not single post)
+    if (!(isHomePage || isTagPage) || selectedPost || isSinglePostPage) {
       console.log('⏸️ Skipping infinite scroll - isHomePage:', isHomePage, 'selectedPost:', !!selectedPost, 'isSinglePostPage:', isSinglePostPage);
       return;
     }
@@ -518,8 +637,7 @@ export function BlogLayout() {
     console.log('🔗 Navigating to slug:', postSlug);
     // Reset visible posts count to prevent infinite scroll from interfering
     setVisiblePostsCount(initialPostCount);
-    // Clear search query when navigating to a post (but keep search mode active)
-    setSearchQuery('');
+    // Navigating to the post drops ?q= (search mode stays active), and Back restores the results
     // Force scroll to top before navigation
     if (scrollableContainerRef.current) {
       scrollableContainerRef.current.scrollTop = 0;
@@ -542,20 +660,17 @@ export function BlogLayout() {
     navigate('/about');
   };
 
-  const handleCategorySelect = (category) => {
-    setSelectedCategory(category);
+  const handleCategorySelect = (category: string) => {
     setIsMobileMenuOpen(false);
     
-    // Navigate to home page when "All" is selected
-    if (category === 'All') {
-      // Scroll to top before navigation
-      if (scrollableContainerRef.current) {
-        scrollableContainerRef.current.scrollTop = 0;
-      }
-      navigate('/');
-      // Clear search query to show all posts
-      setSearchQuery('');
+    // Scroll to top before navigation
+    if (scrollableContainerRef.current) {
+      scrollableContainerRef.current.scrollTop = 0;
     }
+    
+    // "All" goes back to the home page; navigating also clears any search query
+    const tag = categories.find(c => c.name === category);
+    navigate(category === 'All' || !tag ? '/' : `/tags/${tag.slug}`);
   };
 
   const handleToggleMode = () => {
@@ -568,8 +683,7 @@ export function BlogLayout() {
       navigate('/blogroll');
       setIsLinkMode(true);
     }
-    setSelectedCategory('All'); // Reset category when switching modes
-    setSearchQuery(''); // Clear search when switching modes
+    // Navigation clears the selected tag and the search
     // Scroll to top when switching modes
     if (scrollableContainerRef.current) {
       scrollableContainerRef.current.scrollTop = 0;
@@ -594,16 +708,45 @@ export function BlogLayout() {
 
   const handleSearch = useCallback((query: string) => {
     console.log('Search called with query:', query);
-    setSearchQuery(query);
+    const isPostPage = location.pathname.startsWith('/posts/') || location.pathname === '/about' || location.pathname === '/about/';
     // Clear selected post when searching so results show in main content area
     if (query.trim()) {
       setSelectedPost(null);
-      // Navigate to home if on a post page
-      if (location.pathname.startsWith('/posts/') || location.pathname === '/about' || location.pathname === '/about/') {
-        navigate('/', { replace: true });
-      }
     }
-  }, [navigate, location.pathname]);
+    
+    // Searching from a post page shows results on the homepage
+    const pathname = query.trim() && isPostPage ? '/' : location.pathname;
+    const params = new URLSearchParams(location.search);
+    if (query) {
+      params.set('q', query);
+    } else {
+      params.delete('q');
+    }
+    const search = params.toString();
+    
+    // Starting or clearing a search adds a history entry; refining it as you type replaces it
+    navigate(
+      { pathname, search: search ? `?${search}` : '' },
+      { replace: isPostPage || (searchQuery !== '' && query !== '') }
+    );
+  }, [navigate, location.pathname, location.search, searchQuery]);
+
+  // Switch the search box into search mode when a ?q= URL is opened or restored by back/forward
+  useEffect(() => {
+    if (searchQuery && !isSearchMode) {
+      setIsSearchMode(true);
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [searchQuery]);
+
+  // Search result pages shouldn't be indexed
+  useEffect(() => {
+    if (searchQuery.trim()) {
+      setMetaTag('robots', 'noindex, follow', true);
+    } else {
+      removeMetaTag('robots', true);
+    }
+  }, [searchQuery]);
 
   const toggleMobileMenu = () => {
     setIsMobileMenuOpen(!isMobileMenuOpen);
@@ -631,6 +774,7 @@ export function BlogLayout() {
           isLinkMode={isLinkMode}
           onToggleLinkMode={handleToggleMode}
           posts={posts}
+          featuredList={bestOfList}
           onPostClick={handlePostClick}
           onLogoClick={handleLogoClick}
           linkCards={linkCards}
@@ -651,6 +795,7 @@ export function BlogLayout() {
               isMobile={true}
               onClose={toggleMobileMenu}
               posts={posts}
+              featuredList={bestOfList}
               onPostClick={handlePostClick}
               onLogoClick={handleLogoClick}
             />
@@ -822,11 +967,44 @@ export function BlogLayout() {
               <>
                 {isLinkMode ? (
                   <div className="w-full max-w-5xl mx-auto px-[14px] md:px-0 md:pl-[60px]">
-                    <div className={`grid gap-6 grid-cols-1 sm:grid-cols-2 lg:grid-cols-2 xl:grid-cols-2`} style={{ width: '100%' }}>
-                      {filteredPosts.map((linkCard: any) => (
-                        <LinkCard key={linkCard._id} linkCard={linkCard} />
-                      ))}
+                    <div className="flex flex-wrap items-center justify-between gap-3 mb-6 text-sm">
+                      <a
+                        href={BLOGROLL_OPML_PATH}
+                        className="inline-flex items-center gap-1.5 text-gray-600 dark:text-gray-400 hover:text-[#6184ED] dark:hover:text-[#809FFF] transition-colors"
+                      >
+                        <Rss className="w-4 h-4" />
+                        Follow the whole blogroll in your feed reader (OPML)
+                      </a>
+                      {blogrollFeeds && (
+                        <div className="inline-flex gap-3">
+                          {[{ label: 'Blogs', to: '/blogroll', active: !isRiverView }, { label: 'Latest posts', to: '/blogroll?view=river', active: isRiverView }].map(view => (
+                            <Link
+                              key={view.label}
+                              to={view.to}
+                              aria-current={view.active ? 'page' : undefined}
+                              className={view.active
+                                ? 'font-semibold text-gray-900 dark:text-white'
+                                : 'text-gray-600 dark:text-gray-400 hover:text-[#6184ED] dark:hover:text-[#809FFF] transition-colors'}
+                            >
+                              {view.label}
+                            </Link>
+                          ))}
+                        </div>
+                      )}
                     </div>
+                    {isRiverView ? (
+                      <BlogrollRiver entries={riverEntries} />
+                    ) : (
+                      <div className={`grid gap-6 grid-cols-1 sm:grid-cols-2 lg:grid-cols-2 xl:grid-cols-2`} style={{ width: '100%' }}>
+                        {filteredPosts.map((linkCard: any) => (
+                          <LinkCard
+                            key={linkCard._id}
+                            linkCard={linkCard}
+                            latestEntry={blogrollFeeds?.blogs[linkCard._id]?.entries[0]}
+                          />
+                        ))}
+                      </div>
+                    )}
                   </div>
                 ) : location.pathname === '/archive' ? (
                   <Archive searchQuery={searchQuery} />
@@ -840,20 +1018,31 @@ export function BlogLayout() {
                     ) : searchQuery.trim() ? (
                       /* Show search results with title and matching sentence */
                       <div className="w-full" style={{ maxWidth: '650px' }}>
+                        {searchFeedPath && filteredPosts.length > 0 && (
+                          <a
+                            href={searchFeedPath}
+                            className="inline-flex items-center gap-1.5 mb-6 text-sm text-gray-600 dark:text-gray-400 hover:text-[#6184ED] dark:hover:text-[#809FFF] transition-colors"
+                          >
+                            <Rss className="w-4 h-4" />
+                            Follow this search via RSS
+                          </a>
+                        )}
                         {visiblePosts.map((post: any) => {
                           const postSlug = post.slug?.current || post.slug || slugify(post.title);
-                          const matchingSentence = post.content 
-                            ? extractSentenceWithMatch(post.content, searchQuery.trim())
+                          const matchingSentence = post.content && highlightTerms.length > 0
+                            ? extractSentenceWithMatch(post.content, highlightTerms[0])
                             : (post.excerpt || post.subheader || '');
-                          const searchTerm = searchQuery.trim();
                           
-                          // Helper function to highlight search term in text
+                          // Helper function to highlight search terms in text
                           const highlightText = (text: string) => {
-                            if (!text || !searchTerm) return text;
-                            const regex = new RegExp(`(${searchTerm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi');
+                            if (!text || highlightTerms.length === 0) return text;
+                            const pattern = highlightTerms
+                              .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+                              .join('|');
+                            const regex = new RegExp(`(${pattern})`, 'gi');
                             const parts = text.split(regex);
                             return parts.map((part, index) => {
-                              if (part.toLowerCase() === searchTerm.toLowerCase()) {
+                              if (highlightTerms.some(term => part.toLowerCase() === term.toLowerCase())) {
                                 return (
                                   <mark key={index} className="bg-blue-200 dark:bg-blue-400 px-1 rounded">
                                     {part}
@@ -912,6 +1101,21 @@ export function BlogLayout() {
                       </div>
                     ) : (
                       <>
+                        {selectedTag && (
+                          <div className="mb-[36px] max-w-full md:max-w-[650px] flex items-center gap-3 flex-wrap">
+                            <h2 className="text-xl font-semibold text-gray-900 dark:text-white">Posts tagged</h2>
+                            <TagChips tags={[{ title: selectedTag.name, slug: selectedTag.slug }]} />
+                            <button
+                              onClick={() => handleCategorySelect('All')}
+                              className="text-sm text-gray-600 dark:text-gray-400 hover:text-[#6184ED] dark:hover:text-[#809FFF] transition-colors"
+                            >
+                              See all posts
+                            </button>
+                            {selectedTag.description && (
+                              <p className="w-full text-gray-600 dark:text-gray-400">{selectedTag.description}</p>
+                            )}
+                          </div>
+                        )}
                         {visiblePosts.map((post: any, index: number) => (
                           <div key={post.id} id={`post-${post.slug?.current || post.slug || post.id}`} className="mb-[36px]">
                             <BlogPost post={post} priority={index === 0} />
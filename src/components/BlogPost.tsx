@@ -1,9 +1,10 @@
 import React, { useRef } from 'react';
 import { Link, useLocation } from 'react-router-dom';
-import { PortableText } from '@portabletext/react';
+import { PortableText, type PortableTextBlock, type PortableTextComponents } from '@portabletext/react';
 import { CopyIcon, CheckIcon, TwitterIcon, LinkedinIcon, FacebookIcon, MailIcon, MessageCircleIcon, ArrowLeft } from 'lucide-react';
 import { NewsletterForm } from './NewsletterForm';
 import { ResponsiveImage } from './ResponsiveImage';
+import { TagChips } from './TagChips';
 import { useTheme } from '../contexts/ThemeContext';
 import { 
   generateBlogPostSchema,
@@ -13,6 +14,115 @@ import {
   insertMultipleStructuredData,
   getCurrentUrl 
 } from '../utils/schemaUtils';
+import { getImageUrl, isWebUrl } from '../utils/portableText';
+
+// Image or figure in post content - imported images only reference their asset, so its URL is
+// resolved here, and a figure's caption is shown under it
+interface PostImageValue {
+  alt?: string;
+  caption?: string;
+  asset?: { _ref?: string; url?: string };
+}
+
+function PostImage({ value, priority }: { value: PostImageValue; priority: boolean }) {
+  const image = (
+    <ResponsiveImage
+      src={getImageUrl(value)}
+      alt={value?.alt || ''}
+      className="w-full !max-w-none mx-[-10] md:mx-[-22] h-auto rounded-lg shadow-md mb-4 pt-[5px] pb-[10px]"
+      isModal={true}
+      priority={priority}
+    />
+  );
+  if (!value?.caption) return image;
+
+  return (
+    <figure className="mb-4">
+      {image}
+      <figcaption className="-mt-2 text-center text-sm text-gray-500 dark:text-gray-400">{value.caption}</figcaption>
+    </figure>
+  );
+}
+
+// Paragraphs inside pull quotes and footnotes
+const NESTED_BLOCK_COMPONENTS: PortableTextComponents = {
+  block: {
+    normal: ({children}) => <p className="mb-2 last:mb-0">{children}</p>,
+  },
+  marks: {
+    link: ({children, value}) => (
+      <a href={value?.href} className="text-[#6184ED] dark:text-[#809FFF] underline" target="_blank" rel="noopener noreferrer">
+        {children}
+      </a>
+    ),
+  },
+};
+
+function PullQuote({ value }: { value: { content?: PortableTextBlock[]; attribution?: string } }) {
+  return (
+    <figure className="my-8 border-l-4 border-[#6184ED] pl-6">
+      <blockquote className="text-xl md:text-2xl font-medium leading-snug text-gray-900 dark:text-white">
+        <PortableText value={value?.content || []} components={NESTED_BLOCK_COMPONENTS} />
+      </blockquote>
+      {value?.attribution && (
+        <figcaption className="mt-3 text-sm text-gray-500 dark:text-gray-400">— {value.attribution}</figcaption>
+      )}
+    </figure>
+  );
+}
+
+const YOUTUBE_VIDEO_ID = /(?:youtube(?:-nocookie)?\.com\/(?:embed\/|watch\?(?:.*&)?v=)|youtu\.be\/)([\w-]{11})/;
+
+// YouTube videos play in place; anything else (tweets, other pages) is a card linking to it, so
+// no third-party scripts are loaded
+function PostEmbed({ value }: { value: { url?: string; title?: string; text?: string } }) {
+  // Embed URLs come from imported markup - anything but a web link is left out
+  if (!isWebUrl(value?.url)) return null;
+
+  const videoId = YOUTUBE_VIDEO_ID.exec(value.url)?.[1];
+  if (videoId) {
+    return (
+      <div className="relative mb-6 aspect-video overflow-hidden rounded-lg shadow-md">
+        <iframe
+          src={`https://www.youtube-nocookie.com/embed/${videoId}`}
+          title={value.title || 'YouTube video'}
+          className="absolute inset-0 h-full w-full"
+          loading="lazy"
+          allow="accelerometer; encrypted-media; gyroscope; picture-in-picture"
+          allowFullScreen
+        />
+      </div>
+    );
+  }
+
+  const host = new URL(value.url).hostname.replace(/^www\./, '');
+  return (
+    <a
+      href={value.url}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="block mb-6 rounded-lg border border-gray-200 dark:border-gray-700 p-4 no-underline hover:border-[#6184ED] transition-colors"
+    >
+      {value.text && <p className="mb-2 text-gray-800 dark:text-gray-200 text-17px">{value.text}</p>}
+      <span className="text-sm text-gray-500 dark:text-gray-400">{value.title ? `${value.title} · ${host}` : host}</span>
+    </a>
+  );
+}
+
+// The text links to footnotes as #footnote-<number>; ids are prefixed with the post's id, since
+// the home page shows several posts
+function Footnote({ value, postId }: { value: { number?: string; content?: PortableTextBlock[] }; postId: string }) {
+  return (
+    <div id={`${postId}-footnote-${value?.number}`} className="flex gap-2 text-sm text-gray-600 dark:text-gray-400 mb-2 first-of-type:mt-8">
+      <a href={`#${postId}-footnote-anchor-${value?.number}`} className="text-[#6184ED] dark:text-[#809FFF] no-underline">
+        {value?.number}.
+      </a>
+      <div>
+        <PortableText value={value?.content || []} components={NESTED_BLOCK_COMPONENTS} />
+      </div>
+    </div>
+  );
+}
 
 // Copy button component for code blocks
 function CopyButton({ code, filename }: { code: string; filename?: string }) {
@@ -103,6 +213,11 @@ function InlineCodeBlock({ children }: { children: React.ReactNode }) {
   );
 }
 
+// Prerendering (src/entry-server.tsx) has no window - fall back to the production origin
+function getSiteOrigin(): string {
+  return typeof window !== 'undefined' ? window.location.origin : 'https://blog.brendanbockes.com';
+}
+
 // Helper function to fix internal links that should point to /posts/slug
 function fixInternalLink(href: string | undefined): string | undefined {
   if (!href) return href;
@@ -114,7 +229,7 @@ function fixInternalLink(href: string | undefined): string | undefined {
     // Check if it's a full URL
     if (href.includes('://')) {
       const url = new URL(href);
-      const currentOrigin = window.location.origin;
+      const currentOrigin = getSiteOrigin();
       
       // If it's the same domain and path looks like /slug (not /posts/slug)
       if (url.origin === currentOrigin) {
@@ -197,7 +312,7 @@ export function BlogPost({ post, priority = false }: BlogPostProps) {
   };
 
   const getPostUrl = () => {
-    const baseUrl = window.location.origin;
+    const baseUrl = getSiteOrigin();
     return `${baseUrl}/posts/${post.slug || post.id}`;
   };
 
@@ -239,6 +354,7 @@ export function BlogPost({ post, priority = false }: BlogPostProps) {
           {(post.subheader || post.excerpt) && post.id !== 'about' && (
             <p className="text-gray-600 dark:text-gray-400 text-lg">{post.subheader || post.excerpt}</p>
           )}
+          <TagChips tags={post.tags} className="mt-3" />
         </div>
       ) : (
         <div className="min-[900px]:hidden mb-[18px] max-w-full md:max-w-[650px]">
@@ -284,7 +400,7 @@ export function BlogPost({ post, priority = false }: BlogPostProps) {
             </div>
             <div className="markdown-content text-17px">
               <PortableText 
-                value={post.content}
+                value={post.content || []}
                 components={{
                   block: {
                     h1: ({children}) => <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-6 mt-8">{children}</h1>,
@@ -329,15 +445,7 @@ export function BlogPost({ post, priority = false }: BlogPostProps) {
                     number: ({children}) => <li className="text-gray-800 dark:text-gray-200 text-17px pl-2">{children}</li>,
                   },
                   types: {
-                    image: ({value}) => (
-                      <ResponsiveImage
-                        src={value?.asset?.url} 
-                        alt={value?.alt || ''} 
-                        className="w-full !max-w-none mx-[-10] md:mx-[-22] h-auto rounded-lg shadow-md mb-4 pt-[5px] pb-[10px]"
-                        isModal={true}
-                        priority={priority}
-                      />
-                    ),
+                    image: ({value}) => <PostImage value={value} priority={priority} />,
                     code: ({value}) => (
                       <div className="relative mb-6">
                         {value?.filename && (
@@ -410,7 +518,7 @@ export function BlogPost({ post, priority = false }: BlogPostProps) {
         <div className="prose prose-lg max-w-none dark:prose-invert max-w-full md:max-w-[650px] mr-0 md:mr-20">
         <div className="markdown-content text-17px">
           <PortableText 
-            value={post.content}
+            value={post.content || []}
             components={{
               block: {
                 h1: ({children}) => <h1 className="text-3xl font-bold text-gray-900 dark:text-white mb-6 mt-8">{children}</h1>,
@@ -428,6 +536,14 @@ export function BlogPost({ post, priority = false }: BlogPostProps) {
                 em: ({children}) => <em className="italic text-gray-800 dark:text-gray-200">{children}</em>,
                 code: ({children}) => <InlineCodeBlock>{children}</InlineCodeBlock>,
                 link: ({children, value}) => {
+                  if (value?.href?.startsWith('#footnote-')) {
+                    const number = value.href.slice('#footnote-'.length);
+                    return (
+                      <sup id={`${post.id}-footnote-anchor-${number}`}>
+                        <a href={`#${post.id}-footnote-${number}`} className="text-[#6184ED] dark:text-[#809FFF] no-underline">{children}</a>
+                      </sup>
+                    );
+                  }
                   const fixedHref = fixInternalLink(value?.href);
                   return (
                     <a 
@@ -455,15 +571,11 @@ export function BlogPost({ post, priority = false }: BlogPostProps) {
                   number: ({children}) => <li className="text-gray-800 dark:text-gray-200 text-17px pl-2">{children}</li>,
                 },
               types: {
-                image: ({value}) => (
-                  <ResponsiveImage
-                    src={value?.asset?.url} 
-                    alt={value?.alt || ''} 
-                    className="w-full !max-w-none mx-[-10] md:mx-[-22] h-auto rounded-lg shadow-md mb-4 pt-[5px] pb-[10px]"
-                    isModal={true}
-                    priority={priority}
-                  />
-                ),
+                image: ({value}) => <PostImage value={value} priority={priority} />,
+                figure: ({value}) => <PostImage value={value} priority={priority} />,
+                pullQuote: ({value}) => <PullQuote value={value} />,
+                embed: ({value}) => <PostEmbed value={value} />,
+                footnote: ({value}) => <Footnote value={value} postId={post.id} />,
                 code: ({value}) => (
                   <div className="relative mb-6">
                     {value?.filename && (
@@ -0,0 +1,42 @@
+import { ExternalLinkIcon } from 'lucide-react';
+import { formatTimeAgo, isWebUrl, RiverEntry } from '../utils/blogrollFeeds.js';
+
+interface BlogrollRiverProps {
+  entries: RiverEntry[];
+}
+
+// Every blogroll blog's recent posts in one list, newest first
+export function BlogrollRiver({ entries }: BlogrollRiverProps) {
+  if (entries.length === 0) {
+    return (
+      <p className="text-gray-600 dark:text-gray-400">
+        No recent posts from the blogroll yet.
+      </p>
+    );
+  }
+
+  return (
+    <ol className="w-full space-y-5" style={{ maxWidth: '650px' }}>
+      {entries.map(entry => (
+        <li key={`${entry.blogId}-${entry.url}`}>
+          <a
+            href={isWebUrl(entry.url) ? entry.url : entry.blogUrl}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="group inline-flex items-start gap-1.5 text-lg font-semibold text-gray-900 dark:text-white hover:text-[#6184ED] dark:hover:text-[#809FFF] transition-colors"
+          >
+            {entry.title}
+            <ExternalLinkIcon className="w-4 h-4 mt-1.5 flex-shrink-0 opacity-0 group-hover:opacity-100 transition-opacity" />
+          </a>
+          <div className="text-sm text-gray-600 dark:text-gray-400">
+            <a href={entry.blogUrl} target="_blank" rel="noopener noreferrer" className="hover:underline">
+              {entry.blogTitle}
+            </a>
+            {' · '}
+            <time dateTime={entry.publishedAt || undefined}>{formatTimeAgo(entry.publishedAt)}</time>
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+}
@@ -2,6 +2,8 @@ import { useEffect, useRef, useState } from 'react';
 import { XIcon, MoonIcon, SunIcon, Archive as ArchiveIcon } from 'lucide-react';
 import { useNavigate, useLocation } from 'react-router-dom';
 import { useTheme } from '../contexts/ThemeContext';
+import { getCategoryHoverClassOptimized, getCategorySelectedClass } from '../utils/categoryColorUtils';
+import { BEST_OF_FALLBACK, type CuratedList } from '../lib/curatedListService';
 
 interface Post {
   id: string;
@@ -19,7 +21,7 @@ interface LinkCard {
 }
 
 interface CategorySidebarProps {
-  categories: Array<{ name: string; color: string }>;
+  categories: Array<{ name: string; color: string; slug?: string }>;
   selectedCategory: string;
   onCategorySelect: (category: string) => void;
   onAboutClick: () => void;
@@ -28,6 +30,8 @@ interface CategorySidebarProps {
   isMobile?: boolean;
   onClose?: () => void;
   posts?: Post[];
+  // The "Best of the blog" list, edited in Sanity (BEST_OF_FALLBACK until there is one)
+  featuredList?: CuratedList | null;
   onPostClick?: (post: Post) => void;
   onLogoClick?: () => void;
   linkCards?: LinkCard[];
@@ -43,6 +47,7 @@ export function CategorySidebar({
   isMobile = false,
   onClose,
   posts = [],
+  featuredList = null,
   onPostClick,
   onLogoClick,
   linkCards = []
@@ -185,29 +190,24 @@ export function CategorySidebar({
           
           {/* Best of the blog section */}
           {posts.length > 0 && onPostClick && (() => {
-            // Define the posts to show
-            const favoritePostTitles = [
-              'Language is leverage',
-              'Mindful messaging',
-              'Ships in the night',
-              'Technical sophistication'
-            ];
-            
-            // Filter posts by title and exclude the ones to remove
-            const excludedTitles = ['Time and death', 'Service fatigue'];
-            const favoritePosts = favoritePostTitles
-              .map(title => posts.find(post => post.title === title))
-              .filter(post => post !== undefined && !excludedTitles.includes(post.title))
-              // Sort by publication date, newest first
-              .sort((a, b) => {
-                const dateA = new Date(a.publishedAt || a.created_at || 0).getTime();
-                const dateB = new Date(b.publishedAt || b.created_at || 0).getTime();
-                return dateB - dateA; // Descending order (newest first)
-              });
+            // In the list's order; posts that aren't published (or loaded yet) are left out.
+            // Without a list in Sanity, the fallback posts are shown newest first, as they always were
+            const favoritePosts = featuredList
+              ? featuredList.postIds
+                .map(id => posts.find(post => post._id === id || post.id === id))
+                .filter((post): post is Post => post !== undefined)
+              : BEST_OF_FALLBACK.postTitles
+                .map(title => posts.find(post => post.title === title))
+                .filter((post): post is Post => post !== undefined)
+                .sort((a, b) => {
+                  const dateA = new Date(a.publishedAt || a.created_at || 0).getTime();
+                  const dateB = new Date(b.publishedAt || b.created_at || 0).getTime();
+                  return dateB - dateA;
+                });
             
             return favoritePosts.length > 0 ? (
               <div className="mb-8" style={{ paddingTop: '10px' }}>
-                <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">Best of the blog</h2>
+                <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">{featuredList?.title || BEST_OF_FALLBACK.title}</h2>
                 <div className="space-y-3">
                   {favoritePosts.map((post) => {
                     return (
@@ -234,6 +234,33 @@ export function CategorySidebar({
             ) : null;
           })()}
           
+          {/* Tags section */}
+          {!isLinkMode && categories.length > 0 && (
+            <div className="mb-8" style={{ paddingTop: '10px' }}>
+              <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">Topics</h2>
+              <div className="flex flex-wrap gap-2">
+                {categories.map((category) => (
+                  <button
+                    key={category.slug || category.name}
+                    onClick={() => {
+                      onCategorySelect(selectedCategory === category.name ? 'All' : category.name);
+                      if (isMobile && onClose) {
+                        onClose();
+                      }
+                    }}
+                    className={`px-3 py-1 rounded-full text-sm font-medium transition-colors ${
+                      selectedCategory === category.name
+                        ? getCategorySelectedClass(category, isDarkMode)
+                        : `bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 ${getCategoryHoverClassOptimized(category.name)}`
+                    }`}
+                  >
+                    {category.name}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+          
           {/* Work with Brendan section */}
           <div className="mb-8">
             <h2 className="text-xl font-semibold text-gray-900 dark:text-white mb-4">Work with Brendan</h2>
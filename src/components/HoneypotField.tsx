@@ -0,0 +1,16 @@
+import { HONEYPOT_FIELD } from '../utils/subscribeForm.js';
+
+/**
+ * Hidden field for the subscribe forms. People can't see or tab to it; bots that fill in
+ * every input do, and the subscribe function quietly ignores their request.
+ */
+export function HoneypotField() {
+  return (
+    <div aria-hidden="true" className="absolute -left-[10000px] w-px h-px overflow-hidden">
+      <label>
+        Leave this field empty
+        <input type="text" name={HONEYPOT_FIELD} tabIndex={-1} autoComplete="off" defaultValue="" />
+      </label>
+    </div>
+  );
+}
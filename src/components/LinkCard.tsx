@@ -2,6 +2,7 @@ import React from 'react';
 import { PortableText } from '@portabletext/react';
 import { ExternalLinkIcon } from 'lucide-react';
 import { ResponsiveImage } from './ResponsiveImage';
+import { formatTimeAgo, isWebUrl, BlogrollEntry } from '../utils/blogrollFeeds.js';
 
 interface LinkCardProps {
   linkCard: {
@@ -10,10 +11,13 @@ interface LinkCardProps {
     hook: any[] | string;
     image: string;
     url: string;
+    feedUrl?: string | null;
   };
+  // The blog's most recent post, from scripts/fetch-blogroll-feeds.js
+  latestEntry?: BlogrollEntry | null;
 }
 
-export function LinkCard({ linkCard }: LinkCardProps) {
+export function LinkCard({ linkCard, latestEntry }: LinkCardProps) {
   const handleClick = () => {
     window.open(linkCard.url, '_blank', 'noopener,noreferrer');
   };
@@ -63,6 +67,22 @@ export function LinkCard({ linkCard }: LinkCardProps) {
           <ExternalLinkIcon className="w-4 h-4 text-white" />
         </div>
       </div>
+
+      {latestEntry && isWebUrl(latestEntry.url) && (
+        <div className="px-4 py-3 text-sm text-gray-300 truncate">
+          Latest post:{' '}
+          <a
+            href={latestEntry.url}
+            target="_blank"
+            rel="noopener noreferrer"
+            onClick={(event) => event.stopPropagation()}
+            className="text-white hover:text-[#809FFF] transition-colors"
+          >
+            {latestEntry.title}
+          </a>
+          {latestEntry.publishedAt && `, ${formatTimeAgo(latestEntry.publishedAt)}`}
+        </div>
+      )}
     </div>
   );
 }
\ No newline at end of file
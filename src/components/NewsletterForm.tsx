@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useNewsletter } from '../hooks/useNewsletter';
+import { HoneypotField } from './HoneypotField';
+import { getHoneypotValue } from '../utils/subscribeForm.js';
 import { CheckIcon, LoaderIcon } from 'lucide-react';
 
 interface NewsletterFormProps {
@@ -31,9 +33,9 @@ export function NewsletterForm({
     }
   }, [isSuccess, reset]);
 
-  const handleSubmit = async (e: React.FormEvent) => {
+  const handleSubmit = async (e: React.FormEvent<HTMLFormElement>) => {
     e.preventDefault();
-    await subscribe(email);
+    await subscribe(email, { honeypot: getHoneypotValue(e.currentTarget) });
   };
 
   if (isSuccess) {
@@ -47,7 +49,8 @@ export function NewsletterForm({
 
   return (
     <div className={className}>
-      <form onSubmit={handleSubmit}>
+      <form onSubmit={handleSubmit} className="relative">
+        <HoneypotField />
         <div className="flex flex-col md:flex-row items-stretch md:items-center gap-3">
           <div className="flex-1">
             <input
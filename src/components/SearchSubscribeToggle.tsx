@@ -1,8 +1,13 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useNewsletter } from '../hooks/useNewsletter';
 import { useWindowSize } from '../hooks/useWindowSize';
+import { HoneypotField } from './HoneypotField';
+import { getHoneypotValue } from '../utils/subscribeForm.js';
 import { CheckIcon, LoaderIcon, ArrowLeftRight } from 'lucide-react';
 
+// Shown as a tooltip on the search input - the syntax is parsed in utils/searchQuery.js
+const SEARCH_SYNTAX_HINT = 'Try "exact phrase", -exclude, title:word, after:2022 or before:2023-01';
+
 interface SearchSubscribeToggleProps {
   placeholder?: string;
   buttonText?: string;
@@ -27,23 +32,23 @@ export function SearchSubscribeToggle({
   onToggleMode: externalOnToggleMode
 }: SearchSubscribeToggleProps) {
   const [internalIsSearchMode, setInternalIsSearchMode] = useState(false);
-  const [inputValue, setInputValue] = useState('');
+  // Start from the current search (e.g. restored from ?q=) when mounted in search mode
+  const [inputValue, setInputValue] = useState(() => (externalIsSearchMode ? searchQuery : ''));
   const { isLoading, isSuccess, error, subscribe, reset } = useNewsletter();
   const { width } = useWindowSize();
   const inputRef = useRef<HTMLInputElement>(null);
-  const lastSearchQueryRef = useRef<string>('');
+  const lastSearchQueryRef = useRef<string>(searchQuery);
   
   // Use external control if provided, otherwise use internal state
   const isSearchMode = externalIsSearchMode !== undefined ? externalIsSearchMode : internalIsSearchMode;
   const setIsSearchMode = externalOnToggleMode ? () => externalOnToggleMode() : setInternalIsSearchMode;
 
   // Sync input value with external searchQuery when in search mode
-  // This allows external components (like logo click) to clear the search
+  // This allows external changes (logo click, back/forward navigation) to update the input
   useEffect(() => {
-    if (isSearchMode && searchQuery === '' && lastSearchQueryRef.current !== '') {
-      // searchQuery was cleared externally (e.g., logo click)
-      // Clear the input to match
-      setInputValue('');
+    if (isSearchMode && searchQuery !== lastSearchQueryRef.current) {
+      // Typing already put this value in the input, so only external changes take effect
+      setInputValue(current => (current === searchQuery ? current : searchQuery));
     }
     lastSearchQueryRef.current = searchQuery;
   }, [searchQuery, isSearchMode]);
@@ -69,13 +74,13 @@ export function SearchSubscribeToggle({
     }
   }, [isSearchMode]);
 
-  const handleSubmit = async (e: React.FormEvent) => {
+  const handleSubmit = async (e: React.FormEvent<HTMLFormElement>) => {
     e.preventDefault();
     console.log('Form submitted, isSearchMode:', isSearchMode, 'inputValue:', inputValue);
     
     if (!isSearchMode) {
       // Handle newsletter subscription
-      await subscribe(inputValue);
+      await subscribe(inputValue, { honeypot: getHoneypotValue(e.currentTarget) });
     }
   };
 
@@ -130,7 +135,8 @@ export function SearchSubscribeToggle({
 
   return (
     <div className={className}>
-      <form onSubmit={handleSubmit}>
+      <form onSubmit={handleSubmit} className="relative">
+        {!isSearchMode && <HoneypotField />}
         <div className="flex items-center gap-3">
           <div className="flex-1">
             <input
@@ -139,6 +145,7 @@ export function SearchSubscribeToggle({
               value={inputValue}
               onChange={handleInputChange}
               placeholder={currentPlaceholder}
+              title={isSearchMode ? SEARCH_SYNTAX_HINT : undefined}
               disabled={isLoading}
               className={`w-full px-4 py-2 border border-gray-200 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent bg-white dark:bg-gray-700 text-gray-900 dark:text-white placeholder-gray-600 dark:placeholder-gray-400 disabled:opacity-50 disabled:cursor-not-allowed ${inputClassName}`}
               required={!isSearchMode}
@@ -0,0 +1,37 @@
+import { Link } from 'react-router-dom';
+import { getCategoryColor } from '../utils/categoryColorUtils';
+
+export interface Tag {
+  _id?: string;
+  title: string;
+  slug: string;
+  description?: string | null;
+}
+
+interface TagChipsProps {
+  tags?: Tag[] | null;
+  className?: string;
+}
+
+// Coloured tag chips linking to each tag's page
+export function TagChips({ tags, className = '' }: TagChipsProps) {
+  // Dangling references (deleted tags) come back from GROQ as null
+  const validTags = (tags || []).filter(tag => tag && tag.slug && tag.title);
+  if (validTags.length === 0) return null;
+
+  return (
+    <div className={`flex flex-wrap gap-2 ${className}`}>
+      {validTags.map(tag => (
+        <Link
+          key={tag._id || tag.slug}
+          to={`/tags/${tag.slug}`}
+          // Cards are clickable as a whole - don't open the post as well
+          onClick={(e) => e.stopPropagation()}
+          className={`px-2 py-1 rounded-full text-xs font-medium text-white hover:opacity-80 transition-opacity ${getCategoryColor(tag.title)}`}
+        >
+          {tag.title}
+        </Link>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,17 @@
+import React, { createContext, useContext } from 'react';
+import type { PrerenderData } from '../lib/prerenderData';
+
+const PrerenderDataContext = createContext<PrerenderData | null>(null);
+
+export function PrerenderDataProvider({ data, children }: { data: PrerenderData | null; children: React.ReactNode }) {
+  return (
+    <PrerenderDataContext.Provider value={data}>
+      {children}
+    </PrerenderDataContext.Provider>
+  );
+}
+
+// Null when the page is only rendered on the client
+export function usePrerenderData() {
+  return useContext(PrerenderDataContext);
+}
@@ -1,4 +1,5 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
+import { usePrerenderData } from './PrerenderDataContext';
 
 interface ThemeContextType {
   isDarkMode: boolean;
@@ -7,11 +8,25 @@ interface ThemeContextType {
 
 const ThemeContext = createContext<ThemeContextType | undefined>(undefined);
 
+function readSavedDarkMode(): boolean {
+  const saved = localStorage.getItem('darkMode');
+  return saved ? JSON.parse(saved) : true;
+}
+
 export function ThemeProvider({ children }: { children: React.ReactNode }) {
-  const [isDarkMode, setIsDarkMode] = useState(() => {
-    const saved = localStorage.getItem('darkMode');
-    return saved ? JSON.parse(saved) : true;
-  });
+  const prerenderData = usePrerenderData();
+  // Prerendered pages are rendered in dark mode (the default), so hydrate in dark mode too
+  const [isDarkMode, setIsDarkMode] = useState(() => (
+    prerenderData || typeof window === 'undefined' ? true : readSavedDarkMode()
+  ));
+
+  // Then switch to the saved choice - before the effect below saves the current one
+  useEffect(() => {
+    if (prerenderData) {
+      setIsDarkMode(readSavedDarkMode());
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, []);
 
   useEffect(() => {
     localStorage.setItem('darkMode', JSON.stringify(isDarkMode));
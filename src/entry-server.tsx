@@ -0,0 +1,37 @@
+/**
+ * Server entry used by scripts/prerender.js to render pages to static HTML
+ * Built with `vite build --ssr src/entry-server.tsx --outDir dist-ssr` so the script can
+ * use the app's components and GROQ queries without a TypeScript toolchain of its own.
+ */
+
+import React from 'react';
+import { renderToString } from 'react-dom/server';
+import { StaticRouter } from 'react-router-dom/server';
+import { AppRoutes } from './App';
+import { ThemeProvider } from './contexts/ThemeContext';
+import { PrerenderDataProvider } from './contexts/PrerenderDataContext';
+import type { PrerenderData } from './lib/prerenderData';
+
+export { POSTS_QUERY, POST_CONTENT_QUERY, LINK_CARDS_QUERY, ABOUT_PAGE_QUERY } from './lib/sanityClient';
+export { transformAboutPageToBlogPost } from './lib/aboutPageService';
+export { PRERENDER_DATA_ELEMENT_ID, serializePrerenderData } from './lib/prerenderData';
+
+/**
+ * Render a route to HTML for the contents of <div id="root">
+ * @param url - Path of the page, e.g. /posts/my-post
+ * @param data - Data to render with; the page must embed the same data for hydration
+ * @returns HTML string
+ */
+export function render(url: string, data: PrerenderData): string {
+  return renderToString(
+    <React.StrictMode>
+      <PrerenderDataProvider data={data}>
+        <ThemeProvider>
+          <StaticRouter location={url}>
+            <AppRoutes />
+          </StaticRouter>
+        </ThemeProvider>
+      </PrerenderDataProvider>
+    </React.StrictMode>
+  );
+}
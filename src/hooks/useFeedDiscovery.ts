@@ -0,0 +1,34 @@
+import { useEffect } from 'react';
+
+export interface DiscoverableFeed {
+  title: string;
+  href: string;
+  // Defaults to RSS; OPML subscription lists use text/x-opml
+  type?: string;
+}
+
+/**
+ * Advertise feeds for the current view with <link rel="alternate"> tags in <head>,
+ * so feed readers and browser extensions can find them. The site-wide feed is
+ * already linked from index.html; these are removed again when the view changes.
+ */
+export function useFeedDiscovery(feeds: DiscoverableFeed[]) {
+  // Feeds are usually built inline, so compare by content rather than identity
+  const feedsKey = JSON.stringify(feeds);
+
+  useEffect(() => {
+    const links = (JSON.parse(feedsKey) as DiscoverableFeed[]).map(feed => {
+      const link = document.createElement('link');
+      link.rel = 'alternate';
+      link.type = feed.type || 'application/rss+xml';
+      link.title = feed.title;
+      link.href = feed.href;
+      document.head.appendChild(link);
+      return link;
+    });
+
+    return () => {
+      links.forEach(link => link.remove());
+    };
+  }, [feedsKey]);
+}
@@ -1,28 +1,46 @@
 import { useState } from 'react';
+import { getSubscribeErrorMessage, HONEYPOT_FIELD, SUBSCRIBE_ERROR_CODES, type SubscribeErrorCode } from '../utils/subscribeForm.js';
+
+interface SubscribeOptions {
+  // Value of the form's hidden honeypot field - only bots fill it in
+  honeypot?: string;
+}
 
 interface UseNewsletterReturn {
   isLoading: boolean;
   isSuccess: boolean;
   error: string | null;
-  subscribe: (email: string) => Promise<void>;
+  errorCode: SubscribeErrorCode | null;
+  subscribe: (email: string, options?: SubscribeOptions) => Promise<void>;
   reset: () => void;
 }
 
+class SubscribeError extends Error {
+  code: SubscribeErrorCode;
+
+  constructor(code: SubscribeErrorCode, message?: string) {
+    super(getSubscribeErrorMessage(code, message));
+    this.code = code;
+  }
+}
+
 export function useNewsletter(): UseNewsletterReturn {
   const [isLoading, setIsLoading] = useState(false);
   const [isSuccess, setIsSuccess] = useState(false);
   const [error, setError] = useState<string | null>(null);
+  const [errorCode, setErrorCode] = useState<SubscribeErrorCode | null>(null);
 
-  const subscribe = async (email: string) => {
+  const subscribe = async (email: string, options: SubscribeOptions = {}) => {
     setIsLoading(true);
     setError(null);
+    setErrorCode(null);
     setIsSuccess(false);
 
     try {
       // More permissive email validation
       const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
       if (!email || !emailRegex.test(email)) {
-        throw new Error('Please enter a valid email address');
+        throw new SubscribeError(SUBSCRIBE_ERROR_CODES.INVALID_EMAIL);
       }
 
       // Make request to our secure Netlify function
@@ -33,13 +51,16 @@ export function useNewsletter(): UseNewsletterReturn {
         },
         body: JSON.stringify({
           email: email.trim(), // Trim whitespace from email
+          source: window.location.pathname, // Page they subscribed from, kept in their history
+          [HONEYPOT_FIELD]: options.honeypot || '',
         }),
       });
 
       const result = await response.json();
 
       if (!response.ok) {
-        throw new Error(result.error || 'Failed to subscribe to newsletter');
+        // The function says why with a code; show our message for it
+        throw new SubscribeError(result.code || SUBSCRIBE_ERROR_CODES.SERVER_ERROR, result.error || 'Failed to subscribe to newsletter');
       }
 
       if (result.success) {
@@ -51,6 +72,7 @@ export function useNewsletter(): UseNewsletterReturn {
     } catch (err) {
       console.error('Newsletter subscription error:', err);
       setError(err instanceof Error ? err.message : 'An unknown error occurred');
+      setErrorCode(err instanceof SubscribeError ? err.code : SUBSCRIBE_ERROR_CODES.SERVER_ERROR);
     } finally {
       setIsLoading(false);
     }
@@ -58,6 +80,7 @@ export function useNewsletter(): UseNewsletterReturn {
 
   const reset = () => {
     setError(null);
+    setErrorCode(null);
     setIsSuccess(false);
   };
 
@@ -65,6 +88,7 @@ export function useNewsletter(): UseNewsletterReturn {
     isLoading,
     isSuccess,
     error,
+    errorCode,
     subscribe,
     reset,
   };
@@ -1,15 +1,22 @@
 import { useState, useEffect } from 'react';
+import { usePrerenderData } from '../contexts/PrerenderDataContext';
 
 interface WindowSize {
   width: number;
   height: number;
 }
 
+// Size assumed when prerendering, and by the first render of a prerendered page, so hydration
+// lays the page out the same as the static HTML; the real size follows right after
+const PRERENDER_WINDOW_SIZE: WindowSize = { width: 1024, height: 768 };
+
 export function useWindowSize(): WindowSize {
-  const [windowSize, setWindowSize] = useState<WindowSize>({
-    width: typeof window !== 'undefined' ? window.innerWidth : 0,
-    height: typeof window !== 'undefined' ? window.innerHeight : 0,
-  });
+  const prerendered = usePrerenderData() !== null;
+  const [windowSize, setWindowSize] = useState<WindowSize>(() => (
+    prerendered || typeof window === 'undefined'
+      ? PRERENDER_WINDOW_SIZE
+      : { width: window.innerWidth, height: window.innerHeight }
+  ));
 
   useEffect(() => {
     function handleResize() {
@@ -28,4 +35,4 @@ export function useWindowSize(): WindowSize {
   }, []);
 
   return windowSize;
-}
\ No newline at end of file
+}
@@ -2,9 +2,19 @@ import './index.css';
 import React from "react";
 import ReactDOM from "react-dom/client";
 import { App } from "./App";
+import { readPrerenderData } from "./lib/prerenderData";
 
-ReactDOM.createRoot(document.getElementById("root")!).render(
+const rootElement = document.getElementById("root")!;
+const prerenderData = readPrerenderData();
+const app = (
   <React.StrictMode>
-    <App />
+    <App prerenderData={prerenderData} />
   </React.StrictMode>
-);
\ No newline at end of file
+);
+
+// Prerendered pages (scripts/prerender.js) already contain the markup - hydrate on top of it
+if (prerenderData && rootElement.hasChildNodes()) {
+  ReactDOM.hydrateRoot(rootElement, app);
+} else {
+  ReactDOM.createRoot(rootElement).render(app);
+}
@@ -0,0 +1,34 @@
+import { BLOGROLL_FEEDS_PATH, BLOGROLL_FEEDS_VERSION, BlogrollFeeds } from '../utils/blogrollFeeds.js';
+
+// Generated at build time by scripts/fetch-blogroll-feeds.js
+let blogrollFeedsPromise: Promise<BlogrollFeeds | null> | null = null;
+
+export function fetchBlogrollFeeds(): Promise<BlogrollFeeds | null> {
+  if (!blogrollFeedsPromise) {
+    blogrollFeedsPromise = loadBlogrollFeeds();
+  }
+  return blogrollFeedsPromise;
+}
+
+async function loadBlogrollFeeds(): Promise<BlogrollFeeds | null> {
+  try {
+    const response = await fetch(BLOGROLL_FEEDS_PATH);
+
+    // In local dev the artifact isn't built, and the SPA fallback serves index.html
+    if (!response.ok || !response.headers.get('content-type')?.includes('json')) {
+      console.warn('Blogroll feeds not available, showing the blogroll without latest posts');
+      return null;
+    }
+
+    const feeds = await response.json() as BlogrollFeeds;
+    if (feeds.version !== BLOGROLL_FEEDS_VERSION) {
+      console.warn(`Blogroll feeds version ${feeds.version} does not match ${BLOGROLL_FEEDS_VERSION}, ignoring them`);
+      return null;
+    }
+
+    return feeds;
+  } catch (error) {
+    console.error('Error fetching blogroll feeds:', error);
+    return null;
+  }
+}
@@ -0,0 +1,33 @@
+import { cachedFetch, CURATED_LIST_QUERY } from './sanityClient';
+
+// The list shown as "Best of the blog" in the sidebar
+export const BEST_OF_LIST_SLUG = 'best-of-the-blog';
+
+// What the sidebar shows until a best-of-the-blog list is created in the Studio - the posts
+// it always listed, matched by title
+export const BEST_OF_FALLBACK = {
+  title: 'Best of the blog',
+  postTitles: ['Language is leverage', 'Mindful messaging', 'Ships in the night', 'Technical sophistication']
+};
+
+export interface CuratedList {
+  title: string;
+  // In the list's order - match them against the loaded posts by _id
+  postIds: string[];
+}
+
+export async function fetchCuratedList(slug: string): Promise<CuratedList | null> {
+  try {
+    const list = await cachedFetch<CuratedList | null>(CURATED_LIST_QUERY, { slug });
+
+    if (!list) {
+      console.warn(`No curated list "${slug}" found in Sanity`);
+      return null;
+    }
+
+    return { title: list.title, postIds: list.postIds || [] };
+  } catch (error) {
+    console.error(`Error fetching curated list "${slug}":`, error);
+    return null;
+  }
+}
@@ -0,0 +1,29 @@
+// Data a prerendered page was rendered with. scripts/prerender.js embeds it in the page as JSON,
+// and the first client render uses the same data so hydration matches the static HTML.
+export interface PrerenderData {
+  // Posts in the shape BlogLayout keeps them (post pages carry the one post, with content)
+  posts?: any[];
+  linkCards?: any[];
+  // The about page, already transformed with transformAboutPageToBlogPost
+  aboutPage?: any;
+}
+
+export const PRERENDER_DATA_ELEMENT_ID = 'prerender-data';
+
+// Serialize for a <script type="application/json"> tag - escape < so post text can't close the tag
+export function serializePrerenderData(data: PrerenderData): string {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+// Read the data embedded in a prerendered page, or null for pages only rendered on the client
+export function readPrerenderData(): PrerenderData | null {
+  const element = document.getElementById(PRERENDER_DATA_ELEMENT_ID);
+  if (!element?.textContent) return null;
+
+  try {
+    return JSON.parse(element.textContent);
+  } catch (error) {
+    console.error('Error reading prerender data:', error);
+    return null;
+  }
+}
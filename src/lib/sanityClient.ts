@@ -39,7 +39,8 @@ export async function cachedFetch<T>(query: string, params?: any): Promise<T> {
 // GROQ queries
 // Optimized query - fetch only needed fields, use efficient ordering
 // Filter out future-dated posts to enable scheduling based on publishedAt date
-// Note: We fetch content here because homepage shows full posts, not just previews
+// Note: content is not fetched here - the homepage loads it with POST_CONTENT_QUERY
+// only for the posts it renders, and search uses the build-time search-index.json
 export const POSTS_QUERY = `*[_type == "post" && defined(slug.current) && publishedAt <= now()] | order(publishedAt desc) {
   _id,
   title,
@@ -47,9 +48,14 @@ export const POSTS_QUERY = `*[_type == "post" && defined(slug.current) && publis
   excerpt,
   readTime,
   publishedAt,
-  content,
   "image": image.asset->url,
-  subheader
+  subheader,
+  "tags": tags[]->{ _id, title, "slug": slug.current, description }
+}`;
+
+export const POST_CONTENT_QUERY = `*[_type == "post" && _id in $ids && publishedAt <= now()] {
+  _id,
+  content
 }`;
 
 export const CATEGORIES_QUERY = `*[_type == "post" && publishedAt <= now()] | order(_createdAt desc) {
@@ -65,7 +71,8 @@ export const POST_BY_SLUG_QUERY = `*[_type == "post" && slug.current == $slug &&
   publishedAt,
   content,
   "image": image.asset->url,
-  subheader
+  subheader,
+  "tags": tags[]->{ _id, title, "slug": slug.current, description }
 }`;
 
 export const LINK_CARDS_QUERY = `*[_type == "linkCard"] | order(_createdAt asc) {
@@ -73,13 +80,20 @@ export const LINK_CARDS_QUERY = `*[_type == "linkCard"] | order(_createdAt asc)
   title,
   hook,
   "image": image.asset->url,
-  url
+  url,
+  feedUrl
 }`;
 
 export const LINK_CARD_CATEGORIES_QUERY = `*[_type == "linkCard" && defined(category)] | order(category asc) {
   category
 }`;
 
+// A curated list's posts, by ID in the editor's order (see src/lib/curatedListService.ts)
+export const CURATED_LIST_QUERY = `*[_type == "curatedList" && slug.current == $slug][0] {
+  title,
+  "postIds": posts[]._ref
+}`;
+
 export const ABOUT_PAGE_QUERY = `*[_type == "aboutPage"][0] {
   _id,
   title,
@@ -0,0 +1,37 @@
+import { SEARCH_INDEX_VERSION, SearchIndex } from '../utils/searchIndex.js';
+
+// Generated at build time by scripts/generate-search-index.js
+const SEARCH_INDEX_URL = '/search-index.json';
+
+let searchIndexPromise: Promise<SearchIndex | null> | null = null;
+
+export function fetchSearchIndex(): Promise<SearchIndex | null> {
+  if (!searchIndexPromise) {
+    searchIndexPromise = loadSearchIndex();
+  }
+  return searchIndexPromise;
+}
+
+async function loadSearchIndex(): Promise<SearchIndex | null> {
+  try {
+    const response = await fetch(SEARCH_INDEX_URL);
+
+    // In local dev the artifact isn't built, and the SPA fallback serves index.html
+    if (!response.ok || !response.headers.get('content-type')?.includes('json')) {
+      console.warn('Search index not available, falling back to titles and subheaders');
+      return null;
+    }
+
+    const index = await response.json() as SearchIndex;
+    if (index.version !== SEARCH_INDEX_VERSION) {
+      console.warn(`Search index version ${index.version} does not match ${SEARCH_INDEX_VERSION}, ignoring it`);
+      return null;
+    }
+
+    console.log('✅ Search index loaded:', index.documents.length, 'posts');
+    return index;
+  } catch (error) {
+    console.error('Error fetching search index:', error);
+    return null;
+  }
+}
@@ -0,0 +1,97 @@
+/**
+ * English copy for subscriber emails and pages (src/utils/subscriberTemplates.js).
+ *
+ * To add a language, copy this file (e.g. to de.js), translate the strings and register it in
+ * LOCALES in subscriberTemplates.js. Keep the keys and the {placeholders} - {siteName} is
+ * the site's title. Any string a locale leaves out falls back to English.
+ */
+
+export default {
+  common: {
+    returnToBlog: 'Return to Blog',
+    tryAgain: 'Try Again',
+    closeTab: 'Close this tab',
+    footer: "You're getting this because you subscribed to {siteName}.",
+    manageLink: 'Unsubscribe or change how often you get these'
+  },
+
+  emails: {
+    confirm: {
+      subject: 'Confirm your newsletter subscription',
+      preheader: "One click and you're subscribed to {siteName}.",
+      heading: 'Confirm Your Subscription',
+      intro: 'Thanks for subscribing to {siteName}! Click the button below to confirm your email address and start receiving updates.',
+      button: 'Confirm Subscription',
+      ignore: "If you didn't request this subscription, you can safely ignore this email.",
+      expiry: 'This link will expire in 24 hours.',
+      copyLink: 'Or copy and paste this link into your browser:'
+    },
+    welcome: {
+      subject: 'Welcome to {siteName}',
+      preheader: "You're subscribed - here's what to expect.",
+      heading: 'Welcome aboard!',
+      intro: "Thanks for confirming - you're now subscribed to {siteName}.",
+      expect: "You'll get an email whenever a new post goes up. If that's too often, you can switch to a weekly or monthly digest, or take a break, at any time.",
+      button: 'Read the latest posts'
+    }
+  },
+
+  pages: {
+    confirmed: {
+      title: 'Subscription Confirmed',
+      heading: 'Subscription Confirmed!',
+      message: "You've successfully subscribed!"
+    },
+    alreadySubscribed: {
+      title: 'Subscription Confirmed',
+      heading: 'Subscription Confirmed!',
+      message: "You're already subscribed! No need to confirm again."
+    },
+    expired: {
+      title: 'Subscription Error',
+      heading: 'Oops!',
+      message: 'This confirmation link has expired. Please subscribe again.'
+    },
+    error: {
+      title: 'Something Went Wrong',
+      heading: 'Oops!',
+      messages: {
+        invalidConfirmLink: 'Invalid confirmation link',
+        usedConfirmLink: 'This confirmation link has already been used. Please subscribe again.',
+        invalidUnsubscribeLink: 'This unsubscribe link is invalid. Please use the link from a recent email.',
+        notSubscribed: "We couldn't find that address in the subscriber list.",
+        unknownRequest: 'Unknown request',
+        configuration: 'Server configuration error',
+        unexpected: 'An unexpected error occurred. Please try again.'
+      }
+    },
+    preferences: {
+      title: 'Email Preferences',
+      heading: 'Email Preferences',
+      saved: 'Your preferences are saved.',
+      resubscribed: "You're subscribed again.",
+      frequencyHeading: 'How often would you like to hear from me?',
+      frequencies: {
+        each: 'Every new post',
+        weekly: 'A weekly digest',
+        monthly: 'A monthly digest'
+      },
+      pauseHeading: 'Taking a break?',
+      keepPaused: 'Stay paused until {date}',
+      resume: 'Resume now',
+      noPause: "Don't pause",
+      pauses: {
+        30: 'Pause for a month',
+        90: 'Pause for three months'
+      },
+      save: 'Save preferences',
+      unsubscribe: 'Unsubscribe from everything'
+    },
+    unsubscribed: {
+      title: 'Unsubscribed',
+      heading: "You've been unsubscribed",
+      message: "You won't get any more newsletter emails at this address.",
+      resubscribe: 'Unsubscribed by mistake? Resubscribe'
+    }
+  }
+};
@@ -0,0 +1,45 @@
+export interface BlogrollEntry {
+  title: string;
+  url: string | null;
+  publishedAt: string | null;
+}
+
+export interface ParsedFeed {
+  title: string | null;
+  siteUrl: string | null;
+  entries: BlogrollEntry[];
+}
+
+export interface BlogrollFeedStatus {
+  feedUrl: string;
+  entries: BlogrollEntry[];
+  fetchedAt: string | null;
+  // Set when the last fetch failed; entries are then from the last successful one
+  error?: string;
+}
+
+export interface BlogrollFeeds {
+  version: number;
+  generatedAt: string;
+  blogs: Record<string, BlogrollFeedStatus>;
+}
+
+export interface RiverEntry extends BlogrollEntry {
+  blogId: string;
+  blogTitle: string;
+  blogUrl: string;
+}
+
+export const BLOGROLL_FEEDS_PATH: string;
+export const BLOGROLL_FEEDS_VERSION: number;
+export const BLOGROLL_ENTRY_LIMIT: number;
+
+export { isWebUrl } from './portableText.js';
+export function parseFeed(text: string): ParsedFeed;
+export function getLatestEntries(feed: ParsedFeed, limit?: number): BlogrollEntry[];
+export function buildRiver(
+  blogroll: Record<string, BlogrollFeedStatus> | null | undefined,
+  linkCards: { _id: string; title: string; url: string }[],
+  limit?: number
+): RiverEntry[];
+export function formatTimeAgo(date: string | Date | null | undefined, now?: Date): string;
@@ -0,0 +1,204 @@
+/**
+ * Latest posts from the blogs in the blogroll, shared by scripts/fetch-blogroll-feeds.js
+ * (fetches every linkCard's feed at build time) and /blogroll (shows them under each card,
+ * and as a river of news with ?view=river)
+ */
+
+import { isWebUrl } from './portableText.js';
+
+// Feeds are third-party content - only their http(s) links are kept
+export { isWebUrl };
+
+export const BLOGROLL_FEEDS_PATH = '/blogroll-latest.json';
+export const BLOGROLL_FEEDS_VERSION = 1;
+
+// Entries kept per blog - the cards show one, the river a few
+export const BLOGROLL_ENTRY_LIMIT = 5;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(codePoint) ? match : String.fromCodePoint(codePoint);
+    }
+    return XML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+// Text of an element: CDATA unwrapped, entities decoded, and any markup in titles stripped
+function readText(raw) {
+  if (!raw) return '';
+  const text = raw.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+  // Entity-encoded markup (common in RSS titles) is decoded first, then stripped
+  return decodeEntities(decodeEntities(text).replace(/<[^>]+>/g, '')).replace(/\s+/g, ' ').trim();
+}
+
+// Contents of the first <tag> (any namespace prefix given in the name), or null
+function readElement(xml, tagName) {
+  const match = xml.match(new RegExp(`<${tagName}(?:\\s[^>]*)?>([\\s\\S]*?)</${tagName}>`, 'i'));
+  return match ? match[1] : null;
+}
+
+function readAttribute(tag, name) {
+  const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+  return match ? decodeEntities(match[1] ?? match[2]).trim() : null;
+}
+
+function readElements(xml, tagName) {
+  return xml.match(new RegExp(`<${tagName}(?:\\s[^>]*)?>[\\s\\S]*?</${tagName}>`, 'gi')) || [];
+}
+
+function toISODate(value) {
+  if (!value) return null;
+  const date = new Date(readText(value));
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+// Atom links: the rel="alternate" (or rel-less) link is the page itself
+function readAtomLink(xml) {
+  const links = xml.match(/<link\b[^>]*>/gi) || [];
+  const alternate = links.find(link => {
+    const rel = readAttribute(link, 'rel');
+    return !rel || rel === 'alternate';
+  });
+  return alternate ? readAttribute(alternate, 'href') : null;
+}
+
+
+// Absolute http(s) URL, or null for anything else (the entry is then dropped)
+function resolveUrl(url, base) {
+  if (!url) return null;
+  let resolved;
+  try {
+    resolved = new URL(url, isWebUrl(base) ? base : undefined).href;
+  } catch {
+    return null;
+  }
+  return isWebUrl(resolved) ? resolved : null;
+}
+
+function parseJSONFeed(text) {
+  const feed = JSON.parse(text);
+  if (!Array.isArray(feed.items)) {
+    throw new Error('JSON feed has no items');
+  }
+  return {
+    title: feed.title || null,
+    siteUrl: resolveUrl(feed.home_page_url),
+    entries: feed.items.map(item => ({
+      title: item.title || item.summary || item.url || '',
+      url: resolveUrl(item.url || item.external_url, feed.home_page_url),
+      publishedAt: toISODate(item.date_published || item.date_modified)
+    }))
+  };
+}
+
+/**
+ * Parse an RSS 2.0, RSS 1.0 (RDF), Atom or JSON feed
+ * @param text - Feed document
+ * @returns { title, siteUrl, entries: [{ title, url, publishedAt }] }, entries in feed order
+ */
+export function parseFeed(text) {
+  const source = String(text || '').trim();
+  if (source.startsWith('{')) {
+    return parseJSONFeed(source);
+  }
+
+  // Atom
+  if (/<feed[\s>]/i.test(source)) {
+    const siteUrl = resolveUrl(readAtomLink(source.replace(/<entry[\s>][\s\S]*$/i, '')));
+    return {
+      title: readText(readElement(source, 'title')) || null,
+      siteUrl,
+      entries: readElements(source, 'entry').map(entry => ({
+        title: readText(readElement(entry, 'title')),
+        url: resolveUrl(readAtomLink(entry), siteUrl),
+        publishedAt: toISODate(readElement(entry, 'published') || readElement(entry, 'updated'))
+      }))
+    };
+  }
+
+  // RSS 2.0 keeps items inside <channel>, RSS 1.0 next to it
+  if (/<(rss|rdf:RDF)[\s>]/i.test(source)) {
+    const channel = readElement(source, 'channel') || '';
+    const channelHead = channel.replace(/<item[\s>][\s\S]*$/i, '');
+    const siteUrl = resolveUrl(readText(readElement(channelHead, 'link')));
+    return {
+      title: readText(readElement(channelHead, 'title')) || null,
+      siteUrl,
+      entries: readElements(source, 'item').map(item => ({
+        title: readText(readElement(item, 'title')),
+        url: resolveUrl(readText(readElement(item, 'link')) || readText(readElement(item, 'guid')) || null, siteUrl),
+        publishedAt: toISODate(readElement(item, 'pubDate') || readElement(item, 'dc:date'))
+      }))
+    };
+  }
+
+  throw new Error('Not an RSS, Atom or JSON feed');
+}
+
+/**
+ * Most recent entries of a parsed feed, newest first. Entries without a title or web link are dropped;
+ * undated entries keep their feed order after the dated ones.
+ * @param feed - Result of parseFeed
+ * @param limit - Entries to keep
+ * @returns [{ title, url, publishedAt }]
+ */
+export function getLatestEntries(feed, limit = BLOGROLL_ENTRY_LIMIT) {
+  return feed.entries
+    .filter(entry => entry.title && isWebUrl(entry.url))
+    .map((entry, index) => ({ entry, index }))
+    .sort((a, b) => {
+      if (a.entry.publishedAt && b.entry.publishedAt) return b.entry.publishedAt.localeCompare(a.entry.publishedAt);
+      if (a.entry.publishedAt || b.entry.publishedAt) return a.entry.publishedAt ? -1 : 1;
+      return a.index - b.index;
+    })
+    .slice(0, limit)
+    .map(({ entry }) => entry);
+}
+
+/**
+ * Every blog's entries in one list, newest first, for the river of news
+ * @param blogroll - The `blogs` of blogroll-latest.json, keyed by linkCard _id
+ * @param linkCards - Cards to include, in case the list is filtered
+ * @param limit - Entries to return
+ * @returns [{ title, url, publishedAt, blogId, blogTitle, blogUrl }]
+ */
+export function buildRiver(blogroll, linkCards, limit = 50) {
+  return linkCards
+    .flatMap(card => (blogroll?.[card._id]?.entries || []).map(entry => ({
+      ...entry,
+      blogId: card._id,
+      blogTitle: card.title,
+      blogUrl: card.url
+    })))
+    .filter(entry => entry.publishedAt)
+    .sort((a, b) => b.publishedAt.localeCompare(a.publishedAt))
+    .slice(0, limit);
+}
+
+/**
+ * Describe how long ago a date was, e.g. "3 days ago"
+ * @param date - ISO date string or Date
+ * @param now - Date to compare with (defaults to now)
+ * @returns Human-readable age, or '' for a missing or invalid date
+ */
+export function formatTimeAgo(date, now = new Date()) {
+  const time = new Date(date).getTime();
+  if (!date || Number.isNaN(time)) return '';
+
+  const minutes = Math.floor((now.getTime() - time) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+  const days = Math.floor(hours / 24);
+  if (days === 1) return 'yesterday';
+  if (days < 30) return `${days} days ago`;
+  const months = Math.floor(days / 30);
+  if (months < 12) return `${months} month${months === 1 ? '' : 's'} ago`;
+  const years = Math.floor(days / 365);
+  return `${years} year${years === 1 ? '' : 's'} ago`;
+}
@@ -0,0 +1,289 @@
+/**
+ * Shared by the blog-migrate commands (scripts/blog-migrate.js): matching converted posts
+ * (substackExport.js) to the post documents already in Sanity, picking the posts a run works
+ * on, the checkpoints that let an interrupted run resume, and the machine-readable report
+ * every command writes.
+ *
+ * Imported posts get IDs and Portable Text keys derived from their Substack post ID, so running
+ * an import again produces the same documents - and only changed posts are written.
+ *
+ * Posts are matched on, in order:
+ *   slug         the converted slug
+ *   exportSlug   the export file's slug, with or without its Substack id in front - what
+ *                earlier conversions used as the slug
+ *   title        the title, ignoring case and spacing
+ *   titleNumber  the title with a leading number ("100 minutes") dropped - earlier conversions
+ *                stripped them
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { parseExportFileName } from './substackExport.js';
+
+export const EXISTING_POSTS_QUERY = `*[_type == "post"] { _id, title, "slug": slug.current }`;
+
+// The fields an import or reformat writes, of the given posts
+export const POST_FIELDS_QUERY = `*[_type == "post" && _id in $ids] { _id, title, slug, publishedAt, content }`;
+
+/**
+ * @param title - Post title
+ * @returns The title lowercased, with its spacing collapsed
+ */
+export function normalizeTitle(title) {
+  return (title || '').toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+// Every slug a post may have been imported under
+function getSlugCandidates(post) {
+  const candidates = [['slug', post.slug]];
+  if (post.sourceFile) {
+    const { id, slug } = parseExportFileName(post.sourceFile);
+    candidates.push(['exportSlug', slug], ['exportSlug', `${id}${slug}`]);
+  }
+  return candidates
+    .filter(([, slug]) => slug)
+    .map(([matchedBy, slug]) => [matchedBy, slug.toLowerCase()]);
+}
+
+/**
+ * Whether --only picks a post: by its slug, or its export file's slug or Substack id
+ * @param post - Post JSON
+ * @param only - Slugs and ids given with --only (empty picks every post)
+ */
+export function isSelected(post, only) {
+  if (only.length === 0) return true;
+  const names = getSlugCandidates(post).map(([, slug]) => slug);
+  if (post.sourceFile) {
+    names.push(parseExportFileName(post.sourceFile).id);
+  }
+  return only.some(name => names.includes(name.toLowerCase()));
+}
+
+/**
+ * The posts a run works on
+ * @param posts - Post JSON
+ * @param options - { only: slugs from --only, limit: from --limit (null for no limit) }
+ */
+export function selectPosts(posts, { only = [], limit = null } = {}) {
+  const selected = posts.filter(post => isSelected(post, only));
+  return limit ? selected.slice(0, limit) : selected;
+}
+
+/**
+ * Match posts to existing Sanity documents
+ * @param documents - Result of EXISTING_POSTS_QUERY
+ * @returns { match(post) => { document, matchedBy } | null, suggest(post) => documents with the same key words in their title }
+ */
+export function createPostMatcher(documents) {
+  const bySlug = new Map();
+  const byTitle = new Map();
+  documents.forEach(document => {
+    if (document.slug && !bySlug.has(document.slug.toLowerCase())) {
+      bySlug.set(document.slug.toLowerCase(), document);
+    }
+    if (document.title && !byTitle.has(normalizeTitle(document.title))) {
+      byTitle.set(normalizeTitle(document.title), document);
+    }
+  });
+
+  return {
+    match(post) {
+      for (const [matchedBy, slug] of getSlugCandidates(post)) {
+        if (bySlug.has(slug)) {
+          return { document: bySlug.get(slug), matchedBy };
+        }
+      }
+
+      const title = normalizeTitle(post.title);
+      if (byTitle.has(title)) {
+        return { document: byTitle.get(title), matchedBy: 'title' };
+      }
+      const withoutNumber = title.replace(/^\d+\s+/, '');
+      if (withoutNumber !== title && byTitle.has(withoutNumber)) {
+        return { document: byTitle.get(withoutNumber), matchedBy: 'titleNumber' };
+      }
+      return null;
+    },
+
+    // Too loose to act on, but a lead when a post can't be matched
+    suggest(post) {
+      const keyWords = normalizeTitle(post.title)
+        .split(' ')
+        .filter(word => word.length > 2 && !/^\d+$/.test(word))
+        .slice(0, 3);
+      if (keyWords.length === 0) return [];
+      return Array.from(byTitle.entries())
+        .filter(([title]) => keyWords.every(word => title.includes(word)))
+        .map(([, document]) => document)
+        .slice(0, 3);
+    }
+  };
+}
+
+/**
+ * The ID a post has at its source: its Substack post ID, from the export file name or the
+ * front of a slug from an earlier conversion ("148808966trying-vs-doing") - or else its slug
+ * @param post - Post JSON
+ */
+export function getSourceId(post) {
+  const { id } = parseExportFileName(post.sourceFile);
+  return id || post.slug?.match(/^(\d{6,})\D/)?.[1] || post.slug;
+}
+
+/**
+ * The _id an imported post gets - the same every time the post is imported
+ * @param post - Post JSON
+ */
+export function getPostDocumentId(post) {
+  return `substack-post-${getSourceId(post).replace(/[^a-zA-Z0-9_-]/g, '-')}`;
+}
+
+function hashKey(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, 12);
+}
+
+/**
+ * Add the _keys Sanity needs to blocks, spans and markDefs that don't have one - including the
+ * blocks inside pull quotes and footnotes
+ * Keys come from the seed and each item's position, so converting a post again gives it the
+ * same keys, and an unchanged post compares equal to what's in Sanity
+ * @param content - Portable Text blocks
+ * @param seed - The post's source ID (getSourceId)
+ * @returns Blocks with keys
+ */
+export function addKeysToContent(content, seed) {
+  if (!Array.isArray(content)) return content;
+
+  return content.map((block, index) => {
+    const keyed = { ...block, _key: block._key || hashKey(`${seed}:${index}`) };
+    if (Array.isArray(keyed.children)) {
+      keyed.children = keyed.children.map((child, childIndex) => ({ ...child, _key: child._key || `s${childIndex}` }));
+    }
+    if (Array.isArray(keyed.markDefs)) {
+      keyed.markDefs = keyed.markDefs.map((markDef, markIndex) => ({ ...markDef, _key: markDef._key || `m${markIndex}` }));
+    }
+    if (Array.isArray(keyed.content)) {
+      keyed.content = addKeysToContent(keyed.content, `${seed}:${index}`);
+    }
+    return keyed;
+  });
+}
+
+// JSON with object keys sorted and empty values left out, so equal values give equal strings
+// however Sanity orders or trims them
+function toCanonicalJSON(value) {
+  return JSON.stringify(value, (key, item) => {
+    if (item === null || item === '') return undefined;
+    if (typeof item !== 'object' || Array.isArray(item)) return item;
+    return Object.fromEntries(Object.keys(item).sort().map(name => [name, item[name]]));
+  });
+}
+
+// The fields an import writes, in a form that compares equal whether or not images have been
+// uploaded yet: an image or figure is its key, alt text and caption
+function toComparable(fields) {
+  const isImage = block => block._type === 'image' || block._type === 'figure';
+  const toImage = block => ({ _type: block._type, _key: block._key, alt: block.alt, caption: block.caption });
+  return toCanonicalJSON({
+    ...fields,
+    ...(fields.content ? { content: fields.content.map(block => (isImage(block) ? toImage(block) : block)) } : {})
+  });
+}
+
+/**
+ * Whether writing fields to a document would change it
+ * @param document - The document in Sanity (null if there isn't one)
+ * @param fields - { title, slug, publishedAt, content } - or any of them - as they'd be written
+ */
+export function hasChanges(document, fields) {
+  if (!document) return true;
+  const current = Object.fromEntries(Object.keys(fields).map(field => [field, document[field]]));
+  return toComparable(current) !== toComparable(fields);
+}
+
+// A post as converted, so a checkpointed post whose source has changed since is done again
+function hashPost(post) {
+  return crypto.createHash('sha256').update(JSON.stringify(post)).digest('hex');
+}
+
+/**
+ * Which posts a run has finished, kept in a JSON file so an interrupted run can pick up where it
+ * stopped. A run that finishes removes its checkpoint
+ * @param filePath - Checkpoint file
+ * @param run - What the run does, e.g. { command, source } - a checkpoint from a different run is ignored
+ * @returns { size(), has(post), add(posts), clear() } - has is false for a post that has changed
+ *   since it was done
+ */
+export function createCheckpoint(filePath, run) {
+  let done = new Map();
+  if (fs.existsSync(filePath)) {
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    if (JSON.stringify(saved.run) === JSON.stringify(run) && saved.done && !Array.isArray(saved.done)) {
+      done = new Map(Object.entries(saved.done));
+    }
+  }
+
+  return {
+    size: () => done.size,
+
+    has(post) {
+      return done.get(getSourceId(post)) === hashPost(post);
+    },
+
+    add(posts) {
+      posts.forEach(post => done.set(getSourceId(post), hashPost(post)));
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify({ run, updatedAt: new Date().toISOString(), done: Object.fromEntries(done) }, null, 2));
+    },
+
+    clear() {
+      done = new Map();
+      fs.rmSync(filePath, { force: true });
+    }
+  };
+}
+
+/**
+ * The report of a run: one item per post, with what happened to it
+ * @param command - convert, import, reformat or reconcile
+ * @param options - { source, dryRun } - recorded in the report
+ * @returns {
+ *   record(action, post, details) - action is created, updated, skipped or failed (or, for
+ *     reconcile, matched, different, unmatched or sanityOnly); details like { id, reason, matchedBy },
+ *   counts() - { action: count },
+ *   toJSON() - the report
+ * }
+ */
+export function createMigrationReport(command, { source, dryRun = false } = {}) {
+  const startedAt = new Date().toISOString();
+  const items = [];
+
+  const counts = () => items.reduce((totals, item) => ({ ...totals, [item.action]: (totals[item.action] || 0) + 1 }), {});
+
+  return {
+    record(action, post, details = {}) {
+      items.push({
+        action,
+        slug: post.slug,
+        title: post.title,
+        ...(post.sourceFile ? { sourceFile: post.sourceFile } : {}),
+        ...details
+      });
+    },
+
+    counts,
+
+    toJSON() {
+      return {
+        command,
+        source,
+        dryRun,
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        counts: counts(),
+        items
+      };
+    }
+  };
+}
@@ -0,0 +1,36 @@
+/**
+ * Bundled list of disposable / throwaway email domains the subscribe function refuses.
+ * Subdomains of these are refused too. Forwarding alias services (which reach a real
+ * inbox) are deliberately left out. Add to it as new ones turn up in the audience.
+ */
+
+export const DISPOSABLE_DOMAINS = [
+  '0-mail.com', '10minutemail.co.uk', '10minutemail.com', '10minutemail.net', '20minutemail.com',
+  '30minutemail.com', 'anonbox.net', 'anonymbox.com', 'antispam.de', 'armyspy.com', 'binkmail.com',
+  'bobmail.info', 'bugmenot.com', 'byom.de', 'cuvox.de', 'dayrep.com', 'deadaddress.com',
+  'despam.it', 'devnullmail.com', 'discard.email', 'discardmail.com', 'discardmail.de',
+  'dispostable.com', 'dodgeit.com', 'dodgit.com', 'dropmail.me', 'dudmail.com', 'einrot.com',
+  'emailondeck.com', 'emailsensei.com', 'emailtemporanea.net', 'emailwarden.com', 'fakeinbox.com',
+  'fakemail.net', 'fakemailgenerator.com', 'fastacura.com', 'filzmail.com', 'fleckens.hu',
+  'getairmail.com', 'getnada.com', 'grr.la', 'guerrillamail.biz', 'guerrillamail.com',
+  'guerrillamail.de', 'guerrillamail.info', 'guerrillamail.net', 'guerrillamail.org',
+  'guerrillamailblock.com', 'gustr.com', 'harakirimail.com', 'hidemail.de', 'hmamail.com',
+  'inboxbear.com', 'incognitomail.org', 'instant-mail.de', 'jetable.com', 'jetable.net',
+  'jetable.org', 'jourrapide.com', 'kasmail.com', 'killmail.com', 'klzlk.com', 'koszmail.pl',
+  'lroid.com', 'mail-temporaire.fr', 'mailcatch.com', 'maildrop.cc', 'mailexpire.com',
+  'mailforspam.com', 'mailinator.com', 'mailinator.net', 'mailinator2.com', 'mailmetrash.com',
+  'mailnesia.com', 'mailnull.com', 'mailsac.com', 'mailtemp.info', 'mailtothis.com', 'meltmail.com',
+  'mintemail.com', 'moakt.com', 'mohmal.com', 'mt2015.com', 'mytemp.email', 'mytrashmail.com',
+  'nada.email', 'neverbox.com', 'nowmymail.com', 'objectmail.com', 'onewaymail.com', 'owlpic.com',
+  'pokemail.net', 'rcpt.at', 'rhyta.com', 'sharklasers.com', 'shitmail.me', 'shortmail.net',
+  'sofimail.com', 'spam4.me', 'spamavert.com', 'spambog.com', 'spambox.us', 'spamcero.com',
+  'spamfree24.org', 'spamhole.com', 'spaml.com', 'spamspot.com', 'superrito.com', 'suremail.info',
+  'teleworm.us', 'temp-mail.io', 'temp-mail.org', 'tempail.com', 'tempemail.net', 'tempinbox.com',
+  'tempmail.com', 'tempmail.net', 'tempmail.plus', 'tempmailaddress.com', 'tempmailo.com',
+  'tempomail.fr', 'temporaryemail.net', 'temporaryinbox.com', 'tempr.email', 'thankyou2010.com',
+  'thisisnotmyrealemail.com', 'throwam.com', 'throwawaymail.com', 'tmail.ws', 'tmpmail.net',
+  'tmpmail.org', 'trash-mail.com', 'trash-mail.de', 'trashmail.at', 'trashmail.com', 'trashmail.de',
+  'trashmail.me', 'trashmail.net', 'trashmail.org', 'trashmail.ws', 'trashymail.com', 'trbvm.com',
+  'wegwerfmail.de', 'wegwerfmail.net', 'wegwerfmail.org', 'wh4f.org', 'yopmail.com', 'yopmail.fr',
+  'yopmail.net', 'zetmail.com', 'zoemail.org'
+];
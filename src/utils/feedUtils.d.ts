@@ -0,0 +1,35 @@
+export type FeedFormat = 'rss' | 'atom' | 'json';
+
+export type FeedRequest =
+  | { type: 'all'; format: FeedFormat }
+  | { type: 'year'; format: 'rss'; year: number }
+  | { type: 'search'; format: 'rss'; query: string };
+
+export interface FeedChannel {
+  title: string;
+  description: string;
+  feedPath: string;
+  linkPath: string;
+}
+
+export const SITE_TITLE: string;
+export const SITE_DESCRIPTION: string;
+export const SITE_AUTHOR: string;
+export const FEED_FORMATS: Record<FeedFormat, { path: string; contentType: string }>;
+export const FEED_POST_LIMIT: number;
+export const FEED_POSTS_QUERY: string;
+
+export function getYearFeedPath(year: number | string): string;
+export function getSearchFeedPath(query: string): string;
+export function parseFeedRequest(pathname: string | null | undefined, params?: Record<string, string | undefined>): FeedRequest | null;
+export function filterPostsByYear<T>(posts: T[], year: number | string): T[];
+export function getPostYears(posts: any[]): number[];
+export function filterPostsBySearch<T>(posts: T[], query: string): T[];
+export function selectFeed<T>(posts: T[], request: FeedRequest): FeedChannel & { posts: T[] };
+export function escapeXml(text: string | null | undefined): string;
+export function guessMimeTypeFromUrl(url: string | null | undefined): string;
+export function getPostSummary(post: any): string;
+export function generateRSSXML(posts: any[], baseUrl: string, channel?: Partial<FeedChannel>): string;
+export function generateAtomXML(posts: any[], baseUrl: string, channel?: Partial<FeedChannel>): string;
+export function generateJSONFeed(posts: any[], baseUrl: string, channel?: Partial<FeedChannel>): string;
+export function generateFeed(format: FeedFormat, posts: any[], baseUrl: string, channel?: Partial<FeedChannel>): string;
@@ -0,0 +1,408 @@
+/**
+ * Feed building shared by scripts/generate-rss.js (static feeds written at build time)
+ * and netlify/functions/rss-feed.js (feeds generated per request)
+ *
+ *   /feed.xml                   every post (also /feed.atom and /feed.json)
+ *   /feed/year/2023.xml         posts published in 2023
+ *   /feed/search.xml?q=term     posts matching a search, in the search box's query syntax
+ */
+
+import { portableTextToHtml, portableTextToPlainText } from './portableText.js';
+import { buildSearchIndex, postToSearchDocument } from './searchIndex.js';
+import { hasSearchCriteria, parseSearchQuery, searchPosts } from './searchQuery.js';
+
+export const SITE_TITLE = "Brendan's Blog";
+export const SITE_DESCRIPTION = 'The personal blog of Brendan Bockes. Thoughts on productivity, technology, and building.';
+export const SITE_AUTHOR = 'Brendan Bockes';
+
+// Output formats for the site-wide feed, keyed by the format name used in feed requests
+export const FEED_FORMATS = {
+  rss: { path: '/feed.xml', contentType: 'application/rss+xml; charset=utf-8' },
+  atom: { path: '/feed.atom', contentType: 'application/atom+xml; charset=utf-8' },
+  json: { path: '/feed.json', contentType: 'application/feed+json; charset=utf-8' }
+};
+
+// Most feed readers only look at the latest entries
+export const FEED_POST_LIMIT = 50;
+
+// GROQ query for feed posts - filter out future-dated posts to enable scheduling
+export const FEED_POSTS_QUERY = `*[_type == "post" && defined(slug.current) && publishedAt <= now()] | order(publishedAt desc) {
+  _id,
+  title,
+  slug,
+  excerpt,
+  subheader,
+  publishedAt,
+  _updatedAt,
+  content,
+  "image": image.asset->url
+}`;
+
+/**
+ * Path of the feed for posts published in a year
+ * @param year - Four-digit year
+ * @returns Site-relative feed path
+ */
+export function getYearFeedPath(year) {
+  return `/feed/year/${year}.xml`;
+}
+
+/**
+ * Path of the feed for posts matching a search query
+ * @param query - Raw search query
+ * @returns Site-relative feed path
+ */
+export function getSearchFeedPath(query) {
+  return `/feed/search.xml?q=${encodeURIComponent(String(query).trim())}`;
+}
+
+/**
+ * Work out which feed a request path asks for
+ * @param pathname - Request path, e.g. /feed/year/2023.xml
+ * @param params - Query string parameters
+ * @returns { type: 'all' | 'year' | 'search', format, year?, query? } or null for a malformed request
+ *          (yearly and search feeds are RSS only)
+ */
+export function parseFeedRequest(pathname, params = {}) {
+  const yearMatch = /\/feed\/year\/(\d{4})\.xml$/.exec(pathname || '');
+  if (yearMatch || params.year) {
+    const year = Number(yearMatch ? yearMatch[1] : params.year);
+    return Number.isInteger(year) && year >= 1000 && year <= 9999 ? { type: 'year', format: 'rss', year } : null;
+  }
+
+  if (/\/feed\/search\.xml$/.test(pathname || '') || params.q !== undefined) {
+    const query = String(params.q || '').trim();
+    return hasSearchCriteria(parseSearchQuery(query)) ? { type: 'search', format: 'rss', query } : null;
+  }
+
+  const format = Object.keys(FEED_FORMATS).find(name => (pathname || '').endsWith(FEED_FORMATS[name].path));
+  if (format) {
+    return { type: 'all', format };
+  }
+
+  // Anything else under /feed/ is a typo rather than a request for every post
+  return /\/feed\//.test(pathname || '') ? null : { type: 'all', format: 'rss' };
+}
+
+/**
+ * Posts published in a given (UTC) year
+ * @param posts - Posts as returned by FEED_POSTS_QUERY
+ * @param year - Four-digit year
+ * @returns Matching posts, in their original order
+ */
+export function filterPostsByYear(posts, year) {
+  return posts.filter(post => post.publishedAt && new Date(post.publishedAt).getUTCFullYear() === Number(year));
+}
+
+/**
+ * Every year with at least one post, newest first
+ * @param posts - Posts as returned by FEED_POSTS_QUERY
+ * @returns Array of years
+ */
+export function getPostYears(posts) {
+  const years = new Set(
+    posts.filter(post => post.publishedAt).map(post => new Date(post.publishedAt).getUTCFullYear())
+  );
+  return Array.from(years).sort((a, b) => b - a);
+}
+
+/**
+ * Posts matching a search query, newest first (feed readers expect date order, not relevance)
+ * @param posts - Posts with content, as returned by FEED_POSTS_QUERY
+ * @param query - Raw search query
+ * @returns Matching posts
+ */
+export function filterPostsBySearch(posts, query) {
+  const index = buildSearchIndex(posts.map(postToSearchDocument));
+  return searchPosts(posts, query, index)
+    .sort((a, b) => new Date(b.publishedAt || 0).getTime() - new Date(a.publishedAt || 0).getTime());
+}
+
+/**
+ * Select the posts and channel details for a feed request
+ * @param posts - Posts as returned by FEED_POSTS_QUERY, newest first
+ * @param request - Result of parseFeedRequest
+ * @returns { posts, title, description, feedPath, linkPath }
+ */
+export function selectFeed(posts, request) {
+  if (request.type === 'year') {
+    return {
+      posts: filterPostsByYear(posts, request.year).slice(0, FEED_POST_LIMIT),
+      title: `${SITE_TITLE}: posts from ${request.year}`,
+      description: `Posts published on ${SITE_TITLE} in ${request.year}.`,
+      feedPath: getYearFeedPath(request.year),
+      linkPath: '/archive'
+    };
+  }
+
+  if (request.type === 'search') {
+    return {
+      posts: filterPostsBySearch(posts, request.query).slice(0, FEED_POST_LIMIT),
+      title: `${SITE_TITLE}: "${request.query}"`,
+      description: `Posts on ${SITE_TITLE} matching "${request.query}".`,
+      feedPath: getSearchFeedPath(request.query),
+      linkPath: `/?q=${encodeURIComponent(request.query)}`
+    };
+  }
+
+  return {
+    posts: posts.slice(0, FEED_POST_LIMIT),
+    title: SITE_TITLE,
+    description: SITE_DESCRIPTION,
+    feedPath: FEED_FORMATS[request.format || 'rss'].path,
+    linkPath: ''
+  };
+}
+
+// Escape XML entities
+export function escapeXml(text) {
+  if (!text) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Wrap HTML in CDATA, splitting any ]]> so it can't close the section early
+function wrapCdata(html) {
+  return `<![CDATA[${html.replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+export function guessMimeTypeFromUrl(url) {
+  if (!url) return 'application/octet-stream';
+  try {
+    const { pathname } = new URL(url);
+    const ext = pathname.split('.').pop()?.toLowerCase();
+    switch (ext) {
+      case 'jpg':
+      case 'jpeg':
+        return 'image/jpeg';
+      case 'png':
+        return 'image/png';
+      case 'gif':
+        return 'image/gif';
+      case 'webp':
+        return 'image/webp';
+      case 'svg':
+        return 'image/svg+xml';
+      default:
+        return 'image/*';
+    }
+  } catch {
+    // If it's not a valid absolute URL, fall back gracefully
+    return 'image/*';
+  }
+}
+
+// Format date to RFC 822 format for RSS
+function formatRSSDate(date) {
+  if (!date) return new Date().toUTCString();
+  return new Date(date).toUTCString();
+}
+
+// Plain-text summary for a feed entry
+// (No HTML links - RSS previews typically don't render them anyway)
+export function getPostSummary(post) {
+  let description = post.excerpt || post.subheader || '';
+  if (!description && post.content) {
+    description = portableTextToPlainText(post.content);
+    // Limit to 300 characters for RSS description
+    if (description.length > 300) {
+      // Try to cut at a word boundary
+      let truncated = description.substring(0, 297);
+      const lastSpace = truncated.lastIndexOf(' ');
+      if (lastSpace > 250) {
+        truncated = truncated.substring(0, lastSpace);
+      }
+      description = truncated + '...';
+    }
+  }
+  return description || `Read ${post.title} on ${SITE_TITLE}`;
+}
+
+/**
+ * Generate RSS 2.0 feed XML
+ * @param posts - Posts as returned by FEED_POSTS_QUERY
+ * @param baseUrl - Site origin, without a trailing slash
+ * @param channel - Optional { title, description, feedPath, linkPath } from selectFeed
+ * @returns RSS XML string
+ */
+export function generateRSSXML(posts, baseUrl, channel = {}) {
+  const now = new Date().toUTCString();
+  const siteTitle = channel.title || SITE_TITLE;
+  const siteDescription = channel.description || SITE_DESCRIPTION;
+  const feedUrl = `${baseUrl}${channel.feedPath || '/feed.xml'}`;
+  const siteLink = `${baseUrl}${channel.linkPath || ''}`;
+
+  const items = posts.map(post => {
+    const slug = post.slug?.current || post._id;
+    const postUrl = `${baseUrl}/posts/${slug}`;
+    const pubDate = formatRSSDate(post.publishedAt);
+
+    const imageTag = post.image
+      ? `    <enclosure url="${escapeXml(post.image)}" type="${guessMimeTypeFromUrl(post.image)}" />`
+      : '';
+
+    // Generate full HTML content for content:encoded (with links)
+    const fullContent = post.content ? portableTextToHtml(post.content, { target: 'rss', baseUrl }) : '';
+    const contentEncoded = fullContent
+      ? `    <content:encoded>${wrapCdata(fullContent)}</content:encoded>`
+      : '';
+
+    // Description is plain text (no HTML)
+    const descriptionField = `<description>${escapeXml(getPostSummary(post))}</description>`;
+
+    return `  <item>
+    <title>${escapeXml(post.title)}</title>
+    <link>${postUrl}</link>
+    <guid isPermaLink="true">${postUrl}</guid>
+    <pubDate>${pubDate}</pubDate>
+    ${descriptionField}
+${imageTag}
+${contentEncoded}
+  </item>`;
+  }).join('\n');
+
+  const rss = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">
+  <channel>
+    <title>${escapeXml(siteTitle)}</title>
+    <link>${escapeXml(siteLink)}</link>
+    <description>${escapeXml(siteDescription)}</description>
+    <language>en-us</language>
+    <lastBuildDate>${now}</lastBuildDate>
+    <pubDate>${now}</pubDate>
+    <ttl>60</ttl>
+    <atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml" />
+    <image>
+      <url>${baseUrl}/images/logo.png</url>
+      <title>${escapeXml(siteTitle)}</title>
+      <link>${escapeXml(siteLink)}</link>
+    </image>
+${items}
+  </channel>
+</rss>`;
+
+  return rss;
+}
+
+// Latest _updatedAt (falling back to publishedAt) across posts, as a Date
+function getLastUpdated(posts) {
+  const times = posts
+    .map(post => new Date(post._updatedAt || post.publishedAt || 0).getTime())
+    .filter(time => time > 0);
+  return times.length ? new Date(Math.max(...times)) : new Date();
+}
+
+/**
+ * Generate Atom 1.0 feed XML
+ * @param posts - Posts as returned by FEED_POSTS_QUERY
+ * @param baseUrl - Site origin, without a trailing slash
+ * @param channel - Optional { title, description, feedPath, linkPath } from selectFeed
+ * @returns Atom XML string
+ */
+export function generateAtomXML(posts, baseUrl, channel = {}) {
+  const siteTitle = channel.title || SITE_TITLE;
+  const siteDescription = channel.description || SITE_DESCRIPTION;
+  const feedUrl = `${baseUrl}${channel.feedPath || FEED_FORMATS.atom.path}`;
+  const siteLink = `${baseUrl}${channel.linkPath || ''}`;
+
+  const entries = posts.map(post => {
+    const slug = post.slug?.current || post._id;
+    const postUrl = `${baseUrl}/posts/${slug}`;
+    const published = new Date(post.publishedAt || Date.now()).toISOString();
+    const updated = new Date(post._updatedAt || post.publishedAt || Date.now()).toISOString();
+
+    const enclosureLink = post.image
+      ? `    <link rel="enclosure" href="${escapeXml(post.image)}" type="${guessMimeTypeFromUrl(post.image)}" />\n`
+      : '';
+
+    const fullContent = post.content ? portableTextToHtml(post.content, { target: 'rss', baseUrl }) : '';
+    const contentField = fullContent
+      ? `    <content type="html">${wrapCdata(fullContent)}</content>\n`
+      : '';
+
+    return `  <entry>
+    <title>${escapeXml(post.title)}</title>
+    <link rel="alternate" type="text/html" href="${postUrl}" />
+${enclosureLink}    <id>${postUrl}</id>
+    <published>${published}</published>
+    <updated>${updated}</updated>
+    <summary>${escapeXml(getPostSummary(post))}</summary>
+${contentField}  </entry>`;
+  }).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en-us">
+  <title>${escapeXml(siteTitle)}</title>
+  <subtitle>${escapeXml(siteDescription)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(siteLink)}" />
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}" />
+  <id>${escapeXml(feedUrl)}</id>
+  <updated>${getLastUpdated(posts).toISOString()}</updated>
+  <author>
+    <name>${escapeXml(SITE_AUTHOR)}</name>
+    <uri>${baseUrl}/about</uri>
+  </author>
+  <icon>${baseUrl}/images/favicon.svg</icon>
+  <logo>${baseUrl}/images/logo.png</logo>
+${entries}
+</feed>`;
+}
+
+/**
+ * Generate a JSON Feed 1.1 document
+ * @param posts - Posts as returned by FEED_POSTS_QUERY
+ * @param baseUrl - Site origin, without a trailing slash
+ * @param channel - Optional { title, description, feedPath, linkPath } from selectFeed
+ * @returns JSON string
+ */
+export function generateJSONFeed(posts, baseUrl, channel = {}) {
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: channel.title || SITE_TITLE,
+    home_page_url: `${baseUrl}${channel.linkPath || ''}`,
+    feed_url: `${baseUrl}${channel.feedPath || FEED_FORMATS.json.path}`,
+    description: channel.description || SITE_DESCRIPTION,
+    icon: `${baseUrl}/images/logo.png`,
+    favicon: `${baseUrl}/images/favicon.svg`,
+    language: 'en-US',
+    authors: [{ name: SITE_AUTHOR, url: `${baseUrl}/about` }],
+    items: posts.map(post => {
+      const slug = post.slug?.current || post._id;
+      const postUrl = `${baseUrl}/posts/${slug}`;
+      const item = {
+        id: postUrl,
+        url: postUrl,
+        title: post.title,
+        content_html: post.content ? portableTextToHtml(post.content, { target: 'rss', baseUrl }) : '',
+        summary: getPostSummary(post),
+        date_published: new Date(post.publishedAt || Date.now()).toISOString(),
+        date_modified: new Date(post._updatedAt || post.publishedAt || Date.now()).toISOString()
+      };
+      if (post.image) {
+        item.image = post.image;
+        item.attachments = [{ url: post.image, mime_type: guessMimeTypeFromUrl(post.image) }];
+      }
+      return item;
+    })
+  };
+
+  return JSON.stringify(feed, null, 2);
+}
+
+/**
+ * Generate a feed in the given format
+ * @param format - 'rss', 'atom' or 'json' (see FEED_FORMATS)
+ * @param posts - Posts as returned by FEED_POSTS_QUERY
+ * @param baseUrl - Site origin, without a trailing slash
+ * @param channel - Optional { title, description, feedPath, linkPath } from selectFeed
+ * @returns Feed document as a string
+ */
+export function generateFeed(format, posts, baseUrl, channel = {}) {
+  if (format === 'atom') return generateAtomXML(posts, baseUrl, channel);
+  if (format === 'json') return generateJSONFeed(posts, baseUrl, channel);
+  return generateRSSXML(posts, baseUrl, channel);
+}
@@ -0,0 +1,204 @@
+/**
+ * Moving post images into Sanity, for the blog-migrate commands (scripts/blog-migrate.js).
+ *
+ * Converted posts carry each image's URL as _imageUrl (substackExport.js). Before a post is
+ * written its images are uploaded as Sanity assets, and its image blocks reference those instead.
+ *
+ * Uploads are cached by content hash - the SHA-1 Sanity keeps for every asset - so an image is
+ * uploaded once however many posts or runs it turns up in. The cache file also remembers each
+ * URL's hash, so a later run doesn't download the image again; with no cache, Sanity is asked
+ * for an asset with the image's hash before anything is uploaded.
+ *
+ * Images are downloaded from their URLs or, offline, read from the image files in an export zip
+ * (or a directory), matched by file name.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Buffer } from 'buffer';
+import yauzl from 'yauzl';
+
+export const IMAGE_ASSET_BY_HASH_QUERY = `*[_type == "sanity.imageAsset" && sha1hash == $hash][0] { _id }`;
+
+const IMAGE_FILE = /\.(avif|gif|heic|jpe?g|png|svg|webp)$/i;
+
+/**
+ * The file name an image is uploaded under, and looked up by offline
+ * @param url - Image URL
+ * @returns e.g. "ab12-1456x816.png"
+ */
+export function getImageFileName(url) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch {
+    pathname = String(url || '').split(/[?#]/)[0];
+  }
+  const fileName = pathname.split('/').pop();
+  try {
+    return decodeURIComponent(fileName);
+  } catch {
+    return fileName;
+  }
+}
+
+// The image files in a zip, by file name - read when asked for, so a big export isn't held in memory
+function openZipImages(zipPath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(zipPath, { lazyEntries: true, autoClose: false }, (openError, zipfile) => {
+      if (openError) {
+        reject(openError);
+        return;
+      }
+
+      const entries = new Map();
+      zipfile.on('entry', (entry) => {
+        const fileName = path.basename(entry.fileName);
+        if (IMAGE_FILE.test(fileName) && !entries.has(fileName)) {
+          entries.set(fileName, entry);
+        }
+        zipfile.readEntry();
+      });
+      zipfile.on('end', () => resolve({
+        read: fileName => new Promise((resolveRead, rejectRead) => {
+          const entry = entries.get(fileName);
+          if (!entry) {
+            resolveRead(null);
+            return;
+          }
+          zipfile.openReadStream(entry, (streamError, readStream) => {
+            if (streamError) {
+              rejectRead(streamError);
+              return;
+            }
+            const chunks = [];
+            readStream.on('data', chunk => chunks.push(chunk));
+            readStream.on('end', () => resolveRead(Buffer.concat(chunks)));
+            readStream.on('error', rejectRead);
+          });
+        }),
+        close: () => zipfile.close()
+      }));
+      zipfile.on('error', reject);
+      zipfile.readEntry();
+    });
+  });
+}
+
+// The image files in a directory and its subdirectories, by file name
+function openDirectoryImages(dirPath) {
+  const files = new Map();
+  fs.readdirSync(dirPath, { recursive: true }).forEach(relativePath => {
+    const fileName = path.basename(String(relativePath));
+    if (IMAGE_FILE.test(fileName) && !files.has(fileName)) {
+      files.set(fileName, path.join(dirPath, String(relativePath)));
+    }
+  });
+  return {
+    read: async fileName => (files.has(fileName) ? fs.readFileSync(files.get(fileName)) : null),
+    close() {
+      // Nothing held open
+    }
+  };
+}
+
+/**
+ * Image files to read offline
+ * @param source - Export zip, or a directory of images
+ * @returns { read(fileName) => Buffer | null, close() }
+ */
+export async function openImageFiles(source) {
+  return fs.statSync(source).isDirectory() ? openDirectoryImages(source) : openZipImages(source);
+}
+
+/**
+ * The hash of each image URL, and the Sanity asset of each hash, kept in a JSON file between runs
+ * @param filePath - Cache file
+ * @returns { getHash(url), getAssetId(hash), set(url, hash, assetId) }
+ */
+export function createImageCache(filePath) {
+  const saved = fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : {};
+  const hashes = saved.hashes || {};
+  const assets = saved.assets || {};
+
+  return {
+    getHash: url => hashes[url] || null,
+
+    getAssetId: hash => assets[hash] || null,
+
+    set(url, hash, assetId) {
+      hashes[url] = hash;
+      assets[hash] = assetId;
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, JSON.stringify({ hashes, assets }, null, 2));
+    }
+  };
+}
+
+/**
+ * Upload images to Sanity, once each
+ * @param client - Sanity client
+ * @param options - { cache: createImageCache, files: openImageFiles (offline only), offline }
+ * @returns {
+ *   upload(url) - the asset reference, or null if the image can't be read (with a warning),
+ *   counts() - { uploaded, reused, missing }
+ * }
+ */
+export function createImageUploader(client, { cache, files = null, offline = false }) {
+  const counts = { uploaded: 0, reused: 0, missing: 0 };
+  const reference = assetId => ({ _type: 'reference', _ref: assetId });
+
+  async function readImage(url) {
+    if (offline) {
+      const data = files ? await files.read(getImageFileName(url)) : null;
+      if (!data) console.warn(`  ⚠️  Image not in the export: ${url}`);
+      return data;
+    }
+    if (!/^https?:\/\//.test(url || '')) {
+      console.warn(`  ⚠️  Skipping relative image URL: ${url}`);
+      return null;
+    }
+    const response = await fetch(url);
+    if (!response.ok) {
+      console.warn(`  ⚠️  Failed to fetch image: ${url}`);
+      return null;
+    }
+    return Buffer.from(await response.arrayBuffer());
+  }
+
+  return {
+    async upload(url) {
+      try {
+        const cachedAssetId = cache.getAssetId(cache.getHash(url));
+        if (cachedAssetId) {
+          counts.reused++;
+          return reference(cachedAssetId);
+        }
+
+        const data = await readImage(url);
+        if (!data) {
+          counts.missing++;
+          return null;
+        }
+
+        const hash = crypto.createHash('sha1').update(data).digest('hex');
+        let assetId = cache.getAssetId(hash) || (await client.fetch(IMAGE_ASSET_BY_HASH_QUERY, { hash }))?._id;
+        if (assetId) {
+          counts.reused++;
+        } else {
+          assetId = (await client.assets.upload('image', data, { filename: getImageFileName(url) }))._id;
+          counts.uploaded++;
+        }
+        cache.set(url, hash, assetId);
+        return reference(assetId);
+      } catch (error) {
+        console.warn(`  ⚠️  Error uploading image ${url}:`, error.message);
+        counts.missing++;
+        return null;
+      }
+    },
+
+    counts: () => ({ ...counts })
+  };
+}
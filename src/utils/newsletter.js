@@ -0,0 +1,411 @@
+/**
+ * Newsletter issue sending: email a published post to a test allowlist, or to every
+ * confirmed subscriber exactly once, and weekly or monthly digests of the posts published
+ * in a period.
+ *
+ * Audience sends go to the subscribers in the subscriber repository (subscribers.js) whose
+ * preferences (subscriberPreferences.js) ask for them, each with their own unsubscribe link
+ * and List-Unsubscribe headers, and are recorded per post or digest period in a send store.
+ * A send first claims the post's record (status "sending"), then marks it "sent" with the
+ * time and counts, so a post that was sent - or is being sent - is never sent again. A claim left at "sending" by a run
+ * that died half-way has to be resumed explicitly with `force`, since some subscribers
+ * may already have the email. The addresses the provider couldn't send to are kept on the
+ * record, and `retryFailed` sends to just those. Test sends aren't recorded.
+ *
+ * Stores: Sanity newsletterSend documents in production, memory or a JSON file for trials.
+ * Providers (Resend or a fake) live in newsletterProviders.js.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { renderDigestEmail, renderIssueEmail } from './newsletterEmail.js';
+import { selectRecipients } from './subscriberPreferences.js';
+
+// A published post with everything the email needs - never its draft, whose _id would make
+// it a different issue to the send records
+export const NEWSLETTER_POST_QUERY = `*[_type == "post" && !(_id in path("drafts.**")) && slug.current == $slug && publishedAt <= now()][0] {
+  _id,
+  title,
+  slug,
+  subheader,
+  excerpt,
+  publishedAt,
+  "image": image.asset->url,
+  content
+}`;
+
+// Posts published in a digest period, oldest first - drafts left out, in case the client
+// reads them (a token client without the published perspective does)
+export const DIGEST_POSTS_QUERY = `*[_type == "post" && !(_id in path("drafts.**")) && defined(slug.current) && dateTime(publishedAt) >= dateTime($start) && dateTime(publishedAt) < dateTime($end) && publishedAt <= now()] | order(publishedAt asc) {
+  _id,
+  title,
+  slug,
+  subheader,
+  excerpt,
+  publishedAt
+}`;
+
+export const SEND_STATUS = {
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed'
+};
+
+/**
+ * Parse a comma- or whitespace-separated list of addresses, e.g. NEWSLETTER_TEST_RECIPIENTS
+ * @param value - Address list
+ * @returns Lowercased addresses
+ */
+export function parseEmailList(value) {
+  return String(value || '')
+    .split(/[\s,]+/)
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function getSendRecordId(key) {
+  // Drafts and published posts share one record
+  return `newsletterSend-${key.replace(/^drafts\./, '')}`;
+}
+
+/**
+ * Send records kept as newsletterSend documents in Sanity
+ * @param client - Sanity client with a write token
+ */
+export function createSanitySendStore(client) {
+  return {
+    async get(key) {
+      return client.getDocument(getSendRecordId(key));
+    },
+
+    // Create the record, or take over an existing one if it hasn't changed since it was read
+    async claim(key, record, existing) {
+      const _id = getSendRecordId(key);
+      const { postId, ...fields } = record;
+      if (existing) {
+        await client.patch(_id).ifRevisionId(existing._rev).set(fields).commit();
+      } else {
+        // Fails if another run created it first
+        const post = postId ? { post: { _type: 'reference', _ref: postId, _weak: true } } : {};
+        await client.create({ _id, _type: 'newsletterSend', ...post, ...fields });
+      }
+    },
+
+    async update(key, fields) {
+      await client.patch(getSendRecordId(key)).set(fields).commit();
+    }
+  };
+}
+
+/**
+ * Send records kept in memory, or in a JSON file when filePath is given
+ * @param filePath - JSON file to read and write records (optional)
+ */
+export function createLocalSendStore(filePath = null) {
+  let records = {};
+  if (filePath && fs.existsSync(filePath)) {
+    records = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+  const save = () => {
+    if (!filePath) return;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(records, null, 2), 'utf8');
+  };
+
+  return {
+    records,
+
+    async get(key) {
+      return records[getSendRecordId(key)] || null;
+    },
+
+    async claim(key, record, existing) {
+      const _id = getSendRecordId(key);
+      const current = records[_id];
+      if (existing ? current?._rev !== existing._rev : current) {
+        throw new Error(`Send record ${_id} was changed by another run`);
+      }
+      records[_id] = { ...current, ...record, _id, _rev: String((Number(current?._rev) || 0) + 1) };
+      save();
+    },
+
+    async update(key, fields) {
+      const _id = getSendRecordId(key);
+      records[_id] = { ...records[_id], ...fields, _rev: String((Number(records[_id]?._rev) || 0) + 1) };
+      save();
+    }
+  };
+}
+
+const UNSUBSCRIBE_PLACEHOLDER = '{{unsubscribe_url}}';
+
+/**
+ * Address one rendered email to a subscriber, with their unsubscribe link in the footer
+ * and List-Unsubscribe headers (RFC 8058 one-click) when unsubscribeUrlFor is given
+ */
+function personalize(email, { from, to, unsubscribeUrlFor }) {
+  if (!unsubscribeUrlFor) {
+    return { from, to, subject: email.subject, html: email.html, text: email.text };
+  }
+  const unsubscribeUrl = unsubscribeUrlFor(to);
+  return {
+    from,
+    to,
+    subject: email.subject,
+    html: email.html.split(UNSUBSCRIBE_PLACEHOLDER).join(unsubscribeUrl.replace(/&/g, '&amp;')),
+    text: email.text.split(UNSUBSCRIBE_PLACEHOLDER).join(unsubscribeUrl),
+    headers: {
+      'List-Unsubscribe': `<${unsubscribeUrl}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+    }
+  };
+}
+
+// Subscribers on the given frequency who aren't paused; everyone when there are no preferences
+async function listRecipients(subscribers, preferences, frequency) {
+  const subscribed = await subscribers.list();
+  if (!preferences) {
+    return frequency === 'each' ? subscribed : [];
+  }
+  return selectRecipients(subscribed, await preferences.getAll(), frequency);
+}
+
+// Record fields for a send's outcome; a retry adds to the counts of the send it follows up
+function getSendFields(result, recipientCount, previous = null) {
+  const sentCount = (previous?.sentCount || 0) + result.sent;
+  return {
+    status: sentCount === 0 && recipientCount > 0 ? SEND_STATUS.FAILED : SEND_STATUS.SENT,
+    sentAt: previous?.sentAt || new Date().toISOString(),
+    recipientCount,
+    sentCount,
+    failedCount: result.failed.length,
+    failedRecipients: result.failed.map(failure => failure.to)
+  };
+}
+
+/**
+ * Send one email to a list of recipients exactly once, under the send record `key` - or, with
+ * retryFailed, to the recipients a finished send failed for
+ */
+async function sendOnce({ key, record, label, email, frequency, provider, subscribers, store, preferences, from, unsubscribeUrlFor, dryRun, force, retryFailed, log }) {
+  const existing = await store.get(key);
+  const failedBefore = existing?.status === SEND_STATUS.SENT ? existing.failedRecipients || [] : [];
+  if (existing?.status === SEND_STATUS.SENT && !(retryFailed && failedBefore.length > 0)) {
+    const failedNote = failedBefore.length > 0 ? ` (${failedBefore.length} failed - rerun with retryFailed to send to them)` : '';
+    log(`${label} was already sent on ${existing.sentAt}${failedNote}, skipping`);
+    return { status: 'already-sent', recipients: existing.recipientCount || 0, sent: 0, failed: [], record: existing };
+  }
+  if (existing?.status === SEND_STATUS.SENDING && !force) {
+    throw new Error(`A send of ${label} started at ${existing.startedAt} never finished - check the provider's logs, then rerun with force to send it again`);
+  }
+
+  // A retry only goes to failed addresses that are still subscribed
+  const retrying = failedBefore.length > 0;
+  const failedAddresses = new Set(failedBefore.map(address => address.toLowerCase()));
+  const recipients = (await listRecipients(subscribers, preferences, frequency))
+    .filter(subscriber => !retrying || failedAddresses.has(subscriber.email.toLowerCase()));
+  if (dryRun) {
+    log(`Would send ${label} to ${recipients.length} ${retrying ? 'subscribers it failed for' : 'subscribers'}`);
+    return { status: 'dry-run', recipients: recipients.length, sent: 0, failed: [], record: existing };
+  }
+
+  // Address every message before claiming, so a bad unsubscribe setup can't strand the record at "sending"
+  const messages = recipients.map(subscriber => personalize(email, { from, to: subscriber.email, unsubscribeUrlFor }));
+
+  await store.claim(key, {
+    ...record,
+    status: SEND_STATUS.SENDING,
+    provider: provider.name,
+    startedAt: new Date().toISOString()
+  }, existing);
+
+  let result;
+  try {
+    result = await provider.send(messages);
+  } catch (error) {
+    // Nothing is known to have gone out - leave the record for a retry
+    await store.update(key, retrying
+      ? { status: SEND_STATUS.SENT, error: error.message }
+      : { status: SEND_STATUS.FAILED, error: error.message });
+    throw error;
+  }
+
+  const fields = retrying
+    ? getSendFields(result, existing.recipientCount || 0, existing)
+    : getSendFields(result, recipients.length);
+  await store.update(key, fields);
+  log(`Sent ${label} to ${result.sent} of ${recipients.length} ${retrying ? 'subscribers it failed for' : 'subscribers'}`);
+
+  return {
+    status: fields.status === SEND_STATUS.FAILED ? 'failed' : (result.failed.length > 0 ? 'partial' : 'sent'),
+    recipients: recipients.length,
+    ...result,
+    record: { ...existing, ...fields }
+  };
+}
+
+/**
+ * Email a post
+ * @param options - {
+ *   post: post from NEWSLETTER_POST_QUERY,
+ *   mode: 'test' (to testRecipients, which must all be in allowlist) or 'audience' (every
+ *     subscriber who gets each post and isn't paused),
+ *   provider, store, from, baseUrl,
+ *   subscribers: subscriber repository, for audience sends,
+ *   preferences: subscriber preference store (optional - without it everyone gets the post),
+ *   unsubscribeUrlFor: email => unsubscribe link (optional - see getUnsubscribeUrl),
+ *   testRecipients, allowlist,
+ *   dryRun: render and count recipients without sending or recording,
+ *   force: resume a send a previous run left at "sending",
+ *   retryFailed: send a sent post again to the recipients it failed for,
+ *   log: progress logger (defaults to console.log)
+ * }
+ * @returns { status: 'sent' | 'partial' | 'failed' | 'already-sent' | 'dry-run', recipients, sent, failed, record }
+ */
+export async function sendIssue(options) {
+  const { post, mode, provider, subscribers, store, preferences, from, baseUrl, unsubscribeUrlFor, dryRun = false, force = false, retryFailed = false, log = console.log } = options;
+
+  if (!post?._id) {
+    throw new Error('Post not found or not published yet');
+  }
+  if (!from) {
+    throw new Error('A from address is required (RESEND_FROM_EMAIL)');
+  }
+
+  const email = renderIssueEmail(post, { baseUrl, unsubscribeUrl: unsubscribeUrlFor ? UNSUBSCRIBE_PLACEHOLDER : null });
+
+  if (mode === 'test') {
+    const allowlist = new Set((options.allowlist || []).map(address => address.toLowerCase()));
+    const recipients = (options.testRecipients || []).map(address => address.toLowerCase());
+    if (recipients.length === 0) {
+      throw new Error('No test recipients - set NEWSLETTER_TEST_RECIPIENTS or pass --to');
+    }
+    const notAllowed = recipients.filter(address => !allowlist.has(address));
+    if (notAllowed.length > 0) {
+      throw new Error(`Test sends only go to NEWSLETTER_TEST_RECIPIENTS, not ${notAllowed.join(', ')}`);
+    }
+
+    if (dryRun) {
+      return { status: 'dry-run', recipients: recipients.length, sent: 0, failed: [] };
+    }
+    const result = await provider.send(recipients.map(to => ({
+      ...personalize(email, { from, to, unsubscribeUrlFor }),
+      subject: `[Test] ${email.subject}`
+    })));
+    log(`Test send of "${post.title}": ${result.sent} sent, ${result.failed.length} failed`);
+    return { status: result.failed.length === 0 ? 'sent' : 'partial', recipients: recipients.length, ...result };
+  }
+
+  if (mode !== 'audience') {
+    throw new Error(`Unknown send mode: ${mode}`);
+  }
+
+  return sendOnce({
+    key: post._id,
+    record: { postId: post._id, slug: post.slug?.current || post.slug, title: post.title },
+    label: `"${post.title}"`,
+    email,
+    frequency: 'each',
+    provider,
+    subscribers,
+    store,
+    preferences,
+    from,
+    unsubscribeUrlFor,
+    dryRun,
+    force,
+    retryFailed,
+    log
+  });
+}
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * The last complete digest period before `now`, in UTC - weeks run Monday to Sunday
+ * @param frequency - 'weekly' or 'monthly'
+ * @param now - Date
+ * @returns { frequency, key: e.g. 'digest-weekly-2025-10-06', title, start, end } (start inclusive, end exclusive, ISO strings)
+ */
+export function getDigestPeriod(frequency, now = new Date()) {
+  let start;
+  let end;
+  if (frequency === 'weekly') {
+    const daysSinceMonday = (now.getUTCDay() + 6) % 7;
+    end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() - daysSinceMonday));
+    start = new Date(end.getTime() - 7 * 24 * 60 * 60 * 1000);
+  } else if (frequency === 'monthly') {
+    end = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 1, 1));
+  } else {
+    throw new Error(`Unknown digest frequency: ${frequency}`);
+  }
+
+  const last = new Date(end.getTime() - 1);
+  const formatDay = date => `${MONTHS[date.getUTCMonth()]} ${date.getUTCDate()}`;
+  const title = frequency === 'weekly'
+    ? `Weekly digest: ${formatDay(start)} - ${formatDay(last)}, ${last.getUTCFullYear()}`
+    : `Monthly digest: ${MONTHS[start.getUTCMonth()]} ${start.getUTCFullYear()}`;
+
+  return {
+    frequency,
+    key: `digest-${frequency}-${start.toISOString().slice(0, frequency === 'weekly' ? 10 : 7)}`,
+    title,
+    start: start.toISOString(),
+    end: end.toISOString()
+  };
+}
+
+/**
+ * Email a digest period's posts to the subscribers who asked for that digest, once per period
+ * @param options - {
+ *   period: from getDigestPeriod,
+ *   loadPosts: period => posts from DIGEST_POSTS_QUERY (only called if the period hasn't been sent),
+ *   provider, subscribers, store, preferences, from, baseUrl, unsubscribeUrlFor, dryRun, force, retryFailed, log - as for sendIssue
+ * }
+ * @returns As sendIssue, plus posts (count); a period without posts is recorded and nothing is sent
+ */
+export async function sendDigest(options) {
+  const { period, loadPosts, provider, subscribers, store, preferences, from, baseUrl, unsubscribeUrlFor, dryRun = false, force = false, retryFailed = false, log = console.log } = options;
+
+  if (!from) {
+    throw new Error('A from address is required (RESEND_FROM_EMAIL)');
+  }
+
+  const existing = await store.get(period.key);
+  if (existing?.status === SEND_STATUS.SENT && !(retryFailed && existing.failedRecipients?.length > 0)) {
+    log(`${period.title} was already sent on ${existing.sentAt}, skipping`);
+    return { status: 'already-sent', recipients: existing.recipientCount || 0, sent: 0, failed: [], posts: existing.postCount || 0, record: existing };
+  }
+
+  const posts = await loadPosts(period);
+  if (posts.length === 0) {
+    log(`No posts for ${period.title}, nothing to send`);
+    if (!dryRun) {
+      const fields = { title: period.title, slug: period.key, status: SEND_STATUS.SENT, sentAt: new Date().toISOString(), postCount: 0, recipientCount: 0 };
+      await store.claim(period.key, fields, existing);
+      return { status: 'sent', recipients: 0, sent: 0, failed: [], posts: 0, record: { ...existing, ...fields } };
+    }
+    return { status: 'dry-run', recipients: 0, sent: 0, failed: [], posts: 0, record: existing };
+  }
+
+  const email = renderDigestEmail(posts, { baseUrl, title: period.title, unsubscribeUrl: unsubscribeUrlFor ? UNSUBSCRIBE_PLACEHOLDER : null });
+  const result = await sendOnce({
+    key: period.key,
+    record: { title: period.title, slug: period.key, postCount: posts.length },
+    label: period.title,
+    email,
+    frequency: period.frequency,
+    provider,
+    subscribers,
+    store,
+    preferences,
+    from,
+    unsubscribeUrlFor,
+    dryRun,
+    force,
+    retryFailed,
+    log
+  });
+  return { ...result, posts: posts.length };
+}
@@ -0,0 +1,166 @@
+/**
+ * Newsletter emails: a published post, or a digest of several, rendered as email-safe HTML
+ * (table layout, inline styles, absolute URLs) with a plain-text alternative. Used by
+ * src/utils/newsletter.js.
+ */
+
+import { SITE_AUTHOR, SITE_TITLE } from './feedUtils.js';
+import { escapeHtml, portableTextToHtml, portableTextToText } from './portableText.js';
+
+const FONT_STACK = "'Avenir Next', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif";
+
+// Link to the post on the site
+export function getPostUrl(post, baseUrl) {
+  const slug = post.slug?.current || post.slug;
+  return `${baseUrl}/posts/${slug}`;
+}
+
+function renderFooter(unsubscribeUrl) {
+  return {
+    html: `You're getting this because you subscribed to ${escapeHtml(SITE_TITLE)} by ${escapeHtml(SITE_AUTHOR)}.<br>
+                  ${unsubscribeUrl
+    ? `<a href="${escapeHtml(unsubscribeUrl)}" style="color: #718096;">Unsubscribe or change how often you get these</a>`
+    : 'Reply to this email to unsubscribe.'}`,
+    text: `You're getting this because you subscribed to ${SITE_TITLE} by ${SITE_AUTHOR}.\n${unsubscribeUrl
+      ? `Unsubscribe or change how often you get these: ${unsubscribeUrl}`
+      : 'Reply to this email to unsubscribe.'}`
+  };
+}
+
+// The shared email shell: site name, content rows, and the subscription footer
+function renderEmailLayout({ title, preheader, baseUrl, rows, footerHtml }) {
+  return `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+  </head>
+  <body style="margin: 0; padding: 0; font-family: ${FONT_STACK}; background-color: #f5f5f5; color: #1a1a1a;">
+    <div style="display: none; max-height: 0; overflow: hidden;">${escapeHtml(preheader)}</div>
+    <table role="presentation" style="width: 100%; border-collapse: collapse;">
+      <tr>
+        <td align="center" style="padding: 32px 0;">
+          <table role="presentation" style="width: 600px; max-width: 100%; background-color: #ffffff; border-radius: 8px;">
+            <tr>
+              <td style="padding: 32px 30px 0 30px;">
+                <a href="${escapeHtml(baseUrl)}" style="color: #718096; font-size: 14px; text-decoration: none;">${escapeHtml(SITE_TITLE)}</a>
+              </td>
+            </tr>
+${rows}
+            <tr>
+              <td style="padding: 20px 30px; background-color: #f7fafc; border-top: 1px solid #e2e8f0; border-radius: 0 0 8px 8px;">
+                <p style="margin: 0; color: #718096; font-size: 12px; line-height: 1.5; text-align: center;">
+                  ${footerHtml}
+                </p>
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>
+`;
+}
+
+/**
+ * Render a post as a newsletter issue
+ * @param post - Post from NEWSLETTER_POST_QUERY (title, slug, subheader, excerpt, image, content)
+ * @param options - { baseUrl: site origin, unsubscribeUrl: recipient's unsubscribe link (optional) }
+ * @returns { subject, html, text }
+ */
+export function renderIssueEmail(post, options) {
+  const { baseUrl, unsubscribeUrl } = options;
+  const postUrl = getPostUrl(post, baseUrl);
+  const subject = post.title;
+  const intro = post.subheader || post.excerpt || '';
+  const bodyHtml = portableTextToHtml(post.content, { target: 'email', baseUrl });
+  const bodyText = portableTextToText(post.content, { baseUrl });
+  const footer = renderFooter(unsubscribeUrl);
+
+  const rows = `            <tr>
+              <td style="padding: 0 30px;">
+                <h1 style="margin: 12px 0 8px 0; font-size: 30px; line-height: 1.25; font-weight: 700;">
+                  <a href="${escapeHtml(postUrl)}" style="color: #1a1a1a; text-decoration: none;">${escapeHtml(post.title)}</a>
+                </h1>
+                ${intro ? `<p style="margin: 0 0 24px 0; color: #4a5568; font-size: 18px; line-height: 1.5;">${escapeHtml(intro)}</p>` : ''}
+                ${post.image ? `<img src="${escapeHtml(`${post.image}?w=1200&auto=format&q=80`)}" alt="" width="540" style="display: block; width: 100%; max-width: 540px; height: auto; margin: 0 0 24px 0; border-radius: 8px;" />` : ''}
+              </td>
+            </tr>
+            <tr>
+              <td style="padding: 0 30px; color: #1a1a1a;">
+${bodyHtml}
+              </td>
+            </tr>
+            <tr>
+              <td style="padding: 16px 30px 32px 30px;">
+                <table role="presentation">
+                  <tr>
+                    <td style="border-radius: 6px; background-color: #3b82f6;">
+                      <a href="${escapeHtml(postUrl)}" target="_blank" style="display: inline-block; padding: 12px 28px; color: #ffffff; text-decoration: none; font-size: 16px; font-weight: 600; border-radius: 6px;">
+                        Read on the blog
+                      </a>
+                    </td>
+                  </tr>
+                </table>
+              </td>
+            </tr>`;
+
+  const html = renderEmailLayout({ title: subject, preheader: intro, baseUrl, rows, footerHtml: footer.html });
+
+  const text = [
+    post.title,
+    intro,
+    `Read on the blog: ${postUrl}`,
+    bodyText,
+    '---',
+    footer.text
+  ].filter(Boolean).join('\n\n') + '\n';
+
+  return { subject, html, text };
+}
+
+/**
+ * Render a digest of several posts - a title, intro and link for each
+ * @param posts - Posts from DIGEST_POSTS_QUERY, oldest first
+ * @param options - { baseUrl, title: e.g. "Weekly digest: Oct 6 - Oct 12, 2025", unsubscribeUrl (optional) }
+ * @returns { subject, html, text }
+ */
+export function renderDigestEmail(posts, options) {
+  const { baseUrl, title, unsubscribeUrl } = options;
+  const footer = renderFooter(unsubscribeUrl);
+  const preheader = posts.map(post => post.title).join(' · ');
+
+  const postRows = posts.map(post => {
+    const postUrl = getPostUrl(post, baseUrl);
+    const intro = post.subheader || post.excerpt || '';
+    return `            <tr>
+              <td style="padding: 0 30px 24px 30px;">
+                <h2 style="margin: 0 0 6px 0; font-size: 22px; line-height: 1.3; font-weight: 700;">
+                  <a href="${escapeHtml(postUrl)}" style="color: #1a1a1a; text-decoration: none;">${escapeHtml(post.title)}</a>
+                </h2>
+                ${intro ? `<p style="margin: 0 0 8px 0; color: #4a5568; font-size: 16px; line-height: 1.5;">${escapeHtml(intro)}</p>` : ''}
+                <a href="${escapeHtml(postUrl)}" style="color: #3b82f6; font-size: 15px; font-weight: 600; text-decoration: none;">Read the post &rarr;</a>
+              </td>
+            </tr>`;
+  }).join('\n');
+
+  const rows = `            <tr>
+              <td style="padding: 0 30px;">
+                <h1 style="margin: 12px 0 24px 0; font-size: 26px; line-height: 1.25; font-weight: 700;">${escapeHtml(title)}</h1>
+              </td>
+            </tr>
+${postRows}`;
+
+  const html = renderEmailLayout({ title, preheader, baseUrl, rows, footerHtml: footer.html });
+
+  const text = [
+    title,
+    ...posts.map(post => [post.title, post.subheader || post.excerpt, getPostUrl(post, baseUrl)].filter(Boolean).join('\n')),
+    '---',
+    footer.text
+  ].join('\n\n') + '\n';
+
+  return { subject: title, html, text };
+}
@@ -0,0 +1,128 @@
+/**
+ * Email providers for newsletter sends. A provider sends a batch of messages:
+ *
+ *   {
+ *     name,
+ *     send(messages: [{ from, to, subject, html, text, headers }]): Promise<{ sent, failed: [{ to, error }] }>
+ *   }
+ *
+ * Who gets them comes from the subscriber repository (subscribers.js).
+ *
+ * Resend is used in production; the fake provider keeps messages in memory (and optionally
+ * writes them to a folder) so sends can be tried without emailing anyone.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Resend } from 'resend';
+
+// Resend accepts at most 100 emails per batch request
+const RESEND_BATCH_SIZE = 100;
+
+// Resend allows 2 requests a second by default
+const RESEND_BATCH_INTERVAL_MS = 600;
+
+// A rate-limited batch is retried after 1, 2, 4 and 8 seconds before its recipients count as failed
+const RESEND_RETRY_DELAY_MS = 1000;
+const RESEND_MAX_RETRIES = 4;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Provider that sends with Resend, a batch at a time. A batch that fails - after retries, if
+ * it was rate limited - is reported in `failed` and the rest are still sent, so the caller
+ * can record who didn't get the email
+ * @param options - { apiKey, client: Resend client (defaults to one for apiKey), batchIntervalMs, retryDelayMs }
+ */
+export function createResendProvider({ apiKey, client = null, batchIntervalMs = RESEND_BATCH_INTERVAL_MS, retryDelayMs = RESEND_RETRY_DELAY_MS }) {
+  if (!apiKey && !client) {
+    throw new Error('RESEND_API_KEY is required to send with Resend');
+  }
+  const resend = client || new Resend(apiKey);
+
+  // The batch's error message, or null once it's sent
+  async function sendBatch(batch) {
+    for (let attempt = 0; ; attempt++) {
+      let error;
+      try {
+        error = (await resend.batch.send(batch)).error;
+      } catch (thrown) {
+        error = { name: 'application_error', message: thrown.message };
+      }
+      if (!error) {
+        return null;
+      }
+      if (error.name !== 'rate_limit_exceeded' || attempt === RESEND_MAX_RETRIES) {
+        return error.message;
+      }
+      await wait(retryDelayMs * 2 ** attempt);
+    }
+  }
+
+  return {
+    name: 'resend',
+
+    async send(messages) {
+      const result = { sent: 0, failed: [] };
+      for (let i = 0; i < messages.length; i += RESEND_BATCH_SIZE) {
+        if (i > 0) {
+          await wait(batchIntervalMs);
+        }
+        const batch = messages.slice(i, i + RESEND_BATCH_SIZE);
+        const error = await sendBatch(batch);
+        if (error) {
+          batch.forEach(message => result.failed.push({ to: message.to, error }));
+        } else {
+          result.sent += batch.length;
+        }
+      }
+      return result;
+    }
+  };
+}
+
+/**
+ * Provider that sends nothing - messages are kept in `provider.sent`, and written to
+ * outboxDir as .html and .txt files when it's given
+ * @param options - { outboxDir, failFor: addresses whose sends fail }
+ */
+export function createFakeProvider({ outboxDir = null, failFor = [] } = {}) {
+  const failing = new Set(failFor.map(email => email.toLowerCase()));
+
+  return {
+    name: 'fake',
+    sent: [],
+
+    async send(messages) {
+      const result = { sent: 0, failed: [] };
+      messages.forEach(message => {
+        if (failing.has(String(message.to).toLowerCase())) {
+          result.failed.push({ to: message.to, error: 'Simulated failure' });
+          return;
+        }
+        this.sent.push(message);
+        result.sent++;
+
+        if (outboxDir) {
+          const name = `${String(this.sent.length).padStart(4, '0')}-${String(message.to).replace(/[^a-z0-9@.-]/gi, '_')}`;
+          fs.mkdirSync(outboxDir, { recursive: true });
+          fs.writeFileSync(path.join(outboxDir, `${name}.html`), message.html, 'utf8');
+          fs.writeFileSync(path.join(outboxDir, `${name}.txt`), `Subject: ${message.subject}\n\n${message.text}`, 'utf8');
+        }
+      });
+      return result;
+    }
+  };
+}
+
+/**
+ * Pick the provider named by NEWSLETTER_PROVIDER (resend unless set to fake)
+ * @param env - Environment variables (process.env)
+ * @param fakeOptions - Options for the fake provider
+ */
+export function getNewsletterProvider(env, fakeOptions = {}) {
+  if (env.NEWSLETTER_PROVIDER === 'fake') {
+    return createFakeProvider(fakeOptions);
+  }
+  return createResendProvider({ apiKey: env.RESEND_API_KEY });
+}
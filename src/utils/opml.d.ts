@@ -0,0 +1,12 @@
+export interface OPMLOutline {
+  title: string;
+  feedUrl: string | null;
+  url: string | null;
+  description: string | null;
+}
+
+export const BLOGROLL_OPML_PATH: string;
+
+export function normalizeUrlForComparison(url: string | null | undefined): string;
+export function generateBlogrollOPML(linkCards: any[], baseUrl: string, options?: { dateCreated?: Date }): string;
+export function parseOPML(xml: string): OPMLOutline[];
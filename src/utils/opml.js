@@ -0,0 +1,126 @@
+/**
+ * OPML for the blogroll, shared by scripts/generate-opml.js (writes /blogroll.opml at build time)
+ * and scripts/import-opml.js (imports subscriptions exported from a feed reader)
+ */
+
+import { escapeXml, SITE_AUTHOR, SITE_TITLE } from './feedUtils.js';
+import { portableTextToPlainText } from './portableText.js';
+
+export const BLOGROLL_OPML_PATH = '/blogroll.opml';
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+// Decode the entities allowed in XML attribute values
+function decodeXmlEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(codePoint) ? match : String.fromCodePoint(codePoint);
+    }
+    return XML_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    attributes[match[1]] = decodeXmlEntities(match[2] ?? match[3]);
+  }
+  return attributes;
+}
+
+/**
+ * Normalize a URL so the same site compares equal however it was written:
+ * lowercase host, no protocol, www., trailing slash, hash or tracking parameters
+ * @param url - Site or feed URL
+ * @returns Comparison key, or '' for an empty URL
+ */
+export function normalizeUrlForComparison(url) {
+  if (!url) return '';
+  const trimmed = String(url).trim();
+  try {
+    const parsed = new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`);
+    [...parsed.searchParams.keys()]
+      .filter(key => key.startsWith('utm_'))
+      .forEach(key => parsed.searchParams.delete(key));
+    const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+    const pathname = parsed.pathname.replace(/\/+$/, '');
+    return `${host}${parsed.port ? `:${parsed.port}` : ''}${pathname}${parsed.search}`;
+  } catch {
+    return trimmed.toLowerCase().replace(/^[a-z]+:\/\//, '').replace(/^www\./, '').replace(/\/+$/, '');
+  }
+}
+
+/**
+ * Generate an OPML 2.0 subscription list from blogroll link cards
+ * @param linkCards - Cards from LINK_CARDS_QUERY (title, hook, url, feedUrl)
+ * @param baseUrl - Site URL, for the list's own location
+ * @param options - { dateCreated: Date to stamp the list with (defaults to now) }
+ * @returns OPML document
+ */
+export function generateBlogrollOPML(linkCards, baseUrl, options = {}) {
+  const dateCreated = (options.dateCreated || new Date()).toUTCString();
+  const outlines = linkCards
+    .filter(card => card.url || card.feedUrl)
+    .map(card => {
+      const attributes = [
+        // Cards without a feed URL are still listed, as plain links
+        ['type', card.feedUrl ? 'rss' : 'link'],
+        ['text', card.title],
+        ['title', card.title],
+        ['xmlUrl', card.feedUrl],
+        ['htmlUrl', card.url],
+        ['url', card.feedUrl ? null : card.url],
+        ['description', portableTextToPlainText(card.hook)]
+      ].filter(([, value]) => value);
+      return `    <outline ${attributes.map(([name, value]) => `${name}="${escapeXml(value)}"`).join(' ')} />`;
+    });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head>
+    <title>${escapeXml(`${SITE_TITLE}: blogroll`)}</title>
+    <dateCreated>${dateCreated}</dateCreated>
+    <ownerName>${escapeXml(SITE_AUTHOR)}</ownerName>
+    <docs>http://opml.org/spec2.opml</docs>
+    <urlPublic>${escapeXml(`${baseUrl}${BLOGROLL_OPML_PATH}`)}</urlPublic>
+  </head>
+  <body>
+${outlines.join('\n')}
+  </body>
+</opml>
+`;
+}
+
+/**
+ * Read the subscriptions from an OPML file. Folders are flattened; outlines with neither
+ * a feed nor a site URL (folder headings) are skipped.
+ * @param xml - OPML document
+ * @returns [{ title, feedUrl, url, description }]
+ */
+export function parseOPML(xml) {
+  if (!/<opml[\s>]/i.test(xml)) {
+    throw new Error('Not an OPML document');
+  }
+
+  const body = xml.replace(/<!--[\s\S]*?-->/g, '').split(/<body[^>]*>/i)[1] || '';
+  const outlines = [];
+  const pattern = /<outline\b([^>]*?)\/?>/gi;
+  let match;
+  while ((match = pattern.exec(body)) !== null) {
+    const attributes = parseAttributes(match[1]);
+    const feedUrl = attributes.xmlUrl?.trim() || null;
+    const url = (attributes.htmlUrl || (attributes.type === 'link' ? attributes.url : '') || '').trim() || null;
+    if (!feedUrl && !url) continue;
+
+    outlines.push({
+      title: (attributes.title || attributes.text || url || feedUrl).trim(),
+      feedUrl,
+      url,
+      description: attributes.description?.trim() || null
+    });
+  }
+  return outlines;
+}
@@ -0,0 +1,16 @@
+export type PortableTextTarget = 'rss' | 'email' | 'static';
+
+export interface PortableTextHtmlOptions {
+  target?: PortableTextTarget;
+  /** Origin used to make site-relative links and images absolute (rss and email targets) */
+  baseUrl?: string;
+  projectId?: string;
+  dataset?: string;
+}
+
+export function isWebUrl(url: string | null | undefined): url is string;
+export function escapeHtml(text: string | null | undefined): string;
+export function portableTextToPlainText(content: any[] | null | undefined): string;
+export function getImageUrl(block: any, options?: { projectId?: string; dataset?: string }): string;
+export function portableTextToHtml(content: any[] | null | undefined, options?: PortableTextHtmlOptions): string;
+export function portableTextToText(content: any[] | null | undefined, options?: { baseUrl?: string; projectId?: string; dataset?: string }): string;
@@ -0,0 +1,400 @@
+/**
+ * Portable Text serialization shared by the feeds, the prerender script and emails
+ * Handles every block type in the post schema (studio-brendans-blog/schemaTypes/postType.ts):
+ * normal/heading/quote blocks, bullet and numbered lists, images with alt text, figures
+ * (captioned images), code blocks with filenames, pull quotes, embeds (as links), footnotes,
+ * links and the strong/em/code decorators.
+ *
+ * portableTextToText renders the same blocks as plain text, for the text part of emails.
+ *
+ * Output targets:
+ *   rss     plain semantic HTML with absolute URLs, for feed readers
+ *   email   inline styles and absolute URLs, since mail clients strip <style> and classes
+ *   static  semantic HTML with site-relative URLs kept, for prerendered pages
+ */
+
+const SANITY_PROJECT_ID = 'wxzoc64y';
+const SANITY_DATASET = 'production';
+
+// Inline styles for the email target; the other targets leave styling to the reader
+const EMAIL_STYLES = {
+  p: 'margin:0 0 16px;font-size:17px;line-height:1.6;',
+  h1: 'margin:32px 0 16px;font-size:28px;line-height:1.25;font-weight:700;',
+  h2: 'margin:28px 0 14px;font-size:24px;line-height:1.3;font-weight:700;',
+  h3: 'margin:24px 0 12px;font-size:20px;line-height:1.35;font-weight:600;',
+  h4: 'margin:20px 0 10px;font-size:18px;line-height:1.4;font-weight:600;',
+  blockquote: 'margin:0 0 16px;padding:0 0 0 16px;border-left:4px solid #6184ED;font-style:italic;',
+  ul: 'margin:0 0 16px;padding-left:24px;',
+  ol: 'margin:0 0 16px;padding-left:24px;',
+  li: 'margin:0 0 8px;font-size:17px;line-height:1.6;',
+  a: 'color:#6184ED;text-decoration:underline;',
+  img: 'display:block;max-width:100%;height:auto;margin:24px 0;border-radius:8px;',
+  figure: 'margin:0 0 16px;',
+  figcaption: 'font-family:Menlo,Consolas,monospace;font-size:13px;margin:0 0 4px;',
+  imageCaption: 'margin:-16px 0 16px;font-size:14px;line-height:1.4;color:#6b7280;text-align:center;',
+  sup: 'font-size:0.75em;',
+  pre: 'margin:0;padding:16px;background-color:#1f2937;color:#f9fafb;border-radius:8px;overflow-x:auto;font-family:Menlo,Consolas,monospace;font-size:14px;line-height:1.5;white-space:pre-wrap;',
+  code: 'font-family:Menlo,Consolas,monospace;font-size:0.9em;'
+};
+
+const DECORATOR_TAGS = {
+  strong: 'strong',
+  em: 'em',
+  code: 'code',
+  underline: 'u',
+  'strike-through': 's'
+};
+
+const BLOCK_TAGS = ['h1', 'h2', 'h3', 'h4', 'blockquote'];
+
+/**
+ * Escape text for HTML, leaving entities that are already escaped alone
+ * (imported Substack text sometimes carries them)
+ * @param text - Raw text
+ * @returns Escaped text
+ */
+export function escapeHtml(text) {
+  if (!text) return '';
+  return String(text)
+    .replace(/&(?!amp;|lt;|gt;|quot;|apos;|#\d+;|#x[0-9a-fA-F]+;)/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Extract plain text from Portable Text content, including list items
+ * @param content - Array of Portable Text blocks
+ * @returns Plain text
+ */
+export function portableTextToPlainText(content) {
+  if (!Array.isArray(content)) return '';
+
+  return content
+    .filter(block => block && block._type === 'block')
+    .map(block => {
+      if (!Array.isArray(block.children)) return '';
+      return block.children
+        .filter(child => child._type === 'span' && child.text)
+        .map(child => child.text)
+        .join(' ');
+    })
+    .join(' ');
+}
+
+/**
+ * Resolve the URL of an image block, whether the asset was dereferenced in GROQ
+ * (asset->url), stored as a plain url, or only referenced (image-<id>-<w>x<h>-<ext>)
+ * @param block - Image block
+ * @param options - { projectId, dataset }
+ * @returns Image URL, or an empty string if it can't be resolved
+ */
+export function getImageUrl(block, options = {}) {
+  if (!block) return '';
+  if (block.asset?.url) return block.asset.url;
+  if (block.url) return block.url;
+
+  const match = /^image-([a-zA-Z0-9]+)-(\d+x\d+)-([a-z]+)$/.exec(block.asset?._ref || '');
+  if (!match) return '';
+  const [, id, dimensions, extension] = match;
+  const projectId = options.projectId || SANITY_PROJECT_ID;
+  const dataset = options.dataset || SANITY_DATASET;
+  return `https://cdn.sanity.io/images/${projectId}/${dataset}/${id}-${dimensions}.${extension}`;
+}
+
+/**
+ * Whether a URL is a web page link, safe to put in an href - feed entries and embeds come
+ * from third-party content, so a javascript: or data: link in one must never reach the page
+ * @param url - Absolute URL
+ */
+export function isWebUrl(url) {
+  try {
+    return ['http:', 'https:'].includes(new URL(url).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// Accept absolute, site-relative, fragment and mailto links; add a protocol to bare domains
+function normalizeHref(rawHref) {
+  const href = String(rawHref || '').trim();
+  // Skip obviously invalid URLs (like "http://Manus" without a domain)
+  if (/^https?:\/\/[^/\s]+\.[^/\s]+/i.test(href) || href.startsWith('/') || href.startsWith('#') || href.startsWith('mailto:')) {
+    return href;
+  }
+  if (href && !/^https?:\/\//i.test(href)) {
+    // Fix URLs that are missing protocol
+    return 'https://' + href;
+  }
+  return null;
+}
+
+// Feeds and emails are read away from the site, so site-relative URLs need the origin
+function absolutize(url, options) {
+  if (options.target === 'static' || !options.baseUrl || !url.startsWith('/') || url.startsWith('//')) {
+    return url;
+  }
+  return `${options.baseUrl}${url}`;
+}
+
+// Opening (or self-closing) tag with the email style, if any, and extra attributes
+function openTag(tag, options, attributes = '', selfClosing = false) {
+  const style = options.target === 'email' && EMAIL_STYLES[tag] ? ` style="${EMAIL_STYLES[tag]}"` : '';
+  return `<${tag}${attributes}${style}${selfClosing ? ' /' : ''}>`;
+}
+
+// Find the link a span points at - either a markDef (new "d29f57cddebc" and old "link-0" keys)
+// or, in older imports, an object mark carrying its own href
+function findLinkHref(marks, markDefs) {
+  for (const mark of marks) {
+    const markKey = typeof mark === 'string' ? mark : (mark._key || mark.key);
+    const linkDef = markDefs.find(def => def._key === markKey && def._type === 'link');
+
+    const href = linkDef?.href
+      ? normalizeHref(linkDef.href)
+      : (typeof mark === 'object' && mark.href ? normalizeHref(mark.href) : null);
+    // Found a valid link, stop looking; otherwise continue to next mark
+    if (href) return href;
+  }
+  return null;
+}
+
+function serializeSpan(child, markDefs, options) {
+  if (child._type !== 'span' || !child.text) return '';
+
+  let html = escapeHtml(child.text);
+  const marks = child.marks || [];
+
+  // Decorators wrap the text; a link wraps the decorated text
+  marks.forEach(mark => {
+    if (typeof mark === 'string' && DECORATOR_TAGS[mark]) {
+      const tag = DECORATOR_TAGS[mark];
+      html = `${openTag(tag, options)}${html}</${tag}>`;
+    }
+  });
+
+  const href = findLinkHref(marks, markDefs);
+  if (href) {
+    const url = absolutize(href, options);
+    const isExternal = /^https?:\/\//i.test(href);
+    const targetAttributes = options.target === 'static' && isExternal ? ' target="_blank" rel="noopener noreferrer"' : '';
+    html = `${openTag('a', options, ` href="${escapeHtml(url)}"${targetAttributes}`)}${html}</a>`;
+    if (href.startsWith('#footnote-')) {
+      html = `${openTag('sup', options)}${html}</sup>`;
+    }
+  }
+
+  return html;
+}
+
+function serializeImage(block, options) {
+  const url = getImageUrl(block, options);
+  if (!url) return '';
+  const src = absolutize(url, options);
+  const lazy = options.target === 'static' ? ' loading="lazy"' : '';
+  const img = openTag('img', options, ` src="${escapeHtml(src)}" alt="${escapeHtml(block.alt || '')}"${lazy}`, true);
+  if (!block.caption) return img;
+
+  // figcaption's email style is for code block filenames
+  const captionStyle = options.target === 'email' ? ` style="${EMAIL_STYLES.imageCaption}"` : '';
+  return `${openTag('figure', options)}${img}<figcaption${captionStyle}>${escapeHtml(block.caption)}</figcaption></figure>`;
+}
+
+function serializeCodeBlock(block, options) {
+  // Studio blocks nest the code input ({ code, language, filename }); imports may store a string
+  const code = typeof block.code === 'string' ? block.code : (block.code?.code || '');
+  if (!code) return '';
+  const language = block.code?.language || block.language || '';
+  const filename = block.filename || block.code?.filename || '';
+
+  const languageClass = language ? ` class="language-${escapeHtml(language)}"` : '';
+  const pre = `${openTag('pre', options)}<code${languageClass}>${escapeHtml(code)}</code></pre>`;
+  if (!filename) return pre;
+
+  return `${openTag('figure', options)}${openTag('figcaption', options)}${escapeHtml(filename)}</figcaption>${pre}</figure>`;
+}
+
+function serializePullQuote(block, options) {
+  const quote = portableTextToHtml(block.content, options);
+  if (!quote) return '';
+  const attribution = block.attribution ? `\n${openTag('p', options)}— ${escapeHtml(block.attribution)}</p>` : '';
+  return `${openTag('blockquote', options)}${quote}${attribution}</blockquote>`;
+}
+
+// Embeds are written as a link - feeds, emails and prerendered pages don't run their scripts
+function serializeEmbed(block, options) {
+  if (!isWebUrl(block.url)) return '';
+  const link = `${openTag('a', options, ` href="${escapeHtml(block.url)}"`)}${escapeHtml(block.title || block.url)}</a>`;
+  if (!block.text) return `${openTag('p', options)}${link}</p>`;
+  return `${openTag('blockquote', options)}${openTag('p', options)}${escapeHtml(block.text)}</p>\n${openTag('p', options)}— ${link}</p></blockquote>`;
+}
+
+// The note, with its number in front; the text links to it as #footnote-<number>
+function serializeFootnote(block, options) {
+  const note = portableTextToHtml(block.content, options);
+  if (!note) return '';
+  const number = escapeHtml(block.number);
+  return `<div id="footnote-${number}">${note.replace(/^(<p[^>]*>)/, `$1${openTag('sup', options)}${number}</sup> `)}</div>`;
+}
+
+/**
+ * Convert Portable Text to HTML
+ * @param content - Array of Portable Text blocks
+ * @param options - { target: 'rss' | 'email' | 'static' (default), baseUrl, projectId, dataset }
+ * @returns HTML string, one top-level element per line
+ */
+export function portableTextToHtml(content, options = {}) {
+  if (!Array.isArray(content)) return '';
+  const settings = { target: 'static', ...options };
+
+  const htmlParts = [];
+  // Open lists, outermost first, with whether each has an unclosed <li>
+  const lists = [];
+
+  const closeListsDownTo = (level) => {
+    while (lists.length > level) {
+      const list = lists.pop();
+      htmlParts.push(`${list.itemOpen ? '</li>' : ''}</${list.tag}>`);
+    }
+  };
+
+  content.forEach(block => {
+    if (!block) return;
+
+    if (block._type === 'block' && block.listItem) {
+      const level = Math.max(1, block.level || 1);
+      const tag = block.listItem === 'number' ? 'ol' : 'ul';
+
+      closeListsDownTo(level);
+      const current = lists[level - 1];
+      if (current && current.tag !== tag) {
+        // Switching between bullet and numbered at the same level starts a new list
+        closeListsDownTo(level - 1);
+      } else if (current && current.itemOpen) {
+        htmlParts.push('</li>');
+        current.itemOpen = false;
+      }
+      while (lists.length < level) {
+        htmlParts.push(openTag(tag, settings));
+        lists.push({ tag, itemOpen: false });
+      }
+
+      const markDefs = block.markDefs || [];
+      const children = (block.children || []).map(child => serializeSpan(child, markDefs, settings)).join('');
+      htmlParts.push(`${openTag('li', settings)}${children}`);
+      lists[level - 1].itemOpen = true;
+      return;
+    }
+
+    closeListsDownTo(0);
+
+    if (block._type === 'block') {
+      const markDefs = block.markDefs || [];
+      const children = (block.children || []).map(child => serializeSpan(child, markDefs, settings)).join('');
+      if (!children) return;
+
+      const style = block.style || 'normal';
+      const tag = BLOCK_TAGS.includes(style) ? style : 'p';
+      htmlParts.push(`${openTag(tag, settings)}${children}</${tag}>`);
+    } else if (block._type === 'image' || block._type === 'figure') {
+      const image = serializeImage(block, settings);
+      if (image) htmlParts.push(image);
+    } else if (block._type === 'codeBlock' || block._type === 'code') {
+      const codeBlock = serializeCodeBlock(block, settings);
+      if (codeBlock) htmlParts.push(codeBlock);
+    } else if (block._type === 'pullQuote') {
+      const pullQuote = serializePullQuote(block, settings);
+      if (pullQuote) htmlParts.push(pullQuote);
+    } else if (block._type === 'embed') {
+      const embed = serializeEmbed(block, settings);
+      if (embed) htmlParts.push(embed);
+    } else if (block._type === 'footnote') {
+      const footnote = serializeFootnote(block, settings);
+      if (footnote) htmlParts.push(footnote);
+    }
+  });
+
+  closeListsDownTo(0);
+
+  return htmlParts.join('\n');
+}
+
+// Plain-text span: the text, followed by its link unless the text already is the link
+function spanToText(child, markDefs, options) {
+  if (child._type !== 'span' || !child.text) return '';
+  const href = findLinkHref(child.marks || [], markDefs);
+  if (href?.startsWith('#footnote-')) return `[${child.text}]`;
+  if (!href || href.startsWith('#')) return child.text;
+  const url = absolutize(href.replace(/^mailto:/, ''), options);
+  return child.text.trim() === url ? child.text : `${child.text} (${url})`;
+}
+
+/**
+ * Convert Portable Text to readable plain text - blocks separated by blank lines,
+ * lists bulleted or numbered, quotes prefixed with "> " and links written out after their text
+ * @param content - Array of Portable Text blocks
+ * @param options - { baseUrl, projectId, dataset } - site-relative links and images are made absolute
+ * @returns Plain text
+ */
+export function portableTextToText(content, options = {}) {
+  if (!Array.isArray(content)) return '';
+  const settings = { ...options, target: 'email' };
+
+  const parts = [];
+  // Numbering of the open numbered lists, by level
+  let numbers = [];
+
+  content.forEach(block => {
+    if (!block) return;
+    const markDefs = block.markDefs || [];
+    const text = block._type === 'block'
+      ? (block.children || []).map(child => spanToText(child, markDefs, settings)).join('').trim()
+      : '';
+
+    if (block._type === 'block' && block.listItem) {
+      const level = Math.max(1, block.level || 1);
+      numbers = numbers.slice(0, level);
+      numbers[level - 1] = (numbers[level - 1] || 0) + 1;
+      const marker = block.listItem === 'number' ? `${numbers[level - 1]}.` : '-';
+      const item = `${'   '.repeat(level - 1)}${marker} ${text}`;
+      // List items stay together, without blank lines between them
+      const previous = parts[parts.length - 1];
+      if (previous?.isList) {
+        previous.text += `\n${item}`;
+      } else {
+        parts.push({ text: item, isList: true });
+      }
+      return;
+    }
+    numbers = [];
+
+    if (block._type === 'block') {
+      if (!text) return;
+      const style = block.style || 'normal';
+      if (style === 'blockquote') {
+        parts.push({ text: text.split('\n').map(line => `> ${line}`).join('\n') });
+      } else if (/^h[1-4]$/.test(style)) {
+        parts.push({ text: `${text}\n${'-'.repeat(Math.min(text.length, 60))}` });
+      } else {
+        parts.push({ text });
+      }
+    } else if (block._type === 'image' || block._type === 'figure') {
+      const url = getImageUrl(block, settings);
+      if (url) parts.push({ text: `[${block.alt || 'Image'}: ${absolutize(url, settings)}]${block.caption ? `\n${block.caption}` : ''}` });
+    } else if (block._type === 'codeBlock' || block._type === 'code') {
+      const code = typeof block.code === 'string' ? block.code : (block.code?.code || '');
+      if (code) parts.push({ text: code.split('\n').map(line => `    ${line}`).join('\n') });
+    } else if (block._type === 'pullQuote') {
+      const quote = portableTextToText(block.content, options);
+      const attribution = block.attribution ? `\n\n— ${block.attribution}` : '';
+      if (quote) parts.push({ text: `${quote}${attribution}`.split('\n').map(line => `> ${line}`.trimEnd()).join('\n') });
+    } else if (block._type === 'embed') {
+      if (isWebUrl(block.url)) parts.push({ text: `${block.text ? `> ${block.text}\n` : ''}[${block.title || 'Embed'}: ${block.url}]` });
+    } else if (block._type === 'footnote') {
+      const note = portableTextToText(block.content, options);
+      if (note) parts.push({ text: `[${block.number}] ${note}` });
+    }
+  });
+
+  return parts.map(part => part.text).join('\n\n');
+}
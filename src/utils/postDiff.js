@@ -0,0 +1,180 @@
+/**
+ * Differences between a post in a Substack export (substackExport.js) and its Sanity document,
+ * for the blog-migrate reconcile command (scripts/blog-migrate.js).
+ *
+ * Bodies are compared block by block. Each block is written as one line of Markdown-like text -
+ * "## heading", "- list item", "> quote", **strong**, _em_, `code` and [links](href), with
+ * ">> pull quote — attribution", "[embed](url)" and "[^1]: footnote" - so lost formatting shows
+ * up as well as changed words. Images and figures are compared separately, by file name and
+ * caption: Sanity keeps the name each image was uploaded under, which the import takes from its
+ * URL (imageAssets.js).
+ */
+
+import { getImageFileName } from './imageAssets.js';
+
+// The fields reconcile compares, for the matched documents
+export const POST_DIFF_QUERY = `*[_type == "post" && _id in $ids] {
+  _id,
+  title,
+  publishedAt,
+  "content": content[] {
+    ...,
+    "assetFilename": asset->originalFilename
+  }
+}`;
+
+// Fixes --apply can make; images are part of the body, so fixing the body fixes them too
+export const DIFF_FIXES = ['title', 'date', 'body'];
+
+const LIST_PREFIXES = { bullet: '- ', number: '1. ' };
+
+function spanToText(span, markDefs) {
+  let text = span.text || '';
+  if (!text.trim()) return text;
+  (span.marks || []).forEach(mark => {
+    if (mark === 'strong') text = `**${text}**`;
+    else if (mark === 'em') text = `_${text}_`;
+    else if (mark === 'code') text = `\`${text}\``;
+    else {
+      const markDef = markDefs.find(def => def._key === mark);
+      if (markDef?.href) text = `[${text}](${markDef.href})`;
+    }
+  });
+  return text;
+}
+
+/**
+ * A block as one line of text, with its style and formatting
+ * @param block - Portable Text block (not an image or figure)
+ */
+export function blockToLine(block) {
+  if (block._type === 'codeBlock') {
+    return `\`\`\`${block.code?.language || ''} ${block.code?.code || ''}\`\`\``;
+  }
+  if (block._type === 'pullQuote') {
+    const quote = (block.content || []).map(blockToLine).join(' / ');
+    return `>> ${quote}${block.attribution ? ` — ${block.attribution}` : ''}`;
+  }
+  if (block._type === 'embed') {
+    return `[embed${block.title ? `: ${block.title}` : ''}](${block.url})`;
+  }
+  if (block._type === 'footnote') {
+    return `[^${block.number}]: ${(block.content || []).map(blockToLine).join(' / ')}`;
+  }
+  if (block._type !== 'block') {
+    return `[${block._type}]`;
+  }
+
+  const text = (block.children || []).map(span => spanToText(span, block.markDefs || [])).join('');
+  if (block.listItem) return `${LIST_PREFIXES[block.listItem] || '- '}${text}`;
+  if (/^h[1-6]$/.test(block.style)) return `${'#'.repeat(Number(block.style[1]))} ${text}`;
+  if (block.style === 'blockquote') return `> ${text}`;
+  return text;
+}
+
+const isImage = block => block._type === 'image' || block._type === 'figure';
+
+// An image as the file name it has, from its URL or the Sanity asset, and its caption
+function imageToLine(block) {
+  const name = block._imageUrl ? getImageFileName(block._imageUrl) : block.assetFilename || block.asset?._ref || '(missing image)';
+  return block.caption ? `${name} "${block.caption}"` : name;
+}
+
+/**
+ * Line diff, as hunks of removed and added lines
+ * @param from - Lines as they are
+ * @param to - Lines as they should be
+ * @returns [{ line: 1-based position in from, removed: [lines], added: [lines] }]
+ */
+export function diffLines(from, to) {
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: from.length + 1 }, () => new Array(to.length + 1).fill(0));
+  for (let i = from.length - 1; i >= 0; i--) {
+    for (let j = to.length - 1; j >= 0; j--) {
+      lcs[i][j] = from[i] === to[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const hunks = [];
+  let hunk = null;
+  let i = 0;
+  let j = 0;
+  const current = () => {
+    hunk = hunk || { line: i + 1, removed: [], added: [] };
+    return hunk;
+  };
+  while (i < from.length || j < to.length) {
+    if (i < from.length && j < to.length && from[i] === to[j]) {
+      if (hunk) hunks.push(hunk);
+      hunk = null;
+      i++;
+      j++;
+    } else if (j < to.length && (i === from.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+      current().added.push(to[j++]);
+    } else {
+      current().removed.push(from[i++]);
+    }
+  }
+  if (hunk) hunks.push(hunk);
+  return hunks;
+}
+
+/**
+ * How a Sanity document differs from the export's version of the post
+ * @param post - Post JSON
+ * @param document - Result of POST_DIFF_QUERY
+ * @returns { title?, date?, images?, body? } - only what differs; empty if they match.
+ *   title and date are { sanity, export }, images and body are hunks (diffLines)
+ */
+export function diffPost(post, document) {
+  const differences = {};
+
+  if ((document.title || '').trim() !== (post.title || '').trim()) {
+    differences.title = { sanity: document.title || null, export: post.title };
+  }
+
+  const sanityDate = document.publishedAt ? new Date(document.publishedAt).getTime() : null;
+  const exportDate = post.publishedAt ? new Date(post.publishedAt).getTime() : null;
+  if (sanityDate !== exportDate) {
+    differences.date = { sanity: document.publishedAt || null, export: post.publishedAt || null };
+  }
+
+  const sanityContent = document.content || [];
+  const exportContent = post.content || [];
+  const images = diffLines(
+    sanityContent.filter(isImage).map(imageToLine),
+    exportContent.filter(isImage).map(imageToLine)
+  );
+  if (images.length > 0) differences.images = images;
+
+  const body = diffLines(
+    sanityContent.filter(block => !isImage(block)).map(blockToLine),
+    exportContent.filter(block => !isImage(block)).map(blockToLine)
+  );
+  if (body.length > 0) differences.body = body;
+
+  return differences;
+}
+
+/**
+ * A diff as readable lines, for the console
+ * @param differences - From diffPost
+ * @returns Lines, "-" for Sanity's version and "+" for the export's
+ */
+export function formatPostDiff(differences) {
+  const lines = [];
+  if (differences.title) {
+    lines.push(`title: "${differences.title.sanity}" → "${differences.title.export}"`);
+  }
+  if (differences.date) {
+    lines.push(`date: ${differences.date.sanity} → ${differences.date.export}`);
+  }
+  [['images', 'image'], ['body', 'block']].forEach(([field, unit]) => {
+    (differences[field] || []).forEach(hunk => {
+      lines.push(`${field} @ ${unit} ${hunk.line}:`);
+      hunk.removed.forEach(line => lines.push(`  - ${line}`));
+      hunk.added.forEach(line => lines.push(`  + ${line}`));
+    });
+  });
+  return lines;
+}
@@ -0,0 +1,66 @@
+/**
+ * Sliding-window rate limits for Netlify functions, e.g. subscribe attempts per IP and per
+ * address. Functions don't share memory between instances, so in production the recent
+ * hits are kept in Sanity as rateLimit.<hash> documents (private, since the ID is under a
+ * path); the memory store is for local runs and sites without a Sanity token.
+ *
+ * Keys are hashed before they're stored, so IPs and addresses aren't kept in the clear.
+ */
+
+import crypto from 'crypto';
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex').slice(0, 32);
+}
+
+/**
+ * Hits kept in Sanity
+ * @param client - Sanity client with a write token
+ */
+export function createSanityRateLimitStore(client) {
+  return {
+    async getHits(key) {
+      const doc = await client.getDocument(`rateLimit.${hashKey(key)}`);
+      return doc?.hits || [];
+    },
+
+    async setHits(key, hits) {
+      await client.createOrReplace({ _id: `rateLimit.${hashKey(key)}`, _type: 'rateLimit', hits });
+    }
+  };
+}
+
+// Shared by every call in a function instance
+const memoryHits = new Map();
+
+export function createMemoryRateLimitStore() {
+  return {
+    async getHits(key) {
+      return memoryHits.get(hashKey(key)) || [];
+    },
+
+    async setHits(key, hits) {
+      memoryHits.set(hashKey(key), hits);
+    }
+  };
+}
+
+/**
+ * Count a hit against a limit, unless the limit has already been reached
+ * @param store - Rate limit store
+ * @param key - What's being limited, e.g. "subscribe-ip:203.0.113.7"
+ * @param limit - { max: hits allowed, windowMs: over this long }
+ * @returns { allowed, retryAfterSeconds }
+ */
+export async function takeRateLimit(store, key, { max, windowMs }) {
+  const now = Date.now();
+  const recent = (await store.getHits(key)).filter(time => now - time < windowMs);
+
+  if (recent.length >= max) {
+    const retryAfterSeconds = Math.ceil((recent[0] + windowMs - now) / 1000);
+    return { allowed: false, retryAfterSeconds };
+  }
+
+  await store.setHits(key, [...recent, now]);
+  return { allowed: true, retryAfterSeconds: 0 };
+}
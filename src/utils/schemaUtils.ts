@@ -3,6 +3,8 @@
  * Generates JSON-LD markup for blog posts, organization, and website
  */
 
+import { portableTextToPlainText } from './portableText.js';
+
 interface BlogPost {
   id: string;
   title: string;
@@ -110,25 +112,9 @@ const PERSON_DATA = {
   ]
 };
 
-// Extract text content from Portable Text for word count and description
-function extractTextFromPortableText(content: any[]): string {
-  if (!Array.isArray(content)) return '';
-  
-  return content
-    .filter(block => block._type === 'block')
-    .map(block => {
-      if (!block.children || !Array.isArray(block.children)) return '';
-      return block.children
-        .filter((child: any) => child._type === 'span' && child.text)
-        .map((child: any) => child.text)
-        .join(' ');
-    })
-    .join(' ');
-}
-
 // Calculate word count from content
 function getWordCount(content: any[]): number {
-  const text = extractTextFromPortableText(content);
+  const text = portableTextToPlainText(content);
   return text.split(/\s+/).filter(word => word.length > 0).length;
 }
 
@@ -136,7 +122,7 @@ function getWordCount(content: any[]): number {
 function generateDescription(post: BlogPost): string {
   return post.excerpt || 
          post.subheader || 
-         (post.content ? extractTextFromPortableText(post.content).substring(0, 160) : '') ||
+         (post.content ? portableTextToPlainText(post.content).substring(0, 160) : '') ||
          'A post from Brendan\'s Blog';
 }
 
@@ -480,7 +466,7 @@ export function generateFAQSchema(post: BlogPost, postUrl: string): any {
  */
 export function detectSchemaType(post: BlogPost): string {
   const title = post.title.toLowerCase();
-  const content = post.content ? extractTextFromPortableText(post.content).toLowerCase() : '';
+  const content = post.content ? portableTextToPlainText(post.content).toLowerCase() : '';
   const category = post.category?.toLowerCase() || '';
   
   // Check for HowTo indicators
@@ -645,7 +631,7 @@ function extractFAQsFromContent(content: any[]): { question: string, answer: str
   
   // If no FAQs found but it's detected as FAQ content, create a general one
   if (faqs.length === 0) {
-    const allText = extractTextFromPortableText(content);
+    const allText = portableTextToPlainText(content);
     faqs.push({
       question: "What is this about?",
       answer: allText.substring(0, 200) + "..."
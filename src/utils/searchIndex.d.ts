@@ -0,0 +1,29 @@
+export interface SearchDocument {
+  id: string;
+  title: string;
+  subheader: string;
+  body: string;
+}
+
+export interface SearchIndex {
+  version: number;
+  documents: { id: string; length: number }[];
+  terms: Record<string, [number, number][]>;
+  averageLength: number;
+}
+
+export interface SearchResult {
+  id: string;
+  score: number;
+}
+
+export const SEARCH_INDEX_VERSION: number;
+export const FIELD_WEIGHTS: Record<'title' | 'subheader' | 'body', number>;
+
+export function stem(word: string): string;
+export function tokenize(text: string | null | undefined): string[];
+export function analyze(text: string | null | undefined): string[];
+export function postToSearchDocument(post: any): SearchDocument;
+export function buildSearchIndex(documents: SearchDocument[]): SearchIndex;
+export function searchIndex(index: SearchIndex | null | undefined, query: string, options?: { allowPrefix?: boolean }): SearchResult[];
+export function documentsContaining(index: SearchIndex | null | undefined, text: string): Set<string>;
@@ -0,0 +1,317 @@
+/**
+ * Client-side full-text search index for blog posts
+ * These functions are shared between the browser and the build scripts
+ */
+
+import { portableTextToPlainText } from './portableText.js';
+
+// Bump whenever the tokenizer, stemmer or index shape changes
+export const SEARCH_INDEX_VERSION = 1;
+
+// Relative importance of each field when scoring a match
+export const FIELD_WEIGHTS = {
+  title: 5,
+  subheader: 3,
+  body: 1
+};
+
+// BM25 tuning parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Score multipliers for non-exact term matches
+const PREFIX_MATCH_PENALTY = 0.7;
+const FUZZY_MATCH_PENALTIES = [1, 0.5, 0.3];
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'if', 'in',
+  'into', 'is', 'it', 'of', 'on', 'or', 'so', 'that', 'the', 'their', 'then',
+  'there', 'these', 'they', 'this', 'to', 'was', 'were', 'will', 'with'
+]);
+
+// Derivational suffixes, checked longest first
+const SUFFIX_REPLACEMENTS = [
+  ['izations', 'iz'],
+  ['ization', 'iz'],
+  ['ational', 'ate'],
+  ['fulness', 'ful'],
+  ['iveness', 'ive'],
+  ['ousness', 'ous'],
+  ['ations', 'ate'],
+  ['ation', 'ate'],
+  ['ness', ''],
+  ['ment', ''],
+  ['ly', '']
+];
+
+function hasVowel(text) {
+  return /[aeiouy]/.test(text);
+}
+
+/**
+ * Reduce a lowercase word to its stem so that inflections share an index entry
+ * (e.g. "prioritise", "prioritized" and "prioritizing" all become "prioritiz")
+ * @param word - A lowercase word
+ * @returns The stemmed word
+ */
+export function stem(word) {
+  if (word.length <= 3) return word;
+
+  // Normalise British -ise spellings to -ize
+  let w = word.length > 5
+    ? word.replace(/is(e|es|ed|ing|er|ers|ation|ations)$/, 'iz$1')
+    : word;
+
+  // Plurals
+  if (w.endsWith('sses')) {
+    w = w.slice(0, -2);
+  } else if (w.endsWith('ies')) {
+    w = w.slice(0, -2);
+  } else if (w.endsWith('s') && !w.endsWith('ss') && !w.endsWith('us')) {
+    w = w.slice(0, -1);
+  }
+
+  // Past tense and gerunds
+  if (w.endsWith('eed')) {
+    w = w.slice(0, -1);
+  } else {
+    const match = w.match(/^(.+?)(ed|ing)$/);
+    if (match && hasVowel(match[1]) && match[1].length >= 2) {
+      w = match[1];
+      // hopping -> hop, but keep "fall", "miss" and "buzz" intact
+      if (/([^aeiouylsz])\1$/.test(w)) {
+        w = w.slice(0, -1);
+      }
+    }
+  }
+
+  for (const [suffix, replacement] of SUFFIX_REPLACEMENTS) {
+    if (w.endsWith(suffix) && w.length - suffix.length >= 3) {
+      w = w.slice(0, -suffix.length) + replacement;
+      break;
+    }
+  }
+
+  // happy / happiness -> happi
+  if (w.endsWith('y') && hasVowel(w.slice(0, -1))) {
+    w = w.slice(0, -1) + 'i';
+  }
+
+  // make / making -> mak
+  if (w.endsWith('e') && w.length > 3) {
+    w = w.slice(0, -1);
+  }
+
+  return w;
+}
+
+/**
+ * Split text into lowercase word tokens, dropping stop words
+ * @param text - Raw text
+ * @returns Array of tokens
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  return String(text)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\u2018\u2019']/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !STOP_WORDS.has(token));
+}
+
+/**
+ * Tokenize and stem text
+ * @param text - Raw text
+ * @returns Array of stemmed terms
+ */
+export function analyze(text) {
+  return tokenize(text).map(stem);
+}
+
+/**
+ * Convert a post (as returned by POSTS_QUERY) into a search document
+ * @param post - Blog post
+ * @returns Search document with id, title, subheader and body text
+ */
+export function postToSearchDocument(post) {
+  return {
+    id: post._id || post.id,
+    title: post.title || '',
+    subheader: [post.subheader, post.excerpt].filter(Boolean).join(' '),
+    body: portableTextToPlainText(post.content)
+  };
+}
+
+/**
+ * Build a serialisable inverted index from search documents
+ * @param documents - Array of { id, title, subheader, body }
+ * @returns Search index
+ */
+export function buildSearchIndex(documents) {
+  const terms = {};
+  const indexedDocuments = [];
+  let totalLength = 0;
+
+  documents.forEach((doc, docIndex) => {
+    const frequencies = new Map();
+    let length = 0;
+
+    Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+      analyze(doc[field]).forEach(term => {
+        frequencies.set(term, (frequencies.get(term) || 0) + weight);
+        length += weight;
+      });
+    });
+
+    frequencies.forEach((frequency, term) => {
+      if (!Object.prototype.hasOwnProperty.call(terms, term)) {
+        terms[term] = [];
+      }
+      terms[term].push([docIndex, frequency]);
+    });
+
+    indexedDocuments.push({ id: doc.id, length });
+    totalLength += length;
+  });
+
+  return {
+    version: SEARCH_INDEX_VERSION,
+    documents: indexedDocuments,
+    terms,
+    averageLength: indexedDocuments.length ? totalLength / indexedDocuments.length : 0
+  };
+}
+
+// Levenshtein distance, giving up once it exceeds maxDistance
+function boundedEditDistance(a, b, maxDistance) {
+  if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > maxDistance) return maxDistance + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Longer words tolerate more typos
+function allowedTypos(term) {
+  if (term.length < 4) return 0;
+  if (term.length < 8) return 1;
+  return 2;
+}
+
+// Find index terms matching a query term, with a multiplier for how close the match is
+function expandTerm(index, term, allowPrefix) {
+  const matches = new Map();
+  if (Object.prototype.hasOwnProperty.call(index.terms, term)) {
+    matches.set(term, 1);
+  }
+
+  const maxDistance = allowedTypos(term);
+  const canPrefix = allowPrefix && term.length >= 3;
+  if (maxDistance === 0 && !canPrefix) return matches;
+
+  Object.keys(index.terms).forEach(candidate => {
+    if (candidate === term) return;
+    let multiplier = 0;
+    if (canPrefix && candidate.startsWith(term)) {
+      multiplier = PREFIX_MATCH_PENALTY;
+    }
+    if (maxDistance > 0) {
+      const distance = boundedEditDistance(term, candidate, maxDistance);
+      if (distance <= maxDistance) {
+        multiplier = Math.max(multiplier, FUZZY_MATCH_PENALTIES[distance]);
+      }
+    }
+    if (multiplier > 0) {
+      matches.set(candidate, multiplier);
+    }
+  });
+
+  return matches;
+}
+
+/**
+ * Query a search index
+ * Every query word must match (exactly, by stem, by prefix for the word being
+ * typed, or within a small edit distance). Results are ranked with BM25.
+ * @param index - Index from buildSearchIndex
+ * @param query - Free-text query
+ * @param options - { allowPrefix } overrides whether the last word may match as a prefix
+ *                  (defaults to true when the query ends mid-word, i.e. while typing)
+ * @returns Array of { id, score } sorted by descending score
+ */
+export function searchIndex(index, query, options = {}) {
+  const queryTerms = analyze(query);
+  if (!index || queryTerms.length === 0) return [];
+
+  const documentCount = index.documents.length;
+  const endsMidWord = options.allowPrefix ?? /[a-z0-9]$/i.test(String(query).trim());
+  let scores = null;
+
+  queryTerms.forEach((term, position) => {
+    const allowPrefix = endsMidWord && position === queryTerms.length - 1;
+    const termScores = new Map();
+
+    expandTerm(index, term, allowPrefix).forEach((multiplier, matchedTerm) => {
+      const postings = index.terms[matchedTerm];
+      const idf = Math.log(1 + (documentCount - postings.length + 0.5) / (postings.length + 0.5));
+
+      postings.forEach(([docIndex, frequency]) => {
+        const length = index.documents[docIndex].length;
+        const norm = K1 * (1 - B + B * (length / (index.averageLength || 1)));
+        const score = multiplier * idf * ((frequency * (K1 + 1)) / (frequency + norm));
+        // Keep the best-matching variant of this query term per document
+        termScores.set(docIndex, Math.max(termScores.get(docIndex) || 0, score));
+      });
+    });
+
+    if (scores === null) {
+      scores = termScores;
+    } else {
+      const combined = new Map();
+      scores.forEach((score, docIndex) => {
+        if (termScores.has(docIndex)) {
+          combined.set(docIndex, score + termScores.get(docIndex));
+        }
+      });
+      scores = combined;
+    }
+  });
+
+  return Array.from(scores || [])
+    .map(([docIndex, score]) => ({ id: index.documents[docIndex].id, score }))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Find the documents containing every word of some text, matched by exact stem
+ * @param index - Index from buildSearchIndex
+ * @param text - One or more words
+ * @returns Set of document ids
+ */
+export function documentsContaining(index, text) {
+  const terms = analyze(text);
+  if (!index || terms.length === 0) return new Set();
+
+  let docIndexes = null;
+  terms.forEach(term => {
+    const postings = Object.prototype.hasOwnProperty.call(index.terms, term) ? index.terms[term] : [];
+    const current = new Set(postings.map(([docIndex]) => docIndex));
+    docIndexes = docIndexes === null
+      ? current
+      : new Set([...docIndexes].filter(docIndex => current.has(docIndex)));
+  });
+
+  return new Set([...docIndexes].map(docIndex => index.documents[docIndex].id));
+}
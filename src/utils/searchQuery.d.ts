@@ -0,0 +1,17 @@
+import { SearchIndex } from './searchIndex.js';
+
+export interface ParsedSearchQuery {
+  text: string[];
+  phrases: string[];
+  excluded: string[];
+  excludedPhrases: string[];
+  titleTerms: string[];
+  titlePhrases: string[];
+  before: Date | null;
+  after: Date | null;
+}
+
+export function parseSearchQuery(query: string | null | undefined): ParsedSearchQuery;
+export function hasSearchCriteria(parsed: ParsedSearchQuery): boolean;
+export function getHighlightTerms(parsed: ParsedSearchQuery): string[];
+export function searchPosts<T>(posts: T[], query: string | ParsedSearchQuery, index: SearchIndex | null | undefined): T[];
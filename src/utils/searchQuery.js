@@ -0,0 +1,182 @@
+/**
+ * Search query syntax, shared by the search box, the archive and the search feed
+ *
+ *   curation              free text, ranked by relevance
+ *   "next frontier"       exact phrase
+ *   -web  -"social media" exclude a word or phrase
+ *   title:taste           word (or "phrase") must appear in the title
+ *   after:2022            published on or after the start of 2022
+ *   before:2023-01        published before January 2023
+ *
+ * Dates accept YYYY, YYYY-MM or YYYY-MM-DD.
+ */
+
+import { portableTextToPlainText } from './portableText.js';
+import { analyze, documentsContaining, searchIndex } from './searchIndex.js';
+
+const TOKEN_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|([^\s"]+))/gi;
+const DATE_PATTERN = /^(\d{4})(?:-(\d{1,2}))?(?:-(\d{1,2}))?$/;
+
+// Start of the period a date filter names, in UTC
+function parseDateFilter(value) {
+  const match = DATE_PATTERN.exec(value);
+  if (!match) return null;
+
+  const [, year, month = '1', day = '1'] = match;
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+  // Reject rollovers such as 2023-13 or 2023-02-31
+  if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+    return null;
+  }
+  return date;
+}
+
+// Lowercase, straighten quotes and collapse whitespace for verbatim phrase checks
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/[\u2018\u2019]/g, "'")
+    .replace(/[\u201c\u201d]/g, '"')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse a search query into free text, phrases, exclusions, field scopes and date filters
+ * @param query - Raw search box input
+ * @returns Parsed query
+ */
+export function parseSearchQuery(query) {
+  const parsed = {
+    text: [],
+    phrases: [],
+    excluded: [],
+    excludedPhrases: [],
+    titleTerms: [],
+    titlePhrases: [],
+    before: null,
+    after: null
+  };
+
+  for (const match of String(query || '').matchAll(TOKEN_PATTERN)) {
+    const [raw, negation, rawField, quoted, word] = match;
+    const field = rawField ? rawField.toLowerCase() : null;
+    const isPhrase = quoted !== undefined;
+    const value = (isPhrase ? quoted : word).trim();
+    if (!value) continue;
+
+    if ((field === 'before' || field === 'after') && !negation && parseDateFilter(value)) {
+      parsed[field] = parseDateFilter(value);
+    } else if (field === 'title' && !negation) {
+      (isPhrase ? parsed.titlePhrases : parsed.titleTerms).push(value);
+    } else if (field && field !== 'title') {
+      // Not an operator we know (e.g. "note:" or a URL) - search for it as typed
+      parsed.text.push(raw.replace(/^-/, ''));
+    } else if (negation) {
+      (isPhrase ? parsed.excludedPhrases : parsed.excluded).push(value);
+    } else {
+      (isPhrase ? parsed.phrases : parsed.text).push(value);
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Whether a parsed query has anything to search or filter by
+ * @param parsed - Result of parseSearchQuery
+ * @returns True if the query would narrow the post list
+ */
+export function hasSearchCriteria(parsed) {
+  return Boolean(
+    parsed.text.length || parsed.phrases.length || parsed.excluded.length ||
+    parsed.excludedPhrases.length || parsed.titleTerms.length || parsed.titlePhrases.length ||
+    parsed.before || parsed.after
+  );
+}
+
+/**
+ * Words and phrases worth highlighting in search results
+ * @param parsed - Result of parseSearchQuery
+ * @returns Array of strings, phrases first
+ */
+export function getHighlightTerms(parsed) {
+  return [...parsed.phrases, ...parsed.titlePhrases, ...parsed.titleTerms, ...parsed.text]
+    .filter(term => analyze(term).length > 0);
+}
+
+// Text that is available for verbatim checks; the body is missing when only metadata was fetched
+function getPostText(post) {
+  return {
+    title: normalizeText(post.title),
+    summary: normalizeText([post.subheader, post.excerpt].filter(Boolean).join(' ')),
+    body: Array.isArray(post.content) ? normalizeText(portableTextToPlainText(post.content)) : null
+  };
+}
+
+function containsPhrase(text, phrase) {
+  const needle = normalizeText(phrase);
+  return [text.title, text.summary, text.body].some(field => field && field.includes(needle));
+}
+
+/**
+ * Search posts with the query syntax above
+ * Free text and phrases are ranked by the index; the other operators filter.
+ * A query made only of filters keeps the posts in their original order.
+ * @param posts - Posts to search (each with _id or id, title, publishedAt)
+ * @param query - Raw query string or result of parseSearchQuery
+ * @param index - Search index covering the posts
+ * @returns Matching posts
+ */
+export function searchPosts(posts, query, index) {
+  const parsed = typeof query === 'string' ? parseSearchQuery(query) : query;
+  if (!hasSearchCriteria(parsed)) return [];
+
+  const getId = post => post._id || post.id;
+  const rankedText = [...parsed.phrases, ...parsed.titlePhrases, ...parsed.titleTerms, ...parsed.text].join(' ');
+
+  let candidates = posts;
+  if (analyze(rankedText).length > 0) {
+    const postsById = new Map(posts.map(post => [getId(post), post]));
+    // Only the last free word can still be mid-typing; phrases and scoped terms are complete
+    const rawQuery = typeof query === 'string' ? query.trim() : '';
+    const allowPrefix = parsed.text.length > 0 && /[a-z0-9]$/i.test(rawQuery);
+    candidates = searchIndex(index, rankedText, { allowPrefix })
+      .map(result => postsById.get(result.id))
+      .filter(Boolean);
+  } else if (parsed.text.length || parsed.phrases.length || parsed.titleTerms.length || parsed.titlePhrases.length) {
+    // Only stop words were typed
+    return [];
+  }
+
+  const excludedIds = new Set();
+  parsed.excluded.forEach(word => {
+    documentsContaining(index, word).forEach(id => excludedIds.add(id));
+  });
+  const phraseWordIds = parsed.phrases.map(phrase => documentsContaining(index, phrase));
+
+  return candidates.filter(post => {
+    const dateStr = post.publishedAt || post.created_at;
+    const published = dateStr ? new Date(dateStr) : null;
+    if (parsed.after && (!published || published < parsed.after)) return false;
+    if (parsed.before && (!published || published >= parsed.before)) return false;
+
+    if (excludedIds.has(getId(post))) return false;
+
+    const text = getPostText(post);
+    if (parsed.excludedPhrases.some(phrase => containsPhrase(text, phrase))) return false;
+
+    const titleStems = analyze(post.title);
+    const titleMatches = parsed.titleTerms.every(term => (
+      analyze(term).every(termStem => titleStems.some(titleStem => titleStem.startsWith(termStem)))
+    ));
+    if (!titleMatches) return false;
+    if (!parsed.titlePhrases.every(phrase => text.title.includes(normalizeText(phrase)))) return false;
+
+    // Verify phrases verbatim when the body is loaded; otherwise trust the index
+    // to have every word of the phrase in this post
+    return parsed.phrases.every((phrase, i) => (
+      containsPhrase(text, phrase) || (text.body === null && phraseWordIds[i].has(getId(post)))
+    ));
+  });
+}
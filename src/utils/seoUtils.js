@@ -3,21 +3,11 @@
  * These functions are shared between client-side and server-side rendering
  */
 
+import { portableTextToPlainText } from './portableText.js';
+
 // Helper function to extract text content from Portable Text for meta descriptions
 export function extractTextFromContent(content) {
-  if (!Array.isArray(content)) return '';
-  
-  const text = content
-    .filter(block => block._type === 'block')
-    .map(block => {
-      if (!block.children || !Array.isArray(block.children)) return '';
-      return block.children
-        .filter((child) => child._type === 'span' && child.text)
-        .map((child) => child.text)
-        .join(' ');
-    })
-    .join(' ');
-    
+  const text = portableTextToPlainText(content);
   // Limit to 160 characters for meta description
   return text.length > 160 ? text.substring(0, 157) + '...' : text;
 }
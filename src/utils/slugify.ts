@@ -1,3 +1,7 @@
+import { portableTextToPlainText } from './portableText.js';
+import { buildSearchIndex, postToSearchDocument, SearchIndex } from './searchIndex.js';
+import { searchPosts } from './searchQuery.js';
+
 /**
  * Convert a string to a URL-friendly slug
  * @param text - The text to convert to a slug
@@ -33,26 +37,6 @@ export function findPostBySlug(posts: any[], slug: string) {
   });
 }
 
-/**
- * Extract plain text from Portable Text content
- * @param content - Array of Portable Text blocks
- * @returns Extracted plain text as a string
- */
-function extractTextFromPortableText(content: any[]): string {
-  if (!Array.isArray(content)) return '';
-  
-  return content
-    .filter(block => block._type === 'block')
-    .map(block => {
-      if (!block.children || !Array.isArray(block.children)) return '';
-      return block.children
-        .filter((child: any) => child._type === 'span' && child.text)
-        .map((child: any) => child.text)
-        .join(' ');
-    })
-    .join(' ');
-}
-
 /**
  * Extract the first sentence from Portable Text content
  * @param content - Array of Portable Text blocks
@@ -61,7 +45,7 @@ function extractTextFromPortableText(content: any[]): string {
 export function extractFirstSentence(content: any[]): string {
   if (!Array.isArray(content)) return '';
   
-  const fullText = extractTextFromPortableText(content);
+  const fullText = portableTextToPlainText(content);
   if (!fullText) return '';
   
   // Match the first sentence (ending with . ! or ? followed by space or end of string)
@@ -83,7 +67,7 @@ export function extractFirstSentence(content: any[]): string {
 export function extractSentenceWithMatch(content: any[], searchTerm: string): string {
   if (!Array.isArray(content) || !searchTerm) return '';
   
-  const fullText = extractTextFromPortableText(content);
+  const fullText = portableTextToPlainText(content);
   if (!fullText) return '';
   
   const lowerSearchTerm = searchTerm.toLowerCase().trim();
@@ -118,40 +102,34 @@ export function extractSentenceWithMatch(content: any[], searchTerm: string): st
 }
 
 
+// Search indexes keyed by the posts array they were built from, so the index is
+// only rebuilt when the posts themselves change rather than on every keystroke
+const searchIndexCache = new WeakMap<any[], SearchIndex>();
+
+function getSearchIndex(posts: any[]): SearchIndex {
+  let index = searchIndexCache.get(posts);
+  if (!index) {
+    index = buildSearchIndex(posts.map(postToSearchDocument));
+    searchIndexCache.set(posts, index);
+  }
+  return index;
+}
+
 /**
- * Filter posts by search query across title, excerpt, and content
- * @param posts - Array of posts to filter
+ * Search posts by title, subheader/excerpt and content, ranked by relevance
+ * Matches are stemmed ("prioritise" finds "prioritize") and typo tolerant,
+ * and a hit in the title outranks a passing mention in the body.
+ * Supports "exact phrases", -exclusions, title: scoping and before:/after: dates
+ * (see searchQuery.js).
+ * @param posts - Array of posts to search
  * @param query - Search query string
- * @returns Filtered array of posts matching the search query
+ * @param index - Prebuilt index (e.g. the build-time search-index.json); built from posts if omitted
+ * @returns Matching posts, most relevant first
  */
-export function filterPostsBySearchQuery(posts: any[], query: string): any[] {
+export function filterPostsBySearchQuery(posts: any[], query: string, index?: SearchIndex | null): any[] {
   if (!query || query.trim() === '') {
     return posts;
   }
 
-  const searchTerm = query.toLowerCase().trim();
-
-  return posts.filter(post => {
-    // Search in title
-    const title = (post.title || '').toLowerCase();
-    if (title.includes(searchTerm)) {
-      return true;
-    }
-
-    // Search in excerpt/subheader
-    const excerpt = (post.excerpt || post.subheader || '').toLowerCase();
-    if (excerpt.includes(searchTerm)) {
-      return true;
-    }
-
-    // Search in content
-    if (post.content) {
-      const contentText = extractTextFromPortableText(post.content).toLowerCase();
-      if (contentText.includes(searchTerm)) {
-        return true;
-      }
-    }
-
-    return false;
-  });
-}
\ No newline at end of file
+  return searchPosts(posts, query, index || getSearchIndex(posts));
+}
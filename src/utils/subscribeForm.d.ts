@@ -0,0 +1,22 @@
+export const HONEYPOT_FIELD: 'website';
+
+export function getHoneypotValue(form: HTMLFormElement): string;
+
+export type SubscribeErrorCode =
+  | 'invalid_email'
+  | 'disposable_email'
+  | 'rate_limited'
+  | 'origin_not_allowed'
+  | 'send_failed'
+  | 'server_error';
+
+export const SUBSCRIBE_ERROR_CODES: {
+  INVALID_EMAIL: 'invalid_email';
+  DISPOSABLE_EMAIL: 'disposable_email';
+  RATE_LIMITED: 'rate_limited';
+  ORIGIN_NOT_ALLOWED: 'origin_not_allowed';
+  SEND_FAILED: 'send_failed';
+  SERVER_ERROR: 'server_error';
+};
+
+export function getSubscribeErrorMessage(code: string | null | undefined, fallback?: string): string;
@@ -0,0 +1,40 @@
+/**
+ * What the subscribe forms (useNewsletter) and the subscribe function
+ * (netlify/functions/subscribe.js) agree on: the honeypot field, and the error codes the
+ * function returns as { error, code } with the messages the forms show for them.
+ */
+
+// Name of the hidden form field bots fill in and people never see
+export const HONEYPOT_FIELD = 'website';
+
+// Read the honeypot from a submitted form
+export function getHoneypotValue(form) {
+  return String(new FormData(form).get(HONEYPOT_FIELD) || '');
+}
+
+export const SUBSCRIBE_ERROR_CODES = {
+  INVALID_EMAIL: 'invalid_email',
+  DISPOSABLE_EMAIL: 'disposable_email',
+  RATE_LIMITED: 'rate_limited',
+  ORIGIN_NOT_ALLOWED: 'origin_not_allowed',
+  SEND_FAILED: 'send_failed',
+  SERVER_ERROR: 'server_error'
+};
+
+const MESSAGES = {
+  invalid_email: 'Please enter a valid email address',
+  disposable_email: "Disposable email addresses can't subscribe. Please use your regular address.",
+  rate_limited: 'Too many subscribe attempts. Please wait a while and try again.',
+  origin_not_allowed: 'Please subscribe from the blog itself.',
+  send_failed: 'Failed to send confirmation email. Please try again.',
+  server_error: 'An unexpected error occurred. Please try again later.'
+};
+
+/**
+ * Message to show for an error code
+ * @param code - One of SUBSCRIBE_ERROR_CODES
+ * @param fallback - Message for an unknown code
+ */
+export function getSubscribeErrorMessage(code, fallback = MESSAGES.server_error) {
+  return MESSAGES[code] || fallback;
+}
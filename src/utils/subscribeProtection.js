@@ -0,0 +1,68 @@
+/**
+ * Abuse checks for the subscribe function, which sends an email to whatever address it's
+ * given: an origin allowlist, a disposable-domain blocklist and per-IP / per-address rate
+ * limits (rateLimit.js). The honeypot field is shared with the forms in subscribeForm.js.
+ */
+
+import { DISPOSABLE_DOMAINS } from './disposableDomains.js';
+
+export const SUBSCRIBE_RATE_LIMITS = {
+  // Confirmation emails per address - enough for a lost email or two
+  email: { max: 3, windowMs: 24 * 60 * 60 * 1000 },
+  // Attempts per IP - a shared office or household can still sign up a few people
+  ip: { max: 10, windowMs: 60 * 60 * 1000 }
+};
+
+const DISPOSABLE_SET = new Set(DISPOSABLE_DOMAINS);
+
+/**
+ * Whether an address is at a disposable domain, or a subdomain of one
+ * @param email - Address to check
+ */
+export function isDisposableEmail(email) {
+  const domain = String(email || '').trim().toLowerCase().split('@').pop();
+  const labels = domain.split('.');
+  return labels.some((_, index) => DISPOSABLE_SET.has(labels.slice(index).join('.')));
+}
+
+/**
+ * Origins allowed to call the subscribe function: SUBSCRIBE_ALLOWED_ORIGINS (comma-separated)
+ * if set, otherwise the site's own URLs from Netlify, plus the local dev servers outside
+ * production
+ * @param env - Environment variables (process.env)
+ */
+export function getAllowedOrigins(env) {
+  if (env.SUBSCRIBE_ALLOWED_ORIGINS) {
+    return env.SUBSCRIBE_ALLOWED_ORIGINS.split(',').map(origin => origin.trim().replace(/\/$/, '')).filter(Boolean);
+  }
+  const origins = [env.URL, env.DEPLOY_PRIME_URL, env.DEPLOY_URL].filter(Boolean);
+  if (env.CONTEXT !== 'production') {
+    origins.push('http://localhost:8888', 'http://localhost:5173');
+  }
+  return origins.map(origin => origin.replace(/\/$/, ''));
+}
+
+/**
+ * The request's origin, from the Origin header or failing that the Referer
+ * @param headers - Request headers (lowercased names, as Netlify passes them)
+ */
+export function getRequestOrigin(headers) {
+  if (headers?.origin) {
+    return headers.origin.replace(/\/$/, '');
+  }
+  try {
+    return headers?.referer ? new URL(headers.referer).origin : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The client's IP, as Netlify reports it
+ * @param headers - Request headers
+ */
+export function getClientIp(headers) {
+  return headers?.['x-nf-client-connection-ip']
+    || String(headers?.['x-forwarded-for'] || '').split(',')[0].trim()
+    || 'unknown';
+}
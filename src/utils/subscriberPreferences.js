@@ -0,0 +1,117 @@
+/**
+ * Newsletter subscribers' delivery preferences: how often they get email, and whether
+ * it's paused. Set on the preference page (netlify/functions/unsubscribe.js) and read by
+ * the newsletter sender to pick each send's recipients. Subscribers who never chose get
+ * every post.
+ *
+ * Preferences are kept on each subscriber's private subscriber.<hash> document in Sanity,
+ * alongside the history the subscriber repository (subscribers.js) records.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getSubscriberDocumentId, normalizeEmail } from './subscribers.js';
+
+export const FREQUENCIES = {
+  each: 'Every new post',
+  weekly: 'A weekly digest',
+  monthly: 'A monthly digest'
+};
+
+// Pause lengths offered on the preference page, in days
+export const PAUSE_OPTIONS = {
+  30: 'for a month',
+  90: 'for three months'
+};
+
+export const DEFAULT_PREFERENCES = { frequency: 'each', pausedUntil: null };
+
+/**
+ * Fill in defaults and drop unknown values
+ * @param preferences - Stored or submitted preferences
+ * @returns { frequency, pausedUntil }
+ */
+export function normalizePreferences(preferences) {
+  const frequency = FREQUENCIES[preferences?.frequency] ? preferences.frequency : DEFAULT_PREFERENCES.frequency;
+  const pausedUntil = preferences?.pausedUntil && !Number.isNaN(new Date(preferences.pausedUntil).getTime())
+    ? new Date(preferences.pausedUntil).toISOString()
+    : null;
+  return { frequency, pausedUntil };
+}
+
+export function isPaused(preferences, now = new Date()) {
+  return Boolean(preferences?.pausedUntil) && new Date(preferences.pausedUntil) > now;
+}
+
+/**
+ * Subscribers who should get a send - not paused, and on its frequency
+ * @param subscribers - [{ email }] from the provider
+ * @param preferencesByEmail - Map of lowercased address to preferences
+ * @param frequency - 'each' for post emails, 'weekly' or 'monthly' for digests
+ * @param now - Date to check pauses against
+ */
+export function selectRecipients(subscribers, preferencesByEmail, frequency, now = new Date()) {
+  return subscribers.filter(subscriber => {
+    const preferences = normalizePreferences(preferencesByEmail.get(normalizeEmail(subscriber.email)));
+    return preferences.frequency === frequency && !isPaused(preferences, now);
+  });
+}
+
+/**
+ * Preferences kept in Sanity
+ * @param client - Sanity client with a token
+ */
+export function createSanityPreferenceStore(client) {
+  return {
+    async get(email) {
+      return normalizePreferences(await client.getDocument(getSubscriberDocumentId(email)));
+    },
+
+    async set(email, preferences) {
+      const _id = getSubscriberDocumentId(email);
+      const normalized = normalizePreferences(preferences);
+      await client
+        .transaction()
+        .createIfNotExists({ _id, _type: 'subscriber', email: normalizeEmail(email) })
+        .patch(_id, patch => patch.set({ ...normalized, preferencesUpdatedAt: new Date().toISOString() }))
+        .commit();
+      return normalized;
+    },
+
+    async getAll() {
+      const documents = await client.fetch(`*[_type == "subscriber" && defined(frequency)] { email, frequency, pausedUntil }`);
+      return new Map(documents.map(doc => [normalizeEmail(doc.email), normalizePreferences(doc)]));
+    }
+  };
+}
+
+/**
+ * Preferences kept in memory, or in a JSON file when filePath is given
+ * @param filePath - JSON file to read and write preferences (optional)
+ */
+export function createLocalPreferenceStore(filePath = null) {
+  let preferences = {};
+  if (filePath && fs.existsSync(filePath)) {
+    preferences = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  return {
+    async get(email) {
+      return normalizePreferences(preferences[normalizeEmail(email)]);
+    },
+
+    async set(email, values) {
+      const normalized = normalizePreferences(values);
+      preferences[normalizeEmail(email)] = normalized;
+      if (filePath) {
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(preferences, null, 2), 'utf8');
+      }
+      return normalized;
+    },
+
+    async getAll() {
+      return new Map(Object.entries(preferences).map(([email, values]) => [email, normalizePreferences(values)]));
+    }
+  };
+}
@@ -0,0 +1,566 @@
+/**
+ * Subscriber-facing emails and pages: the confirmation and welcome emails, and the pages the
+ * confirm-subscription and unsubscribe functions show.
+ *
+ * Each template is a list of blocks (heading, paragraph, button...). Emails render them to
+ * table-based HTML and to the plain-text alternative, so the two say the same thing; pages
+ * render them into the site's card layout. Both declare light and dark color schemes and
+ * swap colors under prefers-color-scheme. Copy comes from the locale files in src/locales.
+ */
+
+import en from '../locales/en.js';
+import { SITE_TITLE } from './feedUtils.js';
+import { escapeHtml } from './portableText.js';
+import { FREQUENCIES, isPaused, PAUSE_OPTIONS } from './subscriberPreferences.js';
+
+export const LOCALES = { en };
+
+export const DEFAULT_LOCALE = 'en';
+
+const FONT_STACK = "'Avenir Next', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif";
+
+/**
+ * The best locale for a request
+ * @param acceptLanguage - Accept-Language header, e.g. "de-CH, de;q=0.9, en;q=0.8"
+ * @returns A key of LOCALES, DEFAULT_LOCALE if none match
+ */
+export function pickLocale(acceptLanguage) {
+  const requested = String(acceptLanguage || '')
+    .split(',')
+    .map(part => {
+      const [tag, ...params] = part.trim().toLowerCase().split(';');
+      const quality = params.map(param => param.trim()).find(param => param.startsWith('q='));
+      return { tag, q: quality ? Number(quality.slice(2)) : 1 };
+    })
+    .filter(({ tag, q }) => tag && q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  for (const { tag } of requested) {
+    if (LOCALES[tag]) {
+      return tag;
+    }
+    const language = tag.split('-')[0];
+    if (LOCALES[language]) {
+      return language;
+    }
+  }
+  return DEFAULT_LOCALE;
+}
+
+function lookup(messages, key) {
+  return key.split('.').reduce((value, part) => value?.[part], messages);
+}
+
+// t('pages.expired.message', { date }) - the locale's string, or English, with {placeholders} filled in
+function createTranslator(locale) {
+  const messages = LOCALES[locale] || LOCALES[DEFAULT_LOCALE];
+  return (key, vars = {}) => {
+    const value = lookup(messages, key) ?? lookup(LOCALES[DEFAULT_LOCALE], key);
+    if (typeof value !== 'string') {
+      throw new Error(`Missing subscriber copy: ${key}`);
+    }
+    const values = { siteName: SITE_TITLE, ...vars };
+    return value.replace(/\{(\w+)\}/g, (match, name) => (values[name] === undefined ? match : String(values[name])));
+  };
+}
+
+function formatDate(iso, locale) {
+  return new Date(iso).toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+// Email templates: (t, vars) => { subject, preheader, blocks, footer }
+const EMAILS = {
+  // vars: confirmUrl
+  confirm: (t, { confirmUrl }) => ({
+    subject: t('emails.confirm.subject'),
+    preheader: t('emails.confirm.preheader'),
+    blocks: [
+      { type: 'heading', text: t('emails.confirm.heading') },
+      { type: 'paragraph', text: t('emails.confirm.intro') },
+      { type: 'button', text: t('emails.confirm.button'), href: confirmUrl },
+      { type: 'note', text: t('emails.confirm.ignore') },
+      { type: 'small', text: t('emails.confirm.expiry') }
+    ],
+    footer: [
+      { type: 'url', text: t('emails.confirm.copyLink'), href: confirmUrl }
+    ]
+  }),
+
+  // vars: siteUrl, unsubscribeUrl
+  welcome: (t, { siteUrl, unsubscribeUrl }) => ({
+    subject: t('emails.welcome.subject'),
+    preheader: t('emails.welcome.preheader'),
+    blocks: [
+      { type: 'heading', text: t('emails.welcome.heading') },
+      { type: 'paragraph', text: t('emails.welcome.intro') },
+      { type: 'paragraph', text: t('emails.welcome.expect') },
+      { type: 'button', text: t('emails.welcome.button'), href: siteUrl }
+    ],
+    footer: [
+      { type: 'small', text: t('common.footer') },
+      { type: 'link', text: t('common.manageLink'), href: unsubscribeUrl }
+    ]
+  })
+};
+
+function renderEmailBlock(block) {
+  const text = escapeHtml(block.text);
+  switch (block.type) {
+    case 'heading':
+      return `<h1 class="text-strong" style="margin: 0 0 20px 0; color: #1a1a1a; font-size: 28px; font-weight: 600;">${text}</h1>`;
+    case 'paragraph':
+      return `<p class="text" style="margin: 0 0 24px 0; color: #4a5568; font-size: 16px; line-height: 1.6;">${text}</p>`;
+    case 'button':
+      return `<table role="presentation" style="margin: 0 auto 30px auto;">
+                <tr>
+                  <td style="border-radius: 6px; background-color: #3b82f6;">
+                    <a href="${escapeHtml(block.href)}" target="_blank" style="display: inline-block; padding: 14px 32px; color: #ffffff; text-decoration: none; font-size: 16px; font-weight: 600; border-radius: 6px;">${text}</a>
+                  </td>
+                </tr>
+              </table>`;
+    case 'note':
+      return `<p class="text-muted" style="margin: 0 0 10px 0; color: #718096; font-size: 14px; line-height: 1.5;">${text}</p>`;
+    case 'small':
+      return `<p class="text-muted" style="margin: 0 0 10px 0; color: #718096; font-size: 12px; line-height: 1.5;">${text}</p>`;
+    case 'link':
+      return `<p style="margin: 0 0 10px 0; font-size: 12px;"><a class="text-link" href="${escapeHtml(block.href)}" style="color: #3b82f6;">${text}</a></p>`;
+    case 'url':
+      return `<p class="text-muted" style="margin: 0 0 10px 0; color: #718096; font-size: 12px; line-height: 1.5;">${text}<br>
+                <a class="text-link" href="${escapeHtml(block.href)}" style="color: #3b82f6; word-break: break-all;">${escapeHtml(block.href)}</a></p>`;
+    default:
+      throw new Error(`Unknown email block: ${block.type}`);
+  }
+}
+
+function renderTextBlock(block) {
+  switch (block.type) {
+    case 'button':
+    case 'link':
+      return `${block.text}: ${block.href}`;
+    case 'url':
+      return `${block.text}\n${block.href}`;
+    default:
+      return block.text;
+  }
+}
+
+// Clients that support prefers-color-scheme (and Outlook.com, via [data-ogsb] / [data-ogsc])
+// swap to the dark colors; the rest get light colors that still read well if they invert them
+const EMAIL_DARK_STYLES = `
+      :root { color-scheme: light dark; supported-color-schemes: light dark; }
+      @media (prefers-color-scheme: dark) {
+        .email-body { background-color: #111827 !important; }
+        .email-card { background-color: #1f2937 !important; }
+        .email-footer { background-color: #1a2331 !important; border-color: #374151 !important; }
+        .text-strong { color: #f9fafb !important; }
+        .text { color: #d1d5db !important; }
+        .text-muted { color: #9ca3af !important; }
+        .text-link { color: #93c5fd !important; }
+      }
+      [data-ogsb] .email-body { background-color: #111827 !important; }
+      [data-ogsb] .email-card { background-color: #1f2937 !important; }
+      [data-ogsb] .email-footer { background-color: #1a2331 !important; }
+      [data-ogsc] .text-strong { color: #f9fafb !important; }
+      [data-ogsc] .text { color: #d1d5db !important; }
+      [data-ogsc] .text-muted { color: #9ca3af !important; }
+      [data-ogsc] .text-link { color: #93c5fd !important; }`;
+
+/**
+ * Render a subscriber email
+ * @param name - 'confirm' or 'welcome'
+ * @param options - { locale, ...the template's vars (see EMAILS) }
+ * @returns { subject, html, text }
+ */
+export function renderSubscriberEmail(name, { locale = DEFAULT_LOCALE, ...vars } = {}) {
+  const template = EMAILS[name];
+  if (!template) {
+    throw new Error(`Unknown subscriber email: ${name}`);
+  }
+  const { subject, preheader, blocks, footer } = template(createTranslator(locale), vars);
+
+  const html = `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+  <head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="color-scheme" content="light dark">
+    <meta name="supported-color-schemes" content="light dark">
+    <title>${escapeHtml(subject)}</title>
+    <style>${EMAIL_DARK_STYLES}
+    </style>
+  </head>
+  <body class="email-body" style="margin: 0; padding: 0; font-family: ${FONT_STACK}; background-color: #f5f5f5;">
+    <div style="display: none; max-height: 0; overflow: hidden;">${escapeHtml(preheader)}</div>
+    <table role="presentation" class="email-body" style="width: 100%; border-collapse: collapse; background-color: #f5f5f5;">
+      <tr>
+        <td align="center" style="padding: 40px 0;">
+          <table role="presentation" class="email-card" style="width: 600px; max-width: 100%; background-color: #ffffff; border-radius: 8px; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+            <tr>
+              <td style="padding: 40px 30px; text-align: center;">
+              ${blocks.map(renderEmailBlock).join('\n              ')}
+              </td>
+            </tr>
+            <tr>
+              <td class="email-footer" style="padding: 20px 30px; background-color: #f7fafc; border-top: 1px solid #e2e8f0; border-radius: 0 0 8px 8px; text-align: center;">
+              ${footer.map(renderEmailBlock).join('\n              ')}
+              </td>
+            </tr>
+          </table>
+        </td>
+      </tr>
+    </table>
+  </body>
+</html>`;
+
+  const text = `${blocks.map(renderTextBlock).join('\n\n')}\n\n--\n${footer.map(renderTextBlock).join('\n')}\n`;
+
+  return { subject, html, text };
+}
+
+function errorPage(t, { page, messageKey, retry = false }) {
+  return {
+    title: t(`pages.${page}.title`),
+    blocks: [
+      { type: 'icon', icon: 'error' },
+      { type: 'heading', text: t(`pages.${page}.heading`) },
+      { type: 'paragraph', text: t(messageKey) },
+      {
+        type: 'actions',
+        buttons: [
+          { text: t('common.returnToBlog'), href: '/' },
+          ...(retry ? [{ text: t('common.tryAgain'), href: '/#subscribe', secondary: true }] : [])
+        ]
+      }
+    ]
+  };
+}
+
+function subscribedPage(t, page, email) {
+  return {
+    title: t(`pages.${page}.title`),
+    blocks: [
+      { type: 'icon', icon: 'success' },
+      { type: 'heading', text: t(`pages.${page}.heading`) },
+      { type: 'paragraph', text: t(`pages.${page}.message`) },
+      { type: 'email', text: email },
+      { type: 'actions', buttons: [{ text: t('common.closeTab'), close: true }] }
+    ]
+  };
+}
+
+// Page templates: (t, vars, locale) => { title, blocks }
+const PAGES = {
+  // vars: email
+  confirmed: (t, { email }) => subscribedPage(t, 'confirmed', email),
+
+  // vars: email
+  alreadySubscribed: (t, { email }) => subscribedPage(t, 'alreadySubscribed', email),
+
+  expired: (t) => errorPage(t, { page: 'expired', messageKey: 'pages.expired.message', retry: true }),
+
+  // vars: reason (a key of pages.error.messages), retry (offer to subscribe again)
+  error: (t, { reason, retry }) => errorPage(t, { page: 'error', messageKey: `pages.error.messages.${reason}`, retry }),
+
+  // vars: email, formAction, preferences, notice ('saved' or 'resubscribed')
+  preferences: (t, { email, formAction, preferences, notice }, locale) => {
+    const frequency = preferences?.frequency || 'each';
+    const paused = isPaused(preferences);
+    const pauseOptions = [
+      ...(paused ? [{ value: 'keep', label: t('pages.preferences.keepPaused', { date: formatDate(preferences.pausedUntil, locale) }) }] : []),
+      { value: '', label: t(paused ? 'pages.preferences.resume' : 'pages.preferences.noPause') },
+      ...Object.keys(PAUSE_OPTIONS).map(days => ({ value: days, label: t(`pages.preferences.pauses.${days}`) }))
+    ];
+
+    return {
+      title: t('pages.preferences.title'),
+      blocks: [
+        { type: 'heading', text: t('pages.preferences.heading') },
+        ...(notice ? [{ type: 'notice', text: t(`pages.preferences.${notice}`) }] : []),
+        { type: 'email', text: email },
+        {
+          type: 'form',
+          action: formAction,
+          fieldsets: [
+            {
+              heading: t('pages.preferences.frequencyHeading'),
+              name: 'frequency',
+              options: Object.keys(FREQUENCIES).map(value => ({
+                value,
+                label: t(`pages.preferences.frequencies.${value}`),
+                checked: value === frequency
+              }))
+            },
+            {
+              heading: t('pages.preferences.pauseHeading'),
+              name: 'pause',
+              options: pauseOptions.map((option, index) => ({ ...option, checked: index === 0 }))
+            }
+          ],
+          button: { value: 'save', text: t('pages.preferences.save') }
+        },
+        { type: 'form', action: formAction, button: { value: 'unsubscribe', text: t('pages.preferences.unsubscribe'), link: true } }
+      ]
+    };
+  },
+
+  // vars: email, formAction
+  unsubscribed: (t, { email, formAction }) => ({
+    title: t('pages.unsubscribed.title'),
+    blocks: [
+      { type: 'heading', text: t('pages.unsubscribed.heading') },
+      { type: 'paragraph', text: t('pages.unsubscribed.message') },
+      { type: 'email', text: email },
+      { type: 'actions', buttons: [{ text: t('common.returnToBlog'), href: '/' }] },
+      { type: 'form', action: formAction, button: { value: 'resubscribe', text: t('pages.unsubscribed.resubscribe'), link: true } }
+    ]
+  })
+};
+
+const ICONS = {
+  success: '<svg width="48" height="48" viewBox="0 0 48 48" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true"><path d="M20 30.5L12 22.5L14.5 20L20 25.5L33.5 12L36 14.5L20 30.5Z" fill="white" stroke="white" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/></svg>',
+  error: '<svg width="48" height="48" viewBox="0 0 48 48" fill="none" xmlns="http://www.w3.org/2000/svg" aria-hidden="true"><path d="M15 15L33 33M33 15L15 33" stroke="white" stroke-width="4" stroke-linecap="round"/></svg>'
+};
+
+function renderPageButton(button) {
+  const className = `button${button.secondary ? ' button-secondary' : ''}`;
+  if (button.close) {
+    return `<button type="button" class="${className}" data-close-tab>${escapeHtml(button.text)}</button>`;
+  }
+  return `<a href="${escapeHtml(button.href)}" class="${className}">${escapeHtml(button.text)}</a>`;
+}
+
+function renderPageBlock(block) {
+  const text = escapeHtml(block.text);
+  switch (block.type) {
+    case 'icon':
+      return `<div class="icon icon-${block.icon}">${ICONS[block.icon]}</div>`;
+    case 'heading':
+      return `<h1>${text}</h1>`;
+    case 'paragraph':
+      return `<p>${text}</p>`;
+    case 'email':
+      return `<div class="email">${text}</div>`;
+    case 'notice':
+      return `<div class="notice" role="status">${text}</div>`;
+    case 'actions':
+      return `<div class="actions">${block.buttons.map(renderPageButton).join(' ')}</div>`;
+    case 'form': {
+      const fieldsets = (block.fieldsets || []).map(fieldset => `
+        <fieldset>
+          <h2>${escapeHtml(fieldset.heading)}</h2>${fieldset.options.map(option => `
+          <label><input type="radio" name="${escapeHtml(fieldset.name)}" value="${escapeHtml(option.value)}"${option.checked ? ' checked' : ''}>${escapeHtml(option.label)}</label>`).join('')}
+        </fieldset>`).join('');
+      const { button } = block;
+      return `<form method="POST" action="${escapeHtml(block.action)}" class="actions">${fieldsets}
+        <button class="${button.link ? 'link-button' : 'button'}" type="submit" name="action" value="${escapeHtml(button.value)}">${escapeHtml(button.text)}</button>
+      </form>`;
+    }
+    default:
+      throw new Error(`Unknown page block: ${block.type}`);
+  }
+}
+
+const PAGE_STYLES = `
+          :root {
+            color-scheme: light dark;
+            --card: #ffffff;
+            --heading: #1a1a1a;
+            --text: #4a5568;
+            --muted: #6b7280;
+            --panel: #f7fafc;
+            --panel-text: #2d3748;
+            --notice: #ecfdf5;
+            --notice-text: #065f46;
+            --backdrop: linear-gradient(135deg, #667eea 0%, #4f9deb 100%);
+          }
+          @media (prefers-color-scheme: dark) {
+            :root {
+              --card: #1f2937;
+              --heading: #f9fafb;
+              --text: #d1d5db;
+              --muted: #9ca3af;
+              --panel: #111827;
+              --panel-text: #e5e7eb;
+              --notice: #064e3b;
+              --notice-text: #d1fae5;
+              --backdrop: linear-gradient(135deg, #312e81 0%, #1e3a8a 100%);
+            }
+          }
+          * {
+            margin: 0;
+            padding: 0;
+            box-sizing: border-box;
+          }
+          body {
+            font-family: ${FONT_STACK};
+            background: var(--backdrop);
+            min-height: 100vh;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            padding: 20px;
+          }
+          .container {
+            background: var(--card);
+            border-radius: 12px;
+            padding: 48px 32px;
+            max-width: 500px;
+            width: 100%;
+            box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+            text-align: center;
+          }
+          .icon {
+            width: 80px;
+            height: 80px;
+            border-radius: 50%;
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            margin: 0 auto 24px;
+          }
+          .icon-success {
+            background: #10b981;
+          }
+          .icon-error {
+            background: #ef4444;
+          }
+          h1 {
+            color: var(--heading);
+            font-size: 28px;
+            margin-bottom: 16px;
+            font-weight: 600;
+          }
+          h2 {
+            color: var(--heading);
+            font-size: 16px;
+            margin-bottom: 12px;
+            font-weight: 600;
+          }
+          p {
+            color: var(--text);
+            font-size: 16px;
+            line-height: 1.6;
+            margin-bottom: 24px;
+          }
+          .email {
+            background: var(--panel);
+            padding: 12px 16px;
+            border-radius: 6px;
+            color: var(--panel-text);
+            font-family: 'Courier New', monospace;
+            margin-bottom: 24px;
+            word-break: break-all;
+          }
+          .notice {
+            background: var(--notice);
+            color: var(--notice-text);
+            padding: 12px 16px;
+            border-radius: 6px;
+            margin-bottom: 24px;
+          }
+          fieldset {
+            border: none;
+            margin-bottom: 24px;
+            text-align: left;
+          }
+          label {
+            display: block;
+            color: var(--panel-text);
+            font-size: 16px;
+            padding: 6px 0;
+            cursor: pointer;
+          }
+          input[type="radio"] {
+            margin-right: 8px;
+          }
+          .actions {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 12px;
+            justify-content: center;
+          }
+          form.actions {
+            display: block;
+          }
+          .button {
+            display: inline-block;
+            background: #3b82f6;
+            color: white;
+            padding: 14px 32px;
+            border-radius: 6px;
+            border: none;
+            text-decoration: none;
+            font-family: inherit;
+            font-weight: 600;
+            font-size: 16px;
+            cursor: pointer;
+            transition: background 0.2s;
+          }
+          .button:hover {
+            background: #2563eb;
+          }
+          .button-secondary {
+            background: #6b7280;
+          }
+          .button-secondary:hover {
+            background: #4b5563;
+          }
+          .link-button {
+            background: none;
+            border: none;
+            color: var(--muted);
+            font-family: inherit;
+            font-size: 14px;
+            text-decoration: underline;
+            cursor: pointer;
+            margin-top: 24px;
+          }
+          .link-button:hover {
+            color: var(--heading);
+          }`;
+
+// window.close() only works for tabs a script opened, so fall back to the blog
+const CLOSE_TAB_SCRIPT = `
+        <script>
+          document.querySelectorAll('[data-close-tab]').forEach(function(button) {
+            button.addEventListener('click', function() {
+              window.close();
+              setTimeout(function() {
+                window.location.href = '/';
+              }, 100);
+            });
+          });
+        </script>`;
+
+/**
+ * Render a subscriber page
+ * @param name - A key of PAGES: confirmed, alreadySubscribed, expired, error, preferences or unsubscribed
+ * @param options - { locale, ...the template's vars (see PAGES) }
+ * @returns HTML document
+ */
+export function renderSubscriberPage(name, { locale = DEFAULT_LOCALE, ...vars } = {}) {
+  const template = PAGES[name];
+  if (!template) {
+    throw new Error(`Unknown subscriber page: ${name}`);
+  }
+  const { title, blocks } = template(createTranslator(locale), vars, locale);
+  const hasCloseButton = blocks.some(block => block.type === 'actions' && block.buttons.some(button => button.close));
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta name="color-scheme" content="light dark">
+    <meta name="robots" content="noindex">
+    <title>${escapeHtml(title)}</title>
+    <style>${PAGE_STYLES}
+    </style>
+  </head>
+  <body>
+    <main class="container">
+      ${blocks.map(renderPageBlock).join('\n      ')}
+    </main>${hasCloseButton ? CLOSE_TAB_SCRIPT : ''}
+  </body>
+</html>`;
+}
@@ -0,0 +1,236 @@
+/**
+ * Subscriber repository: one record per newsletter subscriber, used by the subscribe,
+ * confirm and unsubscribe functions and the newsletter sender.
+ *
+ *   {
+ *     email,
+ *     status: 'subscribed' | 'unsubscribed',
+ *     confirmedAt: when they last confirmed a subscription,
+ *     source: site path they last subscribed from,
+ *     history: [{ status, at, source }]
+ *   }
+ *
+ * A repository has get(email), upsert(email, { status, source }) - which appends to the
+ * history rather than replacing the subscriber - and list() of subscribed addresses.
+ *
+ * In production the Resend audience holds each address and its subscribed flag, since that's
+ * what sends go to, and the confirmation time, source and history are kept in Sanity as a
+ * subscriber.<hash> document (readable only with a token). The local repository keeps
+ * everything in memory or a JSON file for trying things out.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Resend } from 'resend';
+
+// Contacts per request when listing a Resend audience (the most it returns at once)
+const CONTACTS_PAGE_SIZE = 100;
+
+export const SUBSCRIBER_STATUS = {
+  SUBSCRIBED: 'subscribed',
+  UNSUBSCRIBED: 'unsubscribed'
+};
+
+export function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Sanity ID of a subscriber's document - under a path, so it's private to token holders
+ * @param email - Subscriber's address
+ */
+export function getSubscriberDocumentId(email) {
+  const hash = crypto.createHash('sha256').update(normalizeEmail(email)).digest('hex').slice(0, 32);
+  return `subscriber.${hash}`;
+}
+
+/**
+ * Keep the part of a page URL worth recording as a subscription's source
+ * @param source - Path the subscribe form was on, from the request
+ * @returns Site path such as "/posts/my-post", or null
+ */
+export function sanitizeSource(source) {
+  const value = String(source || '').trim();
+  if (!value.startsWith('/') || value.startsWith('//')) {
+    return null;
+  }
+  return value.split(/[?#]/)[0].slice(0, 200);
+}
+
+// Apply a status change to a record, as both repositories store it
+function applyChange(record, email, { status, source = null }, at) {
+  const next = {
+    email: normalizeEmail(email),
+    status,
+    confirmedAt: record?.confirmedAt || null,
+    source: record?.source || null,
+    history: [...(record?.history || []), { status, at, source }]
+  };
+  if (status === SUBSCRIBER_STATUS.SUBSCRIBED) {
+    next.confirmedAt = at;
+    next.source = source || next.source;
+  }
+  return next;
+}
+
+/**
+ * Subscribers in a Resend audience, with their history in Sanity
+ * @param options - { apiKey, audienceId, client: Sanity client with a write token (optional -
+ *   without it only the Resend status is kept) }
+ */
+export function createResendSubscriberRepository({ apiKey, audienceId, client = null }) {
+  if (!apiKey || !audienceId) {
+    throw new Error('RESEND_API_KEY and RESEND_AUDIENCE_ID are required for the Resend subscriber store');
+  }
+  const resend = new Resend(apiKey);
+
+  // Resend looks contacts up by email as well as by id
+  async function getContact(email) {
+    const response = await resend.contacts.get({ audienceId, id: normalizeEmail(email) });
+    if (response.error) {
+      if (response.error.name === 'not_found') {
+        return null;
+      }
+      throw new Error(`Could not look up ${email}: ${response.error.message}`);
+    }
+    return response.data;
+  }
+
+  // The part of a record kept in Sanity
+  async function getHistory(email) {
+    const document = client ? await client.getDocument(getSubscriberDocumentId(email)) : null;
+    return {
+      confirmedAt: document?.confirmedAt || null,
+      source: document?.source || null,
+      history: (document?.history || []).map(({ status, at, source }) => ({ status, at, source: source || null }))
+    };
+  }
+
+  return {
+    name: 'resend',
+
+    async get(email) {
+      const contact = await getContact(email);
+      if (!contact) {
+        return null;
+      }
+      return {
+        email: normalizeEmail(contact.email),
+        status: contact.unsubscribed ? SUBSCRIBER_STATUS.UNSUBSCRIBED : SUBSCRIBER_STATUS.SUBSCRIBED,
+        ...await getHistory(email)
+      };
+    },
+
+    async upsert(email, change) {
+      const at = new Date().toISOString();
+      const unsubscribed = change.status === SUBSCRIBER_STATUS.UNSUBSCRIBED;
+
+      const contact = await getContact(email);
+      const response = contact
+        ? await resend.contacts.update({ audienceId, id: contact.id, unsubscribed })
+        : await resend.contacts.create({ audienceId, email: normalizeEmail(email), unsubscribed });
+      if (response.error) {
+        throw new Error(`Could not save ${email}: ${response.error.message}`);
+      }
+
+      const record = applyChange(await getHistory(email), email, change, at);
+      if (client) {
+        const _id = getSubscriberDocumentId(email);
+        const { history, ...fields } = record;
+        await client
+          .transaction()
+          .createIfNotExists({ _id, _type: 'subscriber', email: record.email })
+          .patch(_id, patch => patch
+            .set(fields)
+            .setIfMissing({ history: [] })
+            .append('history', [{ _key: crypto.randomUUID().slice(0, 12), ...history[history.length - 1] }]))
+          .commit();
+      } else {
+        console.warn('No Sanity client - subscriber history is not being recorded');
+      }
+      return record;
+    },
+
+    // Everyone to send to, a page of contacts at a time (contacts.list in this SDK takes no
+    // paging options, so the endpoint is called directly)
+    async list() {
+      const contacts = [];
+      let after = null;
+      for (;;) {
+        const query = new URLSearchParams({ limit: String(CONTACTS_PAGE_SIZE), ...(after ? { after } : {}) });
+        const response = await resend.get(`/audiences/${encodeURIComponent(audienceId)}/contacts?${query}`);
+        if (response.error) {
+          throw new Error(`Could not list subscribers: ${response.error.message}`);
+        }
+        const page = response.data?.data || [];
+        contacts.push(...page);
+        if (!response.data?.has_more || page.length === 0) break;
+        after = page[page.length - 1].id;
+      }
+      return contacts
+        .filter(contact => !contact.unsubscribed)
+        .map(contact => ({ email: contact.email }));
+    }
+  };
+}
+
+/**
+ * Subscribers kept in memory, or in a JSON file (an array of records) when filePath is given.
+ * Entries only need an email; they default to subscribed.
+ * @param options - { filePath, subscribers: initial records }
+ */
+export function createLocalSubscriberRepository({ filePath = null, subscribers = [] } = {}) {
+  const records = new Map();
+  const initial = filePath && fs.existsSync(filePath) ? JSON.parse(fs.readFileSync(filePath, 'utf8')) : subscribers;
+  initial.forEach(entry => {
+    const status = entry.status || (entry.unsubscribed ? SUBSCRIBER_STATUS.UNSUBSCRIBED : SUBSCRIBER_STATUS.SUBSCRIBED);
+    records.set(normalizeEmail(entry.email), {
+      email: normalizeEmail(entry.email),
+      status,
+      confirmedAt: entry.confirmedAt || null,
+      source: entry.source || null,
+      history: entry.history || []
+    });
+  });
+
+  const save = () => {
+    if (!filePath) return;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify([...records.values()], null, 2), 'utf8');
+  };
+
+  return {
+    name: 'local',
+    records,
+
+    async get(email) {
+      return records.get(normalizeEmail(email)) || null;
+    },
+
+    async upsert(email, change) {
+      const record = applyChange(records.get(normalizeEmail(email)), email, change, new Date().toISOString());
+      records.set(record.email, record);
+      save();
+      return record;
+    },
+
+    async list() {
+      return [...records.values()]
+        .filter(record => record.status === SUBSCRIBER_STATUS.SUBSCRIBED)
+        .map(record => ({ email: record.email }));
+    }
+  };
+}
+
+/**
+ * Pick the repository: a local file when SUBSCRIBER_STORE_FILE is set, otherwise Resend
+ * @param env - Environment variables (process.env)
+ * @param client - Sanity client with a write token, for the Resend repository's history (optional)
+ */
+export function getSubscriberRepository(env, client = null) {
+  if (env.SUBSCRIBER_STORE_FILE) {
+    return createLocalSubscriberRepository({ filePath: path.resolve(env.SUBSCRIBER_STORE_FILE) });
+  }
+  return createResendSubscriberRepository({ apiKey: env.RESEND_API_KEY, audienceId: env.RESEND_AUDIENCE_ID, client });
+}
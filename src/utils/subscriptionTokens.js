@@ -0,0 +1,191 @@
+/**
+ * Signed links for newsletter subscribers, shared by the subscribe, confirm-subscription
+ * and unsubscribe functions and the newsletter sender.
+ *
+ * A token is base64url JSON { email, timestamp, nonce, token }, where token is an
+ * HMAC-SHA256 of the email, timestamp and nonce with CONFIRMATION_SECRET. Confirmation links
+ * sign "email:timestamp:nonce", expire after 24 hours and can be used once - their nonce is
+ * consumed in a nonce store. Unsubscribe links sign "unsubscribe:email:timestamp:nonce" so
+ * one kind can't be used as the other, and keep working for good, since they're in old emails.
+ *
+ * There's no default secret: every function that signs or checks a token refuses to run
+ * until CONFIRMATION_SECRET is set to a long random value.
+ */
+
+import { Buffer } from 'buffer';
+import crypto from 'crypto';
+
+export const CONFIRMATION_TOKEN_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+// e.g. `openssl rand -hex 32` gives 64 characters
+const MIN_SECRET_LENGTH = 32;
+
+// Placeholders from old docs and examples that must never be used as the real secret
+const PLACEHOLDER_SECRETS = ['your-secret-key-change-this'];
+
+const PURPOSE_PREFIXES = {
+  confirm: '',
+  unsubscribe: 'unsubscribe:'
+};
+
+/**
+ * Why CONFIRMATION_SECRET can't be used, for functions to check when they start
+ * @param env - Environment variables (process.env)
+ * @returns Error message, or null if the secret is fine
+ */
+export function getConfirmationSecretError(env) {
+  const secret = env.CONFIRMATION_SECRET;
+  if (!secret) {
+    return 'CONFIRMATION_SECRET is not set';
+  }
+  if (PLACEHOLDER_SECRETS.includes(secret)) {
+    return 'CONFIRMATION_SECRET is still the placeholder value';
+  }
+  if (secret.length < MIN_SECRET_LENGTH) {
+    return `CONFIRMATION_SECRET must be at least ${MIN_SECRET_LENGTH} characters (try \`openssl rand -hex 32\`)`;
+  }
+  return null;
+}
+
+function getSecret(env) {
+  const error = getConfirmationSecretError(env);
+  if (error) {
+    throw new Error(error);
+  }
+  return env.CONFIRMATION_SECRET;
+}
+
+function sign(purpose, email, timestamp, nonce, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${PURPOSE_PREFIXES[purpose]}${email}:${timestamp}:${nonce}`)
+    .digest('hex');
+}
+
+function signaturesMatch(provided, expected) {
+  const providedBuffer = Buffer.from(provided, 'utf-8');
+  const expectedBuffer = Buffer.from(expected, 'utf-8');
+  return providedBuffer.length === expectedBuffer.length && crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+}
+
+/**
+ * Create a signed token for a subscriber link
+ * @param purpose - 'confirm' or 'unsubscribe'
+ * @param email - Subscriber's address
+ * @param env - Environment variables (process.env), for CONFIRMATION_SECRET
+ * @returns URL-safe token
+ */
+export function createSubscriptionToken(purpose, email, env) {
+  const timestamp = Date.now();
+  const nonce = crypto.randomBytes(16).toString('base64url');
+  return Buffer.from(JSON.stringify({
+    email,
+    timestamp,
+    nonce,
+    token: sign(purpose, email, timestamp, nonce, getSecret(env))
+  })).toString('base64url');
+}
+
+/**
+ * Check a token from a subscriber link. This doesn't use it up - see the nonce stores
+ * @param purpose - 'confirm' or 'unsubscribe'
+ * @param token - Token from the link
+ * @param env - Environment variables (process.env), for CONFIRMATION_SECRET
+ * @returns { email, nonce, expiresAt } if valid, otherwise { error: 'invalid' | 'expired' }
+ */
+export function verifySubscriptionToken(purpose, token, env) {
+  let data;
+  try {
+    data = JSON.parse(Buffer.from(String(token || ''), 'base64url').toString('utf-8'));
+  } catch {
+    return { error: 'invalid' };
+  }
+
+  const { email, timestamp, nonce, token: providedToken } = data || {};
+  if (typeof email !== 'string' || typeof timestamp !== 'number' || typeof nonce !== 'string' || typeof providedToken !== 'string') {
+    return { error: 'invalid' };
+  }
+
+  // Check the signature first, so a tampered token isn't reported as merely expired
+  if (!signaturesMatch(providedToken, sign(purpose, email, timestamp, nonce, getSecret(env)))) {
+    return { error: 'invalid' };
+  }
+
+  if (purpose === 'confirm' && Date.now() - timestamp > CONFIRMATION_TOKEN_MAX_AGE_MS) {
+    return { error: 'expired' };
+  }
+
+  return {
+    email,
+    nonce,
+    expiresAt: purpose === 'confirm' ? new Date(timestamp + CONFIRMATION_TOKEN_MAX_AGE_MS).toISOString() : null
+  };
+}
+
+function hashNonce(nonce) {
+  return crypto.createHash('sha256').update(nonce).digest('hex').slice(0, 32);
+}
+
+/**
+ * Used confirmation nonces kept in Sanity as usedSubscriptionToken.<hash> documents
+ * (private, since the ID is under a path). Creating one fails if it exists, so only one
+ * request can consume a nonce.
+ * @param client - Sanity client with a write token
+ */
+export function createSanityNonceStore(client) {
+  return {
+    // true if this call used the nonce up, false if it already had been
+    async consume(nonce, expiresAt) {
+      try {
+        await client.create({
+          _id: `usedSubscriptionToken.${hashNonce(nonce)}`,
+          _type: 'usedSubscriptionToken',
+          usedAt: new Date().toISOString(),
+          expiresAt
+        });
+        return true;
+      } catch (error) {
+        if (error.statusCode === 409) {
+          return false;
+        }
+        throw error;
+      }
+    },
+
+    // Give a nonce back when the confirmation it was used for failed
+    async release(nonce) {
+      await client.delete(`usedSubscriptionToken.${hashNonce(nonce)}`);
+    }
+  };
+}
+
+// Shared by every call in a function instance
+const usedNonces = new Set();
+
+// Used nonces kept in memory - for local runs, since function instances don't share it
+export function createMemoryNonceStore() {
+  return {
+    async consume(nonce) {
+      const key = hashNonce(nonce);
+      if (usedNonces.has(key)) {
+        return false;
+      }
+      usedNonces.add(key);
+      return true;
+    },
+
+    async release(nonce) {
+      usedNonces.delete(hashNonce(nonce));
+    }
+  };
+}
+
+/**
+ * Subscriber's unsubscribe and preferences link
+ * @param email - Subscriber's address
+ * @param siteUrl - Site origin
+ * @param env - Environment variables (process.env)
+ */
+export function getUnsubscribeUrl(email, siteUrl, env) {
+  return `${siteUrl}/.netlify/functions/unsubscribe?token=${createSubscriptionToken('unsubscribe', email, env)}`;
+}
@@ -0,0 +1,615 @@
+/**
+ * Substack export parsing for scripts/blog-migrate.js - one parser shared by all its commands.
+ *
+ * An export zip holds posts.csv (each post's id, publish date, title and subtitle) and a
+ * posts/<id>.<slug>.html fragment per post. parseSubstackPost turns one into the post JSON the
+ * commands work from:
+ *
+ *   { title, slug, publishedAt, excerpt, image, readTime, content, sourceFile }
+ *
+ * content is Portable Text for the post schema: headings, paragraphs, quotes, lists, links and
+ * the strong/em/code decorators, code blocks, and images with their alt text - which still carry
+ * the original image's URL as _imageUrl, for the import to upload (imageAssets.js). Substack's
+ * own elements get the schema's types for them:
+ *
+ *   captioned images      figure      { alt, caption, _imageUrl }
+ *   pull quotes, and      pullQuote   { content: [blocks], attribution }
+ *   quotes that say who
+ *   tweets, YouTube       embed       { url, title, text }
+ *   videos, iframes
+ *   footnotes             footnote    { number, content: [blocks] } - the text links to them
+ *                                     with a link to #footnote-<number>
+ *
+ * Subscribe and share buttons are left out - the site has its own.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Buffer } from 'buffer';
+import yauzl from 'yauzl';
+import { JSDOM } from 'jsdom';
+import { isWebUrl } from './portableText.js';
+import { slugify } from './slugifyUtils.js';
+
+const HEADING_TAGS = ['h1', 'h2', 'h3', 'h4'];
+
+const DECORATOR_MARKS = {
+  strong: 'strong',
+  b: 'strong',
+  em: 'em',
+  i: 'em',
+  code: 'code'
+};
+
+// Elements with any of these as children are converted child by child, not as one paragraph
+const BLOCK_CHILD_SELECTOR = ['p', 'div', 'figure', 'figcaption', 'blockquote', 'ul', 'ol', 'pre', 'img', ...HEADING_TAGS]
+  .map(tagName => `:scope > ${tagName}`)
+  .join(', ');
+
+// Substack's subscribe and share buttons
+const WIDGET_SELECTOR = '.subscription-widget-wrap, .subscription-widget-wrap-editor, .subscribe-widget, .button-wrapper, .captioned-button-wrap, .share-dialog';
+
+const EMBED_SELECTOR = '.youtube-wrap, .tweet, .embedded-post-wrap, iframe';
+
+const YOUTUBE_VIDEO_ID = /(?:youtube(?:-nocookie)?\.com\/(?:embed\/|watch\?(?:.*&)?v=)|youtu\.be\/)([\w-]{11})/;
+
+// A quote's attribution on a line of its own: "— Name", "-- Name" or "(Name, 1963)"
+const ATTRIBUTION = /^(?:[—–]|--?)\s*(\S.*)$|^\((.+)\)$/;
+
+// One element for decoding entities - a JSDOM per call runs out of memory over a whole export
+let decoder = null;
+
+/**
+ * Decode HTML entities (&apos;, &#39;, &amp; ...) in text taken from an attribute
+ * @param text - Encoded text
+ * @returns Decoded text
+ */
+export function decodeHtmlEntities(text) {
+  if (!text) return text;
+  decoder = decoder || new JSDOM('').window.document.createElement('textarea');
+  decoder.innerHTML = text;
+  return decoder.value;
+}
+
+/**
+ * Split an export file name into the post's Substack id and slug
+ * @param fileName - e.g. "posts/148861999.100-minutes.html"
+ * @returns { postId: "148861999.100-minutes", id: "148861999", slug: "100-minutes" }
+ */
+export function parseExportFileName(fileName) {
+  const postId = path.basename(fileName || '', path.extname(fileName || ''));
+  const match = postId.match(/^(\d+)\.(.+)$/);
+  return match ? { postId, id: match[1], slug: match[2] } : { postId, id: '', slug: postId };
+}
+
+/**
+ * Parse CSV text, with quoted fields that may hold commas, "" escapes or line breaks
+ * @param text - CSV text with a header row
+ * @returns Rows as objects keyed by the header's column names
+ */
+export function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(fields => fields.some(value => value.trim()));
+  return records.map(fields => Object.fromEntries(header.map((column, index) => [column.trim(), (fields[index] || '').trim()])));
+}
+
+// Read the HTML fragments and posts.csv out of an export zip
+function readZip(zipPath) {
+  return new Promise((resolve, reject) => {
+    yauzl.open(zipPath, { lazyEntries: true }, (openError, zipfile) => {
+      if (openError) {
+        reject(openError);
+        return;
+      }
+
+      const files = [];
+      let postsCSV = null;
+
+      zipfile.on('entry', (entry) => {
+        const isHTML = /\.html?$/i.test(entry.fileName);
+        const isPostsCSV = path.basename(entry.fileName) === 'posts.csv';
+        if (!isHTML && !isPostsCSV) {
+          zipfile.readEntry();
+          return;
+        }
+
+        zipfile.openReadStream(entry, (streamError, readStream) => {
+          if (streamError) {
+            reject(streamError);
+            return;
+          }
+          const chunks = [];
+          readStream.on('data', chunk => chunks.push(chunk));
+          readStream.on('end', () => {
+            const content = Buffer.concat(chunks).toString('utf8');
+            if (isPostsCSV) {
+              postsCSV = content;
+            } else {
+              files.push({ fileName: entry.fileName, html: content });
+            }
+            zipfile.readEntry();
+          });
+          readStream.on('error', reject);
+        });
+      });
+      zipfile.on('end', () => resolve({ files, postsCSV }));
+      zipfile.on('error', reject);
+      zipfile.readEntry();
+    });
+  });
+}
+
+/**
+ * Read a Substack export zip
+ * posts.csv is taken from the zip, or from beside it for exports that were unzipped and re-zipped
+ * without it
+ * @param zipPath - Path to the export zip
+ * @returns [{ fileName, html, row }] - one per post, with its posts.csv row (null if it has none)
+ */
+export async function readSubstackExport(zipPath) {
+  const { files, postsCSV } = await readZip(zipPath);
+
+  let csvText = postsCSV;
+  if (!csvText) {
+    const zipDir = path.dirname(zipPath);
+    const csvPath = [
+      path.join(zipDir, 'posts.csv'),
+      path.join(zipDir, path.basename(zipPath, path.extname(zipPath)), 'posts.csv'),
+      path.join(zipDir, 'substack-export', 'posts.csv')
+    ].find(candidate => fs.existsSync(candidate));
+    csvText = csvPath ? fs.readFileSync(csvPath, 'utf8') : '';
+  }
+
+  const rowsByPostId = new Map(parseCSV(csvText).map(row => [row.post_id, row]));
+  return files.map(file => ({ ...file, row: rowsByPostId.get(parseExportFileName(file.fileName).postId) || null }));
+}
+
+/**
+ * Whether posts.csv marks a post as published - posts missing from it count as published
+ * @param entry - From readSubstackExport
+ */
+export function isPublishedInExport(entry) {
+  return entry.row?.is_published !== 'false';
+}
+
+function getTextContent(element) {
+  return element?.textContent?.trim() || '';
+}
+
+// Parse a date in any of the forms Substack pages use, or null
+function parseDate(dateString) {
+  if (!dateString) return null;
+  const trimmed = String(dateString).trim();
+
+  const date = new Date(trimmed);
+  if (!isNaN(date.getTime())) {
+    return date.toISOString();
+  }
+
+  // Unix timestamps, in seconds or milliseconds
+  if (/^\d{10}(\d{3})?$/.test(trimmed)) {
+    const timestamp = new Date(trimmed.length === 10 ? Number(trimmed) * 1000 : Number(trimmed));
+    if (timestamp.getFullYear() > 2000 && timestamp.getFullYear() < 2100) {
+      return timestamp.toISOString();
+    }
+  }
+  return null;
+}
+
+// Dates in full-page exports: structured data, then meta tags and <time> elements
+function findPageDate(document) {
+  for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+    try {
+      const data = JSON.parse(script.textContent);
+      const published = [].concat(data).map(item => parseDate(item?.datePublished)).find(Boolean);
+      if (published) return published;
+    } catch {
+      // Not JSON - keep looking
+    }
+  }
+
+  const dateSelectors = [
+    'meta[property="article:published_time"]',
+    'meta[name="article:published_time"]',
+    'meta[property="og:published_time"]',
+    'meta[name="publish_date"]',
+    'meta[name="date"]',
+    'time[datetime]',
+    '[itemprop="datePublished"]'
+  ];
+  for (const selector of dateSelectors) {
+    for (const element of document.querySelectorAll(selector)) {
+      const parsed = parseDate(element.getAttribute('datetime') || element.getAttribute('content') || getTextContent(element));
+      if (parsed) return parsed;
+    }
+  }
+  return null;
+}
+
+// Titles from file names are slugs - "100-minutes" becomes "100 minutes"
+function titleFromFileName(fileName) {
+  const { slug } = parseExportFileName(fileName);
+  let words;
+  try {
+    words = decodeURIComponent(slug);
+  } catch {
+    words = slug;
+  }
+  const title = words.replace(/[-_]+/g, ' ').trim();
+  return title.charAt(0).toUpperCase() + title.slice(1);
+}
+
+// Pages carry "Title | Newsletter name"; older conversions left the Substack id in front
+function cleanTitle(title) {
+  return decodeHtmlEntities(title || '')
+    .replace(/^\d{6,}\.\s*/, '')
+    .replace(/\s*\|\s*.*$/, '')
+    .trim();
+}
+
+/**
+ * Estimated read time, at 200 words a minute
+ * @param content - Portable Text blocks
+ * @returns e.g. "3 min"
+ */
+export function calculateReadTime(content) {
+  let wordCount = 0;
+  // Pull quotes and footnotes have blocks of their own
+  const countWords = blocks => (blocks || []).forEach(block => {
+    (block._type === 'block' ? block.children || [] : []).forEach(child => {
+      wordCount += (child.text || '').split(/\s+/).filter(Boolean).length;
+    });
+    countWords(block.content);
+  });
+  countWords(content);
+  return `${Math.max(1, Math.ceil(wordCount / 200))} min`;
+}
+
+/**
+ * Convert an element's inline content to Portable Text spans
+ * Whitespace is collapsed as a browser would, keeping the spaces between formatted runs
+ * @param element - DOM element
+ * @returns { children, markDefs } - links become markDefs keyed link-0, link-1 ...
+ */
+export function parseInlineContent(element) {
+  const children = [];
+  const markDefs = [];
+
+  function processNode(node, marks) {
+    if (node.nodeType === 3) {
+      const text = (node.textContent || '').replace(/\s+/g, ' ');
+      if (text) {
+        children.push({ _type: 'span', text, marks });
+      }
+      return;
+    }
+    if (node.nodeType !== 1) return;
+
+    const tagName = node.tagName.toLowerCase();
+    if (tagName === 'br') {
+      children.push({ _type: 'span', text: '\n', marks });
+      return;
+    }
+
+    const childMarks = [...marks];
+    const decorator = DECORATOR_MARKS[tagName];
+    if (decorator && !childMarks.includes(decorator)) {
+      childMarks.push(decorator);
+    }
+    if (tagName === 'a' && node.getAttribute('href')) {
+      const key = `link-${markDefs.length}`;
+      markDefs.push({ _key: key, _type: 'link', href: node.getAttribute('href') });
+      childMarks.push(key);
+    }
+    Array.from(node.childNodes).forEach(child => processNode(child, childMarks));
+  }
+
+  Array.from(element.childNodes).forEach(node => processNode(node, []));
+
+  // No space at the edges of the block, or on either side of a line break
+  children.forEach((span, index) => {
+    if (index === 0 || children[index - 1].text === '\n') span.text = span.text.replace(/^ +/, '');
+    if (index === children.length - 1 || children[index + 1].text === '\n') span.text = span.text.replace(/ +$/, '');
+  });
+  const kept = children.filter(span => span.text);
+  const usedKeys = new Set(kept.flatMap(span => span.marks));
+  return { children: kept, markDefs: markDefs.filter(markDef => usedKeys.has(markDef._key)) };
+}
+
+// A text block from an element, or null if it has no text
+function toTextBlock(element, fields = {}) {
+  const { children, markDefs } = parseInlineContent(element);
+  if (!children.some(span => span.text.trim())) {
+    return null;
+  }
+  return { _type: 'block', style: 'normal', ...fields, markDefs, children };
+}
+
+// Substack serves images through its CDN, resized: .../image/fetch/<transforms>/<original URL>
+const SUBSTACK_CDN_FETCH = /^https?:\/\/substackcdn\.com\/image\/fetch\/(?:[^/]+\/)*?(https?(?::|%3A).*)$/i;
+
+/**
+ * The URL of the original image behind a Substack CDN URL, so it's uploaded at full size
+ * @param url - Image URL
+ * @returns The original URL, or url if it isn't a CDN URL
+ */
+export function getOriginalImageUrl(url) {
+  const match = SUBSTACK_CDN_FETCH.exec(url || '');
+  if (!match) return url;
+  try {
+    return decodeURIComponent(match[1]);
+  } catch {
+    return url;
+  }
+}
+
+function toImageBlock(img, caption = '') {
+  const src = img.getAttribute('src') || img.getAttribute('data-src');
+  if (!src) return null;
+  return {
+    _type: caption ? 'figure' : 'image',
+    _imageUrl: getOriginalImageUrl(src),
+    alt: img.getAttribute('alt') || '',
+    ...(caption ? { caption } : {})
+  };
+}
+
+// The JSON Substack keeps an embed's details in
+function getDataAttrs(element) {
+  try {
+    return JSON.parse(element.getAttribute('data-attrs') || '{}') || {};
+  } catch {
+    return {};
+  }
+}
+
+// Only web links are kept - the URL comes from the post's markup and ends up in an href
+function toEmbedBlock(rawUrl, fields = {}) {
+  const url = rawUrl?.startsWith('//') ? `https:${rawUrl}` : rawUrl;
+  const videoId = YOUTUBE_VIDEO_ID.exec(url || '')?.[1];
+  if (!videoId && !isWebUrl(url)) return null;
+  return {
+    _type: 'embed',
+    url: videoId ? `https://www.youtube.com/watch?v=${videoId}` : url,
+    ...Object.fromEntries(Object.entries(fields).filter(([, value]) => value))
+  };
+}
+
+function toEmbed(element) {
+  const attrs = getDataAttrs(element);
+  if (element.matches('.youtube-wrap')) {
+    return toEmbedBlock(attrs.videoId ? `https://www.youtube.com/watch?v=${attrs.videoId}` : element.querySelector('iframe')?.getAttribute('src'));
+  }
+  if (element.matches('.tweet')) {
+    const url = attrs.url || element.querySelector('a.tweet-link-top, a[href*="/status/"]')?.getAttribute('href');
+    const author = [attrs.name, attrs.username && `(@${attrs.username})`].filter(Boolean).join(' ');
+    return toEmbedBlock(url, { title: author, text: attrs.full_text || getTextContent(element.querySelector('.tweet-text')) });
+  }
+  if (element.matches('.embedded-post-wrap')) {
+    return toEmbedBlock(attrs.url || element.querySelector('a[href]')?.getAttribute('href'), { title: attrs.title });
+  }
+  return toEmbedBlock(element.getAttribute('src'));
+}
+
+function toFootnoteBlock(element) {
+  const number = getTextContent(element.querySelector('.footnote-number'));
+  // Notes are plain paragraphs
+  const content = elementToPortableText(element.querySelector('.footnote-content'))
+    .filter(block => block._type === 'block')
+    .map(block => {
+      const paragraph = { ...block, style: 'normal' };
+      delete paragraph.listItem;
+      return paragraph;
+    });
+  return number && content.length > 0 ? { _type: 'footnote', number, content } : null;
+}
+
+// Who a quote is by, from a <cite> or <footer>, or a last paragraph like "— Name"
+function findAttribution(quote) {
+  const cite = quote.querySelector(':scope > cite, :scope > footer');
+  if (cite) {
+    return { element: cite, text: getTextContent(cite).replace(/^(?:[—–]|--?)\s*/, '') };
+  }
+  const paragraphs = quote.querySelectorAll(':scope > p');
+  const last = paragraphs[paragraphs.length - 1];
+  const match = paragraphs.length > 1 && getTextContent(last).length <= 120 ? ATTRIBUTION.exec(getTextContent(last)) : null;
+  return match ? { element: last, text: (match[1] || match[2]).trim() } : null;
+}
+
+function toPullQuoteBlock(quote, attribution = '') {
+  const copy = quote.cloneNode(true);
+  const found = attribution ? null : findAttribution(copy);
+  found?.element.remove();
+
+  const paragraphs = copy.querySelectorAll(':scope > p');
+  const content = (paragraphs.length > 0 ? Array.from(paragraphs) : [copy])
+    .map(paragraph => toTextBlock(paragraph))
+    .filter(Boolean);
+  if (content.length === 0) return null;
+
+  const by = attribution || found?.text;
+  return { _type: 'pullQuote', content, ...(by ? { attribution: by } : {}) };
+}
+
+function convertElement(element, blocks) {
+  const tagName = element.tagName.toLowerCase();
+  const push = block => block && blocks.push(block);
+
+  if (element.matches(WIDGET_SELECTOR)) {
+    // The site shows its own newsletter form
+  } else if (element.matches('.footnote')) {
+    push(toFootnoteBlock(element));
+  } else if (element.matches(EMBED_SELECTOR)) {
+    push(toEmbed(element));
+  } else if (HEADING_TAGS.includes(tagName)) {
+    push(toTextBlock(element, { style: tagName }));
+  } else if (element.matches('.pullquote') || (tagName === 'blockquote' && findAttribution(element))) {
+    push(toPullQuoteBlock(element));
+  } else if (tagName === 'blockquote') {
+    // A quote of several paragraphs is a quote block per paragraph
+    const paragraphs = element.querySelectorAll(':scope > p');
+    (paragraphs.length > 0 ? Array.from(paragraphs) : [element]).forEach(paragraph => {
+      push(toTextBlock(paragraph, { style: 'blockquote' }));
+    });
+  } else if (tagName === 'ul' || tagName === 'ol') {
+    const listItem = tagName === 'ul' ? 'bullet' : 'number';
+    element.querySelectorAll('li').forEach(li => push(toTextBlock(li, { listItem })));
+  } else if (tagName === 'pre') {
+    const codeElement = element.querySelector('code') || element;
+    const code = codeElement.textContent || '';
+    if (code.trim()) {
+      blocks.push({
+        _type: 'codeBlock',
+        code: {
+          code,
+          language: codeElement.className?.match(/language-(\w+)/)?.[1] || 'text',
+          filename: null
+        }
+      });
+    }
+  } else if (tagName === 'img') {
+    push(toImageBlock(element));
+  } else if (tagName === 'figure' && element.querySelector('img')) {
+    // Captioned images: the caption goes with the image rather than becoming a paragraph
+    const caption = getTextContent(element.querySelector('figcaption')).replace(/\s+/g, ' ');
+    element.querySelectorAll('img').forEach(img => push(toImageBlock(img, caption)));
+  } else if (tagName === 'figure' && element.querySelector(':scope > blockquote')) {
+    // A quote with its source as the caption
+    const caption = getTextContent(element.querySelector('figcaption')).replace(/\s+/g, ' ');
+    push(toPullQuoteBlock(element.querySelector(':scope > blockquote'), caption));
+  } else if (!getTextContent(element) && element.querySelector('img')) {
+    // Substack wraps images in links, <picture>s and figures
+    element.querySelectorAll('img').forEach(img => push(toImageBlock(img)));
+  } else if (element.querySelector(BLOCK_CHILD_SELECTOR) || element.querySelector(EMBED_SELECTOR)) {
+    // Containers of paragraphs, figures with captions, embeds ...
+    Array.from(element.children).forEach(child => convertElement(child, blocks));
+  } else {
+    push(toTextBlock(element));
+  }
+}
+
+/**
+ * Convert an HTML fragment to Portable Text blocks (without _keys - see addKeysToContent in
+ * contentMigration.js)
+ * @param html - Post body HTML
+ * @returns Portable Text blocks
+ */
+export function htmlToPortableText(html) {
+  if (!html) return [];
+  const { window } = new JSDOM(html);
+  const blocks = elementToPortableText(window.document.body);
+  window.close();
+  return blocks;
+}
+
+function elementToPortableText(container) {
+  if (!container) return [];
+  const blocks = [];
+  Array.from(container.children).forEach(element => convertElement(element, blocks));
+
+  // Loose text with no block elements around it
+  if (blocks.length === 0) {
+    const block = toTextBlock(container);
+    if (block) blocks.push(block);
+  }
+  return blocks;
+}
+
+/**
+ * Parse one post of a Substack export
+ * Title, date and subtitle come from posts.csv, falling back to the page itself (full-page
+ * exports carry meta tags) and then the file name
+ * @param entry - { fileName, html, row } from readSubstackExport
+ * @returns Post JSON (see the top of this file)
+ */
+export function parseSubstackPost(entry) {
+  const { fileName, html, row } = entry;
+  const { window } = new JSDOM(html);
+  const document = window.document;
+  const meta = selector => document.querySelector(selector)?.getAttribute('content') || '';
+
+  const title = cleanTitle(
+    row?.title ||
+    meta('meta[property="og:title"]') ||
+    meta('meta[name="twitter:title"]') ||
+    getTextContent(document.querySelector('h1.post-title, article h1, title')) ||
+    titleFromFileName(fileName)
+  ) || 'Untitled Post';
+
+  const publishedAt = parseDate(row?.post_date) || findPageDate(document) || new Date().toISOString();
+
+  const contentElement = document.querySelector('.available-content .body, .post-content, .entry-content, article') || document.body;
+  const content = elementToPortableText(contentElement);
+
+  const firstText = content
+    .find(block => block._type === 'block')
+    ?.children.map(span => span.text).join('') || '';
+  const excerpt = decodeHtmlEntities(row?.subtitle || meta('meta[name="description"]') || meta('meta[property="og:description"]')) || firstText;
+
+  const image = getOriginalImageUrl(meta('meta[property="og:image"]') || meta('meta[name="twitter:image"]')) ||
+    content.find(block => block._type === 'image')?._imageUrl ||
+    '';
+  window.close();
+
+  return {
+    title,
+    slug: slugify(title) || slugify(parseExportFileName(fileName).slug),
+    publishedAt,
+    excerpt: excerpt.substring(0, 200),
+    image,
+    readTime: calculateReadTime(content),
+    content,
+    sourceFile: fileName
+  };
+}
+
+/**
+ * Make slugs unique across an export: posts that share a title keep their Substack slug, or
+ * failing that have their Substack id added
+ * @param posts - From parseSubstackPost, in export order
+ * @returns The posts, with any clashing slugs changed
+ */
+export function giveUniqueSlugs(posts) {
+  const used = new Set();
+  return posts.map(post => {
+    const { id, slug: exportSlug } = parseExportFileName(post.sourceFile);
+    const slug = [post.slug, slugify(exportSlug), `${post.slug}-${id}`].find(candidate => candidate && !used.has(candidate)) || `${post.slug}-${used.size}`;
+    used.add(slug);
+    return slug === post.slug ? post : { ...post, slug };
+  });
+}
@@ -0,0 +1,281 @@
+/**
+ * Welcome sequence: a drip of emails for new subscribers. The welcome email goes out when
+ * they confirm (confirm-subscription); after that, the welcome-sequence scheduled function
+ * emails the posts of a curated list, one per step, on the days set in the welcomeSequence
+ * document in Sanity - e.g. the list's first post on day 2, the second on day 5 and the
+ * third on day 9 after confirming.
+ *
+ * Each subscriber's place in the sequence is kept on their subscriber.<hash> document:
+ *
+ *   welcomeSequence: { startedAt, step: emails sent so far, lastSentAt, completedAt }
+ *
+ * A step is claimed (step moved on, only if the progress hasn't changed since it was read)
+ * before its email is sent and given back if the send fails, so a run that dies half-way can
+ * skip an email but never repeats one, and of two overlapping runs only one sends it. Subscribers
+ * who have unsubscribed or paused their email (subscriberPreferences.js) are skipped until
+ * they're back. Stores: Sanity in production, memory or a JSON file for trials.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { renderIssueEmail } from './newsletterEmail.js';
+import { isPaused } from './subscriberPreferences.js';
+import { getSubscriberDocumentId, normalizeEmail } from './subscribers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The sequence's settings and its list's posts, with everything the emails need - from the
+// published document, not a draft of it
+export const WELCOME_SEQUENCE_QUERY = `*[_type == "welcomeSequence" && !(_id in path("drafts.**"))][0] {
+  enabled,
+  days,
+  "list": list->{
+    title,
+    "posts": posts[]->{
+      _id,
+      title,
+      slug,
+      subheader,
+      excerpt,
+      publishedAt,
+      "image": image.asset->url,
+      content
+    }
+  }
+}`;
+
+/**
+ * The steps of a sequence: each day paired with the list's post in the same position
+ * @param sequence - Result of WELCOME_SEQUENCE_QUERY (null if there's no document)
+ * @param now - Date; posts that aren't published by then are left out
+ * @returns { enabled, steps: [{ day, post }] } - steps stop when the days or the posts run out
+ */
+export function getWelcomeSteps(sequence, now = new Date()) {
+  const days = (sequence?.days || []).filter(day => Number.isFinite(day) && day >= 0).sort((a, b) => a - b);
+  const posts = (sequence?.list?.posts || []).filter(post => post?._id && post.publishedAt && new Date(post.publishedAt) <= now);
+  const steps = days.slice(0, posts.length).map((day, index) => ({ day, post: posts[index] }));
+  return { enabled: Boolean(sequence?.enabled) && steps.length > 0, steps };
+}
+
+/**
+ * The step a subscriber is due for
+ * @param progress - Their welcomeSequence progress
+ * @param steps - From getWelcomeSteps
+ * @param now - Date
+ * @returns Index into steps, or null if nothing is due yet (or they've finished)
+ */
+export function getDueStep(progress, steps, now = new Date()) {
+  if (!progress?.startedAt || progress.completedAt) {
+    return null;
+  }
+  const index = progress.step || 0;
+  const step = steps[index];
+  if (!step) {
+    return null;
+  }
+  return now.getTime() - new Date(progress.startedAt).getTime() >= step.day * DAY_MS ? index : null;
+}
+
+/**
+ * Progress kept on subscriber documents in Sanity
+ * @param client - Sanity client with a write token
+ */
+export function createSanityWelcomeProgressStore(client) {
+  return {
+    // Start someone's sequence - a no-op if they've been through it (or part of it) before
+    async start(email, startedAt = new Date().toISOString()) {
+      const _id = getSubscriberDocumentId(email);
+      await client
+        .transaction()
+        .createIfNotExists({ _id, _type: 'subscriber', email: normalizeEmail(email) })
+        .patch(_id, patch => patch.setIfMissing({ welcomeSequence: { startedAt, step: 0 } }))
+        .commit();
+    },
+
+    // Everyone part-way through: [{ email, progress, _rev }]
+    async listActive() {
+      const documents = await client.fetch(`*[_type == "subscriber" && defined(welcomeSequence.startedAt) && !defined(welcomeSequence.completedAt)] { email, welcomeSequence, _rev }`);
+      return documents.map(doc => ({ email: normalizeEmail(doc.email), progress: doc.welcomeSequence, _rev: doc._rev }));
+    },
+
+    // Move someone on, if their document hasn't changed since listActive read it; false if it has
+    async claim(entry, progress) {
+      try {
+        await client.patch(getSubscriberDocumentId(entry.email)).ifRevisionId(entry._rev).set({ welcomeSequence: progress }).commit();
+        return true;
+      } catch (error) {
+        if (error.statusCode === 409) return false;
+        throw error;
+      }
+    },
+
+    async set(email, progress) {
+      await client.patch(getSubscriberDocumentId(email)).set({ welcomeSequence: progress }).commit();
+    }
+  };
+}
+
+/**
+ * Progress kept in memory, or in a JSON file when filePath is given
+ * @param filePath - JSON file to read and write progress (optional)
+ */
+export function createLocalWelcomeProgressStore(filePath = null) {
+  let progressByEmail = {};
+  if (filePath && fs.existsSync(filePath)) {
+    progressByEmail = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  }
+
+  const save = () => {
+    if (!filePath) return;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(progressByEmail, null, 2), 'utf8');
+  };
+
+  return {
+    async start(email, startedAt = new Date().toISOString()) {
+      const key = normalizeEmail(email);
+      if (!progressByEmail[key]) {
+        progressByEmail[key] = { startedAt, step: 0 };
+        save();
+      }
+    },
+
+    async listActive() {
+      return Object.entries(progressByEmail)
+        .filter(([, progress]) => progress.startedAt && !progress.completedAt)
+        .map(([email, progress]) => ({ email, progress }));
+    },
+
+    async claim(entry, progress) {
+      const key = normalizeEmail(entry.email);
+      if (JSON.stringify(progressByEmail[key]) !== JSON.stringify(entry.progress)) {
+        return false;
+      }
+      progressByEmail[key] = progress;
+      save();
+      return true;
+    },
+
+    async set(email, progress) {
+      progressByEmail[normalizeEmail(email)] = progress;
+      save();
+    }
+  };
+}
+
+/**
+ * Send every subscriber the welcome sequence email they're due, if any
+ * @param options - {
+ *   sequence: result of WELCOME_SEQUENCE_QUERY,
+ *   progress: welcome progress store,
+ *   subscribers: subscriber repository - only subscribed addresses get email,
+ *   preferences: subscriber preference store (optional - for pauses),
+ *   provider, from, baseUrl,
+ *   unsubscribeUrlFor: email => unsubscribe link,
+ *   now: Date (defaults to now),
+ *   dryRun: work out who's due without sending or recording,
+ *   log: progress logger (defaults to console.log)
+ * }
+ * @returns { status: 'sent' | 'partial' | 'failed' | 'disabled' | 'dry-run', due, sent, failed: [{ to, error }] }
+ */
+export async function sendWelcomeSequence(options) {
+  const { sequence, progress, subscribers, preferences, provider, from, baseUrl, unsubscribeUrlFor, now = new Date(), dryRun = false, log = console.log } = options;
+
+  if (!from) {
+    throw new Error('A from address is required (RESEND_FROM_EMAIL)');
+  }
+
+  const { enabled, steps } = getWelcomeSteps(sequence, now);
+  if (!enabled) {
+    log('The welcome sequence is off or has no published posts, nothing to send');
+    return { status: 'disabled', due: 0, sent: 0, failed: [] };
+  }
+
+  const [active, subscribed, preferencesByEmail] = await Promise.all([
+    progress.listActive(),
+    subscribers.list(),
+    preferences ? preferences.getAll() : new Map()
+  ]);
+  const subscribedEmails = new Set(subscribed.map(subscriber => normalizeEmail(subscriber.email)));
+
+  const due = [];
+  active.forEach(entry => {
+    const { email, progress: current } = entry;
+    if (!subscribedEmails.has(email) || isPaused(preferencesByEmail.get(email), now)) {
+      return;
+    }
+    const index = getDueStep(current, steps, now);
+    if (index !== null) {
+      due.push({ entry, email, current, index });
+    }
+  });
+
+  if (dryRun) {
+    due.forEach(({ email, index }) => log(`Would send step ${index + 1} ("${steps[index].post.title}") to ${email}`));
+    return { status: 'dry-run', due: due.length, sent: 0, failed: [] };
+  }
+  if (due.length === 0) {
+    log('Nobody is due a welcome sequence email');
+    return { status: 'sent', due: 0, sent: 0, failed: [] };
+  }
+
+  const messageFor = ({ email, index }) => {
+    const unsubscribeUrl = unsubscribeUrlFor(email);
+    const rendered = renderIssueEmail(steps[index].post, { baseUrl, unsubscribeUrl });
+    return {
+      from,
+      to: email,
+      subject: rendered.subject,
+      html: rendered.html,
+      text: rendered.text,
+      headers: {
+        'List-Unsubscribe': `<${unsubscribeUrl}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      }
+    };
+  };
+  const addressed = due.map(item => ({ ...item, message: messageFor(item) }));
+
+  // Claim each step first, so an overlapping or retried run doesn't send it again. A claim
+  // fails if another run moved the subscriber on since we read them - that run sends instead
+  const sentAt = now.toISOString();
+  const claimed = [];
+  for (const item of addressed) {
+    const { entry, current, index } = item;
+    const ok = await progress.claim(entry, {
+      ...current,
+      step: index + 1,
+      lastSentAt: sentAt,
+      ...(index + 1 >= steps.length ? { completedAt: sentAt } : {})
+    });
+    if (ok) {
+      claimed.push(item);
+    } else {
+      log(`Skipping ${item.email}: another run has claimed step ${index + 1}`);
+    }
+  }
+  if (claimed.length === 0) {
+    log('Every due email was claimed by another run');
+    return { status: 'sent', due: due.length, sent: 0, failed: [] };
+  }
+  const messages = claimed.map(item => item.message);
+
+  let result;
+  try {
+    result = await provider.send(messages);
+  } catch (error) {
+    result = { sent: 0, failed: messages.map(message => ({ to: message.to, error: error.message })) };
+  }
+
+  // Give failed steps back, to be tried again next run
+  const failedEmails = new Set(result.failed.map(failure => normalizeEmail(failure.to)));
+  for (const { email, current } of claimed) {
+    if (failedEmails.has(email)) {
+      await progress.set(email, current);
+    }
+  }
+
+  log(`Welcome sequence: ${result.sent} sent, ${result.failed.length} failed`);
+  const status = result.failed.length === 0 ? 'sent' : (result.sent > 0 ? 'partial' : 'failed');
+  return { status, due: due.length, sent: result.sent, failed: result.failed };
+}
@@ -0,0 +1,44 @@
+// schemas/curatedListType.ts
+import { defineField, defineType } from 'sanity';
+
+// Hand-picked posts in a chosen order. The "best-of-the-blog" list fills the sidebar's
+// "Best of the blog" section, and a list can drive the welcome sequence (welcomeSequenceType)
+export const curatedListType = defineType({
+  name: 'curatedList',
+  title: 'Curated Lists',
+  type: 'document',
+  fields: [
+    defineField({
+      name: 'title',
+      title: 'Title',
+      type: 'string',
+      description: 'Shown as the heading wherever the list appears, e.g. "Best of the blog"',
+      validation: (rule) => rule.required().max(100),
+    }),
+    defineField({
+      name: 'slug',
+      title: 'Slug',
+      type: 'slug',
+      description: 'How the site finds the list - the sidebar uses best-of-the-blog',
+      options: {
+        source: 'title',
+        maxLength: 96,
+      },
+      validation: (rule) => rule.required(),
+    }),
+    defineField({
+      name: 'posts',
+      title: 'Posts',
+      type: 'array',
+      of: [{ type: 'reference', to: [{ type: 'post' }] }],
+      description: 'In the order they should appear (and be sent in a welcome sequence)',
+      validation: (rule) => rule.required().min(1).unique(),
+    }),
+  ],
+  preview: {
+    select: {
+      title: 'title',
+      subtitle: 'slug.current',
+    },
+  },
+});
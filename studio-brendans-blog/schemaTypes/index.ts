@@ -1,5 +1,10 @@
 import {postType} from './postType'
+import {tagType} from './tagType'
 import {linkCardType} from './linkCardType'
 import {aboutPageType} from './aboutPageType'
+import {newsletterSendType} from './newsletterSendType'
+import {subscriberType} from './subscriberType'
+import {curatedListType} from './curatedListType'
+import {welcomeSequenceType} from './welcomeSequenceType'
 
-export const schemaTypes = [postType, linkCardType, aboutPageType]
\ No newline at end of file
+export const schemaTypes = [postType, tagType, linkCardType, aboutPageType, curatedListType, welcomeSequenceType, newsletterSendType, subscriberType]
\ No newline at end of file
@@ -60,6 +60,13 @@ export const linkCardType = defineType({
       description: 'The link that opens when the card is clicked',
       validation: (rule) => rule.required(),
     }),
+    defineField({
+      name: 'feedUrl',
+      title: 'Feed URL',
+      type: 'url',
+      description: 'The blog\'s RSS or Atom feed, listed in /blogroll.opml so readers can subscribe',
+      validation: (rule) => rule.uri({ scheme: ['http', 'https'] }),
+    }),
   ],
   preview: {
     select: {
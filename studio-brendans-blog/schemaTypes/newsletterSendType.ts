@@ -0,0 +1,101 @@
+// schemas/newsletterSendType.ts
+import { defineField, defineType } from 'sanity';
+
+// Written by the newsletter sender (src/utils/newsletter.js), one per emailed post or digest period
+export const newsletterSendType = defineType({
+  name: 'newsletterSend',
+  title: 'Newsletter Sends',
+  type: 'document',
+  readOnly: true,
+  fields: [
+    defineField({
+      name: 'post',
+      title: 'Post',
+      type: 'reference',
+      to: [{ type: 'post' }],
+      weak: true,
+    }),
+    defineField({
+      name: 'title',
+      title: 'Post Title',
+      type: 'string',
+    }),
+    defineField({
+      name: 'slug',
+      title: 'Post Slug',
+      type: 'string',
+      description: 'For digests, the period, e.g. digest-weekly-2025-10-06',
+    }),
+    defineField({
+      name: 'postCount',
+      title: 'Posts in Digest',
+      type: 'number',
+      hidden: ({ document }) => document?.postCount === undefined,
+    }),
+    defineField({
+      name: 'status',
+      title: 'Status',
+      type: 'string',
+      description: 'sending while in progress; a send stuck here needs checking before it is retried',
+      options: {
+        list: ['sending', 'sent', 'failed'],
+      },
+    }),
+    defineField({
+      name: 'provider',
+      title: 'Provider',
+      type: 'string',
+    }),
+    defineField({
+      name: 'startedAt',
+      title: 'Started At',
+      type: 'datetime',
+    }),
+    defineField({
+      name: 'sentAt',
+      title: 'Sent At',
+      type: 'datetime',
+    }),
+    defineField({
+      name: 'recipientCount',
+      title: 'Recipients',
+      type: 'number',
+    }),
+    defineField({
+      name: 'sentCount',
+      title: 'Sent',
+      type: 'number',
+    }),
+    defineField({
+      name: 'failedCount',
+      title: 'Failed',
+      type: 'number',
+    }),
+    defineField({
+      name: 'failedRecipients',
+      title: 'Failed Recipients',
+      type: 'array',
+      of: [{ type: 'string' }],
+      description: 'Addresses the provider could not send to; send-newsletter.js --retry-failed sends to them',
+      hidden: ({ document }) => !(document?.failedRecipients as string[] | undefined)?.length,
+    }),
+    defineField({
+      name: 'error',
+      title: 'Error',
+      type: 'string',
+    }),
+  ],
+  preview: {
+    select: {
+      title: 'title',
+      subtitle: 'status',
+      sentAt: 'sentAt',
+    },
+    prepare({ title, subtitle, sentAt }) {
+      return {
+        title,
+        subtitle: sentAt ? `${subtitle} · ${new Date(sentAt).toLocaleString()}` : subtitle,
+      };
+    },
+  },
+});
@@ -1,6 +1,36 @@
 // schemas/postType.ts
 import { defineField, defineType } from 'sanity';
 
+const linkAnnotation = {
+  name: 'link',
+  type: 'object',
+  title: 'URL',
+  fields: [
+    {
+      title: 'URL',
+      name: 'href',
+      type: 'url',
+      description: 'A web address, a site path like /posts/my-post, or #footnote-1 for a footnote in this post',
+      // Imported footnote references are #footnote-<number>, which the default URL check rejects
+      validation: (rule) => rule.uri({ allowRelative: true, scheme: ['http', 'https', 'mailto'] }),
+    },
+  ],
+};
+
+// Paragraphs with bold, italics and links - for footnotes and pull quotes
+const simpleBlock = {
+  type: 'block',
+  styles: [{ title: 'Normal', value: 'normal' }],
+  lists: [],
+  marks: {
+    decorators: [
+      { title: 'Strong', value: 'strong' },
+      { title: 'Emphasis', value: 'em' },
+    ],
+    annotations: [linkAnnotation],
+  },
+};
+
 export const postType = defineType({
   name: 'post',
   title: 'Posts',
@@ -56,6 +86,14 @@ export const postType = defineType({
       },
       validation: (rule) => rule.required(),
     }),
+    defineField({
+      name: 'tags',
+      title: 'Tags',
+      type: 'array',
+      of: [{ type: 'reference', to: [{ type: 'tag' }] }],
+      description: 'Topics this post belongs to - each tag gets a page at /tags/tag-slug',
+      validation: (rule) => rule.unique(),
+    }),
     defineField({
       name: 'content',
       title: 'Content',
@@ -78,20 +116,7 @@ export const postType = defineType({
               { title: 'Emphasis', value: 'em' },
               { title: 'Code', value: 'code' },
             ],
-            annotations: [
-              {
-                name: 'link',
-                type: 'object',
-                title: 'URL',
-                fields: [
-                  {
-                    title: 'URL',
-                    name: 'href',
-                    type: 'url',
-                  },
-                ],
-              },
-            ],
+            annotations: [linkAnnotation],
           },
         },
         {
@@ -106,6 +131,113 @@ export const postType = defineType({
             },
           ],
         },
+        {
+          type: 'image',
+          name: 'figure',
+          title: 'Figure',
+          description: 'An image with a caption',
+          options: { hotspot: true },
+          fields: [
+            {
+              name: 'alt',
+              type: 'string',
+              title: 'Alternative text',
+              description: 'Important for SEO and accessibility.',
+            },
+            {
+              name: 'caption',
+              type: 'string',
+              title: 'Caption',
+              description: 'Shown under the image.',
+              validation: (rule) => rule.required(),
+            },
+          ],
+          preview: {
+            select: { title: 'caption', media: 'asset' },
+          },
+        },
+        {
+          type: 'object',
+          name: 'pullQuote',
+          title: 'Pull Quote',
+          description: 'A quote set apart from the text, with who said it',
+          fields: [
+            {
+              name: 'content',
+              type: 'array',
+              title: 'Quote',
+              of: [simpleBlock],
+              validation: (rule) => rule.required(),
+            },
+            {
+              name: 'attribution',
+              type: 'string',
+              title: 'Attribution',
+              description: 'Who said it, e.g. "Martin Luther King Jr., 1963"',
+            },
+          ],
+          preview: {
+            select: { content: 'content', attribution: 'attribution' },
+            prepare: ({ content, attribution }) => ({
+              title: content?.[0]?.children?.map((span: { text?: string }) => span.text).join('') || 'Pull quote',
+              subtitle: attribution,
+            }),
+          },
+        },
+        {
+          type: 'object',
+          name: 'embed',
+          title: 'Embed',
+          description: 'A YouTube video, a post on X/Twitter, or any other page, shown as a card',
+          fields: [
+            {
+              name: 'url',
+              type: 'url',
+              title: 'URL',
+              validation: (rule) => rule.required(),
+            },
+            {
+              name: 'title',
+              type: 'string',
+              title: 'Title',
+              description: 'e.g. who posted a tweet - shown on the card',
+            },
+            {
+              name: 'text',
+              type: 'text',
+              title: 'Text',
+              description: 'e.g. the text of a tweet - shown on the card',
+              rows: 3,
+            },
+          ],
+          preview: {
+            select: { title: 'title', subtitle: 'url' },
+          },
+        },
+        {
+          type: 'object',
+          name: 'footnote',
+          title: 'Footnote',
+          description: 'Referenced from the text by a link to #footnote-<number>',
+          fields: [
+            {
+              name: 'number',
+              type: 'string',
+              title: 'Number',
+              validation: (rule) => rule.required(),
+            },
+            {
+              name: 'content',
+              type: 'array',
+              title: 'Note',
+              of: [simpleBlock],
+            },
+          ],
+          preview: {
+            select: { number: 'number' },
+            prepare: ({ number }) => ({ title: `Footnote ${number}` }),
+          },
+        },
         {
           type: 'object',
           name: 'codeBlock',
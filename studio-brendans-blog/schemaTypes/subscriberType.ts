@@ -0,0 +1,99 @@
+// schemas/subscriberType.ts
+import { defineField, defineType } from 'sanity';
+
+// Written by the subscribe, confirm and unsubscribe functions (src/utils/subscribers.js and
+// subscriberPreferences.js), and by the welcome sequence (welcomeSequence.js). Whether an
+// address gets email is decided by the Resend audience; this keeps its history, delivery
+// preferences and place in the welcome sequence.
+export const subscriberType = defineType({
+  name: 'subscriber',
+  title: 'Subscribers',
+  type: 'document',
+  readOnly: true,
+  fields: [
+    defineField({
+      name: 'email',
+      title: 'Email',
+      type: 'string',
+    }),
+    defineField({
+      name: 'status',
+      title: 'Status',
+      type: 'string',
+      options: {
+        list: ['subscribed', 'unsubscribed'],
+      },
+    }),
+    defineField({
+      name: 'confirmedAt',
+      title: 'Confirmed At',
+      type: 'datetime',
+      description: 'When they last confirmed a subscription',
+    }),
+    defineField({
+      name: 'source',
+      title: 'Source',
+      type: 'string',
+      description: 'Page they last subscribed from',
+    }),
+    defineField({
+      name: 'history',
+      title: 'History',
+      type: 'array',
+      of: [
+        {
+          type: 'object',
+          name: 'statusChange',
+          fields: [
+            { name: 'status', title: 'Status', type: 'string' },
+            { name: 'at', title: 'At', type: 'datetime' },
+            { name: 'source', title: 'Source', type: 'string' },
+          ],
+          preview: {
+            select: { title: 'status', subtitle: 'at' },
+          },
+        },
+      ],
+    }),
+    defineField({
+      name: 'frequency',
+      title: 'Frequency',
+      type: 'string',
+      options: {
+        list: [
+          { title: 'Every new post', value: 'each' },
+          { title: 'Weekly digest', value: 'weekly' },
+          { title: 'Monthly digest', value: 'monthly' },
+        ],
+      },
+    }),
+    defineField({
+      name: 'pausedUntil',
+      title: 'Paused Until',
+      type: 'datetime',
+    }),
+    defineField({
+      name: 'preferencesUpdatedAt',
+      title: 'Preferences Updated At',
+      type: 'datetime',
+    }),
+    defineField({
+      name: 'welcomeSequence',
+      title: 'Welcome Sequence',
+      type: 'object',
+      description: 'Where they are in the welcome sequence (src/utils/welcomeSequence.js)',
+      fields: [
+        { name: 'startedAt', title: 'Started At', type: 'datetime' },
+        { name: 'step', title: 'Emails Sent', type: 'number' },
+        { name: 'lastSentAt', title: 'Last Sent At', type: 'datetime' },
+        { name: 'completedAt', title: 'Completed At', type: 'datetime' },
+      ],
+    }),
+  ],
+  preview: {
+    select: {
+      title: 'email',
+      subtitle: 'status',
+    },
+  },
+});
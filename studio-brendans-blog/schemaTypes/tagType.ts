@@ -0,0 +1,41 @@
+// schemas/tagType.ts
+import { defineField, defineType } from 'sanity';
+
+export const tagType = defineType({
+  name: 'tag',
+  title: 'Tags',
+  type: 'document',
+  fields: [
+    defineField({
+      name: 'title',
+      title: 'Title',
+      type: 'string',
+      description: 'Shown on tag chips and as the heading of the tag page',
+      validation: (rule) => rule.required().max(40),
+    }),
+    defineField({
+      name: 'slug',
+      title: 'Slug',
+      type: 'slug',
+      description: 'Used in the tag page URL (/tags/your-slug)',
+      options: {
+        source: 'title',
+        maxLength: 40,
+      },
+      validation: (rule) => rule.required(),
+    }),
+    defineField({
+      name: 'description',
+      title: 'Description',
+      type: 'text',
+      rows: 2,
+      description: 'Optional one-line summary shown on the tag page',
+    }),
+  ],
+  preview: {
+    select: {
+      title: 'title',
+      subtitle: 'slug.current',
+    },
+  },
+});
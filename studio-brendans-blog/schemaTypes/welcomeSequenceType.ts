@@ -0,0 +1,57 @@
+// schemas/welcomeSequenceType.ts
+import { defineField, defineType } from 'sanity';
+
+// Read by the welcome-sequence scheduled function (src/utils/welcomeSequence.js). New
+// subscribers get the welcome email when they confirm, then the list's posts in order,
+// one on each of the days below
+export const welcomeSequenceType = defineType({
+  name: 'welcomeSequence',
+  title: 'Welcome Sequence',
+  type: 'document',
+  fields: [
+    defineField({
+      name: 'enabled',
+      title: 'Enabled',
+      type: 'boolean',
+      description: 'Nothing is sent while this is off. Subscribers who confirm in the meantime still start the sequence',
+      initialValue: false,
+    }),
+    defineField({
+      name: 'list',
+      title: 'Posts',
+      type: 'reference',
+      to: [{ type: 'curatedList' }],
+      description: 'The curated list whose posts are sent, in its order',
+      validation: (rule) => rule.required(),
+    }),
+    defineField({
+      name: 'days',
+      title: 'Send On Days',
+      type: 'array',
+      of: [{ type: 'number' }],
+      description: 'Days after confirming to send each post, e.g. 2, 5, 9 sends the first post on day 2, the second on day 5 and the third on day 9',
+      validation: (rule) => rule.required().min(1).custom((days) => {
+        const values = (days || []) as number[];
+        if (values.some((day) => !Number.isInteger(day) || day < 1)) {
+          return 'Days must be whole numbers from 1 (day 0 is the welcome email)';
+        }
+        if (values.some((day, index) => index > 0 && day <= values[index - 1])) {
+          return 'Days must go up, one per post';
+        }
+        return true;
+      }),
+    }),
+  ],
+  preview: {
+    select: {
+      enabled: 'enabled',
+      list: 'list.title',
+    },
+    prepare({ enabled, list }) {
+      return {
+        title: 'Welcome Sequence',
+        subtitle: `${enabled ? 'On' : 'Off'}${list ? ` - ${list}` : ''}`,
+      };
+    },
+  },
+});
@@ -0,0 +1,148 @@
+import { after, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import process from 'node:process';
+import { fileURLToPath } from 'node:url';
+import { promisify } from 'node:util';
+import { buildRiver, formatTimeAgo, getLatestEntries, isWebUrl, parseFeed } from '../src/utils/blogrollFeeds.js';
+
+const FIXTURES_DIR = fileURLToPath(new URL('../scripts/fixtures/blogroll/', import.meta.url));
+
+function readFeed(fileName) {
+  return fs.readFileSync(path.join(FIXTURES_DIR, 'feeds', fileName), 'utf8');
+}
+
+describe('parseFeed on the fixture feeds', () => {
+  it('reads RSS 2.0 - CDATA, markup and double-encoded entities in titles, and guid links', () => {
+    const feed = parseFeed(readFeed('rss-example-com-feed-xml.xml'));
+    assert.equal(feed.title, 'Plain RSS Blog');
+    assert.equal(feed.siteUrl, 'https://rss.example.com/');
+    assert.deepEqual(feed.entries, [
+      { title: 'An older post', url: 'https://rss.example.com/2024/older-post', publishedAt: '2024-03-04T09:00:00.000Z' },
+      { title: 'Notes on writing & editing', url: 'https://rss.example.com/2024/notes', publishedAt: '2024-10-01T16:30:00.000Z' },
+      { title: 'Tom & Jerry, revisited', url: 'https://rss.example.com/2024/tom-and-jerry', publishedAt: '2024-06-15T12:00:00.000Z' }
+    ]);
+  });
+
+  it('reads Atom - alternate links resolved against the site, and updated when there is no published date', () => {
+    const feed = parseFeed(readFeed('atom-example-org-atom-xml.xml'));
+    assert.equal(feed.title, 'Atom Blog');
+    assert.equal(feed.siteUrl, 'https://atom.example.org/');
+    assert.deepEqual(feed.entries, [
+      { title: 'Relative links resolve against the site', url: 'https://atom.example.org/posts/relative', publishedAt: '2024-09-20T08:00:00.000Z' },
+      { title: 'Only an updated date', url: 'https://atom.example.org/posts/updated-only', publishedAt: '2024-08-01T14:00:00.000Z' }
+    ]);
+  });
+
+  it('reads JSON Feed', () => {
+    const feed = parseFeed(readFeed('json-example-net-feed-json.json'));
+    assert.equal(feed.title, 'JSON Feed Blog');
+    assert.deepEqual(feed.entries[0], { title: 'A post in JSON Feed', url: 'https://json.example.net/a-post', publishedAt: '2024-10-02T14:00:00.000Z' });
+    assert.equal(feed.entries[1].url, null);
+  });
+
+  it('throws on a page that isn\'t a feed', () => {
+    assert.throws(() => parseFeed(readFeed('broken-example-com-rss.xml')), /Not an RSS, Atom or JSON feed/);
+    assert.throws(() => parseFeed(''), /Not an RSS, Atom or JSON feed/);
+    assert.throws(() => parseFeed('{"title": "No items"}'), /JSON feed has no items/);
+  });
+
+  it('drops javascript:, data: and other non-web links', () => {
+    const feed = parseFeed(readFeed('hostile-example-com-feed-xml.xml'));
+    assert.equal(feed.siteUrl, null);
+    assert.deepEqual(feed.entries.map(entry => entry.url), [null, null, null, 'https://hostile.example.com/2024/real-post']);
+    assert.deepEqual(getLatestEntries(feed).map(entry => entry.title), ['A real post']);
+  });
+
+  it('drops non-web links in Atom and JSON feeds too', () => {
+    const atom = parseFeed(`<feed><link href="https://a.example.com/" /><entry><title>x</title><link href="javascript:alert(1)" /></entry>
+      <entry><title>y</title><link href="vbscript:msgbox(1)" /></entry></feed>`);
+    assert.deepEqual(atom.entries.map(entry => entry.url), [null, null]);
+
+    const json = parseFeed(JSON.stringify({ home_page_url: 'javascript:void(0)', items: [{ title: 'x', url: 'JavaScript:alert(1)' }, { title: 'y', external_url: '/relative' }] }));
+    assert.equal(json.siteUrl, null);
+    assert.deepEqual(json.entries.map(entry => entry.url), [null, null]);
+  });
+});
+
+describe('getLatestEntries', () => {
+  it('sorts newest first and drops entries without a title or link', () => {
+    const entries = getLatestEntries(parseFeed(readFeed('json-example-net-feed-json.json')));
+    assert.deepEqual(entries.map(entry => entry.title), ['A post in JSON Feed']);
+
+    const rss = getLatestEntries(parseFeed(readFeed('rss-example-com-feed-xml.xml')), 2);
+    assert.deepEqual(rss.map(entry => entry.title), ['Notes on writing & editing', 'Tom & Jerry, revisited']);
+  });
+
+  it('keeps undated entries in feed order after the dated ones', () => {
+    const feed = {
+      entries: [
+        { title: 'Undated 1', url: 'https://e.example.com/1', publishedAt: null },
+        { title: 'Dated', url: 'https://e.example.com/2', publishedAt: '2024-01-01T00:00:00.000Z' },
+        { title: 'Undated 2', url: 'https://e.example.com/3', publishedAt: null }
+      ]
+    };
+    assert.deepEqual(getLatestEntries(feed).map(entry => entry.title), ['Dated', 'Undated 1', 'Undated 2']);
+  });
+
+  it('drops entries whose link isn\'t a web link, e.g. from an old cache', () => {
+    const feed = { entries: [{ title: 'x', url: 'javascript:alert(1)', publishedAt: null }] };
+    assert.deepEqual(getLatestEntries(feed), []);
+  });
+});
+
+describe('isWebUrl', () => {
+  it('accepts only absolute http and https URLs', () => {
+    assert.equal(isWebUrl('https://example.com/post'), true);
+    assert.equal(isWebUrl('HTTP://example.com'), true);
+    ['javascript:alert(1)', ' javascript:alert(1)', 'data:text/html,x', 'mailto:a@example.com', '/relative', '', null, undefined].forEach(url => {
+      assert.equal(isWebUrl(url), false, String(url));
+    });
+  });
+});
+
+describe('buildRiver and formatTimeAgo', () => {
+  it('merges every blog\'s dated entries, newest first', () => {
+    const blogroll = {
+      a: { entries: [{ title: 'A1', url: 'https://a.example.com/1', publishedAt: '2024-10-01T00:00:00.000Z' }] },
+      b: { entries: [{ title: 'B1', url: 'https://b.example.com/1', publishedAt: '2024-10-02T00:00:00.000Z' }, { title: 'B0', url: 'https://b.example.com/0', publishedAt: null }] }
+    };
+    const cards = [{ _id: 'a', title: 'Blog A', url: 'https://a.example.com' }, { _id: 'b', title: 'Blog B', url: 'https://b.example.com' }];
+    assert.deepEqual(buildRiver(blogroll, cards).map(entry => [entry.title, entry.blogTitle]), [['B1', 'Blog B'], ['A1', 'Blog A']]);
+  });
+
+  it('describes ages', () => {
+    const now = new Date('2024-10-10T12:00:00Z');
+    assert.equal(formatTimeAgo('2024-10-10T11:59:30Z', now), 'just now');
+    assert.equal(formatTimeAgo('2024-10-10T09:00:00Z', now), '3 hours ago');
+    assert.equal(formatTimeAgo('2024-10-09T10:00:00Z', now), 'yesterday');
+    assert.equal(formatTimeAgo('2024-10-07T12:00:00Z', now), '3 days ago');
+    assert.equal(formatTimeAgo('not a date', now), '');
+  });
+});
+
+describe('scripts/fetch-blogroll-feeds.js --fixtures', () => {
+  const outDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blogroll-'));
+  after(() => fs.rmSync(outDir, { recursive: true, force: true }));
+
+  it('writes every blog\'s latest entries, and the error for feeds that fail', async () => {
+    const outPath = path.join(outDir, 'blogroll-latest.json');
+    const script = fileURLToPath(new URL('../scripts/fetch-blogroll-feeds.js', import.meta.url));
+    await promisify(execFile)(process.execPath, [script, '--fixtures', FIXTURES_DIR, '--out', outPath]);
+
+    const { blogs } = JSON.parse(fs.readFileSync(outPath, 'utf8'));
+    assert.deepEqual(Object.keys(blogs), ['fixture-rss', 'fixture-atom', 'fixture-json', 'fixture-broken', 'fixture-hostile', 'fixture-missing']);
+    assert.equal(blogs['fixture-rss'].entries[0].title, 'Notes on writing & editing');
+    assert.deepEqual(blogs['fixture-hostile'].entries.map(entry => entry.url), ['https://hostile.example.com/2024/real-post']);
+    assert.deepEqual(blogs['fixture-broken'], {
+      feedUrl: 'https://broken.example.com/rss',
+      entries: [],
+      fetchedAt: null,
+      error: 'Not an RSS, Atom or JSON feed'
+    });
+    assert.match(blogs['fixture-missing'].error, /No fixture feed/);
+  });
+});
@@ -0,0 +1,300 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluate, parse } from 'groq-js';
+import { createLocalSendStore, DIGEST_POSTS_QUERY, NEWSLETTER_POST_QUERY, SEND_STATUS, sendIssue } from '../src/utils/newsletter.js';
+import { createFakeProvider, createResendProvider } from '../src/utils/newsletterProviders.js';
+import { createLocalPreferenceStore } from '../src/utils/subscriberPreferences.js';
+import { createLocalSubscriberRepository } from '../src/utils/subscribers.js';
+
+const BASE_URL = 'https://blog.brendanbockes.com';
+
+// Progress messages aren't checked
+const quiet = () => undefined;
+
+const post = {
+  _id: 'post-1',
+  title: 'Trying vs doing',
+  slug: { current: 'trying-vs-doing' },
+  excerpt: 'Trying to take an object out of someone’s hand isn’t the same as taking it.',
+  publishedAt: '2025-11-30T19:29:37.981Z',
+  content: [{ _type: 'block', style: 'normal', children: [{ _type: 'span', text: 'Try it.', marks: [] }] }]
+};
+
+// Everything an audience send needs, against local fakes; pass overrides for the parts a test checks
+function setup({ subscribers = ['a@example.com', 'b@example.com', 'c@example.com'], failFor = [], ...overrides } = {}) {
+  const options = {
+    post,
+    mode: 'audience',
+    provider: createFakeProvider({ failFor }),
+    subscribers: createLocalSubscriberRepository({ subscribers: subscribers.map(email => ({ email })) }),
+    store: createLocalSendStore(),
+    preferences: createLocalPreferenceStore(),
+    from: 'newsletter@example.com',
+    baseUrl: BASE_URL,
+    unsubscribeUrlFor: email => `${BASE_URL}/unsubscribe?for=${encodeURIComponent(email)}&x=1`,
+    log: quiet,
+    ...overrides
+  };
+  return options;
+}
+
+describe('sendIssue to the audience', () => {
+  it('claims the record, sends to every subscriber and records the send', async () => {
+    const options = setup();
+    const claims = [];
+    const { claim } = options.store;
+    options.store.claim = async (key, record, existing) => {
+      claims.push({ key, status: record.status, sentSoFar: options.provider.sent.length });
+      return claim(key, record, existing);
+    };
+
+    const result = await sendIssue(options);
+
+    assert.deepEqual(claims, [{ key: 'post-1', status: SEND_STATUS.SENDING, sentSoFar: 0 }]);
+    assert.equal(result.status, 'sent');
+    assert.equal(result.sent, 3);
+    assert.deepEqual(options.provider.sent.map(message => message.to), ['a@example.com', 'b@example.com', 'c@example.com']);
+
+    const record = await options.store.get('post-1');
+    assert.equal(record.status, SEND_STATUS.SENT);
+    assert.equal(record.slug, 'trying-vs-doing');
+    assert.equal(record.provider, 'fake');
+    assert.equal(record.recipientCount, 3);
+    assert.equal(record.sentCount, 3);
+    assert.deepEqual(record.failedRecipients, []);
+    assert.ok(record.sentAt);
+  });
+
+  it('gives each subscriber their own unsubscribe link and List-Unsubscribe headers', async () => {
+    const options = setup({ subscribers: ['a@example.com'] });
+    await sendIssue(options);
+    const [message] = options.provider.sent;
+
+    assert.equal(message.headers['List-Unsubscribe'], `<${BASE_URL}/unsubscribe?for=a%40example.com&x=1>`);
+    assert.equal(message.headers['List-Unsubscribe-Post'], 'List-Unsubscribe=One-Click');
+    assert.ok(message.html.includes(`${BASE_URL}/unsubscribe?for=a%40example.com&amp;x=1`));
+    assert.ok(message.text.includes(`${BASE_URL}/unsubscribe?for=a%40example.com&x=1`));
+    assert.ok(!message.html.includes('{{unsubscribe_url}}'));
+  });
+
+  it('never sends a post twice', async () => {
+    const options = setup();
+    await sendIssue(options);
+    const again = await sendIssue(options);
+
+    assert.equal(again.status, 'already-sent');
+    assert.equal(again.sent, 0);
+    assert.equal(options.provider.sent.length, 3);
+  });
+
+  it('lets only one of two overlapping sends claim the post', async () => {
+    const options = setup();
+    const [first, second] = await Promise.allSettled([sendIssue(options), sendIssue(options)]);
+
+    assert.equal(first.status, 'fulfilled');
+    assert.equal(second.status, 'rejected');
+    assert.match(second.reason.message, /changed by another run/);
+    assert.equal(options.provider.sent.length, 3);
+  });
+
+  it('refuses to resend a send left at "sending" unless forced', async () => {
+    const options = setup();
+    await options.store.claim('post-1', { status: SEND_STATUS.SENDING, startedAt: '2025-12-01T00:00:00.000Z' });
+
+    await assert.rejects(sendIssue(options), /never finished/);
+    assert.equal(options.provider.sent.length, 0);
+
+    const result = await sendIssue({ ...options, force: true });
+    assert.equal(result.status, 'sent');
+    assert.equal(options.provider.sent.length, 3);
+  });
+
+  it('marks the record failed when the provider throws, so the send can be retried', async () => {
+    const options = setup();
+    const { send } = options.provider;
+    options.provider.send = async () => {
+      throw new Error('Provider down');
+    };
+    await assert.rejects(sendIssue(options), /Provider down/);
+    assert.equal((await options.store.get('post-1')).status, SEND_STATUS.FAILED);
+
+    options.provider.send = send;
+    assert.equal((await sendIssue(options)).status, 'sent');
+    assert.equal(options.provider.sent.length, 3);
+  });
+
+  it('counts and sends nothing on a dry run', async () => {
+    const options = setup({ dryRun: true });
+    const result = await sendIssue(options);
+
+    assert.equal(result.status, 'dry-run');
+    assert.equal(result.recipients, 3);
+    assert.equal(options.provider.sent.length, 0);
+    assert.equal(await options.store.get('post-1'), null);
+  });
+
+  it('leaves out unsubscribed and paused subscribers', async () => {
+    const options = setup();
+    await options.subscribers.upsert('b@example.com', { status: 'unsubscribed' });
+    await options.preferences.set('c@example.com', { pausedUntil: '2999-01-01T00:00:00.000Z' });
+
+    await sendIssue(options);
+    assert.deepEqual(options.provider.sent.map(message => message.to), ['a@example.com']);
+  });
+
+  it('keeps the addresses it failed for, and retryFailed sends to just those', async () => {
+    const options = setup({ failFor: ['b@example.com'] });
+    const partial = await sendIssue(options);
+
+    assert.equal(partial.status, 'partial');
+    let record = await options.store.get('post-1');
+    assert.equal(record.status, SEND_STATUS.SENT);
+    assert.equal(record.sentCount, 2);
+    assert.deepEqual(record.failedRecipients, ['b@example.com']);
+
+    // A plain rerun still doesn't send anything
+    assert.equal((await sendIssue(options)).status, 'already-sent');
+
+    const provider = createFakeProvider();
+    const retry = await sendIssue({ ...options, provider, retryFailed: true });
+    assert.equal(retry.status, 'sent');
+    assert.deepEqual(provider.sent.map(message => message.to), ['b@example.com']);
+
+    record = await options.store.get('post-1');
+    assert.equal(record.sentCount, 3);
+    assert.equal(record.recipientCount, 3);
+    assert.deepEqual(record.failedRecipients, []);
+    assert.equal((await sendIssue({ ...options, provider, retryFailed: true })).status, 'already-sent');
+  });
+
+  it('doesn\'t retry an address that has unsubscribed since', async () => {
+    const options = setup({ failFor: ['b@example.com'] });
+    await sendIssue(options);
+    await options.subscribers.upsert('b@example.com', { status: 'unsubscribed' });
+
+    const provider = createFakeProvider();
+    await sendIssue({ ...options, provider, retryFailed: true });
+    assert.equal(provider.sent.length, 0);
+    assert.deepEqual((await options.store.get('post-1')).failedRecipients, []);
+  });
+});
+
+describe('sendIssue test sends', () => {
+  it('sends only to allowlisted addresses, marked as a test and not recorded', async () => {
+    const options = setup({
+      mode: 'test',
+      allowlist: ['Me@Example.com', 'editor@example.com'],
+      testRecipients: ['me@example.com']
+    });
+    const result = await sendIssue(options);
+
+    assert.equal(result.status, 'sent');
+    assert.deepEqual(options.provider.sent.map(message => message.to), ['me@example.com']);
+    assert.equal(options.provider.sent[0].subject, '[Test] Trying vs doing');
+    assert.equal(await options.store.get('post-1'), null);
+  });
+
+  it('refuses addresses that aren\'t on the allowlist', async () => {
+    const options = setup({
+      mode: 'test',
+      allowlist: ['me@example.com'],
+      testRecipients: ['me@example.com', 'stranger@example.com']
+    });
+
+    await assert.rejects(sendIssue(options), /not stranger@example\.com/);
+    assert.equal(options.provider.sent.length, 0);
+  });
+
+  it('refuses to run without test recipients', async () => {
+    await assert.rejects(sendIssue(setup({ mode: 'test', allowlist: ['me@example.com'], testRecipients: [] })), /No test recipients/);
+  });
+});
+
+describe('createResendProvider', () => {
+  const messages = count => Array.from({ length: count }, (_, index) => ({ to: `reader${index}@example.com` }));
+
+  // Resend client whose batch.send answers with the given responses in turn, then succeeds
+  function fakeResend(responses = []) {
+    const batches = [];
+    return {
+      batches,
+      batch: {
+        async send(batch) {
+          batches.push(batch);
+          const response = responses.shift();
+          if (response instanceof Error) throw response;
+          return response || { data: { data: batch.map(() => ({ id: 'id' })) }, error: null };
+        }
+      }
+    };
+  }
+
+  it('sends in batches of 100', async () => {
+    const client = fakeResend();
+    const result = await createResendProvider({ client, batchIntervalMs: 0 }).send(messages(250));
+
+    assert.deepEqual(client.batches.map(batch => batch.length), [100, 100, 50]);
+    assert.deepEqual(result, { sent: 250, failed: [] });
+  });
+
+  it('retries a rate-limited batch', async () => {
+    const rateLimited = { data: null, error: { name: 'rate_limit_exceeded', message: 'Too many requests' } };
+    const client = fakeResend([rateLimited, rateLimited]);
+    const result = await createResendProvider({ client, batchIntervalMs: 0, retryDelayMs: 1 }).send(messages(150));
+
+    assert.equal(client.batches.length, 4);
+    assert.deepEqual(result, { sent: 150, failed: [] });
+  });
+
+  it('reports the recipients of a batch that keeps failing, and sends the rest', async () => {
+    const invalid = { data: null, error: { name: 'validation_error', message: 'Invalid from address' } };
+    const client = fakeResend([{ data: {}, error: null }, invalid, new Error('socket hang up')]);
+    const result = await createResendProvider({ client, batchIntervalMs: 0 }).send(messages(350));
+
+    assert.equal(client.batches.length, 4);
+    assert.equal(result.sent, 150);
+    assert.equal(result.failed.length, 200);
+    assert.deepEqual(result.failed[0], { to: 'reader100@example.com', error: 'Invalid from address' });
+    assert.deepEqual(result.failed[199], { to: 'reader299@example.com', error: 'socket hang up' });
+  });
+
+  it('gives up on a batch that is still rate limited after its retries', async () => {
+    const rateLimited = { data: null, error: { name: 'rate_limit_exceeded', message: 'Too many requests' } };
+    const client = fakeResend(Array(5).fill(rateLimited));
+    const result = await createResendProvider({ client, batchIntervalMs: 0, retryDelayMs: 1 }).send(messages(10));
+
+    assert.equal(client.batches.length, 5);
+    assert.equal(result.sent, 0);
+    assert.equal(result.failed.length, 10);
+  });
+});
+
+describe('DIGEST_POSTS_QUERY', () => {
+  it('lists each published post in the period once, and no drafts', async () => {
+    const post = (_id, publishedAt) => ({ _id, _type: 'post', title: _id, slug: { current: _id.replace('drafts.', '') }, publishedAt });
+    const dataset = [
+      post('published', '2025-12-02T10:00:00.000Z'),
+      post('drafts.published', '2025-12-02T10:00:00.000Z'),
+      post('drafts.unpublished', '2025-12-03T10:00:00.000Z'),
+      post('next-week', '2025-12-09T10:00:00.000Z')
+    ];
+    const result = await evaluate(parse(DIGEST_POSTS_QUERY), {
+      dataset,
+      params: { start: '2025-12-01T00:00:00.000Z', end: '2025-12-08T00:00:00.000Z' }
+    });
+    assert.deepEqual((await result.get()).map(({ _id }) => _id), ['published']);
+  });
+});
+
+describe('NEWSLETTER_POST_QUERY', () => {
+  it('finds the published post, not its pending draft', async () => {
+    const dataset = [
+      { _id: 'drafts.post-1', _type: 'post', title: 'Unpublished edit', slug: { current: 'trying-vs-doing' }, publishedAt: post.publishedAt },
+      { ...post, _type: 'post' }
+    ];
+    const result = await evaluate(parse(NEWSLETTER_POST_QUERY), { dataset, params: { slug: 'trying-vs-doing' } });
+    const found = await result.get();
+    assert.equal(found._id, 'post-1');
+    assert.equal(found.title, 'Trying vs doing');
+  });
+});
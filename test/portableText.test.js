@@ -0,0 +1,166 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import { portableTextToHtml, portableTextToText } from '../src/utils/portableText.js';
+
+const BASE_URL = 'https://blog.brendanbockes.com';
+const FIXTURES_DIR = new URL('../substack-import/', import.meta.url);
+
+// A post as the Substack import converted it
+function readFixture(fileName) {
+  return JSON.parse(fs.readFileSync(new URL(fileName, FIXTURES_DIR), 'utf8'));
+}
+
+function countTags(html, tag) {
+  return {
+    open: (html.match(new RegExp(`<${tag}[\\s>]`, 'g')) || []).length,
+    close: (html.match(new RegExp(`</${tag}>`, 'g')) || []).length
+  };
+}
+
+describe('portableTextToHtml on substack-import posts', () => {
+  const linkPost = readFixture('148862501malls-in-the-suburbs-are-the-new-bodhisattva-tree.json');
+  const numberedPost = readFixture('148862629how-to-get-the-most-out-of-your-relationships.json');
+  const bulletedPost = readFixture('161487684rules-for-saving-money-while-traveling.json');
+  const quotePost = readFixture('148861907how-to-pause-and-reflect.json');
+  const headingPost = readFixture('148864123insights-on-seo.json');
+
+  it('writes plain paragraphs and links for rss', () => {
+    const html = portableTextToHtml(linkPost.content, { target: 'rss', baseUrl: BASE_URL });
+    assert.equal(html, [
+      '<p>That’s the best<a href="https://en.wikipedia.org/wiki/K%C5%8Dan">kōan</a>I’ve got.</p>',
+      '<p>It turns out you don’t need to go on a 7 day retreat to a Himalayan monastery if you want to find inner peace.</p>',
+      '<p>Where you are right now is sufficient.</p>'
+    ].join('\n'));
+  });
+
+  it('inlines styles for email', () => {
+    const html = portableTextToHtml(linkPost.content, { target: 'email', baseUrl: BASE_URL });
+    assert.match(html, /^<p style="margin:0 0 16px;[^"]*">That’s the best<a href="https:\/\/en\.wikipedia\.org\/wiki\/K%C5%8Dan" style="color:#6184ED;[^"]*">kōan<\/a>/);
+    assert.doesNotMatch(html, /class=/);
+  });
+
+  it('opens external links in a new tab for static pages', () => {
+    const html = portableTextToHtml(linkPost.content, { target: 'static' });
+    assert.match(html, /<a href="https:\/\/en\.wikipedia\.org\/wiki\/K%C5%8Dan" target="_blank" rel="noopener noreferrer">kōan<\/a>/);
+  });
+
+  it('keeps a numbered list in one <ol> and closes it before the next paragraph', () => {
+    const html = portableTextToHtml(numberedPost.content, { target: 'rss' });
+    const lines = html.split('\n');
+    assert.equal(lines[0], '<ol>');
+    assert.equal(countTags(html, 'li').open, 3);
+    assert.equal(countTags(html, 'li').close, 3);
+    assert.equal(lines[lines.length - 2], '</li></ol>');
+    assert.match(lines[lines.length - 1], /^<p>Actively listening/);
+  });
+
+  it('writes bullet lists as <ul>', () => {
+    const html = portableTextToHtml(bulletedPost.content, { target: 'static' });
+    assert.equal(countTags(html, 'ul').open, 1);
+    assert.equal(countTags(html, 'li').open, bulletedPost.content.length);
+    assert.match(html, /<li>Never buy food at the airport\. It’s always overpriced\.\n<\/li>/);
+  });
+
+  it('writes quotes as <blockquote>, escaping their text', () => {
+    const html = portableTextToHtml(quotePost.content, { target: 'rss' });
+    assert.match(html, /\n<blockquote>When I was 17, I read a quote that went something like: &quot;If you live each day/);
+  });
+
+  it('writes headings with their level', () => {
+    const rss = portableTextToHtml(headingPost.content, { target: 'rss' });
+    assert.equal(rss.split('\n')[0], '<h2>More keywords aren’t the point</h2>');
+    assert.equal(countTags(rss, 'h2').open, 3);
+
+    const email = portableTextToHtml(headingPost.content, { target: 'email' });
+    assert.match(email.split('\n')[0], /^<h2 style="margin:28px 0 14px;[^"]*">More keywords aren’t the point<\/h2>$/);
+  });
+
+  it('writes balanced markup for every imported post', () => {
+    const fileNames = fs.readdirSync(FIXTURES_DIR).filter(fileName => fileName.endsWith('.json'));
+    fileNames.forEach(fileName => {
+      const post = readFixture(fileName);
+      if (!Array.isArray(post.content)) return;
+      ['rss', 'email', 'static'].forEach(target => {
+        const html = portableTextToHtml(post.content, { target, baseUrl: BASE_URL });
+        ['p', 'ul', 'ol', 'li', 'blockquote', 'h2', 'a'].forEach(tag => {
+          const { open, close } = countTags(html, tag);
+          assert.equal(open, close, `${fileName} (${target}): ${open} <${tag}> but ${close} </${tag}>`);
+        });
+      });
+    });
+  });
+});
+
+describe('portableTextToText on substack-import posts', () => {
+  it('writes links out after their text', () => {
+    const { content } = readFixture('148862501malls-in-the-suburbs-are-the-new-bodhisattva-tree.json');
+    assert.equal(portableTextToText(content).split('\n\n')[0], 'That’s the bestkōan (https://en.wikipedia.org/wiki/K%C5%8Dan)I’ve got.');
+  });
+
+  it('numbers list items and keeps them together', () => {
+    const { content } = readFixture('148862629how-to-get-the-most-out-of-your-relationships.json');
+    const [list, paragraph] = portableTextToText(content).split('\n\n');
+    assert.deepEqual(list.split('\n').map(line => line.slice(0, 3)), ['1. ', '2. ', '3. ']);
+    assert.match(paragraph, /^Actively listening/);
+  });
+
+  it('prefixes quotes and underlines headings', () => {
+    const quote = portableTextToText(readFixture('148861907how-to-pause-and-reflect.json').content).split('\n\n')[6];
+    assert.match(quote, /^> When I was 17, I read a quote that went something like: "If you live each day/);
+
+    const heading = portableTextToText(readFixture('148864123insights-on-seo.json').content).split('\n\n')[0];
+    assert.equal(heading, `More keywords aren’t the point\n${'-'.repeat('More keywords aren’t the point'.length)}`);
+  });
+});
+
+describe('block types the imports don\'t have', () => {
+  const image = { _type: 'image', alt: 'A photo', asset: { _ref: 'image-abc123-800x600-jpg' } };
+  const code = { _type: 'codeBlock', code: { code: 'const a = 1 < 2;', language: 'js', filename: 'a.js' } };
+  const marked = {
+    _type: 'block',
+    style: 'normal',
+    markDefs: [{ _key: 'l1', _type: 'link', href: '/posts/other' }],
+    children: [
+      { _type: 'span', text: 'bold', marks: ['strong'] },
+      { _type: 'span', text: ' and ', marks: [] },
+      { _type: 'span', text: 'linked', marks: ['em', 'l1'] }
+    ]
+  };
+
+  it('resolves image references to the Sanity CDN, with alt text', () => {
+    const html = portableTextToHtml([image], { target: 'rss' });
+    assert.equal(html, '<img src="https://cdn.sanity.io/images/wxzoc64y/production/abc123-800x600.jpg" alt="A photo" />');
+    assert.match(portableTextToHtml([image], { target: 'static' }), / loading="lazy" \/>$/);
+  });
+
+  it('writes code blocks with their filename and language', () => {
+    assert.equal(
+      portableTextToHtml([code], { target: 'rss' }),
+      '<figure><figcaption>a.js</figcaption><pre><code class="language-js">const a = 1 &lt; 2;</code></pre></figure>'
+    );
+  });
+
+  it('writes embeds as links, and leaves out embeds whose URL isn\'t a web link', () => {
+    const embed = { _type: 'embed', url: 'https://twitter.com/a/status/1', title: 'A (@a)', text: 'Hello' };
+    assert.equal(
+      portableTextToHtml([embed], { target: 'rss' }),
+      '<blockquote><p>Hello</p>\n<p>— <a href="https://twitter.com/a/status/1">A (@a)</a></p></blockquote>'
+    );
+    assert.equal(portableTextToText([embed]), '> Hello\n[A (@a): https://twitter.com/a/status/1]');
+
+    ['javascript:alert(1)', 'data:text/html,<script>alert(1)</script>', '/relative'].forEach(url => {
+      assert.equal(portableTextToHtml([{ ...embed, url }], { target: 'static' }), '', url);
+      assert.equal(portableTextToText([{ ...embed, url }]), '', url);
+    });
+  });
+
+  it('makes site-relative links absolute for rss and email only', () => {
+    assert.equal(
+      portableTextToHtml([marked], { target: 'rss', baseUrl: BASE_URL }),
+      `<p><strong>bold</strong> and <a href="${BASE_URL}/posts/other"><em>linked</em></a></p>`
+    );
+    assert.match(portableTextToHtml([marked], { target: 'static', baseUrl: BASE_URL }), /<a href="\/posts\/other">/);
+    assert.equal(portableTextToText([marked], { baseUrl: BASE_URL }), `bold and linked (${BASE_URL}/posts/other)`);
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluate, parse } from 'groq-js';
+import { NEWLY_VISIBLE_POSTS_QUERY } from '../netlify/functions/scheduled-newsletter.js';
+
+// Run a query the way a token client with the raw perspective would, drafts included
+async function query(groq, dataset, params) {
+  const result = await evaluate(parse(groq), { dataset, params });
+  return result.get();
+}
+
+describe('NEWLY_VISIBLE_POSTS_QUERY', () => {
+  const window = { since: '2025-12-01T02:45:00.000Z', until: '2025-12-01T03:00:00.000Z' };
+  const post = (_id, publishedAt) => ({ _id, _type: 'post', title: _id, slug: { current: _id.replace('drafts.', '') }, publishedAt });
+
+  it('finds the posts whose publish time passed within the window', async () => {
+    const posts = await query(NEWLY_VISIBLE_POSTS_QUERY, [
+      post('before', '2025-12-01T02:30:00.000Z'),
+      post('scheduled', '2025-12-01T03:00:00.000Z'),
+      post('later', '2025-12-01T03:15:00.000Z')
+    ], window);
+    assert.deepEqual(posts.map(({ _id }) => _id), ['scheduled']);
+  });
+
+  it('leaves out a draft whose publishedAt falls within the window', async () => {
+    // The Studio gives a new post a publishedAt of 3 AM the next day, published or not
+    const posts = await query(NEWLY_VISIBLE_POSTS_QUERY, [
+      post('drafts.never-published', '2025-12-01T03:00:00.000Z'),
+      post('drafts.with-edits', '2025-12-01T02:50:00.000Z'),
+      post('with-edits', '2025-12-01T02:50:00.000Z')
+    ], window);
+    assert.deepEqual(posts.map(({ _id }) => _id), ['with-edits']);
+  });
+});
@@ -0,0 +1,41 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Resend } from 'resend';
+import { createResendSubscriberRepository } from '../src/utils/subscribers.js';
+
+describe('createResendSubscriberRepository list', () => {
+  it('pages through the whole audience and leaves out unsubscribed contacts', async t => {
+    const contacts = Array.from({ length: 230 }, (_, index) => ({
+      id: `contact-${index}`,
+      email: `reader${index}@example.com`,
+      unsubscribed: index % 10 === 0
+    }));
+    const paths = [];
+    t.mock.method(Resend.prototype, 'get', async path => {
+      paths.push(path);
+      const query = new URLSearchParams(path.split('?')[1]);
+      const start = query.has('after') ? contacts.findIndex(contact => contact.id === query.get('after')) + 1 : 0;
+      const end = start + Number(query.get('limit'));
+      return { data: { object: 'list', has_more: end < contacts.length, data: contacts.slice(start, end) }, error: null };
+    });
+
+    const subscribers = await createResendSubscriberRepository({ apiKey: 're_test', audienceId: 'audience-1' }).list();
+
+    assert.deepEqual(paths, [
+      '/audiences/audience-1/contacts?limit=100',
+      '/audiences/audience-1/contacts?limit=100&after=contact-99',
+      '/audiences/audience-1/contacts?limit=100&after=contact-199'
+    ]);
+    assert.equal(subscribers.length, 207);
+    assert.deepEqual(subscribers[0], { email: 'reader1@example.com' });
+    assert.deepEqual(subscribers[subscribers.length - 1], { email: 'reader229@example.com' });
+  });
+
+  it('throws when a page can\'t be read', async t => {
+    t.mock.method(Resend.prototype, 'get', async () => ({ data: null, error: { name: 'restricted_api_key', message: 'This API key is restricted' } }));
+    await assert.rejects(
+      createResendSubscriberRepository({ apiKey: 're_test', audienceId: 'audience-1' }).list(),
+      /Could not list subscribers: This API key is restricted/
+    );
+  });
+});
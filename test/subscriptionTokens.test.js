@@ -0,0 +1,153 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Buffer } from 'node:buffer';
+import {
+  CONFIRMATION_TOKEN_MAX_AGE_MS,
+  createMemoryNonceStore,
+  createSanityNonceStore,
+  createSubscriptionToken,
+  getConfirmationSecretError,
+  verifySubscriptionToken
+} from '../src/utils/subscriptionTokens.js';
+
+const env = { CONFIRMATION_SECRET: 'a'.repeat(64) };
+const EMAIL = 'reader@example.com';
+
+const decode = token => JSON.parse(Buffer.from(token, 'base64url').toString('utf-8'));
+const encode = data => Buffer.from(JSON.stringify(data)).toString('base64url');
+
+// The token with some of its fields changed, keeping the original signature
+function tamper(token, changes) {
+  return encode({ ...decode(token), ...changes });
+}
+
+describe('getConfirmationSecretError', () => {
+  it('refuses a missing, placeholder or short secret', () => {
+    assert.match(getConfirmationSecretError({}), /not set/);
+    assert.match(getConfirmationSecretError({ CONFIRMATION_SECRET: 'your-secret-key-change-this' }), /placeholder/);
+    assert.match(getConfirmationSecretError({ CONFIRMATION_SECRET: 'short' }), /at least 32 characters/);
+    assert.equal(getConfirmationSecretError(env), null);
+  });
+
+  it('stops tokens being made or checked without a real secret', () => {
+    assert.throws(() => createSubscriptionToken('confirm', EMAIL, {}), /not set/);
+    const token = createSubscriptionToken('confirm', EMAIL, env);
+    assert.throws(() => verifySubscriptionToken('confirm', token, { CONFIRMATION_SECRET: 'your-secret-key-change-this' }), /placeholder/);
+  });
+});
+
+describe('verifySubscriptionToken', () => {
+  it('accepts a fresh confirmation token', () => {
+    const token = createSubscriptionToken('confirm', EMAIL, env);
+    const result = verifySubscriptionToken('confirm', token, env);
+    assert.equal(result.email, EMAIL);
+    assert.equal(result.nonce, decode(token).nonce);
+    assert.equal(result.expiresAt, new Date(decode(token).timestamp + CONFIRMATION_TOKEN_MAX_AGE_MS).toISOString());
+  });
+
+  it('expires confirmation tokens after 24 hours, but not unsubscribe tokens', t => {
+    const createdAt = Date.now();
+    const confirmToken = createSubscriptionToken('confirm', EMAIL, env);
+    const unsubscribeToken = createSubscriptionToken('unsubscribe', EMAIL, env);
+
+    t.mock.method(Date, 'now', () => createdAt + CONFIRMATION_TOKEN_MAX_AGE_MS - 1000);
+    assert.equal(verifySubscriptionToken('confirm', confirmToken, env).email, EMAIL);
+
+    t.mock.method(Date, 'now', () => createdAt + CONFIRMATION_TOKEN_MAX_AGE_MS + 1000);
+    assert.deepEqual(verifySubscriptionToken('confirm', confirmToken, env), { error: 'expired' });
+    assert.equal(verifySubscriptionToken('unsubscribe', unsubscribeToken, env).email, EMAIL);
+  });
+
+  it('rejects a token whose signature, email, timestamp or nonce was changed', () => {
+    const token = createSubscriptionToken('confirm', EMAIL, env);
+    const { token: signature } = decode(token);
+    const flipped = `${signature.slice(0, -1)}${signature.endsWith('0') ? '1' : '0'}`;
+
+    [
+      { token: flipped },
+      { token: signature.slice(0, 32) },
+      { email: 'someone-else@example.com' },
+      { timestamp: decode(token).timestamp + 1 },
+      { nonce: 'another-nonce' }
+    ].forEach(changes => {
+      assert.deepEqual(verifySubscriptionToken('confirm', tamper(token, changes), env), { error: 'invalid' }, JSON.stringify(changes));
+    });
+  });
+
+  it('reports a tampered expired token as invalid, not expired', t => {
+    const createdAt = Date.now();
+    const token = createSubscriptionToken('confirm', EMAIL, env);
+    t.mock.method(Date, 'now', () => createdAt + 2 * CONFIRMATION_TOKEN_MAX_AGE_MS);
+    assert.deepEqual(verifySubscriptionToken('confirm', tamper(token, { email: 'x@example.com' }), env), { error: 'invalid' });
+  });
+
+  it('rejects a token signed with another secret', () => {
+    const token = createSubscriptionToken('confirm', EMAIL, { CONFIRMATION_SECRET: 'b'.repeat(64) });
+    assert.deepEqual(verifySubscriptionToken('confirm', token, env), { error: 'invalid' });
+  });
+
+  it('rejects a token made for the other purpose', () => {
+    const confirmToken = createSubscriptionToken('confirm', EMAIL, env);
+    const unsubscribeToken = createSubscriptionToken('unsubscribe', EMAIL, env);
+    assert.deepEqual(verifySubscriptionToken('unsubscribe', confirmToken, env), { error: 'invalid' });
+    assert.deepEqual(verifySubscriptionToken('confirm', unsubscribeToken, env), { error: 'invalid' });
+  });
+
+  it('rejects malformed tokens', () => {
+    ['', 'not-base64-json', encode({ email: EMAIL }), encode(null)].forEach(token => {
+      assert.deepEqual(verifySubscriptionToken('confirm', token, env), { error: 'invalid' }, token);
+    });
+  });
+});
+
+describe('nonce stores', () => {
+  it('memory store lets a nonce be consumed once, until it is released', async () => {
+    const store = createMemoryNonceStore();
+    const { nonce } = decode(createSubscriptionToken('confirm', EMAIL, env));
+
+    assert.equal(await store.consume(nonce), true);
+    assert.equal(await store.consume(nonce), false);
+    // Shared across stores in the same instance
+    assert.equal(await createMemoryNonceStore().consume(nonce), false);
+
+    await store.release(nonce);
+    assert.equal(await store.consume(nonce), true);
+  });
+
+  it('Sanity store consumes a nonce by creating its document, once', async () => {
+    const documents = new Map();
+    const client = {
+      async create(document) {
+        if (documents.has(document._id)) {
+          throw Object.assign(new Error('Document already exists'), { statusCode: 409 });
+        }
+        documents.set(document._id, document);
+        return document;
+      },
+      async delete(id) {
+        documents.delete(id);
+      }
+    };
+    const store = createSanityNonceStore(client);
+    const expiresAt = new Date(Date.now() + CONFIRMATION_TOKEN_MAX_AGE_MS).toISOString();
+
+    assert.equal(await store.consume('nonce-1', expiresAt), true);
+    assert.equal(await store.consume('nonce-1', expiresAt), false);
+    const [saved] = documents.values();
+    assert.match(saved._id, /^usedSubscriptionToken\.[0-9a-f]{32}$/);
+    assert.equal(saved.expiresAt, expiresAt);
+    assert.ok(!saved._id.includes('nonce-1'));
+
+    await store.release('nonce-1');
+    assert.equal(await store.consume('nonce-1', expiresAt), true);
+  });
+
+  it('Sanity store passes on errors other than a conflict', async () => {
+    const store = createSanityNonceStore({
+      async create() {
+        throw Object.assign(new Error('Unauthorized'), { statusCode: 401 });
+      }
+    });
+    await assert.rejects(store.consume('nonce-2', null), /Unauthorized/);
+  });
+});
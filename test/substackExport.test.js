@@ -0,0 +1,31 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { htmlToPortableText } from '../src/utils/substackExport.js';
+
+const attrs = data => JSON.stringify(data).replace(/"/g, '&quot;');
+
+describe('htmlToPortableText embeds', () => {
+  it('keeps web links from embeds, with YouTube videos as watch links', () => {
+    const blocks = htmlToPortableText([
+      `<div class="tweet" data-attrs="${attrs({ url: 'https://twitter.com/a/status/1', name: 'A', username: 'a', full_text: 'Hello' })}"></div>`,
+      `<div class="youtube-wrap" data-attrs="${attrs({ videoId: 'dQw4w9WgXcQ' })}"></div>`,
+      '<iframe src="//player.example.com/embed/1"></iframe>'
+    ].join(''));
+
+    assert.deepEqual(blocks, [
+      { _type: 'embed', url: 'https://twitter.com/a/status/1', title: 'A (@a)', text: 'Hello' },
+      { _type: 'embed', url: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ' },
+      { _type: 'embed', url: 'https://player.example.com/embed/1' }
+    ]);
+  });
+
+  it('drops embeds whose URL isn\'t a web link', () => {
+    const blocks = htmlToPortableText([
+      `<div class="tweet" data-attrs="${attrs({ url: 'javascript:alert(document.cookie)', full_text: 'Click me' })}"></div>`,
+      `<div class="embedded-post-wrap" data-attrs="${attrs({ url: 'data:text/html,<script>alert(1)</script>', title: 'Post' })}"></div>`,
+      '<iframe src="javascript:alert(1)"></iframe>'
+    ].join(''));
+
+    assert.deepEqual(blocks, []);
+  });
+});
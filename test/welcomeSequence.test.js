@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluate, parse } from 'groq-js';
+import { createFakeProvider } from '../src/utils/newsletterProviders.js';
+import { createLocalSubscriberRepository } from '../src/utils/subscribers.js';
+import { createLocalWelcomeProgressStore, createSanityWelcomeProgressStore, sendWelcomeSequence, WELCOME_SEQUENCE_QUERY } from '../src/utils/welcomeSequence.js';
+
+const BASE_URL = 'https://blog.brendanbockes.com';
+const NOW = new Date('2025-12-10T12:00:00.000Z');
+
+// Progress messages aren't checked
+const quiet = () => undefined;
+
+const sequence = {
+  enabled: true,
+  days: [2, 5],
+  list: {
+    title: 'Start here',
+    posts: [
+      { _id: 'post-1', title: 'Trying vs doing', slug: { current: 'trying-vs-doing' }, publishedAt: '2025-11-30T19:29:37.981Z', content: [] },
+      { _id: 'post-2', title: 'Language is leverage', slug: { current: 'language-is-leverage' }, publishedAt: '2025-10-01T10:00:00.000Z', content: [] }
+    ]
+  }
+};
+
+async function setup() {
+  const progress = createLocalWelcomeProgressStore();
+  await progress.start('a@example.com', '2025-12-07T12:00:00.000Z');
+  await progress.start('b@example.com', '2025-12-07T12:00:00.000Z');
+  return {
+    sequence,
+    progress,
+    subscribers: createLocalSubscriberRepository({ subscribers: [{ email: 'a@example.com' }, { email: 'b@example.com' }] }),
+    provider: createFakeProvider(),
+    from: 'newsletter@example.com',
+    baseUrl: BASE_URL,
+    unsubscribeUrlFor: email => `${BASE_URL}/unsubscribe?for=${encodeURIComponent(email)}`,
+    now: NOW,
+    log: quiet
+  };
+}
+
+describe('sendWelcomeSequence', () => {
+  it('sends each subscriber the step they are due, once', async () => {
+    const options = await setup();
+    const result = await sendWelcomeSequence(options);
+
+    assert.equal(result.sent, 2);
+    assert.deepEqual(options.provider.sent.map(message => message.to), ['a@example.com', 'b@example.com']);
+    const [entry] = await options.progress.listActive();
+    assert.equal(entry.progress.step, 1);
+
+    assert.equal((await sendWelcomeSequence(options)).sent, 0);
+    assert.equal(options.provider.sent.length, 2);
+  });
+
+  it('sends a step only once when two runs overlap', async () => {
+    const options = await setup();
+    // Both runs read the same progress before either claims
+    const active = await options.progress.listActive();
+    options.progress.listActive = async () => active;
+
+    const [first, second] = await Promise.all([sendWelcomeSequence(options), sendWelcomeSequence(options)]);
+    assert.equal(first.sent + second.sent, 2);
+    assert.deepEqual(options.provider.sent.map(message => message.to).sort(), ['a@example.com', 'b@example.com']);
+  });
+
+  it('gives a step back when its send fails', async () => {
+    const options = await setup();
+    options.provider = createFakeProvider({ failFor: ['b@example.com'] });
+    const result = await sendWelcomeSequence(options);
+
+    assert.equal(result.status, 'partial');
+    const steps = Object.fromEntries((await options.progress.listActive()).map(({ email, progress }) => [email, progress.step]));
+    assert.deepEqual(steps, { 'a@example.com': 1, 'b@example.com': 0 });
+  });
+});
+
+describe('createSanityWelcomeProgressStore', () => {
+  it('claims only if the subscriber document is at the revision that was read', async () => {
+    const patches = [];
+    const client = {
+      patch(id) {
+        const patch = {
+          ifRevisionId(rev) {
+            patch.rev = rev;
+            return patch;
+          },
+          set(fields) {
+            patch.fields = fields;
+            return patch;
+          },
+          async commit() {
+            if (patch.rev !== 'rev-1') {
+              throw Object.assign(new Error('Document has been modified'), { statusCode: 409 });
+            }
+            patches.push({ id, ...patch.fields });
+          }
+        };
+        return patch;
+      }
+    };
+    const store = createSanityWelcomeProgressStore(client);
+
+    assert.equal(await store.claim({ email: 'a@example.com', _rev: 'rev-1' }, { step: 1 }), true);
+    assert.equal(await store.claim({ email: 'a@example.com', _rev: 'rev-0' }, { step: 1 }), false);
+    assert.equal(patches.length, 1);
+    assert.deepEqual(patches[0].welcomeSequence, { step: 1 });
+  });
+});
+
+describe('WELCOME_SEQUENCE_QUERY', () => {
+  it('reads the published sequence, not an unpublished draft of it', async () => {
+    const dataset = [
+      { _id: 'drafts.welcomeSequence', _type: 'welcomeSequence', enabled: false, days: [1], list: { _ref: 'list-1' } },
+      { _id: 'welcomeSequence', _type: 'welcomeSequence', enabled: true, days: [2, 5], list: { _ref: 'list-1' } },
+      { _id: 'list-1', _type: 'curatedList', title: 'Start here', posts: [{ _ref: 'post-1' }] },
+      { _id: 'post-1', _type: 'post', title: 'Trying vs doing', publishedAt: '2025-11-30T19:29:37.981Z' }
+    ];
+    const result = await evaluate(parse(WELCOME_SEQUENCE_QUERY), { dataset });
+    const found = await result.get();
+
+    assert.equal(found.enabled, true);
+    assert.deepEqual(found.days, [2, 5]);
+    assert.deepEqual(found.list.posts.map(post => post.title), ['Trying vs doing']);
+  });
+});
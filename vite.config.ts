@@ -2,11 +2,14 @@ import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
 // https://vitejs.dev/config/
-export default defineConfig({
+// The SSR build (src/entry-server.tsx, used by scripts/prerender.js) keeps dependencies external,
+// so it gets no vendor chunks and no copy of public/
+export default defineConfig(({ isSsrBuild }) => ({
   plugins: [react()],
   build: {
+    copyPublicDir: !isSsrBuild,
     rollupOptions: {
-      output: {
+      output: isSsrBuild ? {} : {
         manualChunks: {
           // Split vendor chunks for better caching
           'react-vendor': ['react', 'react-dom', 'react-router-dom'],
@@ -32,4 +35,4 @@ export default defineConfig({
       }
     }
   }
-})
\ No newline at end of file
+}))